@@ -12,6 +12,7 @@ import { InteractionManager } from './src/ui/InteractionManager.js';
 import { PerformanceMonitorUI } from './src/ui/PerformanceMonitorUI.js';
 import { EventBus } from './src/integration/EventBus.js';
 import { SceneAssembler } from './src/engine/builders/SceneAssembler.js';
+import { PlcLiveFeed } from './src/integration/PlcLiveFeed.js';
 
 // Initialize core components
 const sceneManager = new SceneManager();
@@ -30,8 +31,13 @@ setTimeout(() => { canvas.focus(); }, 100);
 // Initialize UI Manager
 const uiManager = new UIManager(sceneManager);
 
+// Live PLC states on the station meshes (EventBus events PlcStationStateChanged, PlcContainerAtStation, ...)
+const plcLiveFeed = new PlcLiveFeed({ eventBus, getStationManager: () => sceneManager.plcStationManager });
+// Every rebuild creates new station meshes; restore the last known states on them
+window.addEventListener('plc:topology', () => plcLiveFeed.reapply());
+
 // Initialize Interaction Manager
-const interactionManager = new InteractionManager(sceneManager, uiManager);
+const interactionManager = new InteractionManager(sceneManager, uiManager, { plcLiveFeed });
 
 // Initialize Performance Monitor
 const performanceMonitor = new PerformanceMonitorUI(sceneManager);
@@ -56,7 +62,7 @@ const initializeWarehouse = async () => {
     
     // Build domain representation & emit metrics (does not alter rendering yet)
     try {
-        sceneAssembler.buildDomain(uiManager.getConfig(), sceneManager.missingLocations || []);
+        sceneAssembler.buildDomain(uiManager.getConfig(), sceneManager.missingLocations || [], sceneManager.inventory);
     } catch (e) {
         console.warn('Domain build failed:', e);
     }
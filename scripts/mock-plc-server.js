@@ -0,0 +1,103 @@
+/**
+ * Mock PLC telegram server for commissioning rehearsals and tests of the live feed (no dependencies).
+ * Streams random station_state / container_at_station telegrams for the stations of a layout over WebSocket.
+ * Usage: node scripts/mock-plc-server.js [layout.json] [--port 8765] [--interval 700]
+ * Then use "Live PLC Feed" → Connect with ws://localhost:8765 in the app.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+
+import { resolvePlcAddressCodec } from '../src/domain/services/plcAddress.js';
+import { randomTelegram } from '../src/integration/plcTelegramAdapters.js';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const idx = args.indexOf(name);
+    return idx >= 0 ? Number(args[idx + 1]) : fallback;
+};
+const port = option('--port', 8765);
+const intervalMs = option('--interval', 700);
+const layoutFile = args.find((a, i) => !a.startsWith('--') && !(args[i - 1] || '').startsWith('--')) || 'public/warehouse_config_instance.json';
+
+const layout = JSON.parse(readFileSync(layoutFile, 'utf8'));
+const { mainLoop } = resolvePlcAddressCodec(layout.plc_address_convention);
+const source = {
+    plcAddresses: (layout.plc_stations || []).map(s => s.plc_address).filter(a => a !== mainLoop),
+    random: Math.random,
+    containerSeq: 1000
+};
+if (source.plcAddresses.length === 0) {
+    console.error(`No plc_stations in ${layoutFile}`);
+    process.exit(2);
+}
+
+/**
+ * Encodes an unmasked server-to-client text frame.
+ * @param {string} text
+ * @returns {Buffer}
+ */
+function textFrame(text) {
+    const payload = Buffer.from(text, 'utf8');
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+const clients = new Set();
+const server = createServer((_req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket endpoint for PLC telegrams\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+    const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write(['HTTP/1.1 101 Switching Protocols', 'Upgrade: websocket', 'Connection: Upgrade', `Sec-WebSocket-Accept: ${accept}`, '', ''].join('\r\n'));
+    clients.add(socket);
+    console.log(`🔌 client connected (${clients.size})`);
+    // Client frames are ignored except close (opcode 0x8)
+    socket.on('data', (data) => {
+        if ((data[0] & 0x0f) === 0x8) socket.end(Buffer.from([0x88, 0x00]));
+    });
+    const drop = () => {
+        if (clients.delete(socket)) console.log(`⏏ client disconnected (${clients.size})`);
+    };
+    socket.on('close', drop);
+    socket.on('error', drop);
+});
+
+const timer = setInterval(() => {
+    if (clients.size === 0) return;
+    const frame = textFrame(JSON.stringify(randomTelegram(source)));
+    for (const socket of clients) socket.write(frame);
+}, intervalMs);
+
+server.listen(port, () => {
+    console.log(`🧪 Mock PLC on ws://localhost:${port}: ${source.plcAddresses.length} stations from ${layoutFile}, one telegram every ${intervalMs} ms`);
+});
+
+process.on('SIGINT', () => {
+    clearInterval(timer);
+    for (const socket of clients) socket.destroy();
+    server.close(() => process.exit(0));
+});
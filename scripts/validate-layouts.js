@@ -0,0 +1,72 @@
+/**
+ * Validates warehouse layout JSON files headless (CI use) and prints their capacities, throughput, PLC routing findings
+ * racks above the building clear height and clashes with the building envelope.
+ * Usage: node scripts/validate-layouts.js <file-or-directory>... [--json]
+ * Exits with code 1 when any layout is invalid, has routing errors, racks above the clear height or building clashes
+ * (warnings are printed only).
+ */
+
+import { readdirSync, readFileSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+
+import { analyzeWarehouseConfig } from '../src/headless/index.js';
+
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const targets = args.filter(a => a !== '--json');
+
+if (targets.length === 0) {
+    console.error('Usage: node scripts/validate-layouts.js <file-or-directory>... [--json]');
+    process.exit(2);
+}
+
+/**
+ * Expands directories to the .json files they contain (recursively).
+ * @param {string} path
+ * @returns {string[]}
+ */
+function collectFiles(path) {
+    if (!statSync(path).isDirectory()) return [path];
+    return readdirSync(path).sort().flatMap(entry => {
+        const full = join(path, entry);
+        if (statSync(full).isDirectory()) return collectFiles(full);
+        return entry.endsWith('.json') ? [full] : [];
+    });
+}
+
+const results = targets.flatMap(collectFiles).map(file => {
+    let report;
+    try {
+        report = analyzeWarehouseConfig(readFileSync(file, 'utf8'));
+    } catch (error) {
+        report = { valid: false, errors: [error.message] };
+    }
+    return { file, ...report };
+});
+
+if (asJson) {
+    console.log(JSON.stringify(results.map(({ file, valid, errors, migration, capacity, metrics, throughput, topology, clearance, building }) => ({ file, valid, errors, migration, capacity, metrics, throughput, topology, clearance, building })), null, 2));
+} else {
+    for (const r of results) {
+        if (r.valid) {
+            const migrated = r.migration.changes.length ? ` [migrated from ${r.migration.fromVersion}]` : '';
+            const icon = r.topology.valid && r.clearance.valid && r.building.valid ? '✅' : '❌';
+            console.log(`${icon} ${r.file}: ${r.capacity.net} locations (gross ${r.capacity.gross}, missing ${r.capacity.missing}), ${r.plcStations.length} PLC stations${migrated}`);
+            const { totalMovesPerHour, bottleneck } = r.throughput;
+            console.log(`   ${totalMovesPerHour.double} moves/h (FEM 9.851 double cycles)${bottleneck ? `, bottleneck: ${bottleneck.resource} of aisle ${bottleneck.aisle + 1}` : ''}`);
+            for (const f of r.topology.findings) {
+                console.log(`   ${f.severity === 'error' ? '✖' : '⚠'} ${f.message}`);
+            }
+            for (const v of r.clearance.violations) {
+                console.log(`   ✖ aisle ${v.aisle + 1}: rack height ${v.height} m exceeds the clear height of ${v.clearHeight} m`);
+            }
+            for (const clash of r.building.clashes) {
+                console.log(`   ✖ ${clash.message}`);
+            }
+        } else {
+            console.log(`❌ ${r.file}: ${r.errors.join(', ')}`);
+        }
+    }
+}
+
+process.exit(results.every(r => r.valid && r.topology.valid && r.clearance.valid && r.building.valid) ? 0 : 1);
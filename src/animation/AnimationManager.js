@@ -2,8 +2,13 @@
 /* eslint-disable no-unused-vars */
 import * as THREE from 'three';
 
+import { aisleLayout, maxRackDepth, rackLevelCenter } from '../domain/services/aisleLayout.js';
+import { DEFAULT_KINEMATICS, liftTransferTime, motionEasing, motionProfile, shuttleArmPhases, travelTime } from '../domain/simulation/kinematics.js';
 import { UI_THEME } from '../ui/theme.js';
 
+/** Container speed on routed conveyor segments (scene units per second). */
+const CONVEYOR_SPEED = 4.0;
+
 /**
  * Manages 3D animations for warehouse operations including container movement,
  * shuttle operations, and lift animations using Tween.js library.
@@ -32,6 +37,8 @@ export class AnimationManager {
         // Maps to store shuttles and lifts
         this.shuttles = new Map();
         this.lifts = new Map();
+        // Shared with the ThroughputSimulator so animated moves take as long as simulated ones
+        this.kinematics = DEFAULT_KINEMATICS;
         this.loadTween();
 
         // Lighting for animation (ambient + directional)
@@ -65,6 +72,16 @@ export class AnimationManager {
             this.scene.remove(this.animationContainer);
         }
 
+        this.animationContainer = this.createContainerMesh();
+        this.scene.add(this.animationContainer);
+        return this.animationContainer;
+    }
+
+    /**
+     * Creates a container (tote) mesh; used for the demo animation and recorded telegram replays.
+     * @returns {THREE.Mesh} Container mesh (not yet added to the scene)
+     */
+    createContainerMesh() {
         // Use RoundedBoxGeometry if available, fallback to BoxGeometry
         let containerGeo;
         if (THREE.RoundedBoxGeometry) {
@@ -94,11 +111,10 @@ export class AnimationManager {
             map: metalTexture || null
         });
 
-        this.animationContainer = new THREE.Mesh(containerGeo, containerMat);
-        this.animationContainer.castShadow = true;
-        this.animationContainer.receiveShadow = true;
-        this.scene.add(this.animationContainer);
-        return this.animationContainer;
+        const container = new THREE.Mesh(containerGeo, containerMat);
+        container.castShadow = true;
+        container.receiveShadow = true;
+        return container;
     }
 
     async startContainerAnimation(uiConfig) {
@@ -114,19 +130,19 @@ export class AnimationManager {
         this.createAnimationContainer();
 
         // Use correct constants for positioning (matching the warehouse layout)
-        const moduleLength = uiConfig.locations_per_module * 1.2; // constants.locationLength
-        const totalRackDepth = uiConfig.storage_depth * 0.8; // constants.locationDepth
-        const rackAndAisleWidth = (totalRackDepth * 2) + 2.5; // constants.aisleWidth
-    const _prezoneOffset = totalRackDepth + 5; // unused placeholder retained
+        // Calculate positions based on actual warehouse structure (aisles may differ in depth and module length)
+        const targetAisle = Math.floor(uiConfig.aisles / 2);
+        const target = aisleLayout(uiConfig)[targetAisle];
+        const moduleLength = target.moduleLength;
+        const totalRackDepth = target.rackDepth;
+    const _prezoneOffset = maxRackDepth(uiConfig) + 5; // prezone sits in front of the deepest rack
 
         // Get warehouse group offset
         const warehouseOffset = this.warehouseGroup.position;
 
-        // Calculate positions based on actual warehouse structure
-        const targetAisle = Math.floor(uiConfig.aisles / 2);
-        const aisleCenterX = targetAisle * rackAndAisleWidth + totalRackDepth + 1.25 + warehouseOffset.x;
+        const aisleCenterX = target.centerX + warehouseOffset.x;
     // Center module reference (unused in current animation path kept for future)
-    const _startModuleZ = Math.floor(uiConfig.modules_per_aisle / 2) * moduleLength;
+    const _startModuleZ = Math.floor(target.modules / 2) * moduleLength;
     const prezoneZ = -_prezoneOffset + warehouseOffset.z;
 
         // Starting position (picking station in prezone) - FIXED CALCULATION
@@ -147,16 +163,27 @@ export class AnimationManager {
 
         // Use existing calculations and update target settings
         const targetLevel = 0; // First level
-        const levelY = (targetLevel * 1.0) + (1.0 / 2); // EXACT shuttle Y calculation
+        const levelY = rackLevelCenter(target, targetLevel); // EXACT shuttle Y calculation
         
-        // EXACT lift position (from createLifts method) - using targetAisle=0 for simplicity
-        const liftX = 0 * rackAndAisleWidth + (uiConfig.storage_depth * 0.8) + 1.25 + warehouseOffset.x;
+        // EXACT lift position (from createLifts method) of the target aisle
+        const liftX = aisleCenterX;
         const liftZ = 0.5 + warehouseOffset.z;
         
         // EXACT shuttle position (from createShuttles method)  
-        const shuttleX = 0 * rackAndAisleWidth + (uiConfig.storage_depth * 0.8) + 1.25 + warehouseOffset.x;
+        const shuttleX = aisleCenterX;
         const shuttleZ = 5 + warehouseOffset.z;
 
+        // Follow the real conveyor path Entry -> diverters -> lift entrance when the PLC network routes there
+        const routeSteps = this.getConveyorRouteSteps(targetAisle);
+        if (routeSteps) {
+            const first = routeSteps.shift().to;
+            startPos.x = first.x;
+            startPos.y = first.y;
+            startPos.z = first.z;
+            this.animationContainer.position.set(startPos.x, startPos.y, startPos.z);
+        }
+        this.lastStartPos = { ...startPos };
+
         // Module calculations for target position
         const targetModule = 3;
         const targetModuleZ = targetModule * moduleLength + moduleLength / 2 + warehouseOffset.z;
@@ -170,7 +197,38 @@ export class AnimationManager {
             shuttleZ,
             startPos,
             levelY,
-            targetModuleZ
+            storageLevelY: rackLevelCenter(target, Math.min(2, target.levels - 1)),
+            targetModuleZ,
+            storageDepth: target.depth,
+            rackDepth: target.rackDepth,
+            routeSteps
+        });
+    }
+
+    /**
+     * Converts the shortest conveyor route from the Entry to the aisle's lift entrance into tween steps.
+     * Route points are prezone coordinates; durations follow the segment lengths.
+     * @param {number} aisle - 0-based target aisle
+     * @returns {Array<{name:string, to:{x:number,y:number,z:number}, duration:number}>|null} null without a route
+     */
+    getConveyorRouteSteps(aisle) {
+        const router = this.sceneManager.conveyorRouter;
+        const prezone = this.sceneManager.prezoneGroup;
+        const route = router && prezone ? router.routeToAisle(aisle) : null;
+        if (!route || route.points.length < 2) return null;
+        prezone.updateWorldMatrix(true, false);
+        const containerLift = 0.3; // container sits on the belt
+        let previous = null;
+        return route.points.map((point, idx) => {
+            const world = prezone.localToWorld(new THREE.Vector3(point.x, point.y, point.z));
+            world.y += containerLift;
+            const length = previous ? previous.distanceTo(world) : 0;
+            previous = world;
+            return {
+                name: idx === 0 ? 'RouteStart' : 'Conveyor',
+                to: { x: world.x, y: world.y, z: world.z },
+                duration: Math.max(120, (length / CONVEYOR_SPEED) * 1000)
+            };
         });
     }
 
@@ -184,7 +242,7 @@ export class AnimationManager {
             shuttle.visible = true;
         }
 
-        const { warehouseOffset, liftX, liftZ, shuttleX, shuttleZ, startPos, levelY, targetModuleZ } = positions;
+        const { warehouseOffset, liftX, liftZ, shuttleX, shuttleZ, startPos, levelY, storageLevelY, targetModuleZ, storageDepth, rackDepth, routeSteps } = positions;
 
         // STEP 1: Move from picking station to cross-conveyor (Y should be on conveyor)
         const conveyorY = 0.85; // Standard conveyor height
@@ -222,8 +280,8 @@ export class AnimationManager {
         };
 
         // STEP 4: Lift up to a higher level (e.g., level 3)
-        // Use higherLevelY for the lift and container
-        const higherLevelY = 2.5; // Change this value for desired lift height
+        // Use higherLevelY for the lift and container (centre of level 3 of the target aisle)
+        const higherLevelY = storageLevelY;
         const step4 = {
             x: liftX,
             y: higherLevelY,
@@ -257,7 +315,7 @@ export class AnimationManager {
         };
 
         // STEP 7: Place in rack storage
-        const storageX = shuttleX - (uiConfig.storage_depth * 0.8 * 0.7);
+        const storageX = shuttleX - (rackDepth * 0.7);
         const step7 = {
             x: storageX,
             y: higherLevelY,
@@ -279,15 +337,23 @@ export class AnimationManager {
         // Create tweens with position logging
 
         // Define steps array for dynamic tween creation
-        const steps = [
+        // Conveyor part: routed path over the PLC stations, or the fixed front/left/cross-conveyor moves
+        const conveyorSteps = routeSteps && routeSteps.length ? routeSteps : [
             { name: 'Front', to: stepFront, duration: 1000 },
             { name: 'Left', to: stepLeft, duration: 1200 },
-            { name: 'CrossConveyor', to: stepCrossConveyor, duration: 2000 },
-            { name: 'Lift', to: stepLift, duration: 1800 },
-            { name: 'LiftUp', to: step4, duration: 2200 },
-            { name: 'ShuttlePickup', to: step5, duration: 1500 },
-            { name: 'ShuttleMove', to: step6, duration: 3200 },
-            { name: 'Storage', to: step7, duration: 1500 }
+            { name: 'CrossConveyor', to: stepCrossConveyor, duration: 2000 }
+        ];
+        // Equipment steps: durations and easing from the kinematic model
+        const { shuttle, lift } = this.kinematics;
+        const shuttleHomeZ = activeShuttle ? activeShuttle.position.z : shuttleZ;
+        const arms = shuttleArmPhases(storageDepth - 1, shuttle);
+        const steps = [
+            ...conveyorSteps,
+            { name: 'Lift', to: stepLift, ...this.kinematicStep(liftTransferTime(lift), lift.transfer.distance, lift.transfer) },
+            { name: 'LiftUp', to: step4, ...this.kinematicStep(null, higherLevelY - conveyorY, lift) },
+            { name: 'ShuttlePickup', to: step5, ...this.kinematicStep(null, liftZ - shuttleHomeZ, shuttle) },
+            { name: 'ShuttleMove', to: step6, ...this.kinematicStep(null, targetModuleZ - liftZ, shuttle) },
+            { name: 'Storage', to: step7, ...this.kinematicStep(arms.extend, arms.stroke, shuttle.arms) }
         ];
 
         // Create tweens dynamically and chain them
@@ -298,15 +364,13 @@ export class AnimationManager {
         let tween5Shuttle = null;
         let tween6Shuttle = null;
         steps.forEach((step, idx) => {
-            let easingFn = this.tweenJs.Easing.Quadratic.InOut;
-            if (step.name === 'LiftUp') easingFn = this.tweenJs.Easing.Sinusoidal.InOut;
-            if (step.name === 'Storage') easingFn = this.tweenJs.Easing.Quadratic.Out;
+            const easingFn = step.easing || this.tweenJs.Easing.Quadratic.InOut;
 
             // STEP 4: LiftUp - animate lift and container together
             if (step.name === 'LiftUp' && activeLift) {
                 tweenLiftUpLift = new this.tweenJs.Tween(activeLift.position)
                     .to({ x: liftX, y: higherLevelY, z: liftZ }, step.duration)
-                    .easing(this.tweenJs.Easing.Sinusoidal.InOut)
+                    .easing(easingFn)
                     // .onUpdate(() => {
                     //     const pos = activeLift.position;
                     //     console.log(`🔄 LIFT Update: X=${pos.x.toFixed(2)}, Y=${pos.y.toFixed(2)}, Z=${pos.z.toFixed(2)}`);
@@ -321,7 +385,7 @@ export class AnimationManager {
             if (step.name === 'ShuttlePickup' && activeShuttle) {
                 tween5Shuttle = new this.tweenJs.Tween(activeShuttle.position)
                     .to({ x: liftX, y: higherLevelY, z: liftZ }, step.duration)
-                    .easing(this.tweenJs.Easing.Quadratic.InOut)
+                    .easing(easingFn)
                     .onComplete(() => {
                         // Shuttle pickup complete
                     });
@@ -331,7 +395,7 @@ export class AnimationManager {
             if (step.name === 'ShuttleMove' && activeShuttle) {
                 tween6Shuttle = new this.tweenJs.Tween(activeShuttle.position)
                     .to({ x: shuttleX, y: higherLevelY, z: targetModuleZ }, step.duration)
-                    .easing(this.tweenJs.Easing.Quadratic.InOut);
+                    .easing(easingFn);
             }
 
             const tween = new this.tweenJs.Tween(this.animationContainer.position)
@@ -375,28 +439,42 @@ export class AnimationManager {
         // Start animation sequence
         tweens[0].start();
 
+        const tweenFor = (name) => tweens[steps.findIndex(step => step.name === name)];
+
         // STEP 4: Start lift up with container
         if (tweenLiftUpLift) {
-            tweens[4].onStart(() => {
+            tweenFor('LiftUp').onStart(() => {
                 setTimeout(() => tweenLiftUpLift.start(), 0);
             });
         }
 
         // STEP 5: Start shuttle pickup with container
         if (tween5Shuttle) {
-            tweens[5].onStart(() => {
+            tweenFor('ShuttlePickup').onStart(() => {
                 setTimeout(() => tween5Shuttle.start(), 0);
             });
         }
 
         // STEP 6: Start shuttle move with container
         if (tween6Shuttle) {
-            tweens[6].onStart(() => {
+            tweenFor('ShuttleMove').onStart(() => {
                 setTimeout(() => tween6Shuttle.start(), 0);
             });
         }
     }
 
+    /**
+     * Tween duration and easing of an equipment move following the kinematic model.
+     * @param {number|null} seconds - Move time, null = travel time of the distance
+     * @param {number} distance - Distance of the move in metres (scene units)
+     * @param {import('../domain/simulation/kinematics.js').MotionLimits} limits
+     * @returns {{duration:number, easing:Function}} duration in milliseconds
+     */
+    kinematicStep(seconds, distance, limits) {
+        const duration = seconds ?? travelTime(distance, limits);
+        return { duration: Math.max(1, duration * 1000), easing: motionEasing(distance, limits) };
+    }
+
     logEquipmentPositions(uiConfig, warehouseOffset, targetAisle, aisleCenterX, prezoneOffset) {
         // Log Picking Stations (from prezone) - FIXED CALCULATION
         const stationWidth = 2.5;
@@ -407,34 +485,33 @@ export class AnimationManager {
         const crossConveyorZ = 1 + warehouseOffset.z;
 
         // Log Main Conveyors
-        const rackAndAisleWidth = (uiConfig.storage_depth * 0.8 * 2) + 2.5;
-        const totalRackDepth = uiConfig.storage_depth * 0.8;
-        const conveyorLength = totalRackDepth + 5;
+        const layout = aisleLayout(uiConfig);
         
         for (let a = 0; a < uiConfig.aisles; a++) {
-            const conveyorX = a * rackAndAisleWidth + totalRackDepth + 1.25 + warehouseOffset.x;
+            const conveyorLength = layout[a].rackDepth + 5;
+            const conveyorX = layout[a].centerX + warehouseOffset.x;
             const conveyorStartZ = 1 + warehouseOffset.z;
             const conveyorEndZ = conveyorLength + 1 + warehouseOffset.z;
         }
 
         // Log Lifts
         for (let a = 0; a < uiConfig.aisles; a++) {
-            const liftX = a * rackAndAisleWidth + (uiConfig.storage_depth * 0.8) + 1.25 + warehouseOffset.x;
+            const liftX = layout[a].centerX + warehouseOffset.x;
             const liftZ = 0.5 + warehouseOffset.z;
         }
 
         // Log Shuttles for target aisle
-        const shuttleX = targetAisle * rackAndAisleWidth + (uiConfig.storage_depth * 0.8) + 1.25 + warehouseOffset.x;
+        const shuttleX = layout[targetAisle].centerX + warehouseOffset.x;
         const shuttleZ = 5 + warehouseOffset.z;
         const levels = uiConfig.levels_per_aisle[targetAisle];
         
         for (let l = 0; l < Math.min(levels, 3); l++) {
-            const levelY = (l * 1.0) + (1.0 / 2);
+            const levelY = rackLevelCenter(layout[targetAisle], l);
         }
 
         // Equipment alignment verification
         // Check if container targets match equipment positions
-        const expectedLiftX = targetAisle * rackAndAisleWidth + (uiConfig.storage_depth * 0.8) + 1.25 + warehouseOffset.x;
+        const expectedLiftX = layout[targetAisle].centerX + warehouseOffset.x;
         const alignmentCheck = Math.abs(aisleCenterX - expectedLiftX) < 0.1;
         // console.log(`✅ Container X alignment with equipment: ${alignmentCheck ? 'ALIGNED' : 'MISALIGNED'}`);
         // console.log(`📏 Container X: ${aisleCenterX.toFixed(2)} vs Equipment X: ${expectedLiftX.toFixed(2)}`);
@@ -467,7 +544,7 @@ export class AnimationManager {
 
         // STEP 4: Lift up to target level
         const targetLevel = Math.min(Math.floor(uiConfig.levels_per_aisle[targetAisle] * 0.6), 3) || 1;
-        const levelY = (targetLevel * 1.0) + (1.0 / 2); // Match shuttle height calculation
+        const levelY = rackLevelCenter(aisleLayout(uiConfig)[targetAisle], targetLevel); // Match shuttle height calculation
         const step4 = { 
             x: aisleCenterX, 
             y: levelY, 
@@ -483,7 +560,7 @@ export class AnimationManager {
         };
 
         // STEP 6: Shuttle moves to target module
-        const targetModule = Math.floor(uiConfig.modules_per_aisle * 0.7);
+        const targetModule = Math.floor(aisleLayout(uiConfig)[targetAisle].modules * 0.7);
         const targetModuleZ = targetModule * moduleLength + moduleLength / 2 + warehouseOffset.z;
         const step6 = { 
             x: aisleCenterX, 
@@ -618,17 +695,19 @@ export class AnimationManager {
     }
 
     createShuttles(uiConfig, warehouseOffset) {
-        const rackAndAisleWidth = (uiConfig.storage_depth * 0.8 * 2) + 2.5;
+        const layout = aisleLayout(uiConfig);
         for (let a = 0; a < uiConfig.aisles; a++) {
             const levels = uiConfig.levels_per_aisle[a];
             for (let l = 0; l < levels; l++) {
                 const shuttleId = `${a}_${l}`;
                 // Use RoundedBoxGeometry if available
+                // One location footprint (dimension profile)
+                const { locationDepth, locationLength } = layout[a];
                 let shuttleGeometry;
                 if (THREE.RoundedBoxGeometry) {
-                    shuttleGeometry = new THREE.RoundedBoxGeometry(0.8, 0.3, 1.2, 4, 0.08);
+                    shuttleGeometry = new THREE.RoundedBoxGeometry(locationDepth, 0.3, locationLength, 4, 0.08);
                 } else {
-                    shuttleGeometry = new THREE.BoxGeometry(0.8, 0.3, 1.2);
+                    shuttleGeometry = new THREE.BoxGeometry(locationDepth, 0.3, locationLength);
                 }
                 // Optionally load brushed metal texture
                 let metalTexture = null;
@@ -654,8 +733,8 @@ export class AnimationManager {
                 shuttle.castShadow = true;
                 shuttle.receiveShadow = true;
                 // Position shuttle in the aisle
-                const aisleX = a * rackAndAisleWidth + (uiConfig.storage_depth * 0.8) + 1.25 + warehouseOffset.x;
-                const levelY = (l * 1.0) + (1.0 / 2);
+                const aisleX = layout[a].centerX + warehouseOffset.x;
+                const levelY = rackLevelCenter(layout[a], l);
                 const shuttleZ = 5 + warehouseOffset.z;
                 shuttle.position.set(aisleX, levelY, shuttleZ);
                 shuttle.userData = {
@@ -666,7 +745,7 @@ export class AnimationManager {
                     homePosition: new THREE.Vector3(aisleX, levelY, shuttleZ),
                     isMoving: false,
                     targetPosition: null,
-                    speed: 2.0
+                    kinematics: this.kinematics.shuttle
                 };
                 shuttle.name = `Shuttle_${a}_${l}`;
                 this.shuttleGroup.add(shuttle);
@@ -676,7 +755,7 @@ export class AnimationManager {
     }
 
     createLifts(uiConfig, warehouseOffset) {
-        const rackAndAisleWidth = (uiConfig.storage_depth * 0.8 * 2) + 2.5;
+        const layout = aisleLayout(uiConfig);
         for (let a = 0; a < uiConfig.aisles; a++) {
             const liftId = `lift_${a}`;
             // Use RoundedBoxGeometry if available
@@ -708,7 +787,7 @@ export class AnimationManager {
             lift.castShadow = true;
             lift.receiveShadow = true;
             // Position lift CLOSE TO PREZONE, before OSR (negative Z direction)
-            const liftX = a * rackAndAisleWidth + (uiConfig.storage_depth * 0.8) + 1.25 + warehouseOffset.x;
+            const liftX = layout[a].centerX + warehouseOffset.x;
             const liftY = 1.0;
             const liftZ = 0.5 + warehouseOffset.z;
             lift.position.set(liftX, liftY, liftZ);
@@ -719,7 +798,7 @@ export class AnimationManager {
                 homePosition: new THREE.Vector3(liftX, liftY, liftZ),
                 isMoving: false,
                 targetPosition: null,
-                speed: 1.5,
+                kinematics: this.kinematics.lift,
                 currentLevel: 0
             };
             lift.name = `Lift_${a}`;
@@ -729,12 +808,195 @@ export class AnimationManager {
     }
 
     /**
-     * Animates the telescopic arms of a shuttle for pick/place operations
+     * Describes the current shuttles and lifts for the headless ThroughputSimulator.
+     * @returns {{shuttles:{id:string,aisle:number,level:number}[], lifts:{id:string,aisle:number}[]}}
+     */
+    getSimulationEquipment() {
+        const shuttles = [...this.shuttles.values()].map(s => ({ id: s.userData.id, aisle: s.userData.aisleId, level: s.userData.level }));
+        const lifts = [...this.lifts.values()].map(l => ({ id: l.userData.id, aisle: l.userData.aisleId }));
+        return { shuttles, lifts };
+    }
+
+    /**
+     * Replays a ThroughputSimulator result on the shuttle and lift meshes.
+     * Shuttles follow the aisle coordinate (z), lifts the vertical coordinate (y); travel follows the motion profile
+     * of the kinematics the simulation used.
+     * @param {Object} result - Output of ThroughputSimulator.run()
+     * @param {Object} [options]
+     * @param {number} [options.timeScale=60] - Simulated seconds per real second
+     * @returns {Promise<void>} Resolves when the replay finished or was stopped
+     */
+    replaySimulation(result, { timeScale = 60 } = {}) {
+        this.stopReplay();
+        const warehouseOffset = this.warehouseGroup.position;
+        const kinematics = result.params || this.kinematics;
+        // Per equipment: mesh + its segments in time order and a cursor into them
+        const tracks = [];
+        const byId = new Map();
+        for (const seg of result.timeline) {
+            if (!byId.has(seg.id)) byId.set(seg.id, []);
+            byId.get(seg.id).push(seg);
+        }
+        byId.forEach((segments, id) => {
+            const mesh = this.shuttles.get(id) || this.lifts.get(id);
+            if (mesh) tracks.push({ mesh, segments, cursor: 0, profile: null });
+        });
+        tracks.forEach(t => { t.mesh.visible = true; });
+
+        return new Promise((resolve) => {
+            const startWall = performance.now();
+            this._replayResolve = resolve;
+            const step = () => {
+                const simTime = ((performance.now() - startWall) / 1000) * timeScale;
+                let active = false;
+                for (const track of tracks) {
+                    while (track.cursor < track.segments.length - 1 && track.segments[track.cursor].end <= simTime) {
+                        track.cursor++;
+                        track.profile = null;
+                    }
+                    const seg = track.segments[track.cursor];
+                    if (!track.profile) track.profile = motionProfile(seg.to - seg.from, kinematics[seg.equipment]);
+                    const value = seg.from + track.profile.positionAt(Math.min(seg.end, Math.max(seg.start, simTime)) - seg.start);
+                    if (seg.axis === 'z') track.mesh.position.z = value + warehouseOffset.z;
+                    else track.mesh.position.y = value;
+                    if (seg.end > simTime) active = true;
+                }
+                if (active) {
+                    this._replayFrame = requestAnimationFrame(step);
+                } else {
+                    this.stopReplay();
+                }
+            };
+            this._replayFrame = requestAnimationFrame(step);
+        });
+    }
+
+    /**
+     * Plays a recorded PLC telegram log (integration/TelegramReplay.js) until stopTelegramReplay().
+     * Frames are only scheduled while the replay plays; after play(), pause() or a seek on the replay call
+     * wakeTelegramReplay() so the change is rendered (and playing continues).
+     * @param {TelegramReplay} replay - Timeline; play / pause / speed / seek are set on it directly
+     * @param {Object} [callbacks]
+     * @param {Function} [callbacks.onTelegrams] - Called with the telegrams passed in a frame (apply them to the stations)
+     * @param {Function} [callbacks.onFrame] - Called with the replay after each rendered frame (progress display)
+     */
+    playTelegramReplay(replay, { onTelegrams = () => {}, onFrame = () => {} } = {}) {
+        this.stopTelegramReplay();
+        this.telegramReplay = replay;
+        this._telegramReplayCallbacks = { onTelegrams, onFrame };
+        this.wakeTelegramReplay();
+    }
+
+    /**
+     * Renders the next frame of the current telegram replay and keeps rendering while it plays.
+     */
+    wakeTelegramReplay() {
+        const replay = this.telegramReplay;
+        if (!replay || this._telegramReplayFrame) return;
+        const { onTelegrams, onFrame } = this._telegramReplayCallbacks;
+        // Deltas use rAF timestamps only; the first frame renders without advancing
+        let last = null;
+        const step = (now) => {
+            this._telegramReplayFrame = null;
+            if (this.telegramReplay !== replay) return;
+            const passed = replay.advance(last === null ? 0 : now - last);
+            last = now;
+            if (passed.length) onTelegrams(passed);
+            this.renderTelegramReplay(replay);
+            onFrame(replay);
+            if (replay.playing) this._telegramReplayFrame = requestAnimationFrame(step);
+        };
+        this._telegramReplayFrame = requestAnimationFrame(step);
+    }
+
+    /**
+     * Places one container mesh per container of the replay at its current station, or between two stations
+     * while it travels. Stations are looked up on the current PLCStationManager.
+     * @param {TelegramReplay} replay
+     */
+    renderTelegramReplay(replay) {
+        const stationManager = this.sceneManager.plcStationManager;
+        if (!stationManager) return;
+        if (!this.replayContainers) this.replayContainers = new Map();
+        const stationPosition = (plcAddress) => {
+            const station = stationManager.getStation(plcAddress);
+            return station ? station.mesh.getWorldPosition(new THREE.Vector3()) : null;
+        };
+        const visible = new Set();
+        for (const { container, from, to, k } of replay.containerPositions()) {
+            const start = stationPosition(from);
+            if (!start) continue;
+            const end = to !== null ? stationPosition(to) : null;
+            let mesh = this.replayContainers.get(container);
+            if (!mesh) {
+                mesh = this.createContainerMesh();
+                mesh.name = `ReplayContainer_${container}`;
+                mesh.userData = { type: 'container', containerId: container };
+                this.scene.add(mesh);
+                this.replayContainers.set(container, mesh);
+            }
+            mesh.position.copy(end ? start.lerp(end, k) : start);
+            mesh.position.y += 0.6; // on top of the station
+            visible.add(container);
+        }
+        for (const [container, mesh] of this.replayContainers) {
+            if (!visible.has(container)) {
+                this.disposeReplayContainer(mesh);
+                this.replayContainers.delete(container);
+            }
+        }
+    }
+
+    /**
+     * Stops a telegram replay and removes its container meshes.
+     */
+    stopTelegramReplay() {
+        if (this._telegramReplayFrame) {
+            cancelAnimationFrame(this._telegramReplayFrame);
+            this._telegramReplayFrame = null;
+        }
+        this.telegramReplay = null;
+        if (this.replayContainers) {
+            this.replayContainers.forEach(mesh => this.disposeReplayContainer(mesh));
+            this.replayContainers.clear();
+        }
+    }
+
+    disposeReplayContainer(mesh) {
+        this.scene.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+    }
+
+    /**
+     * Stops a running simulation replay and returns equipment to the home positions.
+     */
+    stopReplay() {
+        if (this._replayFrame) {
+            cancelAnimationFrame(this._replayFrame);
+            this._replayFrame = null;
+        }
+        for (const equipment of [...this.shuttles.values(), ...this.lifts.values()]) {
+            if (equipment.userData && equipment.userData.homePosition) {
+                equipment.position.copy(equipment.userData.homePosition);
+            }
+        }
+        if (this._replayResolve) {
+            const resolve = this._replayResolve;
+            this._replayResolve = null;
+            resolve();
+        }
+    }
+
+    /**
+     * Animates the telescopic arms of a shuttle for pick/place operations; extend, grip and retract take the
+     * load-handling times of the kinematic model for the storage depth.
      * @param {THREE.Group} shuttleObject - The shuttle group object
      * @param {string} action - 'pick' or 'place'
+     * @param {number} [depth=0] - 0-based storage depth reached by the arms
      * @returns {Promise} Promise that resolves when animation completes
      */
-    async animateShuttleArms(shuttleObject, action = 'pick') {
+    async animateShuttleArms(shuttleObject, action = 'pick', depth = 0) {
         if (!shuttleObject || shuttleObject.userData.type !== 'shuttle') {
             console.warn('Invalid shuttle object for arm animation');
             return;
@@ -760,9 +1022,11 @@ export class AnimationManager {
         const originalArm1Z = arm1.position.z;
         const originalArm2Z = arm2.position.z;
 
-        // Animation parameters
-        const extensionDistance = 0.3; // How far the arms extend
-        const animationDuration = 500; // Duration in milliseconds
+        // Animation parameters: the model arms extend 0.3 per depth, timed like the real stroke
+        const kinematics = shuttleObject.userData.kinematics || this.kinematics.shuttle;
+        const phases = shuttleArmPhases(depth, kinematics);
+        const extensionDistance = 0.3 * (depth + 1);
+        const armEasing = motionEasing(phases.stroke, kinematics.arms);
 
         // Update shuttle status
         const originalStatus = shuttleObject.userData.status;
@@ -771,19 +1035,19 @@ export class AnimationManager {
         return new Promise((resolve) => {
             // Extend arms animation
             const extendTween = new this.tweenJs.Tween({ z: originalArm1Z })
-                .to({ z: originalArm1Z + extensionDistance }, animationDuration)
-                .easing(this.tweenJs.Easing.Quadratic.Out)
+                .to({ z: originalArm1Z + extensionDistance }, phases.extend * 1000)
+                .easing(armEasing)
                 .onUpdate((coords) => {
                     arm1.position.z = coords.z;
                     arm2.position.z = coords.z;
                 })
                 .onComplete(() => {
-                    // Hold extended position briefly
+                    // Hold extended while gripping
                     setTimeout(() => {
                         // Retract arms animation
                         const retractTween = new this.tweenJs.Tween({ z: originalArm1Z + extensionDistance })
-                            .to({ z: originalArm1Z }, animationDuration)
-                            .easing(this.tweenJs.Easing.Quadratic.In)
+                            .to({ z: originalArm1Z }, phases.retract * 1000)
+                            .easing(armEasing)
                             .onUpdate((coords) => {
                                 arm1.position.z = coords.z;
                                 arm2.position.z = coords.z;
@@ -795,7 +1059,7 @@ export class AnimationManager {
                                 resolve();
                             });
                         retractTween.start();
-                    }, 300); // Hold for 300ms
+                    }, phases.grip * 1000);
                 });
 
             extendTween.start();
@@ -6,12 +6,30 @@
 
 import * as THREE from 'three';
 
+import { resolvePlcAddressCodec } from '../domain/services/plcAddress.js';
+
+/**
+ * Look of live PLC states (see integration/plcTelegrams.js); idle keeps the station type colors.
+ * @type {Object<string, {color:number|null, emissive:number, emissiveIntensity:number, label:string|null}>}
+ */
+const STATION_STATE_STYLES = {
+    idle: { color: null, emissive: 0x000000, emissiveIntensity: 0, label: null },
+    occupied: { color: 0x3B82F6, emissive: 0x1E40AF, emissiveIntensity: 0.5, label: '#1E3A8A' },
+    blocked: { color: 0xF6AD55, emissive: 0xC05621, emissiveIntensity: 0.6, label: '#9C4221' },
+    faulted: { color: 0xE53E3E, emissive: 0xFF0000, emissiveIntensity: 0.9, label: '#9B2C2C' }
+};
+
 /**
  * Manages PLC stations and their visual representation
  * @class PLCStationManager
  */
 export class PLCStationManager {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {import('../domain/services/plcAddress.js').PlcAddressCodec} [options.codec] PLC address convention of the layout (SRC by default)
+     */
+    constructor({ codec = resolvePlcAddressCodec() } = {}) {
+        this.codec = codec;
         this.stations = new Map();
         this.conveyorSegments = [];
         this.materials = this.createMaterials();
@@ -38,35 +56,17 @@ export class PLCStationManager {
     }
 
     /**
-     * Determines station type based on SRC PLC address convention
-     * Format: <Floor><Conveyor-Level><Station-Type><Counter>
-     * @param {number} plcAddress - 5-digit PLC station address
+     * Determines station type with the layout's PLC address convention
+     * SRC format: <Floor><Conveyor-Level><Station-Type><Counter>
+     * @param {number} plcAddress - PLC station address
      * @returns {string} Station type
      */
     getStationType(plcAddress) {
-        // Convert to string to extract digits
-        const addressStr = plcAddress.toString().padStart(5, '0');
-        
-        // Extract the third digit (Station Type)
-        const stationTypeDigit = parseInt(addressStr[2]);
-        
-        switch (stationTypeDigit) {
-            case 4:
-                return 'helper_station';     // Helper station in prezone (loop switch)
-            case 5:
-                return 'aisle_entrance';     // Entrance to OSR aisle
-            case 6:
-                return 'lift_station';       // Lift station
-            case 7:
-                return 'picking_diverter';   // Diversion to picking station
-            case 8:
-                return 'picking_station';    // Picking station
-            case 9:
-                return 'lift_reading_point'; // Lift entrance reading point
-            default:
-                console.warn(`❌ Unknown station type digit: ${stationTypeDigit} for PLC ${plcAddress}`);
-                return 'unknown';
+        const stationType = this.codec.stationType(plcAddress);
+        if (stationType === 'unknown') {
+            console.warn(`❌ Unknown station type digit: ${this.codec.decode(plcAddress).stationTypeDigit} for PLC ${plcAddress}`);
         }
+        return stationType;
     }
 
     /**
@@ -129,17 +129,11 @@ export class PLCStationManager {
      * @returns {Object} Detailed station information
      */
     analyzeStationAddress(plcAddress) {
-        const addressStr = plcAddress.toString().padStart(5, '0');
-        
+        const stationType = this.getStationType(plcAddress);
         return {
-            floor: parseInt(addressStr[0]),
-            conveyorLevel: parseInt(addressStr[1]), 
-            stationTypeDigit: parseInt(addressStr[2]),
-            counter: parseInt(addressStr.slice(3)),
-            stationType: this.getStationType(plcAddress),
-            visualConfig: this.getStationVisualConfig(this.getStationType(plcAddress)),
-            fullAddress: plcAddress,
-            addressString: addressStr
+            ...this.codec.decode(plcAddress),
+            stationType,
+            visualConfig: this.getStationVisualConfig(stationType)
         };
     }
 
@@ -401,8 +395,28 @@ export class PLCStationManager {
         const context = canvas.getContext('2d');
         canvas.width = 320;
         canvas.height = 96;
+        this.drawStationLabel(context, stationData, null);
 
-        context.fillStyle = '#2D3748';
+        const texture = new THREE.CanvasTexture(canvas);
+        const spriteMaterial = new THREE.SpriteMaterial({ map: texture });
+        const sprite = new THREE.Sprite(spriteMaterial);
+        sprite.scale.set(2.5, 0.75, 1);
+        sprite.position.set(0, 1.2, 0);
+        sprite.name = 'StationLabel';
+        sprite.userData = { context, texture };
+        group.add(sprite);
+    }
+
+    /**
+     * Draws the label canvas: name, PLC address and, with a live feed, the reported state
+     * @param {CanvasRenderingContext2D} context - Label canvas context
+     * @param {Object} stationData - Station configuration
+     * @param {Object|null} state - Live state ({ state, container, message }) or null
+     */
+    drawStationLabel(context, stationData, state) {
+        const { canvas } = context;
+        const style = state ? STATION_STATE_STYLES[state.state] : null;
+        context.fillStyle = style && style.label ? style.label : '#2D3748';
         context.fillRect(0, 0, canvas.width, canvas.height);
         context.fillStyle = '#FFFFFF';
         context.font = 'bold 14px Arial';
@@ -415,12 +429,11 @@ export class PLCStationManager {
         context.font = '12px Arial';
         context.fillText(`PLC: ${stationData.plc_address}`, canvas.width / 2, 50);
 
-        const texture = new THREE.CanvasTexture(canvas);
-        const spriteMaterial = new THREE.SpriteMaterial({ map: texture });
-        const sprite = new THREE.Sprite(spriteMaterial);
-        sprite.scale.set(2.5, 0.75, 1);
-        sprite.position.set(0, 1.2, 0);
-        group.add(sprite);
+        if (state) {
+            const details = [state.state.toUpperCase(), state.container, state.message].filter(Boolean).join(' · ');
+            context.font = 'bold 12px Arial';
+            context.fillText(details, canvas.width / 2, 74);
+        }
     }
 
     /**
@@ -530,9 +543,11 @@ export class PLCStationManager {
     /**
      * Generates complete prezone from PLC station configuration
      * @param {Array} plcStations - Array of PLC station configurations
+     * @param {Object} [options]
+     * @param {function(number): number} [options.elevationOf] - Height of a station's floor / conveyor level (prezoneLevels.js)
      * @returns {THREE.Group} Complete prezone group
      */
-    generatePrezone(plcStations) {
+    generatePrezone(plcStations, { elevationOf = () => 0 } = {}) {
         const prezoneGroup = new THREE.Group();
         prezoneGroup.name = 'SRC_PLCPrezone';
 
@@ -569,12 +584,14 @@ export class PLCStationManager {
                     break;
             }
 
-            // Position the station
+            // Position the station (y is relative to its floor / conveyor level)
             stationMesh.position.set(
                 stationData.position.x,
-                stationData.position.y,
+                stationData.position.y + elevationOf(stationData.plc_address),
                 stationData.position.z
             );
+            // Rotation about the vertical axis in degrees (station editor)
+            stationMesh.rotation.y = THREE.MathUtils.degToRad(stationData.rotation || 0);
             
             // Add SRC metadata
             stationMesh.userData.srcAnalysis = analysis;
@@ -640,14 +657,40 @@ export class PLCStationManager {
     }
 
     /**
-     * Updates station visual state
+     * Updates station visual state from the live PLC feed: mesh color / emissive and the label's state line
      * @param {number} plcAddress - PLC address
-     * @param {Object} state - New state
+     * @param {Object|null} state - `{ state: 'idle'|'occupied'|'blocked'|'faulted', container, message }`, null resets
+     * @returns {boolean} false when the station is not part of the current prezone
      */
-    updateStationState(plcAddress, _state) {
+    updateStationState(plcAddress, state) {
         const station = this.getStation(plcAddress);
-        if (station) {
-            // Update visual indicators based on state
+        if (!station) return false;
+        const style = state ? STATION_STATE_STYLES[state.state] : null;
+        station.state = state ? { ...state } : null;
+
+        station.mesh.traverse(child => {
+            if (!child.isMesh) return;
+            // Shared type materials are cloned once per mesh and the clone is kept for later states; idle shows the original
+            if (!child.userData.baseMaterial) child.userData.baseMaterial = child.material;
+            if (!style || !style.color) {
+                child.material = child.userData.baseMaterial;
+                return;
+            }
+            if (!child.userData.stateMaterial) child.userData.stateMaterial = child.userData.baseMaterial.clone();
+            child.material = child.userData.stateMaterial;
+            child.material.color.setHex(style.color);
+            if (child.material.emissive) {
+                child.material.emissive.setHex(style.emissive);
+                child.material.emissiveIntensity = style.emissiveIntensity;
+            }
+        });
+
+        const label = station.mesh.getObjectByName('StationLabel');
+        if (label && label.userData.context) {
+            const showState = state && (state.state !== 'idle' || state.container);
+            this.drawStationLabel(label.userData.context, station.data, showState ? state : null);
+            label.userData.texture.needsUpdate = true;
         }
+        return true;
     }
 }
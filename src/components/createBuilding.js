@@ -0,0 +1,160 @@
+import * as THREE from 'three';
+
+import { resolveBuilding } from '../domain/services/buildingLayout.js';
+
+/** Colors of the building parts and the clash markers. */
+export const BUILDING_COLORS = {
+    wall: 0xb8c0cc,
+    column: 0x6b7280,
+    fireWall: 0xc0392b,
+    door: 0x2e86de,
+    doorZone: 0x2e86de,
+    sprinkler: 0x3498db,
+    clash: 0xff1744
+};
+
+// ------------------------------------------------------------
+// Building envelope: walls with door openings, column grid, fire walls, door clear zones,
+// sprinkler clearance plane and a marker per clash (buildingLayout.detectBuildingClashes).
+// Coordinates are the racks' own, so the group sits at the origin of the warehouse group.
+// ------------------------------------------------------------
+/**
+ * @param {Object} uiConfig - Layout with a `building`
+ * @param {Object[]} [clashes] - detectBuildingClashes result, marked in red
+ * @returns {THREE.Group|null} null without a building
+ */
+export function createBuilding(uiConfig, clashes = []) {
+    const building = resolveBuilding(uiConfig);
+    if (!building) return null;
+    const group = new THREE.Group();
+    group.name = 'BuildingGroup';
+
+    // Translucent so the racks stay visible from every camera view
+    const wallMaterial = new THREE.MeshStandardMaterial({ color: BUILDING_COLORS.wall, transparent: true, opacity: 0.25, depthWrite: false, side: THREE.DoubleSide });
+    createWalls(group, building, wallMaterial);
+    createColumns(group, building);
+    createFireWalls(group, building);
+    createDoors(group, building);
+    createSprinklerPlane(group, building);
+    createClashMarkers(group, clashes, building);
+
+    // The building is context only: clicks reach the racks and stations inside
+    group.traverse(child => {
+        if (child.isMesh) child.raycast = () => {};
+    });
+    return group;
+}
+
+/**
+ * Box between two plan points, `thickness` wide, from `bottom` to `top`.
+ */
+function createSegmentBox(from, to, thickness, bottom, top, material) {
+    const length = Math.hypot(to.x - from.x, to.z - from.z);
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(length, top - bottom, thickness), material);
+    mesh.position.set((from.x + to.x) / 2, (bottom + top) / 2, (from.z + to.z) / 2);
+    mesh.rotation.y = -Math.atan2(to.z - from.z, to.x - from.x);
+    return mesh;
+}
+
+function createWalls(group, building, material) {
+    const { walls, wallThickness, wallHeight, doors } = building;
+    walls.forEach((from, i) => {
+        const to = walls[(i + 1) % walls.length];
+        const length = Math.hypot(to.x - from.x, to.z - from.z);
+        if (!length) return;
+        const at = (offset) => ({ x: from.x + (to.x - from.x) * offset / length, z: from.z + (to.z - from.z) * offset / length });
+        const addPiece = (start, end, bottom) => {
+            const piece = createSegmentBox(start, end, wallThickness, bottom, wallHeight, material);
+            piece.name = `Wall_${i + 1}`;
+            group.add(piece);
+        };
+        // Solid pieces between the door openings, lintels above them
+        let start = 0;
+        doors.filter(door => door.wall === i).sort((a, b) => a.offset - b.offset).forEach(door => {
+            const open = Math.max(start, door.offset - door.width / 2);
+            const close = door.offset + door.width / 2;
+            if (open > start) addPiece(at(start), at(open), 0);
+            if (door.height < wallHeight) addPiece(at(open), at(close), door.height);
+            start = Math.max(start, close);
+        });
+        if (start < length) addPiece(at(start), to, 0);
+    });
+}
+
+function createColumns(group, building) {
+    const { columns, wallHeight } = building;
+    if (!columns.length) return;
+    const material = new THREE.MeshStandardMaterial({ color: BUILDING_COLORS.column, metalness: 0.2, roughness: 0.7 });
+    const mesh = new THREE.InstancedMesh(new THREE.BoxGeometry(1, 1, 1), material, columns.length);
+    const matrix = new THREE.Matrix4();
+    columns.forEach((column, i) => {
+        matrix.makeScale(column.size, wallHeight, column.size);
+        matrix.setPosition(column.x, wallHeight / 2, column.z);
+        mesh.setMatrixAt(i, matrix);
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+    // Instances spread over the whole grid: bounding volumes of the grid, not of the unit box
+    mesh.geometry.boundingBox = new THREE.Box3().setFromPoints(columns.flatMap(c => [
+        new THREE.Vector3(c.x - c.size / 2, 0, c.z - c.size / 2),
+        new THREE.Vector3(c.x + c.size / 2, wallHeight, c.z + c.size / 2)
+    ]));
+    mesh.geometry.boundingSphere = mesh.geometry.boundingBox.getBoundingSphere(new THREE.Sphere());
+    mesh.name = 'BuildingColumns';
+    mesh.userData.columns = columns;
+    group.add(mesh);
+}
+
+function createFireWalls(group, building) {
+    const material = new THREE.MeshStandardMaterial({ color: BUILDING_COLORS.fireWall, transparent: true, opacity: 0.45, depthWrite: false, side: THREE.DoubleSide });
+    building.fireWalls.forEach(fireWall => {
+        const mesh = createSegmentBox(fireWall.from, fireWall.to, fireWall.thickness, 0, fireWall.height, material);
+        mesh.name = `FireWall_${fireWall.index + 1}`;
+        mesh.userData = { type: 'fire_wall', label: fireWall.label };
+        group.add(mesh);
+    });
+}
+
+function createDoors(group, building) {
+    const doorMaterial = new THREE.MeshStandardMaterial({ color: BUILDING_COLORS.door, transparent: true, opacity: 0.35, side: THREE.DoubleSide });
+    const zoneMaterial = new THREE.MeshBasicMaterial({ color: BUILDING_COLORS.doorZone, transparent: true, opacity: 0.15, depthWrite: false });
+    building.doors.forEach(door => {
+        const panel = createSegmentBox(door.from, door.to, 0.05, 0, door.height, doorMaterial);
+        panel.name = `Door_${door.index + 1}`;
+        panel.userData = { type: 'door', label: door.label };
+        group.add(panel);
+        // Clear zone on the floor, on both sides of the wall
+        if (door.clearance > 0) {
+            const zone = createSegmentBox(door.from, door.to, door.clearance * 2, 0, 0.02, zoneMaterial);
+            zone.name = `DoorZone_${door.index + 1}`;
+            group.add(zone);
+        }
+    });
+}
+
+function createSprinklerPlane(group, building) {
+    const { walls, sprinklerClearanceHeight } = building;
+    if (sprinklerClearanceHeight === null || walls.length < 3) return;
+    // Shape in the x / -z plane, rotated to lie flat at the clearance height
+    const shape = new THREE.Shape(walls.map(p => new THREE.Vector2(p.x, -p.z)));
+    const material = new THREE.MeshBasicMaterial({ color: BUILDING_COLORS.sprinkler, transparent: true, opacity: 0.08, depthWrite: false, side: THREE.DoubleSide });
+    const plane = new THREE.Mesh(new THREE.ShapeGeometry(shape), material);
+    plane.rotation.x = -Math.PI / 2;
+    plane.position.y = sprinklerClearanceHeight;
+    plane.name = 'SprinklerClearance';
+    group.add(plane);
+}
+
+function createClashMarkers(group, clashes, building) {
+    if (!clashes.length) return;
+    const material = new THREE.MeshBasicMaterial({ color: BUILDING_COLORS.clash, wireframe: true });
+    clashes.forEach((clash, i) => {
+        // Sprinkler clashes sit at the clearance height, the others on the floor
+        const height = clash.kind === 'sprinkler' ? Math.max(0.2, clash.excess) : 1.5;
+        const base = clash.kind === 'sprinkler' ? building.sprinklerClearanceHeight : 0;
+        const marker = new THREE.Mesh(new THREE.BoxGeometry(0.8, height, 0.8), material);
+        marker.position.set(clash.at.x, base + height / 2, clash.at.z);
+        marker.name = `Clash_${i + 1}`;
+        marker.userData = { type: 'clash', kind: clash.kind };
+        group.add(marker);
+    });
+}
@@ -1,72 +1,30 @@
 import * as THREE from 'three';
 
+import { aisleLayout, prezoneOrigin } from '../domain/services/aisleLayout.js';
+import { ellipsePath, projectOntoPath, sampleConveyorPath } from '../domain/services/conveyorPath.js';
+import { resolvePlcAddressCodec } from '../domain/services/plcAddress.js';
+import { withGeneratedPickingStations } from '../domain/services/plcStationLayout.js';
+import { attachedLoop, levelElevation, prezoneLevelHeights, prezoneLoops, stationElevation } from '../domain/services/prezoneLevels.js';
 import { PLCStationManager } from './PLCStationManager.js';
 
 const PREZONE_ELLIPSE_OFFSET_X = 5.3;
 const PICKING_STATION_OFFSET_X = 6.0;
-
-// PLC address decoding (F L T C C)
-function decodePlc(plc) {
-    const s = plc.toString().padStart(5, '0');
-    const floor = +s[0];
-    const level = +s[1];
-    const typeDigit = s[2];
-    const counter = +s.slice(3);
-    const typeMap = { '4': 'helper', '5': 'aisle_entrance', '6': 'lift', '7': 'diverter', '8': 'picking', '9': 'lift_reader' };
-    return { floor, level, type: typeMap[typeDigit] || 'unknown', counter };
-}
+// Freeform paths: loops default 0.1 above their level like the ellipse, open sections at station height
+const LOOP_PATH_HEIGHT = 0.1;
+const SECTION_HEIGHT = 0.15;
+// Section ends this close to their level's loop merge into / divert from it; stations this close snap onto a section
+const SECTION_SNAP_DISTANCE = 1.5;
 
 // Dynamic PLC station generation based on picking stations count
 function updatePLCStationsForPickingStations(uiConfig) {
     const pickingStationsCount = uiConfig.picking_stations || 3;
-    
-    // Keep existing stations that are not picking-related
-    let existingStations = [];
-    if (uiConfig.plc_stations && Array.isArray(uiConfig.plc_stations)) {
-        // Keep stations that are not picking diverters (11700-11799) or picking stations (11800-11899)
-        existingStations = uiConfig.plc_stations.filter(station => {
-            const plc = station.plc_address;
-            const isPickingDiverter = plc >= 11700 && plc <= 11799;
-            const isPickingStation = plc >= 11800 && plc <= 11899;
-            return !isPickingDiverter && !isPickingStation;
-        });
-    }
-    
-    // Generate picking stations dynamically
-    const pickingStations = [];
-    
-    for (let i = 0; i < pickingStationsCount; i++) {
-    // Position picking diverters on a line for main loop connection
-    const baseX = -15 + (i * 7);
-    const diverterX = baseX + PICKING_STATION_OFFSET_X; // Spread diverters along X axis for main loop
-        const diverterZ = -8; // Keep them in a line for main loop
-        
-    // Position picking stations in a line like the existing Picking Station 1
-    const stationX = baseX + PICKING_STATION_OFFSET_X; // Same X spacing as diverters but different Z
-        const stationZ = -14; // Same Z as existing Picking Station 1
-        
-        // Add picking diverter for this station (connected to main loop)
-        pickingStations.push({
-            "name": `Picking Diverter ${i + 1}`,
-            "plc_address": 11700 + i,
-            "position": { "x": diverterX, "y": 0.15, "z": diverterZ },
-            "directions": { "straight": 11401, "divert": 11800 + i } // 11800, 11801, 11802, etc.
-        });
-        
-        // Add picking station - DO NOT connect directly to main loop (11401)
-        pickingStations.push({
-            "name": `Picking Station ${i + 1}`,
-            "plc_address": 11800 + i, // Start from 11800 (11800 + 0)
-            "position": { "x": stationX, "y": 0.15, "z": stationZ },
-            "directions": { "straight": null, "divert": null } // No connection to main loop
-        });
-    }
+    const codec = resolvePlcAddressCodec(uiConfig.plc_address_convention);
 
-    // Combine existing stations with new picking stations
-    uiConfig.plc_stations = [...existingStations, ...pickingStations];
+    // Picking diverters (SRC 117xx) and picking stations (SRC 118xx) regenerated; stations edited in the station editor stay as placed
+    uiConfig.plc_stations = withGeneratedPickingStations(uiConfig, codec);
     
-    // Update ellipse radiusX to accommodate more stations and aisles
-    if (uiConfig.prezone_visuals && uiConfig.prezone_visuals.ellipse) {
+    // Update ellipse radiusX to accommodate more stations and aisles (a freeform main loop path is left as drawn)
+    if (uiConfig.prezone_visuals && uiConfig.prezone_visuals.ellipse && !uiConfig.prezone_visuals.path) {
         const baseRadiusX = 15.0;
         
         // Scale based on picking stations count
@@ -90,25 +48,32 @@ function updatePLCStationsForPickingStations(uiConfig) {
 export function createPrezone(uiConfig, _constants) {
     const prezoneGroup = new THREE.Group();
     prezoneGroup.name = 'PrezoneGroup';
-    prezoneGroup.position.x = 1.0;
+    prezoneGroup.position.x = prezoneOrigin(uiConfig).x;
 
     if (uiConfig.plc_stations && uiConfig.plc_stations.length > 0) {
         // Update PLC stations for picking stations count
         updatePLCStationsForPickingStations(uiConfig);
         
-        uiConfig.plc_stations.forEach(st => { st._decoded = decodePlc(st.plc_address); });
-        const filteredStations = uiConfig.plc_stations.filter(s => s.plc_address !== 11401);
-        const plcManager = new PLCStationManager();
-        const plcPrezone = plcManager.generatePrezone(filteredStations);
+        const levels = getPrezoneLevels(uiConfig);
+        uiConfig.plc_stations.forEach(st => { st._decoded = levels.codec.decode(st.plc_address); });
+        // Loops (main loop SRC 11401, loops of other levels) are drawn as ellipses, not as stations
+        const filteredStations = uiConfig.plc_stations.filter(s => !levels.loopAddresses.has(s.plc_address));
+        const plcManager = new PLCStationManager({ codec: levels.codec });
+        const plcPrezone = plcManager.generatePrezone(filteredStations, { elevationOf: levels.elevationOf });
         prezoneGroup.add(plcPrezone);
-    // Create ellipse bar (visual only), supports realistic mode via uiConfig flag
-    createSimpleEllipseBar(prezoneGroup, filteredStations, uiConfig);
-    // Create connections to main loop (11401) for positioning stations on ellipse
-        createMainLoopConnections(prezoneGroup, filteredStations, uiConfig);
-        // Create station connections for dynamic conveyor system
-    createStationConnections(prezoneGroup, filteredStations, uiConfig);
-    // Connect all Lift Exits (216xx) to the nearest point on the main loop
-    createLiftExitToLoopConnections(prezoneGroup, filteredStations, uiConfig);
+        prezoneGroup.userData.plcStationManager = plcManager; // live PLC states (SceneManager.plcStationManager)
+    // Create ellipse bar (visual only), supports realistic mode via uiConfig flag; freeform path when configured
+    createSimpleEllipseBar(prezoneGroup, filteredStations, uiConfig, levels);
+        // One loop per further floor / conveyor level that stations use
+        createLevelLoops(prezoneGroup, levels, uiConfig);
+        // Open conveyor sections (spurs, merges, diverts) from prezone_visuals.conveyors
+        createConveyorSections(prezoneGroup, levels, uiConfig);
+    // Position the stations that feed a loop on that loop's path, others near a section on that section
+        createMainLoopConnections(prezoneGroup, filteredStations, uiConfig, levels);
+        // Create station connections for dynamic conveyor system (incl. vertical transfers between levels)
+    createStationConnections(prezoneGroup, filteredStations, uiConfig, levels);
+    // Connect all Lift Exits (SRC 216xx) to the nearest point on their level's loop (or down to the main loop)
+    createLiftExitToLoopConnections(prezoneGroup, filteredStations, uiConfig, levels);
     } else {
         createPickingStation(prezoneGroup, uiConfig);
     createMultiLiftConveyorSystem(prezoneGroup, uiConfig, _constants);
@@ -168,7 +133,7 @@ function createPickingStation(parent, uiConfig) {
 }
 
 function createMultiLiftConveyorSystem(parent, uiConfig, _constants) {
-    const rackAndAisleWidth = (uiConfig.storage_depth * 0.8 * 2) + 2.5;
+    const layout = aisleLayout(uiConfig);
     const levelOffset = 0.3;
     const horizontalOffset = 0.15;
     const liftStopDistance = 1.5;
@@ -183,7 +148,7 @@ function createMultiLiftConveyorSystem(parent, uiConfig, _constants) {
 
     const frontOffset = 1.0;
     const targetAisle = 0;
-    const liftX = targetAisle * rackAndAisleWidth + (uiConfig.storage_depth * 0.8) + 1.25;
+    const liftX = layout[targetAisle].centerX;
 
     const mainPath = [
         { x: mainPickingX, y: targetLevel, z: frontOffset, name: 'Forward Step' },
@@ -219,13 +184,13 @@ function createMultiLiftConveyorSystem(parent, uiConfig, _constants) {
 
     const distributionZ = 4;
     const distributionStart = liftX;
-    const distributionEnd = (uiConfig.aisles - 1) * rackAndAisleWidth + 2;
+    const distributionEnd = layout[uiConfig.aisles - 1].x + 2;
 
     createConveyorSegment(parent, { x: distributionStart + horizontalOffset, y: sourceLevel, z: distributionZ, name: 'SOURCE Distribution Start' }, { x: distributionEnd + horizontalOffset + 1.3, y: sourceLevel, z: distributionZ, name: 'SOURCE Distribution End' }, 'Distribution_SOURCE', 'source', uiConfig);
     createConveyorSegment(parent, { x: distributionStart, y: targetLevel, z: distributionZ, name: 'TARGET Distribution Start' }, { x: distributionEnd + horizontalOffset + 1.3, y: targetLevel, z: distributionZ, name: 'TARGET Distribution End' }, 'Distribution_TARGET', 'target', uiConfig);
 
     for (let aisle = 0; aisle < uiConfig.aisles; aisle++) {
-        const ax = aisle * rackAndAisleWidth + (uiConfig.storage_depth * 0.8) + 1.25;
+        const ax = layout[aisle].centerX;
         const liftApproachZ = distributionZ + 2;
         const liftFinalZ = distributionZ + 2 + liftStopDistance;
 
@@ -261,34 +226,60 @@ function createSupportPillars(_parent, _liftX, _startZ, _endZ, _lowerLevel, _upp
 // ------------------------------------------------------------
 // Station connections
 // ------------------------------------------------------------
-function createStationConnections(parent, stations, uiConfig) {
+function createStationConnections(parent, stations, uiConfig, levels) {
     stations.forEach(st => {
-        if (st.plc_address === 11401 || !st.directions) return;
-        
-        // Create straight connections (but skip if going to main loop 11401)
-        if (st.directions.straight && st.directions.straight !== 11401) {
-            const target = stations.find(s => s.plc_address === st.directions.straight);
-        if (target) createStationToStationConnection(parent, st, target, 'straight', uiConfig);
-        }
+        if (!st.directions) return;
+        const onLoop = attachedLoop(st, levels.loopAddresses, levels.codec);
         
-        // Create divert connections (but skip if going to main loop 11401)
-        if (st.directions.divert && st.directions.divert !== 11401) {
-            const target = stations.find(s => s.plc_address === st.directions.divert);
-        if (target) createStationToStationConnection(parent, st, target, 'divert', uiConfig);
-        }
+        ['straight', 'divert'].forEach(connectionType => {
+            const targetAddress = st.directions[connectionType];
+            if (!targetAddress) return;
+            // Feeding the station's own loop is the loop itself; feeding another level's loop is a vertical transfer
+            if (levels.loopAddresses.has(targetAddress)) {
+                if (targetAddress !== onLoop) createVerticalTransfer(parent, st, targetAddress, uiConfig, levels);
+                return;
+            }
+            const target = stations.find(s => s.plc_address === targetAddress);
+        if (target) createStationToStationConnection(parent, st, target, connectionType, uiConfig, levels);
+        });
     });
 }
 
-function createStationToStationConnection(parent, fromStation, toStation, connectionType, uiConfig) {
+function stationPoint(station, levels, name) {
+    return {
+        x: station.position.x,
+        y: (station.position.y || 0.15) + levels.elevationOf(station.plc_address),
+        z: station.position.z,
+        name
+    };
+}
+
+function createStationToStationConnection(parent, fromStation, toStation, connectionType, uiConfig, levels) {
     const flowType = connectionType === 'divert' ? 'divert_connection' : 'straight_connection';
     createConveyorSegment(parent,
-        { x: fromStation.position.x, y: fromStation.position.y || 0.15, z: fromStation.position.z, name: `Station ${fromStation.plc_address}` },
-        { x: toStation.position.x, y: toStation.position.y || 0.15, z: toStation.position.z, name: `Station ${toStation.plc_address}` },
+        stationPoint(fromStation, levels, `Station ${fromStation.plc_address}`),
+        stationPoint(toStation, levels, `Station ${toStation.plc_address}`),
     `${fromStation.plc_address}_${connectionType}_${toStation.plc_address}`, flowType, uiConfig);
 }
 
+// Vertical transfer from a station down / up to the nearest point of another level's loop
+function createVerticalTransfer(parent, station, loopAddress, uiConfig, levels) {
+    const loop = levels.geometries.get(loopAddress);
+    if (!loop) return;
+    const closest = projectOntoPath(loop.path, station.position).point;
+    createConveyorSegment(parent,
+        stationPoint(station, levels, `Station ${station.plc_address}`),
+        { x: closest.x, y: closest.y + 0.05, z: closest.z, name: `Loop ${loopAddress}` },
+    `${station.plc_address}_VerticalTransfer_${loopAddress}`, 'vertical_transfer', uiConfig);
+}
+
 // Position ellipse between picking/aisle stations, or use JSON config if available
-function createSimpleEllipseBar(parent, stations, uiConfig) {
+function createSimpleEllipseBar(parent, stations, uiConfig, levels) {
+    const mainLoop = levels.geometries.get(levels.codec.mainLoop);
+    if (mainLoop?.freeform) {
+        createPathBar(parent, mainLoop.path, uiConfig);
+        return;
+    }
     let centerX, centerZ, centerY, radiusX, radiusZ;
 
     const visualEllipseConfig = uiConfig.prezone_visuals?.ellipse;
@@ -302,8 +293,8 @@ function createSimpleEllipseBar(parent, stations, uiConfig) {
         radiusX = dims.radiusX; // This will now be the updated radiusX from updatePLCStationsForPickingStations
         radiusZ = dims.radiusZ;
     } else {
-        const pickingAndDiverters = stations.filter(s => ['picking', 'diverter'].includes(s._decoded?.type));
-        const aisleEntrances = stations.filter(s => s._decoded?.type === 'aisle_entrance');
+        const pickingAndDiverters = stations.filter(s => ['picking_station', 'picking_diverter'].includes(s._decoded?.stationType));
+        const aisleEntrances = stations.filter(s => s._decoded?.stationType === 'aisle_entrance');
 
         if (pickingAndDiverters.length === 0 || aisleEntrances.length === 0) {
             console.warn('[Ellipse] Could not find both picking and aisle entrance stations for dynamic positioning.');
@@ -330,6 +321,32 @@ function createSimpleEllipseBar(parent, stations, uiConfig) {
 
     centerX += PREZONE_ELLIPSE_OFFSET_X;
 
+    createEllipseBar(parent, { centerX, centerY, centerZ, radiusX, radiusZ }, uiConfig);
+}
+
+// Loops of the other floors / conveyor levels, same look as the main loop at their level height
+function createLevelLoops(parent, levels, uiConfig) {
+    levels.loops.filter(loop => !loop.main).forEach(loop => {
+        const geometry = levels.geometries.get(loop.address);
+        if (!geometry) {
+            console.warn(`[LevelLoops] No ellipse for loop ${loop.address}, skipping`);
+            return;
+        }
+        if (geometry.freeform) {
+            createPathBar(parent, geometry.path, uiConfig, `_${loop.address}`);
+            return;
+        }
+        createEllipseBar(parent, {
+            centerX: geometry.center.x,
+            centerY: geometry.center.y - 0.1,
+            centerZ: geometry.center.z,
+            radiusX: geometry.radiusX,
+            radiusZ: geometry.radiusZ
+        }, uiConfig, `_${loop.address}`);
+    });
+}
+
+function createEllipseBar(parent, { centerX, centerY, centerZ, radiusX, radiusZ }, uiConfig, nameSuffix = '') {
     const realistic = uiConfig?.prezone_visuals?.realisticConveyors === true;
     if (realistic) {
         // Build a belt-like elliptical loop using TubeGeometry and add inner/outer rails.
@@ -351,7 +368,7 @@ function createSimpleEllipseBar(parent, stations, uiConfig) {
         const beltGeom = new THREE.TubeGeometry(ellipseCurve, 256, beltRadius, 16, true);
         const beltMat = new THREE.MeshPhysicalMaterial({ color: 0x333333, metalness: 0.1, roughness: 0.9 });
         const belt = new THREE.Mesh(beltGeom, beltMat);
-        belt.name = 'VisualEllipseConveyor_Belt';
+        belt.name = `VisualEllipseConveyor_Belt${nameSuffix}`;
         parent.add(belt);
 
         const railOffset = 0.22;
@@ -364,14 +381,14 @@ function createSimpleEllipseBar(parent, stations, uiConfig) {
         const outerTube = new THREE.TubeGeometry(new THREE.CatmullRomCurve3(outerCurve, true), 256, railRadius, 12, true);
         const innerRail = new THREE.Mesh(innerTube, railMat);
         const outerRail = new THREE.Mesh(outerTube, railMat);
-        innerRail.name = 'VisualEllipseConveyor_Rail_Inner';
-        outerRail.name = 'VisualEllipseConveyor_Rail_Outer';
+        innerRail.name = `VisualEllipseConveyor_Rail_Inner${nameSuffix}`;
+        outerRail.name = `VisualEllipseConveyor_Rail_Outer${nameSuffix}`;
         parent.add(innerRail);
         parent.add(outerRail);
 
         // Optional legs every N segments
     const legsGroup = new THREE.Group();
-        legsGroup.name = 'VisualEllipseConveyor_Legs';
+        legsGroup.name = `VisualEllipseConveyor_Legs${nameSuffix}`;
         const legEvery = 16;
     const legHeight = effectiveCenterY; // height from ground up to belt
         for (let i = 0; i < 128; i += legEvery) {
@@ -403,96 +420,109 @@ function createSimpleEllipseBar(parent, stations, uiConfig) {
         const mesh = new THREE.Mesh(geom, mat);
         mesh.position.set(centerX, centerY, centerZ);
         mesh.rotation.x = Math.PI / 2;
-        mesh.name = 'VisualEllipseBar';
+        mesh.name = `VisualEllipseBar${nameSuffix}`;
         parent.add(mesh);
     }
 }
 
-// Position stations that reference 11401 on the main loop ellipse
-function createMainLoopConnections(parent, stations, uiConfig) {
-    // Get ellipse position and dimensions
-    const visualEllipseConfig = uiConfig.prezone_visuals?.ellipse;
-    if (!visualEllipseConfig || !visualEllipseConfig.position || !visualEllipseConfig.dimensions) {
-        console.warn('[MainLoop] No ellipse config found, skipping connections');
-        return;
-    }
+// Freeform loop (prezone_visuals.path / loops[].path), same looks as the ellipse bar
+function createPathBar(parent, sampled, uiConfig, nameSuffix = '') {
+    if (sampled.points.length < 2) return;
+    const realistic = uiConfig?.prezone_visuals?.realisticConveyors === true;
+    const curve = new THREE.CatmullRomCurve3(
+        sampled.points.map(p => new THREE.Vector3(p.x, realistic ? Math.max(0.15, p.y - LOOP_PATH_HEIGHT) : p.y - LOOP_PATH_HEIGHT, p.z)),
+        sampled.closed,
+        'centripetal',
+        0.5
+    );
+    const tubularSegments = Math.max(64, sampled.points.length * 4);
+    if (realistic) {
+        const belt = new THREE.Mesh(
+            new THREE.TubeGeometry(curve, tubularSegments, 0.12, 16, sampled.closed),
+            new THREE.MeshPhysicalMaterial({ color: 0x333333, metalness: 0.1, roughness: 0.9 })
+        );
+        belt.name = `VisualEllipseConveyor_Belt${nameSuffix}`;
+        parent.add(belt);
 
-    const ellipsePos = visualEllipseConfig.position;
-    const ellipseDims = visualEllipseConfig.dimensions;
-    const ellipseCenterX = ellipsePos.x + PREZONE_ELLIPSE_OFFSET_X;
+        const legsGroup = new THREE.Group();
+        legsGroup.name = `VisualEllipseConveyor_Legs${nameSuffix}`;
+        const legMat = new THREE.MeshStandardMaterial({ color: 0x777777, metalness: 0.3, roughness: 0.6 });
+        const legCount = Math.max(2, Math.floor(curve.getLength() / 1.5));
+        for (let i = 0; i < legCount; i++) {
+            const p = curve.getPointAt(i / legCount);
+            const leg = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.03, Math.max(0.1, p.y), 8), legMat);
+            leg.position.set(p.x, Math.max(0.05, p.y / 2), p.z);
+            legsGroup.add(leg);
+        }
+        parent.add(legsGroup);
+    } else {
+        const mat = new THREE.MeshPhysicalMaterial({
+            color: 0x4a90e2,
+            metalness: 0.8,
+            roughness: 0.2,
+            clearcoat: 0.3,
+            clearcoatRoughness: 0.1
+        });
+        const mesh = new THREE.Mesh(new THREE.TubeGeometry(curve, tubularSegments, 0.25, 16, sampled.closed), mat);
+        mesh.name = `VisualEllipseBar${nameSuffix}`;
+        parent.add(mesh);
+    }
+}
 
-    // Find all stations that reference 11401
-    const connectingStations = stations.filter(station => {
-        return (station.directions.straight === 11401) || (station.directions.divert === 11401);
+// Open sections drawn segment by segment along their sampled path
+function createConveyorSections(parent, levels, uiConfig) {
+    levels.sections.forEach(section => {
+        const points = section.path.points;
+        for (let i = 1; i < points.length; i++) {
+            createConveyorSegment(parent,
+                { ...points[i - 1], name: `${section.name} ${i - 1}` },
+                { ...points[i], name: `${section.name} ${i}` },
+            `Section_${section.name}_${i}`, 'main', uiConfig);
+        }
     });
+}
 
-    // Reposition stations on the ellipse perimeter (positioning only, no conveyor creation)
-    connectingStations.forEach((station, _index) => {
-        // Store original position
-        const originalX = station.position.x;
-        const originalZ = station.position.z;
-        
-        // Find the closest point on the ellipse to the original position
-        const closestPoint = findClosestPointOnEllipse(
-            originalX, originalZ, 
-            ellipseCenterX, ellipsePos.z, 
-            ellipseDims.radiusX, ellipseDims.radiusZ
-        );
+// Position stations that feed a loop (main loop SRC 11401 or the loop of their level) on that loop's path;
+// stations on no loop snap onto the nearest open section of their level within SECTION_SNAP_DISTANCE
+function createMainLoopConnections(parent, stations, uiConfig, levels) {
+    if (levels.geometries.size === 0) {
+        console.warn('[MainLoop] No ellipse config found, skipping connections');
+        return;
+    }
+
+    // Reposition stations on the loop / section (positioning only, no conveyor creation)
+    stations.forEach(station => {
+        const loop = levels.geometries.get(attachedLoop(station, levels.loopAddresses, levels.codec));
+        const elevation = levels.elevationOf(station.plc_address);
+        let closestPoint = loop ? projectOntoPath(loop.path, station.position).point : null;
+        if (!loop) {
+            // Nearest open section on the station's level
+            levels.sections.filter(section => section.elevation === elevation).forEach(section => {
+                const projection = projectOntoPath(section.path, station.position);
+                if (projection && projection.distance <= SECTION_SNAP_DISTANCE &&
+                    (!closestPoint || projection.distance < closestPoint.distance)) closestPoint = { ...projection.point, distance: projection.distance };
+            });
+        }
+        if (!closestPoint) return;
         
         // Find the corresponding mesh in the parent group
         const targetMesh = findStationMesh(parent, station.plc_address);
         if (targetMesh) {
-            // Reposition the actual mesh to the closest point on ellipse
-            targetMesh.position.set(closestPoint.x, ellipsePos.y + 0.1, closestPoint.z);
+            // Reposition the actual mesh to the closest point on the path
+            targetMesh.position.set(closestPoint.x, closestPoint.y, closestPoint.z);
         } else {
             console.warn(`[MainLoop] Could not find mesh for station ${station.name} (${station.plc_address})`);
         }
         
-        // Also update the config position for consistency
+        // Also update the config position for consistency (y relative to the station's level)
     station.position.x = closestPoint.x;
-        station.position.y = ellipsePos.y + 0.1;
+        station.position.y = closestPoint.y - elevation;
         station.position.z = closestPoint.z;
     });
     
     // Note: Conveyor connections are handled by createStationConnections()
 }
 
-// Helper function to find the closest point on an ellipse to a given point
-function findClosestPointOnEllipse(pointX, pointZ, ellipseCenterX, ellipseCenterZ, radiusX, radiusZ) {
-    // Translate to ellipse-centered coordinates
-    const dx = pointX - ellipseCenterX;
-    const dz = pointZ - ellipseCenterZ;
-    
-    // Handle special case where point is at center
-    if (Math.abs(dx) < 0.001 && Math.abs(dz) < 0.001) {
-        return { x: ellipseCenterX + radiusX, z: ellipseCenterZ };
-    }
-    
-    // Use parametric approach to find closest point
-    let bestDistance = Infinity;
-    let bestPoint = { x: ellipseCenterX + radiusX, z: ellipseCenterZ };
-    
-    // Sample points around the ellipse
-    const samples = 36; // Every 10 degrees
-    for (let i = 0; i < samples; i++) {
-        const angle = (i / samples) * Math.PI * 2;
-        const ellipseX = ellipseCenterX + radiusX * Math.cos(angle);
-        const ellipseZ = ellipseCenterZ + radiusZ * Math.sin(angle);
-        
-        const distance = Math.sqrt(
-            Math.pow(ellipseX - pointX, 2) + 
-            Math.pow(ellipseZ - pointZ, 2)
-        );
-        
-        if (distance < bestDistance) {
-            bestDistance = distance;
-            bestPoint = { x: ellipseX, z: ellipseZ };
-        }
-    }
-    
-    return bestPoint;
-}
-
 // Helper function to find a station mesh by PLC address
 function findStationMesh(parent, plcAddress) {
     // Search through all children and their children
@@ -576,6 +606,7 @@ function createRealisticConveyor(parent, startPoint, endPoint, name, flowType) {
     else if (flowType === 'target') hintColor = 0xbc6c25;
     else if (flowType === 'main') hintColor = 0x6e9075;
     else if (flowType === 'loop_connection') hintColor = 0xff4444;
+    else if (flowType === 'vertical_transfer') hintColor = 0x805ad5;
     const capGeom = new THREE.SphereGeometry(0.05, 10, 10);
     const capMat = new THREE.MeshStandardMaterial({ color: hintColor, metalness: 0.4, roughness: 0.5 });
     const capA = new THREE.Mesh(capGeom, capMat);
@@ -644,6 +675,7 @@ function createConveyorSegment(parent, startPoint, endPoint, _segmentName, flowT
         case 'loop_connection': color = 0xff4444; opacity = 0.88; break;
         case 'straight_connection': color = 0x00ff88; opacity = 0.85; break;
         case 'divert_connection': color = 0xffaa00; opacity = 0.85; break;
+        case 'vertical_transfer': color = 0x805ad5; opacity = 0.9; break;
         default: color = 0x3d5a6c; opacity = 0.7; break;
     }
     const group = new THREE.Group();
@@ -670,37 +702,140 @@ function createConveyorSegment(parent, startPoint, endPoint, _segmentName, flowT
 }
 
 // ------------------------------------------------------------
-// Connect Lift Exits (PLC 216xx) to the main loop ellipse
+// Connect Lift Exits (lift stations off the infeed floor, SRC 216xx) to their level's loop or the main loop
 // ------------------------------------------------------------
-function createLiftExitToLoopConnections(parent, stations, uiConfig) {
-    const ellipseCfg = uiConfig.prezone_visuals?.ellipse;
-    if (!ellipseCfg?.position || !ellipseCfg?.dimensions) {
+function createLiftExitToLoopConnections(parent, stations, uiConfig, levels) {
+    const { codec } = levels;
+    const liftExits = stations.filter(s => codec.isLiftExit(s.plc_address));
+    if (liftExits.length === 0) return;
+    if (!levels.geometries.has(codec.mainLoop)) {
         console.warn('[LiftExitToLoop] No ellipse config found, skipping connections');
         return;
     }
-    const ellipsePos = ellipseCfg.position;
-    const ellipseDims = ellipseCfg.dimensions;
-    const ellipseCenterX = ellipsePos.x + PREZONE_ELLIPSE_OFFSET_X;
-
-    const liftExits = stations.filter(s => s.plc_address >= 21600 && s.plc_address < 21700);
-    if (liftExits.length === 0) return;
 
     liftExits.forEach(st => {
-        const closest = findClosestPointOnEllipse(
-            st.position.x,
-            st.position.z,
-            ellipseCenterX,
-            ellipsePos.z,
-            ellipseDims.radiusX,
-            ellipseDims.radiusZ
-        );
-        const from = { x: st.position.x, y: st.position.y || 0.15, z: st.position.z, name: `Lift Exit ${st.plc_address}` };
-        const to = { x: closest.x, y: (ellipsePos.y ?? 0.0) + 0.15, z: closest.z, name: 'Main Loop Ellipse' };
-        createConveyorSegment(parent, from, to, `LiftExit_${st.plc_address}_ToLoop`, 'loop_connection', uiConfig);
+        const { floor, conveyorLevel } = st._decoded;
+        const ownLoop = codec.loopAddress(floor, conveyorLevel);
+        const loopAddress = levels.geometries.has(ownLoop) ? ownLoop : codec.mainLoop;
+        const loop = levels.geometries.get(loopAddress);
+        const closest = projectOntoPath(loop.path, st.position).point;
+        const from = stationPoint(st, levels, `Lift Exit ${st.plc_address}`);
+        const to = { x: closest.x, y: closest.y + 0.05, z: closest.z, name: loopAddress === codec.mainLoop ? 'Main Loop Ellipse' : `Loop ${loopAddress}` };
+        const flowType = loopAddress === ownLoop ? 'loop_connection' : 'vertical_transfer';
+        createConveyorSegment(parent, from, to, `LiftExit_${st.plc_address}_ToLoop`, flowType, uiConfig);
     });
 }
 
 // Export function to update PLC stations from external modules
 export function updatePLCStationsForPickingCount(uiConfig) {
     updatePLCStationsForPickingStations(uiConfig);
-}
\ No newline at end of file
+}
+/**
+ * Main loop ellipse in prezone coordinates, as rendered by createSimpleEllipseBar, for conveyor routing.
+ * @param {Object} uiConfig
+ * @returns {{center:{x:number,y:number,z:number}, radiusX:number, radiusZ:number}|null} null without prezone_visuals.ellipse
+ */
+export function getMainLoopGeometry(uiConfig) {
+    const ellipseCfg = uiConfig.prezone_visuals?.ellipse;
+    if (!ellipseCfg?.position || !ellipseCfg?.dimensions) return null;
+    return {
+        center: { x: ellipseCfg.position.x + PREZONE_ELLIPSE_OFFSET_X, y: (ellipseCfg.position.y ?? 0.0) + 0.1, z: ellipseCfg.position.z },
+        radiusX: ellipseCfg.dimensions.radiusX,
+        radiusZ: ellipseCfg.dimensions.radiusZ
+    };
+}
+
+/**
+ * Geometry of every prezone loop in prezone coordinates, keyed by loop address: the main loop from
+ * `prezone_visuals.path` (freeform) or `prezone_visuals.ellipse`, other levels from `prezone_visuals.loops[]` (matched by
+ * floor / conveyor_level) or the main loop raised to their level. `path` is the loop sampled as a closed polyline
+ * (conveyorPath.js), for ellipses too; `center` of a freeform loop is the centroid of its samples.
+ * @param {Object} uiConfig
+ * @returns {Map<number, {center:{x:number,y:number,z:number}, radiusX?:number, radiusZ?:number, path:{points:Object[], closed:boolean}, freeform:boolean, floor:number, conveyorLevel:number, elevation:number}>}
+ */
+export function getPrezoneLoopGeometries(uiConfig) {
+    const codec = resolvePlcAddressCodec(uiConfig.plc_address_convention);
+    const heights = prezoneLevelHeights(uiConfig);
+    const visuals = uiConfig.prezone_visuals || {};
+    const geometries = new Map();
+    prezoneLoops(uiConfig.plc_stations, codec).forEach(loop => {
+        const own = loop.main ? null : (visuals.loops || []).find(l =>
+            l.floor === loop.floor && (l.conveyor_level ?? codec.generation.conveyor_level) === loop.conveyorLevel);
+        const elevation = levelElevation(loop, codec, heights);
+        const level = { floor: loop.floor, conveyorLevel: loop.conveyorLevel, elevation };
+        // Own path, own ellipse, then the main loop's path / ellipse raised to the level
+        const ownEllipse = own && (own.position || own.dimensions);
+        const pathCfg = own?.path || (ownEllipse ? null : visuals.path);
+        if (pathCfg?.points?.length >= 2) {
+            const path = sampleConveyorPath({ ...pathCfg, closed: true }, { y: LOOP_PATH_HEIGHT + elevation });
+            const sum = path.points.reduce((acc, p) => ({ x: acc.x + p.x, z: acc.z + p.z }), { x: 0, z: 0 });
+            const center = { x: sum.x / path.points.length, y: LOOP_PATH_HEIGHT + elevation, z: sum.z / path.points.length };
+            geometries.set(loop.address, { center, path, freeform: true, ...level });
+            return;
+        }
+        const position = (ownEllipse && own.position) || visuals.ellipse?.position;
+        const dimensions = (ownEllipse && own.dimensions) || visuals.ellipse?.dimensions;
+        if (!position || !dimensions) return;
+        const center = { x: position.x + PREZONE_ELLIPSE_OFFSET_X, y: (position.y ?? 0.0) + 0.1 + elevation, z: position.z };
+        geometries.set(loop.address, {
+            center,
+            radiusX: dimensions.radiusX,
+            radiusZ: dimensions.radiusZ,
+            path: ellipsePath(center, dimensions.radiusX, dimensions.radiusZ),
+            freeform: false,
+            ...level
+        });
+    });
+    return geometries;
+}
+
+/**
+ * Open conveyor sections of `prezone_visuals.conveyors` (spurs, merges, diverts) sampled in prezone coordinates.
+ * Point `y` is the height above the section's level (default station height); an end within SECTION_SNAP_DISTANCE
+ * of its level's loop is moved onto the loop, merging into / diverting from it.
+ * @param {Object} uiConfig
+ * @param {Map} [loops] getPrezoneLoopGeometries(uiConfig)
+ * @returns {{name:string, floor:number, conveyorLevel:number, elevation:number, path:{points:Object[], closed:boolean}}[]}
+ */
+export function getPrezoneConveyorSections(uiConfig, loops = getPrezoneLoopGeometries(uiConfig)) {
+    const codec = resolvePlcAddressCodec(uiConfig.plc_address_convention);
+    const heights = prezoneLevelHeights(uiConfig);
+    return (uiConfig.prezone_visuals?.conveyors || []).filter(section => section.points?.length >= 2).map((section, i) => {
+        const floor = section.floor ?? codec.generation.floor;
+        const conveyorLevel = section.conveyor_level ?? codec.generation.conveyor_level;
+        const elevation = levelElevation({ floor, conveyorLevel }, codec, heights);
+        const loop = loops.get(codec.loopAddress(floor, conveyorLevel));
+        const points = section.points.map(p => ({ x: p.x, y: p.y ?? SECTION_HEIGHT, z: p.z }));
+        if (loop) {
+            [0, points.length - 1].forEach(end => {
+                const projection = projectOntoPath(loop.path, points[end]);
+                if (projection.distance <= SECTION_SNAP_DISTANCE) {
+                    points[end] = { x: projection.point.x, y: projection.point.y - elevation, z: projection.point.z };
+                }
+            });
+        }
+        return {
+            name: section.name || `Conveyor ${i + 1}`,
+            floor,
+            conveyorLevel,
+            elevation,
+            path: sampleConveyorPath({ ...section, points, closed: false }, { y: elevation })
+        };
+    });
+}
+
+// Codec, level heights and loops of one prezone build
+function getPrezoneLevels(uiConfig) {
+    const codec = resolvePlcAddressCodec(uiConfig.plc_address_convention);
+    const heights = prezoneLevelHeights(uiConfig);
+    const loops = prezoneLoops(uiConfig.plc_stations, codec);
+    const geometries = getPrezoneLoopGeometries(uiConfig);
+    return {
+        codec,
+        loops,
+        loopAddresses: new Set(loops.map(loop => loop.address)),
+        geometries,
+        sections: getPrezoneConveyorSections(uiConfig, geometries),
+        elevationOf: (address) => stationElevation(address, codec, heights)
+    };
+}
@@ -23,7 +23,8 @@ export class AdvancedLODManager {
                 showFrames: true,
                 showLocations: true,
                 enableShadows: true,
-                materialQuality: 'high'
+                materialQuality: 'high',
+                structureMembers: ['upright', 'beam', 'rail', 'bracing', 'basePlate']
             },
             MEDIUM: { 
                 maxDistance: 150, 
@@ -32,7 +33,8 @@ export class AdvancedLODManager {
                 showFrames: true,
                 showLocations: true,
                 enableShadows: false,
-                materialQuality: 'medium'
+                materialQuality: 'medium',
+                structureMembers: ['upright', 'beam', 'rail']
             },
             LOW: { 
                 maxDistance: 500, 
@@ -41,7 +43,8 @@ export class AdvancedLODManager {
                 showFrames: false,
                 showLocations: true,
                 enableShadows: false,
-                materialQuality: 'low'
+                materialQuality: 'low',
+                structureMembers: ['upright']
             }
         };
         
@@ -126,8 +129,7 @@ export class AdvancedLODManager {
      * Add object to spatial grid
      */
     addObjectToSpatialGrid(object) {
-        const position = new THREE.Vector3();
-        object.getWorldPosition(position);
+        const position = this.getLODPosition(object);
 
         const gridX = Math.floor((position.x - this.gridBounds.min.x) / this.gridSize);
         const gridZ = Math.floor((position.z - this.gridBounds.min.z) / this.gridSize);
@@ -380,6 +382,8 @@ export class AdvancedLODManager {
         } else if (object.userData.isInstancedFrame) {
             object.visible = lodConfig.showFrames;
             this.applyMaterialLOD(object, lodConfig);
+        } else if (object.userData.isRackStructure) {
+            this.applyStructureLOD(object, lodConfig);
         } else if (object.userData.isRackLine) {
             this.applyRackLineLOD(object, lodLevel, lodConfig);
         } else if (object.isMesh) {
@@ -448,6 +452,16 @@ export class AdvancedLODManager {
         }
     }
 
+    /**
+     * Apply LOD to rack steel: each level keeps only its structureMembers (bracing and base plates go first).
+     * Materials are shared by all members, so only visibility and shadows change here
+     */
+    applyStructureLOD(object, lodConfig) {
+        object.visible = lodConfig.structureMembers.includes(object.userData.structureMember);
+        object.castShadow = lodConfig.enableShadows;
+        object.receiveShadow = lodConfig.enableShadows;
+    }
+
     /**
      * Apply LOD to legacy rack line objects
      */
@@ -546,6 +560,7 @@ export class AdvancedLODManager {
                object.isInstancedMesh ||
                object.userData.isInstancedRack || 
                object.userData.isInstancedFrame || 
+               object.userData.isRackStructure ||
                object.userData.isRackLine;
     }
 
@@ -553,9 +568,18 @@ export class AdvancedLODManager {
      * Get distance from object to camera
      */
     getDistanceToCamera(object, camera) {
-        const objectPosition = new THREE.Vector3();
-        object.getWorldPosition(objectPosition);
-        return camera.position.distanceTo(objectPosition);
+        return camera.position.distanceTo(this.getLODPosition(object));
+    }
+
+    /**
+     * World position used for LOD distances and grid cells: userData.lodCenter (local) when set, e.g. on
+     * instanced meshes whose instances spread far from the object origin, else the object position
+     */
+    getLODPosition(object) {
+        if (object.userData.lodCenter) {
+            return object.localToWorld(object.userData.lodCenter.clone());
+        }
+        return object.getWorldPosition(new THREE.Vector3());
     }
 
     /**
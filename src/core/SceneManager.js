@@ -4,13 +4,23 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { createOrientationLabels, createCompass, updateCompassPosition } from './sceneCompass.js';
 // Legacy creators (createRacks / createRacksInstanced) deprecated – unified RackBuilder in use.
 import { RackBuilder } from '../engine/builders/RackBuilder.js';
-import { createPrezone } from '../components/createPrezone.js';
+import { createPrezone, getPrezoneConveyorSections, getPrezoneLoopGeometries } from '../components/createPrezone.js';
+import { createBuilding } from '../components/createBuilding.js';
 import { AdvancedLODManager } from './AdvancedLODManager.js';
 import { AnimationManager } from '../animation/AnimationManager.js';
 import { constants } from './constants.js';
 import { setupLighting, createGroundPlane } from './sceneLighting.js';
 import { getCameraViewConfig } from '../ui/uiUtils.js';
 import { isMobile } from './deviceUtils.js';
+import { InventoryService } from '../domain/services/InventoryService.js';
+import { validatePlcTopology } from '../domain/services/conveyorTopology.js';
+import { ConveyorRouter } from '../domain/services/conveyorRouting.js';
+import { prezoneOrigin } from '../domain/services/aisleLayout.js';
+import { buildingClashReport } from '../domain/services/buildingLayout.js';
+import { resolvePlcAddressCodec } from '../domain/services/plcAddress.js';
+import { prezoneLevelHeights } from '../domain/services/prezoneLevels.js';
+import { convertRuleList } from '../infrastructure/config/warehouseConfigParser.js';
+import { migrateWarehouseConfig } from '../infrastructure/config/configMigrations.js';
 
 /**
  * Main scene manager for the 3D warehouse visualization.
@@ -74,6 +84,14 @@ export class SceneManager {
         
         this.missingLocations = [];
         this.locationTypes = [];
+        this.plcTopology = null; // { valid, findings, graph } of the last build, see conveyorTopology.js
+        this.buildingReport = null; // { building, valid, counts, clashes } of the last build, see buildingLayout.js
+        this.buildingGroup = null;
+        this.prezoneGroup = null;
+        this.plcStationManager = null; // station meshes of the current prezone, target of the live PLC feed
+        this.conveyorRouter = null; // shortest conveyor paths in prezone coordinates (conveyorRouting.js)
+        this.inventory = new InventoryService(); // Stock occupancy (loaded from JSON/CSV stock files)
+        this.showInventory = false; // Color racks by filled/empty/reserved instead of location type
         this.currentConfig = null; // Store current warehouse configuration
         
         this.renderer.setSize(window.innerWidth, window.innerHeight);
@@ -90,7 +108,14 @@ export class SceneManager {
         try {
             const response = await fetch('/warehouse_config_instance.json');
             if (response.ok) {
-                const config = await response.json();
+                // Upgrade older file formats to the current version before use
+                const { config, changes, fromVersion } = migrateWarehouseConfig(await response.json());
+                if (!config) {
+                    return this.getFallbackConfiguration();
+                }
+                if (changes.length) {
+                    console.log(`🔄 Default configuration migrated from ${fromVersion}:\n${changes.join('\n')}`);
+                }
                 
                 // Store the full configuration
                 this.fullConfig = config;
@@ -138,28 +163,10 @@ export class SceneManager {
     }
 
     /**
-     * Convert 1-based indices to 0-based for internal use
+     * Convert 1-based indices to 0-based for internal use (arrays, ranges and negations included)
      */
     convertToZeroBased(locationArray) {
-        if (!Array.isArray(locationArray)) return [];
-        
-        return locationArray.map(loc => {
-            if (loc && typeof loc === 'object') {
-                const newLoc = { ...loc };
-                ['aisle', 'level', 'module', 'depth', 'position'].forEach(key => {
-                    if (typeof newLoc[key] === 'number') {
-                        newLoc[key] = newLoc[key] - 1;
-                    } else if (Array.isArray(newLoc[key])) {
-                        // Convert arrays from 1-based to 0-based
-                        newLoc[key] = newLoc[key].map(val => 
-                            typeof val === 'number' ? val - 1 : val
-                        );
-                    }
-                });
-                return newLoc;
-            }
-            return loc;
-        });
+        return convertRuleList(locationArray, -1);
     }
 
     /**
@@ -318,6 +325,7 @@ export class SceneManager {
      * @param {Object} uiConfig - Configuration object containing warehouse parameters
      * @param {number} uiConfig.aisles - Number of aisles
      * @param {number} uiConfig.storage_depth - Storage depth per aisle
+     * @param {Object[]} [uiConfig.aisle_overrides] - Per-aisle modules / locations / depth
      * @param {Array} uiConfig.levels_per_aisle - Levels for each aisle
      * @param {number} uiConfig.picking_stations - Number of picking stations
      */
@@ -332,13 +340,37 @@ export class SceneManager {
 
     // Always use unified RackBuilder now
     this.rackBuilder.instanced = this.useInstancedRendering;
-    const racks = this.rackBuilder.build(uiConfig, this.missingLocations, this.locationTypes);
+    const racks = this.rackBuilder.build(uiConfig, this.missingLocations, this.locationTypes, {
+        inventory: this.showInventory ? this.inventory : null
+    });
         
         this.warehouseGroup.add(racks);
+        this.racksGroup = racks;
 
         const prezone = createPrezone(uiConfig, constants);
-        prezone.position.z = - (uiConfig.storage_depth * constants.locationDepth) - 5;
+        prezone.position.z = prezoneOrigin(uiConfig).z;
         this.warehouseGroup.add(prezone);
+        this.prezoneGroup = prezone;
+        this.plcStationManager = prezone.userData.plcStationManager || null;
+
+        // Routing check on the stations createPrezone just rendered (picking diverters are regenerated there)
+        const codec = resolvePlcAddressCodec(uiConfig.plc_address_convention);
+        this.plcTopology = validatePlcTopology(uiConfig.plc_stations || [], { codec });
+        const loopGeometries = getPrezoneLoopGeometries(uiConfig);
+        this.conveyorRouter = new ConveyorRouter(uiConfig.plc_stations || [], {
+            codec,
+            loops: loopGeometries,
+            sections: getPrezoneConveyorSections(uiConfig, loopGeometries).map(section => section.path),
+            levelHeights: prezoneLevelHeights(uiConfig)
+        });
+        window.dispatchEvent(new CustomEvent('plc:topology', { detail: this.plcTopology }));
+
+        // Building envelope with the clashes of the racks, lifts and the stations placed above
+        this.buildingReport = buildingClashReport(uiConfig);
+        const building = createBuilding(uiConfig, this.buildingReport.clashes);
+        if (building) this.warehouseGroup.add(building);
+        this.buildingGroup = building;
+        window.dispatchEvent(new CustomEvent('building:clashes', { detail: this.buildingReport }));
 
         // Center the warehouse (only X and Z, keep Y at ground level)
         // Only use warehouseGroup for bounding box, ignore compassGroup and other helpers
@@ -354,6 +386,30 @@ export class SceneManager {
         updateCompassPosition(this.compassGroup, this.warehouseGroup);
     }
 
+    /**
+     * Rebuilds only the racks after missing-location / location-type or parameter edits (undo/redo included).
+     * RackBuilder diffs modules (regular path) or instance buckets (instanced path) against the previous
+     * build, so only changed parts are recreated; prezone, equipment and camera stay untouched.
+     * @param {Object} [uiConfig=this.currentConfig] - Current warehouse parameters
+     */
+    rebuildRacks(uiConfig = this.currentConfig) {
+        if (!this.racksGroup || !uiConfig) {
+            this.buildWarehouse(uiConfig);
+            return;
+        }
+        this.currentConfig = { ...uiConfig };
+        this.rackBuilder.instanced = this.useInstancedRendering;
+        const racks = this.rackBuilder.build(uiConfig, this.missingLocations, this.locationTypes, {
+            inventory: this.showInventory ? this.inventory : null
+        });
+        if (racks !== this.racksGroup) {
+            // Instanced path returns a new group (reusing unchanged meshes); keep the warehouse offset as is
+            this.warehouseGroup.remove(this.racksGroup);
+            this.warehouseGroup.add(racks);
+            this.racksGroup = racks;
+        }
+    }
+
     updateTheme(isDark) {
         // Adjust fog settings - mobile gets more generous fog distance to prevent model disappearing on zoom out
         const fogNear = this.isMobileDevice ? 50 : 50;
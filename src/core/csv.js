@@ -0,0 +1,44 @@
+/**
+ * Generic CSV reader shared by the stock files (InventoryService) and the PLC telegram logs (TelegramReplay).
+ * Pure (no DOM) so both parse headless.
+ */
+
+/**
+ * Parses CSV text with a header row (comma or semicolon separated, double-quote escaping) into one object per
+ * line keyed by the lower-cased header names. Blank lines are skipped and cells are trimmed.
+ * @param {string} text
+ * @returns {Object<string, string>[]}
+ */
+export function parseCSV(text) {
+    const lines = text.split(/\r?\n/).filter(l => l.trim() !== '');
+    if (lines.length === 0) return [];
+    const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+    const header = splitCSVLine(lines[0], delimiter).map(h => h.trim().toLowerCase());
+    return lines.slice(1).map(line => {
+        const cells = splitCSVLine(line, delimiter);
+        const row = {};
+        header.forEach((h, i) => { row[h] = cells[i] !== undefined ? cells[i].trim() : ''; });
+        return row;
+    });
+}
+
+function splitCSVLine(line, delimiter) {
+    const cells = [];
+    let cur = ''; let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cur += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            cells.push(cur); cur = '';
+        } else {
+            cur += ch;
+        }
+    }
+    cells.push(cur);
+    return cells;
+}
@@ -0,0 +1,48 @@
+/**
+ * Stock file import utilities.
+ * @fileoverview Reads JSON / CSV stock files into an InventoryService (browser side; parsing itself is pure).
+ *
+ * JSON: an array of rows or `{ "inventory": [...] }`.
+ * CSV: header row with the same column names.
+ * Columns: aisle, side (west/east), level, module, depth, position (all 1-based like the config file),
+ * sku, container_id, quantity, stored_at, updated_at, status (filled/empty/reserved, optional).
+ */
+
+/**
+ * Detects the stock file format from its name.
+ * @param {string} filename
+ * @returns {'json'|'csv'}
+ */
+export function detectInventoryFormat(filename) {
+    return /\.csv$/i.test(filename || '') ? 'csv' : 'json';
+}
+
+/**
+ * Imports a stock file and loads it into the given inventory.
+ * @param {File} file - The JSON or CSV stock file.
+ * @param {import('../domain/services/InventoryService.js').InventoryService} inventory - Target store (replaced).
+ * @param {import('../domain/services/InventoryService.js').InventoryLayout} layout - Rows for locations it does not have are skipped.
+ * @param {Function} callback - Called with the load result `{loaded, skipped, errors}`.
+ * @param {Function} [onError] - Called with the error when the file cannot be parsed at all.
+ */
+export function importInventoryFile(file, inventory, layout, callback, onError) {
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        try {
+            const result = inventory.load(event.target.result, detectInventoryFormat(file.name), file.name, layout);
+            console.log(`✅ Stock imported: ${file.name} (${result.loaded} records)`);
+            if (result.errors.length) {
+                console.warn('Stock rows skipped:', result.errors);
+            }
+            if (callback) {
+                callback(result);
+            }
+        } catch (error) {
+            console.error('❌ Error importing stock file:', error);
+            if (onError) {
+                onError(error);
+            }
+        }
+    };
+    reader.readAsText(file);
+}
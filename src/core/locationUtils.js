@@ -1,4 +1,5 @@
 // Utility functions for managing missing locations and location types in the warehouse
+import { findMatchingRule } from '../domain/rules/locationRules.js';
 
 /**
  * Updates the missing locations array.
@@ -35,15 +36,7 @@ export function clearMissingLocations() {
  * @returns {string}
  */
 export function getLocationType(bufferLocations, defaultType, query) {
-    const isBuffer = bufferLocations.some(buffer => {
-        const aisleMatch = Array.isArray(buffer.aisle) ? buffer.aisle.includes(query.aisle) : (buffer.aisle === null || buffer.aisle === query.aisle);
-        const levelMatch = Array.isArray(buffer.level) ? buffer.level.includes(query.level) : (buffer.level === null || buffer.level === query.level);
-        const moduleMatch = Array.isArray(buffer.module) ? buffer.module.includes(query.module) : (buffer.module === null || buffer.module === query.module);
-        const depthMatch = Array.isArray(buffer.depth) ? buffer.depth.includes(query.depth) : (buffer.depth === null || buffer.depth === query.depth);
-        const positionMatch = Array.isArray(buffer.position) ? buffer.position.includes(query.position) : (buffer.position === null || buffer.position === query.position);
-        return aisleMatch && levelMatch && moduleMatch && depthMatch && positionMatch;
-    });
-    return isBuffer ? 'Buffer' : defaultType;
+    return findMatchingRule(bufferLocations, query) ? 'Buffer' : defaultType;
 }
 
 /**
@@ -0,0 +1,45 @@
+/**
+ * Recorded PLC telegram log import (browser side).
+ * @fileoverview FileReader wrapper around the pure parser in integration/TelegramReplay.js.
+ * Formats: JSON array (or `{ "telegrams": [...] }`), NDJSON or CSV with the columns
+ * timestamp, plc_address, event, container (message optional).
+ */
+
+import { parseTelegramLog } from '../integration/TelegramReplay.js';
+
+/**
+ * Detects the log format from its name; unknown extensions are detected from the content.
+ * @param {string} filename
+ * @returns {'json'|'ndjson'|'csv'|undefined}
+ */
+export function detectTelegramLogFormat(filename) {
+    if (/\.csv$/i.test(filename || '')) return 'csv';
+    if (/\.(ndjson|jsonl)$/i.test(filename || '')) return 'ndjson';
+    return undefined;
+}
+
+/**
+ * Reads a telegram log file.
+ * @param {File} file - The recorded log.
+ * @param {Function} callback - Called with `{ telegrams, errors }` (telegrams sorted by timestamp).
+ * @param {Function} [onError] - Called with the error when the file cannot be parsed at all.
+ */
+export function importTelegramLog(file, callback, onError) {
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        try {
+            const result = parseTelegramLog(event.target.result, detectTelegramLogFormat(file.name));
+            console.log(`✅ Telegram log loaded: ${file.name} (${result.telegrams.length} telegrams)`);
+            if (result.errors.length) {
+                console.warn('Telegram rows skipped:', result.errors);
+            }
+            callback(result);
+        } catch (error) {
+            console.error('❌ Error reading telegram log:', error);
+            if (onError) {
+                onError(error);
+            }
+        }
+    };
+    reader.readAsText(file);
+}
@@ -1,37 +1,24 @@
 // Utility for warehouse metrics calculations
+import { isLocationMissing, resolveLocationType } from '../domain/rules/locationRules.js';
+import { aisleParams } from '../domain/services/aisleLayout.js';
 
 /**
- * Calculates the total number of available locations in the warehouse, excluding missing ones.
+ * Counts available locations per rack side, excluding missing ones.
  * @param {Object} uiConfig - The warehouse UI configuration.
  * @param {Array} missingLocations - Array of missing location definitions.
- * @returns {number}
+ * @returns {[number, number]} [west, east]
  */
-export function calculateTotalLocations(uiConfig, missingLocations) {
-    let totalLocations = 0;
-    // Helper function to check if a location is missing
-    const isLocationMissing = (aisle, level, module, depth, position) => {
-        return missingLocations.some(missing => {
-            const aisleMatch = Array.isArray(missing.aisle) ? 
-                missing.aisle.includes(aisle) : 
-                (missing.aisle === null || missing.aisle === aisle);
-            const levelMatch = Array.isArray(missing.level) ? 
-                missing.level.includes(level) : 
-                (missing.level === null || missing.level === level);
-            const moduleMatch = missing.module === null || missing.module === module;
-            const depthMatch = missing.depth === null || missing.depth === depth;
-            const positionMatch = missing.position === null || missing.position === position;
-            return aisleMatch && levelMatch && moduleMatch && depthMatch && positionMatch;
-        });
-    };
+export function calculateLocationsBySide(uiConfig, missingLocations) {
+    const perSide = [0, 0];
     for (let a = 0; a < uiConfig.aisles; a++) {
-        const levels = uiConfig.levels_per_aisle[a];
+        const { levels, modules, depth, locations } = aisleParams(uiConfig, a);
         for (let l = 0; l < levels; l++) {
-            for (let m = 0; m < uiConfig.modules_per_aisle; m++) {
-                for (let d = 0; d < uiConfig.storage_depth; d++) {
-                    for (let s = 0; s < uiConfig.locations_per_module; s++) {
+            for (let m = 0; m < modules; m++) {
+                for (let d = 0; d < depth; d++) {
+                    for (let s = 0; s < locations; s++) {
                         for (let side = 0; side < 2; side++) {
-                            if (!isLocationMissing(a, l, m, d, s)) {
-                                totalLocations++;
+                            if (!isLocationMissing(missingLocations, { aisle: a, side, level: l, module: m, depth: d, position: s })) {
+                                perSide[side]++;
                             }
                         }
                     }
@@ -39,5 +26,72 @@ export function calculateTotalLocations(uiConfig, missingLocations) {
             }
         }
     }
-    return totalLocations;
+    return perSide;
+}
+
+/**
+ * Calculates the total number of available locations in the warehouse, excluding missing ones.
+ * @param {Object} uiConfig - The warehouse UI configuration.
+ * @param {Array} missingLocations - Array of missing location definitions.
+ * @returns {number}
+ */
+export function calculateTotalLocations(uiConfig, missingLocations) {
+    const [west, east] = calculateLocationsBySide(uiConfig, missingLocations);
+    return west + east;
+}
+
+/**
+ * Calculates the theoretical number of locations (both rack sides, every depth) before missing locations are removed.
+ * @param {Object} uiConfig - The warehouse UI configuration.
+ * @returns {number}
+ */
+export function calculateGrossLocations(uiConfig) {
+    let total = 0;
+    for (let a = 0; a < uiConfig.aisles; a++) {
+        const { levels, modules, depth, locations } = aisleParams(uiConfig, a);
+        total += levels * modules * locations * depth * 2;
+    }
+    return total;
+}
+
+/**
+ * Storage capacity summary (no DOM access, usable headless).
+ * @param {Object} uiConfig - The warehouse UI configuration.
+ * @param {Array} missingLocations - Array of missing location definitions (0-based).
+ * @returns {{gross:number, net:number, missing:number, west:number, east:number}}
+ */
+export function calculateCapacity(uiConfig, missingLocations) {
+    const gross = calculateGrossLocations(uiConfig);
+    const [west, east] = calculateLocationsBySide(uiConfig, missingLocations || []);
+    const net = west + east;
+    return { gross, net, missing: gross - net, west, east };
+}
+
+/**
+ * Counts available (not missing) locations per location type; unmatched locations count as 'Storage'.
+ * @param {Object} uiConfig - The warehouse UI configuration.
+ * @param {Array} missingLocations - Missing location rules (0-based).
+ * @param {Array} locationTypes - Location type rules (0-based, first match wins).
+ * @returns {Object<string, number>} Type name -> count, in order of first appearance.
+ */
+export function calculateLocationsByType(uiConfig, missingLocations, locationTypes) {
+    const counts = {};
+    for (let a = 0; a < uiConfig.aisles; a++) {
+        const { levels, modules, depth, locations } = aisleParams(uiConfig, a);
+        for (let side = 0; side < 2; side++) {
+            for (let l = 0; l < levels; l++) {
+                for (let m = 0; m < modules; m++) {
+                    for (let d = 0; d < depth; d++) {
+                        for (let s = 0; s < locations; s++) {
+                            const address = { aisle: a, side, level: l, module: m, depth: d, position: s };
+                            if (isLocationMissing(missingLocations, address)) continue;
+                            const type = resolveLocationType(locationTypes, address, 'Storage');
+                            counts[type] = (counts[type] || 0) + 1;
+                        }
+                    }
+                }
+            }
+        }
+    }
+    return counts;
 }
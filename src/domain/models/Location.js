@@ -1,10 +1,28 @@
 /** Domain model for a single storage Location */
 export class Location {
-  constructor({ aisle, level, module, position, depth }) {
+  constructor({ aisle, side = 0, level, module, position, depth }) {
     this.aisle = aisle; // 0-based indices
+    this.side = side; // 0 = west rack, 1 = east rack
     this.level = level;
     this.module = module;
     this.position = position; // index within module
-    this.depth = depth; // storage depth (1..n)
+    this.depth = depth; // depth index within the lane (0 = aisle side)
+    // Inventory occupancy (filled by InventoryService.applyTo)
+    this.status = 'empty'; // 'empty' | 'filled' | 'reserved'
+    this.sku = null;
+    this.containerId = null;
+    this.quantity = 0;
+    this.storedAt = null; // ISO timestamps
+    this.updatedAt = null;
+  }
+
+  /** @param {import('../services/InventoryService.js').InventoryRecord|null} record */
+  applyInventory(record) {
+    this.status = record ? record.status : 'empty';
+    this.sku = record ? record.sku : null;
+    this.containerId = record ? record.containerId : null;
+    this.quantity = record ? record.quantity : 0;
+    this.storedAt = record ? record.storedAt : null;
+    this.updatedAt = record ? record.updatedAt : null;
   }
 }
@@ -0,0 +1,216 @@
+/**
+ * Compacts sets of cells into wildcard / range rules (pure, 0-based like the rules in SceneManager).
+ * Used by the cell editor so toggling missing cells or painting location types yields a handful of rules
+ * (`{ aisle: 1, level: null, module: 3, ... }`) instead of one entry per cell.
+ */
+import { findMatchingRule, isLocationMissing, matchesRule, RULE_INDEX_KEYS, SIDE_NAMES } from './locationRules.js';
+import { aisleParams } from '../services/aisleLayout.js';
+
+/** Cell fields, innermost first; merging runs in this order so whole modules / levels collapse first. */
+const MERGE_ORDER = ['position', 'depth', 'module', 'level', 'side', 'aisle'];
+
+/**
+ * Number of values a field can take (for a rule whose other fields are already fixed).
+ * @param {Object} uiConfig
+ * @param {string} key
+ * @param {Object} rule Rule being merged; `aisle` is still a single index while levels, modules, depths and positions merge
+ * @returns {number}
+ */
+function fieldSize(uiConfig, key, rule) {
+  switch (key) {
+    case 'aisle': return uiConfig.aisles;
+    case 'side': return 2;
+    case 'level': return uiConfig.levels_per_aisle[rule.aisle] || 0;
+    case 'module': return aisleParams(uiConfig, rule.aisle).modules;
+    case 'depth': return aisleParams(uiConfig, rule.aisle).depth;
+    default: return aisleParams(uiConfig, rule.aisle).locations;
+  }
+}
+
+/**
+ * Sorted distinct indices -> 3 | { from, to } | [0, { from: 2, to: 4 }] (runs of 3+ become ranges).
+ * @param {number[]} values
+ * @returns {number|Object|Array}
+ */
+export function compressIndices(values) {
+  const sorted = [...new Set(values)].sort((a, b) => a - b);
+  const parts = [];
+  let start = 0;
+  for (let i = 1; i <= sorted.length; i++) {
+    if (i < sorted.length && sorted[i] === sorted[i - 1] + 1) continue;
+    const run = sorted.slice(start, i);
+    if (run.length >= 3) parts.push({ from: run[0], to: run[run.length - 1] });
+    else parts.push(...run);
+    start = i;
+  }
+  return parts.length === 1 ? parts[0] : parts;
+}
+
+/**
+ * Every location of the layout, as 0-based addresses with a side index.
+ * @param {Object} uiConfig
+ * @returns {{aisle:number,side:number,level:number,module:number,depth:number,position:number}[]}
+ */
+export function listLocations(uiConfig) {
+  const cells = [];
+  for (let aisle = 0; aisle < uiConfig.aisles; aisle++) {
+    const { levels, modules, depth: depths, locations } = aisleParams(uiConfig, aisle);
+    for (let side = 0; side < 2; side++) {
+      for (let level = 0; level < levels; level++) {
+        for (let module = 0; module < modules; module++) {
+          for (let depth = 0; depth < depths; depth++) {
+            for (let position = 0; position < locations; position++) {
+              cells.push({ aisle, side, level, module, depth, position });
+            }
+          }
+        }
+      }
+    }
+  }
+  return cells;
+}
+
+/** Locations of the layout matched by the missing-location rules. */
+export function listMissingCells(uiConfig, missingLocations) {
+  return listLocations(uiConfig).filter(cell => isLocationMissing(missingLocations, cell));
+}
+
+/**
+ * Compacts cells into rules: a field that covers its whole range becomes a wildcard (null),
+ * otherwise the collected indices become a number, range or list.
+ * @param {Object} uiConfig
+ * @param {Object[]} cells 0-based addresses (side 0/1)
+ * @returns {Object[]} Rules with all index fields (null = wildcard) and `side` when only one side is meant
+ */
+export function compactCellRules(uiConfig, cells) {
+  const seen = new Set();
+  let rules = [];
+  cells.forEach(c => {
+    const key = `${c.aisle}:${c.side ?? 0}:${c.level}:${c.module}:${c.depth}:${c.position}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    rules.push({ aisle: c.aisle, side: c.side ?? 0, level: c.level, module: c.module, depth: c.depth, position: c.position });
+  });
+
+  for (const field of MERGE_ORDER) {
+    const groups = new Map();
+    rules.forEach(rule => {
+      const others = MERGE_ORDER.filter(k => k !== field).map(k => JSON.stringify(rule[k])).join('|');
+      if (!groups.has(others)) groups.set(others, []);
+      groups.get(others).push(rule);
+    });
+    rules = [...groups.values()].map(group => {
+      const values = group.map(r => r[field]);
+      const merged = { ...group[0] };
+      if (values.every(v => typeof v === 'number')) {
+        const distinct = new Set(values).size;
+        merged[field] = distinct === fieldSize(uiConfig, field, merged) ? null : compressIndices(values);
+      }
+      return merged;
+    });
+  }
+
+  return rules.map(rule => {
+    const out = { aisle: rule.aisle, level: rule.level, module: rule.module, depth: rule.depth, position: rule.position };
+    if (rule.side !== null) out.side = typeof rule.side === 'number' ? SIDE_NAMES[rule.side] : rule.side;
+    return out;
+  });
+}
+
+/**
+ * Applies an edit to the missing set, keeping the rules it does not touch as they are.
+ * Marked cells are appended as compacted rules; restoring cells replaces only the rules that match one of them
+ * by compacted rules for their remaining cells in the current layout.
+ * @param {Object} uiConfig
+ * @param {Object[]} missingLocations Current rules (0-based)
+ * @param {Object[]} cells Cells to edit
+ * @param {'toggle'|'add'|'remove'} [mode='toggle'] 'toggle' restores the cells when all are missing, else marks them missing
+ * @returns {{rules:Object[], added:number, removed:number}}
+ */
+export function editMissingCells(uiConfig, missingLocations, cells, mode = 'toggle') {
+  const key = c => `${c.aisle}:${c.side ?? 0}:${c.level}:${c.module}:${c.depth}:${c.position}`;
+  const allMissing = cells.length > 0 && cells.every(c => isLocationMissing(missingLocations, c));
+  const remove = mode === 'remove' || (mode === 'toggle' && allMissing);
+  const edited = new Map();
+  cells.forEach(c => {
+    if (isLocationMissing(missingLocations, c) === remove) edited.set(key(c), { ...c, side: c.side ?? 0 });
+  });
+  const unchanged = missingLocations.map(rule => ({ ...rule }));
+  if (!edited.size) return { rules: unchanged, added: 0, removed: 0 };
+  if (!remove) return { rules: [...unchanged, ...compactCellRules(uiConfig, [...edited.values()])], added: edited.size, removed: 0 };
+
+  const touched = rule => [...edited.values()].some(cell => matchesRule(rule, cell));
+  const kept = unchanged.filter(rule => !touched(rule));
+  const remaining = listLocations(uiConfig).filter(cell =>
+    !edited.has(key(cell)) && isLocationMissing(missingLocations, cell) && !isLocationMissing(kept, cell));
+  return { rules: [...kept, ...compactCellRules(uiConfig, remaining)], added: 0, removed: edited.size };
+}
+
+/**
+ * Non-address part of a location_types rule (type, id, category, meta, color); empty values dropped.
+ * @param {Object} rule
+ * @returns {Object}
+ */
+export function typeDescriptor(rule) {
+  const out = {};
+  Object.entries(rule || {}).forEach(([key, value]) => {
+    if (RULE_INDEX_KEYS.includes(key) || key === 'side') return;
+    if (value === undefined || value === null || value === '') return;
+    if (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) return;
+    out[key] = value;
+  });
+  return out;
+}
+
+/** Drops rules that are not the first match of any location (shadowed or outside the layout). */
+function pruneShadowedRules(uiConfig, rules) {
+  const used = new Set();
+  listLocations(uiConfig).forEach(cell => {
+    const match = findMatchingRule(rules, cell);
+    if (match) used.add(match);
+  });
+  return rules.filter(rule => used.has(rule));
+}
+
+/**
+ * Paints a location type onto cells and returns equivalent, compact location_types rules.
+ * Painting a type also updates its descriptor (color, category, meta) on cells that already had it;
+ * painting 'Storage' (or `null`) erases the type. Missing cells are skipped.
+ * Two encodings are built and the shorter one wins: the painted cells as new leading rules in front of
+ * the existing ones (keeps hand-written rules intact), or every type re-compacted from scratch.
+ * @param {Object} uiConfig
+ * @param {Object[]} locationTypes Current rules (0-based, first match wins)
+ * @param {Object[]} missingLocations Missing rules (0-based)
+ * @param {Object[]} cells Cells to paint
+ * @param {Object|null} descriptor `{ type, color?, category?, meta? }`
+ * @returns {{rules:Object[], painted:number}}
+ */
+export function paintLocationTypes(uiConfig, locationTypes, missingLocations, cells, descriptor) {
+  const key = c => `${c.aisle}:${c.side ?? 0}:${c.level}:${c.module}:${c.depth}:${c.position}`;
+  const targets = new Set(cells.map(key));
+  const next = descriptor && descriptor.type && descriptor.type !== 'Storage' ? typeDescriptor(descriptor) : null;
+  const withDescriptor = rule => (next && rule.type === next.type ? { ...rule, ...next } : rule);
+  const groups = new Map(); // descriptor JSON -> { descriptor, cells }
+  const changed = [];
+  listLocations(uiConfig).forEach(cell => {
+    const match = findMatchingRule(locationTypes, cell);
+    let current = match ? typeDescriptor(match) : null;
+    if (current && (current.type || current.id || 'Storage') === 'Storage') current = null; // plain storage needs no rule
+    if (current && next && current.type === next.type) current = next;
+    if (targets.has(key(cell)) && !isLocationMissing(missingLocations, cell)) {
+      if (JSON.stringify(current) !== JSON.stringify(next)) changed.push(cell);
+      current = next;
+    }
+    if (!current) return;
+    const groupKey = JSON.stringify(current);
+    if (!groups.has(groupKey)) groups.set(groupKey, { descriptor: current, cells: [] });
+    groups.get(groupKey).cells.push(cell);
+  });
+  if (!changed.length) return { rules: locationTypes.map(r => ({ ...r })), painted: 0 };
+
+  const recompacted = [...groups.values()].flatMap(group =>
+    compactCellRules(uiConfig, group.cells).map(rule => ({ ...rule, ...group.descriptor })));
+  const leading = compactCellRules(uiConfig, changed).map(rule => ({ ...rule, ...(next || { type: 'Storage' }) }));
+  const layered = pruneShadowedRules(uiConfig, [...leading, ...locationTypes.map(withDescriptor)]);
+  return { rules: layered.length <= recompacted.length ? layered : recompacted, painted: changed.length };
+}
@@ -0,0 +1,135 @@
+/**
+ * Single authoritative matcher for location rules (missing_locations, location_types, buffers).
+ * Pure (no Three.js / DOM); used by DomainBuilder, RackBuilder, warehouseMetrics and the UI counters
+ * so capacity, domain metrics and rendered boxes always agree.
+ *
+ * A rule is an object with optional index fields (aisle, level, module, depth, position, 0-based internally)
+ * and an optional `side`. Each field accepts:
+ * - null / undefined / -1 / '*'      wildcard (matches everything)
+ * - 3                                exact index
+ * - [1, 2, { from: 4, to: 6 }]       any of (numbers or ranges)
+ * - { from: 2, to: 5 }               inclusive range (either bound may be omitted)
+ * - { not: <any of the above> }      negation
+ * `side` takes 'west' / 'east' (also 0 / 1, 'W' / 'E'), arrays and `{ not }` the same way.
+ */
+
+/** Address fields a rule can constrain, in canonical order. */
+export const RULE_INDEX_KEYS = ['aisle', 'level', 'module', 'depth', 'position'];
+
+/** Rack side names by side index (0 = west rack, 1 = east rack). */
+export const SIDE_NAMES = ['west', 'east'];
+
+function isWildcard(cond) {
+  return cond === null || cond === undefined || cond === -1 || cond === '*';
+}
+
+function isRange(cond) {
+  return cond !== null && typeof cond === 'object' && !Array.isArray(cond) && ('from' in cond || 'to' in cond);
+}
+
+/**
+ * Matches one rule field against an index value.
+ * @param {*} cond Field condition (see module doc)
+ * @param {number} value 0-based index
+ * @returns {boolean}
+ */
+export function matchesValue(cond, value) {
+  if (isWildcard(cond)) return true;
+  if (typeof cond === 'number') return cond === value;
+  if (Array.isArray(cond)) return cond.some(c => !isWildcard(c) && matchesValue(c, value));
+  if (cond && typeof cond === 'object') {
+    if ('not' in cond) return !matchesValue(cond.not, value);
+    if (isRange(cond)) {
+      const from = cond.from ?? -Infinity;
+      const to = cond.to ?? Infinity;
+      return value >= from && value <= to;
+    }
+  }
+  return false;
+}
+
+/**
+ * Normalises a side descriptor (0/1, 'west'/'east', 'W'/'E') to 0/1; null when not a side.
+ * @param {number|string} side
+ * @returns {0|1|null}
+ */
+export function sideIndex(side) {
+  if (side === 0 || side === 1) return side;
+  if (typeof side !== 'string') return null;
+  const s = side.trim().toLowerCase();
+  if (s === '0' || s === 'w' || s === 'west') return 0;
+  if (s === '1' || s === 'e' || s === 'east') return 1;
+  return null;
+}
+
+/**
+ * Matches a rule's `side` condition against a side index.
+ * @param {*} cond
+ * @param {0|1} side
+ * @returns {boolean}
+ */
+export function matchesSide(cond, side) {
+  if (isWildcard(cond)) return true;
+  if (Array.isArray(cond)) return cond.some(c => matchesSide(c, side));
+  if (cond && typeof cond === 'object' && 'not' in cond) return !matchesSide(cond.not, side);
+  return sideIndex(cond) === side;
+}
+
+/**
+ * @param {Object} rule
+ * @param {{aisle:number,side?:number,level:number,module:number,depth:number,position:number}} address 0-based
+ * @returns {boolean}
+ */
+export function matchesRule(rule, address) {
+  if (!rule || typeof rule !== 'object') return false;
+  for (const key of RULE_INDEX_KEYS) {
+    if (!matchesValue(rule[key], address[key])) return false;
+  }
+  return matchesSide(rule.side, address.side ?? 0);
+}
+
+/** @returns {Object|null} First rule matching the address */
+export function findMatchingRule(rules, address) {
+  if (!Array.isArray(rules)) return null;
+  return rules.find(r => matchesRule(r, address)) || null;
+}
+
+/** True when any missing_locations rule matches the address. */
+export function isLocationMissing(missingLocations, address) {
+  return Array.isArray(missingLocations) && missingLocations.some(r => matchesRule(r, address));
+}
+
+/**
+ * Resolves the location type of an address from location_types rules (first match wins).
+ * @param {Object[]} locationTypes
+ * @param {Object} address
+ * @param {string|null} [defaultType=null] Returned when no rule matches
+ * @returns {string|null}
+ */
+export function resolveLocationType(locationTypes, address, defaultType = null) {
+  const found = findMatchingRule(locationTypes, address);
+  return found ? (found.type || found.id || 'Storage') : defaultType;
+}
+
+/**
+ * Shifts every index in a rule field by `delta` (1-based <-> 0-based), keeping wildcards,
+ * and recursing into arrays, ranges and negations.
+ * @param {*} cond
+ * @param {number} delta
+ * @returns {*}
+ */
+export function shiftRuleValue(cond, delta) {
+  if (isWildcard(cond)) return cond;
+  if (typeof cond === 'number') return cond + delta;
+  if (Array.isArray(cond)) return cond.map(c => shiftRuleValue(c, delta));
+  if (cond && typeof cond === 'object') {
+    if ('not' in cond) return { ...cond, not: shiftRuleValue(cond.not, delta) };
+    if (isRange(cond)) {
+      const out = { ...cond };
+      if (typeof out.from === 'number') out.from += delta;
+      if (typeof out.to === 'number') out.to += delta;
+      return out;
+    }
+  }
+  return cond;
+}
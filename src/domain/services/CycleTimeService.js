@@ -0,0 +1,88 @@
+/**
+ * FEM 9.851 style cycle-time and throughput calculator per aisle.
+ * Analytical counterpart of the discrete-event ThroughputSimulator: single and double cycle times of the shuttles
+ * and the lift from the rack geometry (aisleLayout.js) and the shared kinematic model (kinematics.js).
+ * Pure (no Three.js / DOM), so the Info panel, the JSON export and validate:layouts use the same numbers.
+ */
+import { liftTransferTime, resolveKinematics, shuttleHandlingTime, travelTime } from '../simulation/kinematics.js';
+import { aisleLayout, rackLevelCenter } from './aisleLayout.js';
+
+/** FEM 9.851 reference points as fractions of the travel range (P1 and P2). */
+export const FEM_REFERENCE_POINTS = { p1: 1 / 5, p2: 2 / 3 };
+
+const round = (value, digits = 1) => +value.toFixed(digits);
+/** Moves per hour of `units` resources each doing `moves` per cycle. */
+const perHour = (seconds, moves = 1, units = 1) => (seconds > 0 ? round((3600 / seconds) * moves * units) : 0);
+
+/**
+ * Analytical cycle times and throughput per aisle in the style of FEM 9.851, from the rack geometry and the
+ * equipment kinematics. FEM's stacker crane reference points are applied per axis: a shuttle travels to 1/5 and
+ * 2/3 of the aisle length, the lift to 1/5 and 2/3 of the served height. A single cycle stores or retrieves one
+ * load (one move), a double cycle stores one and retrieves another (two moves).
+ * An aisle is limited by its lift or by its shuttles together; the system bottleneck is the weakest aisle.
+ */
+export class CycleTimeService {
+  /**
+   * @param {Object} [kinematics] Overrides merged into DEFAULT_KINEMATICS (see resolveKinematics)
+   */
+  constructor(kinematics = {}) {
+    this.kinematics = resolveKinematics(kinematics);
+  }
+
+  /**
+   * @param {Object} uiConfig Rack geometry (aisles, levels_per_aisle, modules_per_aisle, ..., aisle_overrides)
+   * @returns {{method:string, kinematics:Object, aisles:Object[], totalMovesPerHour:{single:number, double:number}, bottleneck:{aisle:number, resource:string, movesPerHour:number}|null}}
+   */
+  compute(uiConfig) {
+    const { shuttle, lift } = this.kinematics;
+    const { p1, p2 } = FEM_REFERENCE_POINTS;
+    // Loads are handed over at the lift interface (front position) and stored at an average depth
+    const interfaceHandling = shuttleHandlingTime(0, shuttle);
+    const transfer = liftTransferTime(lift);
+
+    const aisles = [];
+    for (const geometry of aisleLayout(uiConfig)) {
+      const { aisle: a, levels, length, depth: depths } = geometry;
+      let rackHandling = 0;
+      for (let depth = 0; depth < depths; depth++) rackHandling += shuttleHandlingTime(depth, shuttle) / depths;
+      const shuttleSingle = travelTime(p1 * length, shuttle) + travelTime(p2 * length, shuttle) + interfaceHandling + rackHandling;
+      const shuttleDouble = travelTime(p1 * length, shuttle) + travelTime((p2 - p1) * length, shuttle) + travelTime(p2 * length, shuttle)
+        + 2 * (interfaceHandling + rackHandling);
+      // Served height: centre of the lowest to centre of the highest level (level height profile)
+      const lowest = rackLevelCenter(geometry, 0);
+      const range = levels ? Math.max(0, rackLevelCenter(geometry, levels - 1) - lowest) : 0;
+      const h1 = lowest + p1 * range;
+      const h2 = lowest + p2 * range;
+      const liftTravel = (to) => travelTime(to - lift.infeedHeight, lift);
+      const liftSingle = levels ? liftTravel(h1) + liftTravel(h2) + 2 * transfer : 0;
+      const liftDouble = levels ? liftTravel(h1) + travelTime(h2 - h1, lift) + liftTravel(h2) + 4 * transfer : 0;
+      // One shuttle per level
+      const shuttleCapacity = { single: perHour(shuttleSingle, 1, levels), double: perHour(shuttleDouble, 2, levels) };
+      const liftCapacity = { single: perHour(liftSingle), double: perHour(liftDouble, 2) };
+      // Best case (double cycles) of each resource decides which one limits the aisle
+      const limitedBy = liftCapacity.double <= shuttleCapacity.double ? 'lift' : 'shuttles';
+      aisles.push({
+        aisle: a,
+        levels,
+        shuttle: { singleCycle: round(shuttleSingle), doubleCycle: round(shuttleDouble), movesPerHour: shuttleCapacity },
+        lift: { singleCycle: round(liftSingle), doubleCycle: round(liftDouble), movesPerHour: liftCapacity },
+        movesPerHour: {
+          single: Math.min(shuttleCapacity.single, liftCapacity.single),
+          double: Math.min(shuttleCapacity.double, liftCapacity.double)
+        },
+        limitedBy
+      });
+    }
+    const weakest = aisles.reduce((min, a) => (!min || a.movesPerHour.double < min.movesPerHour.double ? a : min), null);
+    return {
+      method: 'FEM 9.851',
+      kinematics: this.kinematics,
+      aisles,
+      totalMovesPerHour: {
+        single: round(aisles.reduce((s, a) => s + a.movesPerHour.single, 0)),
+        double: round(aisles.reduce((s, a) => s + a.movesPerHour.double, 0))
+      },
+      bottleneck: weakest ? { aisle: weakest.aisle, resource: weakest.limitedBy, movesPerHour: weakest.movesPerHour.double } : null
+    };
+  }
+}
@@ -5,31 +5,42 @@
 import { Aisle } from '../models/Aisle.js';
 import { Module } from '../models/Module.js';
 import { Location } from '../models/Location.js';
+import { isLocationMissing } from '../rules/locationRules.js';
+import { aisleParams } from './aisleLayout.js';
 
 export class DomainBuilder {
   /**
    * @param {Object} opts
    * @param {Object} opts.uiConfig
    * @param {Array} opts.missingLocations
+   * @param {import('./InventoryService.js').InventoryService} [opts.inventory] Optional stock to attach to locations
    */
-  constructor({ uiConfig, missingLocations }) {
+  constructor({ uiConfig, missingLocations, inventory }) {
     this.uiConfig = uiConfig;
     this.missingLocations = missingLocations || [];
+    this.inventory = inventory || null;
   }
 
   build() {
     const aisles = [];
-    let theoreticalGross = 0; // all positions before missing removal (single level granularity for skeleton)
+    let theoreticalGross = 0; // all locations (both sides, every depth) before missing removal
     for (let a = 0; a < this.uiConfig.aisles; a++) {
-      const levelCount = this.uiConfig.levels_per_aisle[a] || 0;
+      const { levels: levelCount, modules: moduleCount, locations: positions, depth: depths } = aisleParams(this.uiConfig, a);
       const modules = [];
-      for (let m = 0; m < this.uiConfig.modules_per_aisle; m++) {
+      for (let m = 0; m < moduleCount; m++) {
         const locations = [];
         for (let lvl = 0; lvl < levelCount; lvl++) {
-          theoreticalGross += this.uiConfig.locations_per_module;
-          for (let p = 0; p < this.uiConfig.locations_per_module; p++) {
-            if (this.isMissing({ aisle: a, level: lvl, module: m, position: p })) continue;
-            locations.push(new Location({ aisle: a, level: lvl, module: m, position: p, depth: this.uiConfig.storage_depth }));
+          for (let side = 0; side < 2; side++) {
+            theoreticalGross += positions * depths;
+            for (let p = 0; p < positions; p++) {
+              for (let d = 0; d < depths; d++) {
+                const address = { aisle: a, side, level: lvl, module: m, position: p, depth: d };
+                if (this.isMissing(address)) continue;
+                const location = new Location(address);
+                if (this.inventory) location.applyInventory(this.inventory.get(location));
+                locations.push(location);
+              }
+            }
           }
         }
         modules.push(new Module(m, locations));
@@ -39,12 +50,7 @@ export class DomainBuilder {
     return { aisles, __theoreticalGross: theoreticalGross };
   }
 
-  isMissing({ aisle, level, module, position }) {
-    return this.missingLocations.some(r => (
-      (r.aisle === undefined || r.aisle === aisle) &&
-      (r.level === undefined || r.level === level) &&
-      (r.module === undefined || r.module === module) &&
-      (r.position === undefined || r.position === position)
-    ));
+  isMissing(address) {
+    return isLocationMissing(this.missingLocations, address);
   }
 }
@@ -0,0 +1,230 @@
+/**
+ * Inventory occupancy layer on top of the domain model.
+ * Holds what is stored in each location (SKU, container, quantity, timestamps) keyed by full address.
+ * Pure (no Three.js / DOM) so stock files can be parsed and summarised headless.
+ */
+import { isLocationMissing, sideIndex } from '../rules/locationRules.js';
+import { aisleParams } from './aisleLayout.js';
+import { parseCSV } from '../../core/csv.js';
+
+/** Occupancy states rendered by RackBuilder. */
+export const INVENTORY_STATUSES = ['empty', 'filled', 'reserved'];
+
+/**
+ * A single stock record (0-based indices internally, like MissingLocation).
+ * @typedef {Object} InventoryRecord
+ * @property {number} aisle
+ * @property {number} side 0 = west rack, 1 = east rack
+ * @property {number} level
+ * @property {number} module
+ * @property {number} depth
+ * @property {number} position
+ * @property {'empty'|'filled'|'reserved'} status
+ * @property {string|null} sku
+ * @property {string|null} containerId
+ * @property {number} quantity
+ * @property {string|null} storedAt ISO timestamp
+ * @property {string|null} updatedAt ISO timestamp
+ */
+
+const INDEX_KEYS = ['aisle', 'level', 'module', 'depth', 'position'];
+
+/**
+ * Rack layout stock rows are checked against.
+ * @typedef {Object} InventoryLayout
+ * @property {Object} uiConfig Rack geometry (aisleParams)
+ * @property {Object[]} [missingLocations] 0-based missing_locations rules
+ */
+
+/**
+ * Normalises a side descriptor (0/1, 'west'/'east', 'W'/'E') to 0/1. Missing sides default to west (0); stock rows
+ * with any other side are rejected when loading.
+ * @param {number|string|undefined|null} side
+ * @returns {0|1}
+ */
+export function normalizeSide(side) {
+  return sideIndex(side) ?? 0;
+}
+
+export class InventoryService {
+  constructor() {
+    this.records = new Map(); // key -> InventoryRecord
+    this.version = 0; // bumped on every change so RackBuilder signatures invalidate
+    this.source = null; // name of the last loaded stock file
+  }
+
+  /** @param {{aisle:number,side?:number|string,level:number,module:number,depth:number,position:number}} address */
+  static key({ aisle, side, level, module, depth, position }) {
+    return `${aisle}:${normalizeSide(side)}:${level}:${module}:${depth}:${position}`;
+  }
+
+  clear() {
+    this.records.clear();
+    this.source = null;
+    this.version++;
+  }
+
+  /** @param {InventoryRecord} record */
+  set(record) {
+    this.records.set(InventoryService.key(record), record);
+    this.version++;
+  }
+
+  /** @returns {InventoryRecord|null} */
+  get(address) {
+    return this.records.get(InventoryService.key(address)) || null;
+  }
+
+  /** @returns {'empty'|'filled'|'reserved'} */
+  statusOf(address) {
+    const record = this.get(address);
+    return record ? record.status : 'empty';
+  }
+
+  /**
+   * Replaces the current stock with the contents of a JSON or CSV stock file.
+   * @param {string} text Raw file contents
+   * @param {'json'|'csv'} format
+   * @param {string} [source] File name (informational)
+   * @param {InventoryLayout} [layout] Skips rows for locations the layout does not have
+   * @returns {{loaded:number,skipped:number,errors:string[]}}
+   */
+  load(text, format, source = null, layout = null) {
+    const rows = format === 'csv' ? parseInventoryCSV(text) : parseInventoryJSON(text);
+    this.records.clear();
+    const result = this.loadRecords(rows, layout);
+    this.source = source;
+    this.version++;
+    return result;
+  }
+
+  /**
+   * Adds raw stock rows (1-based indices, as in exported files) to the store.
+   * @param {Object[]} rows
+   * @param {InventoryLayout} [layout] Skips rows for locations the layout does not have
+   * @returns {{loaded:number,skipped:number,errors:string[]}}
+   */
+  loadRecords(rows, layout = null) {
+    const errors = [];
+    let loaded = 0;
+    rows.forEach((row, i) => {
+      const { record, error } = normalizeRecord(row);
+      const problem = error || (layout && layoutError(record, layout));
+      if (problem) {
+        errors.push(`row ${i + 1}: ${problem}`);
+        return;
+      }
+      this.records.set(InventoryService.key(record), record);
+      loaded++;
+    });
+    this.version++;
+    return { loaded, skipped: rows.length - loaded, errors };
+  }
+
+  /**
+   * @param {InventoryLayout} [layout] Counts only records for locations the layout has (it may have changed since loading)
+   * @returns {{filled:number,reserved:number,records:number}}
+   */
+  summary(layout = null) {
+    let filled = 0; let reserved = 0; let records = 0;
+    for (const r of this.records.values()) {
+      if (layout && layoutError(r, layout)) continue;
+      records++;
+      if (r.status === 'filled') filled++;
+      else if (r.status === 'reserved') reserved++;
+    }
+    return { filled, reserved, records };
+  }
+
+  /** Attaches stock to every Location of a domain graph built by DomainBuilder. */
+  applyTo(domain) {
+    for (const aisle of domain.aisles) {
+      for (const module of aisle.modules) {
+        for (const loc of module.locations) loc.applyInventory(this.get(loc));
+      }
+    }
+    return domain;
+  }
+
+  /** Serialises the stock back to 1-based rows (same shape as the JSON stock file). */
+  toJSON() {
+    return [...this.records.values()].map(r => {
+      const row = { ...r, side: r.side === 1 ? 'east' : 'west' };
+      INDEX_KEYS.forEach(k => { row[k] = r[k] + 1; });
+      return row;
+    });
+  }
+}
+
+/**
+ * Why a record's location is not in the layout, or null when it is.
+ * @param {InventoryRecord} record
+ * @param {InventoryLayout} layout
+ * @returns {string|null}
+ */
+function layoutError(record, { uiConfig, missingLocations = [] }) {
+  if (record.aisle >= uiConfig.aisles) return `aisle ${record.aisle + 1} does not exist`;
+  const { levels, modules, depth, locations } = aisleParams(uiConfig, record.aisle);
+  const limits = { level: levels, module: modules, depth, position: locations };
+  const bad = Object.keys(limits).find(k => record[k] >= limits[k]);
+  if (bad) return `${bad} ${record[bad] + 1} is outside aisle ${record.aisle + 1} (1-${limits[bad]})`;
+  if (isLocationMissing(missingLocations, record)) return 'location is a missing location';
+  return null;
+}
+
+/**
+ * Converts a raw stock row (1-based, snake_case or camelCase) to an InventoryRecord.
+ * @returns {{record?:InventoryRecord, error?:string}} `error` when a location index or the side is invalid
+ */
+function normalizeRecord(row) {
+  if (!row || typeof row !== 'object') return { error: 'missing or invalid location index' };
+  const record = {};
+  for (const k of INDEX_KEYS) {
+    const v = Number(row[k]);
+    if (!Number.isInteger(v) || v < 1) return { error: 'missing or invalid location index' };
+    record[k] = v - 1;
+  }
+  const side = emptyToNull(row.side);
+  if (side !== null && sideIndex(side) === null) return { error: `unknown side "${side}"` };
+  record.side = normalizeSide(side);
+  record.sku = emptyToNull(row.sku);
+  record.containerId = emptyToNull(row.containerId ?? row.container_id);
+  const qty = Number(row.quantity);
+  record.quantity = Number.isFinite(qty) ? qty : 0;
+  record.storedAt = emptyToNull(row.storedAt ?? row.stored_at);
+  record.updatedAt = emptyToNull(row.updatedAt ?? row.updated_at) ?? record.storedAt;
+  const status = typeof row.status === 'string' ? row.status.trim().toLowerCase() : '';
+  if (INVENTORY_STATUSES.includes(status)) {
+    record.status = status;
+  } else {
+    record.status = (record.sku || record.containerId) ? 'filled' : 'empty';
+  }
+  return { record };
+}
+
+function emptyToNull(v) {
+  if (v === undefined || v === null) return null;
+  const s = String(v).trim();
+  return s === '' ? null : s;
+}
+
+/**
+ * Parses a JSON stock file: either an array of rows or `{ inventory: [...] }`.
+ * @param {string} text
+ * @returns {Object[]}
+ */
+export function parseInventoryJSON(text) {
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.inventory)) return data.inventory;
+  throw new Error('Stock file must be an array or contain an "inventory" array');
+}
+
+/**
+ * Parses a CSV stock file with a header row (see parseCSV).
+ * @param {string} text
+ * @returns {Object[]}
+ */
+export function parseInventoryCSV(text) {
+  return parseCSV(text);
+}
@@ -1,26 +1,34 @@
+import { SIDE_NAMES } from '../rules/locationRules.js';
+
 /**
  * Computes simple warehouse metrics from domain graph.
+ * Net counts are broken down per aisle (and per rack side within it), per level and per side.
  */
 export class MetricsService {
   compute(domain) {
     let net = 0;
     const aisleBreakdown = [];
     const levelCounts = new Map(); // level -> net locations
+    const sideCounts = [0, 0]; // west, east
     for (const aisle of domain.aisles) {
-      let aisleCount = 0;
+      const aisleSides = [0, 0];
       for (const module of aisle.modules) {
         for (const loc of module.locations) {
-          aisleCount++;
+          aisleSides[loc.side ?? 0]++;
           const prev = levelCounts.get(loc.level) || 0;
           levelCounts.set(loc.level, prev + 1);
         }
       }
-      aisleBreakdown.push({ aisle: aisle.id, net: aisleCount });
+      const aisleCount = aisleSides[0] + aisleSides[1];
+      aisleBreakdown.push({ aisle: aisle.id, net: aisleCount, west: aisleSides[0], east: aisleSides[1] });
+      sideCounts[0] += aisleSides[0];
+      sideCounts[1] += aisleSides[1];
       net += aisleCount;
     }
     const gross = domain.__theoreticalGross ?? net;
     const missing = gross - net;
     const levels = [...levelCounts.entries()].sort((a,b)=>a[0]-b[0]).map(([level,count])=>({level, net: count}));
-    return { gross, net, missing, aisles: aisleBreakdown, levels };
+    const sides = SIDE_NAMES.map((side, i) => ({ side, net: sideCounts[i] }));
+    return { gross, net, missing, aisles: aisleBreakdown, levels, sides };
   }
 }
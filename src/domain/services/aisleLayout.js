@@ -0,0 +1,153 @@
+/**
+ * Per-aisle rack geometry. `modules_per_aisle`, `locations_per_module`, `storage_depth`, `level_heights` and
+ * `clear_height` are warehouse-wide defaults; `aisle_overrides` entries (0-based `aisle`) replace them for single
+ * aisles, e.g. short aisles around building columns or single-deep aisles next to a wall. Aisles sit side by side
+ * along x, each as wide as its two racks plus the aisle, so a shallower aisle moves every aisle after it.
+ * Levels are stacked from the floor with the pitch of their height profile. Location, aisle and default level
+ * sizes come from the layout's dimension profile (dimensionProfiles.js).
+ */
+import { constants } from '../../core/constants.js';
+import { resolveDimensions } from './dimensionProfiles.js';
+
+/** Parameters an aisle override may replace. */
+export const AISLE_OVERRIDE_KEYS = ['modules_per_aisle', 'locations_per_module', 'storage_depth', 'level_heights', 'clear_height'];
+
+/**
+ * Pitch of every level from a bottom-up height profile; levels above the profile repeat its last entry.
+ * @param {number[]} [profile] Level heights in m, level 0 first (empty = `fallback`)
+ * @param {number} levels
+ * @param {number} [fallback=constants.levelHeight] Level pitch of the dimension profile
+ * @returns {number[]}
+ */
+export function levelHeightsFor(profile, levels, fallback = constants.levelHeight) {
+  const heights = Array.isArray(profile) && profile.length ? profile : [fallback];
+  return Array.from({ length: levels }, (_, l) => heights[Math.min(l, heights.length - 1)]);
+}
+
+/**
+ * Geometry parameters of one aisle with its overrides applied. `levelBases` holds the floor elevation of every
+ * level plus the rack top, `clearHeight` is null when the building height is unknown.
+ * @param {Object} uiConfig
+ * @param {number} aisle 0-based
+ * @returns {{levels:number, modules:number, locations:number, depth:number, levelHeights:number[], levelBases:number[], height:number, clearHeight:number|null, locationLength:number, locationDepth:number, aisleWidth:number}}
+ */
+export function aisleParams(uiConfig, aisle) {
+  const override = (uiConfig.aisle_overrides || []).find(o => o && o.aisle === aisle) || {};
+  const levels = uiConfig.levels_per_aisle[aisle] || 0;
+  const { locationLength, locationDepth, aisleWidth, levelHeight } = resolveDimensions(uiConfig);
+  const levelHeights = levelHeightsFor(override.level_heights ?? uiConfig.level_heights, levels, levelHeight);
+  const levelBases = [0];
+  levelHeights.forEach((h, l) => levelBases.push(levelBases[l] + h));
+  return {
+    levels,
+    modules: override.modules_per_aisle ?? uiConfig.modules_per_aisle,
+    locations: override.locations_per_module ?? uiConfig.locations_per_module,
+    depth: override.storage_depth ?? uiConfig.storage_depth,
+    levelHeights,
+    levelBases,
+    height: levelBases[levels],
+    clearHeight: override.clear_height ?? uiConfig.clear_height ?? null,
+    locationLength,
+    locationDepth,
+    aisleWidth
+  };
+}
+
+/**
+ * Elevation of the centre of a level (where shuttles run and loads sit).
+ * @param {{levelHeights:number[], levelBases:number[]}} geometry aisleParams / aisleLayout entry
+ * @param {number} level 0-based
+ * @returns {number}
+ */
+export function rackLevelCenter(geometry, level) {
+  const { levelHeights, levelBases } = geometry;
+  if (level < levelHeights.length) return levelBases[level] + levelHeights[level] / 2;
+  // Above the rack (e.g. a level being added): continue with the top pitch
+  const top = levelHeights[levelHeights.length - 1] ?? constants.levelHeight;
+  return levelBases[levelBases.length - 1] + (level - levelHeights.length) * top + top / 2;
+}
+
+/**
+ * Placement of every aisle in rack-group coordinates (x across aisles, z along them from the lift end).
+ * `x` is the west rack line, `eastX` the east one and `centerX` the aisle centre where lift and shuttles run.
+ * @param {Object} uiConfig
+ * @returns {{aisle:number, levels:number, modules:number, locations:number, depth:number, levelHeights:number[], levelBases:number[], height:number, clearHeight:number|null, locationLength:number, locationDepth:number, aisleWidth:number, rackDepth:number, moduleLength:number, length:number, x:number, eastX:number, centerX:number, width:number}[]}
+ */
+export function aisleLayout(uiConfig) {
+  const layout = [];
+  let x = 0;
+  for (let a = 0; a < uiConfig.aisles; a++) {
+    const params = aisleParams(uiConfig, a);
+    const rackDepth = params.depth * params.locationDepth;
+    const moduleLength = params.locations * params.locationLength;
+    const width = rackDepth * 2 + params.aisleWidth;
+    layout.push({
+      aisle: a,
+      ...params,
+      rackDepth,
+      moduleLength,
+      length: params.modules * moduleLength,
+      x,
+      eastX: x + rackDepth + params.aisleWidth,
+      centerX: x + rackDepth + params.aisleWidth / 2,
+      width
+    });
+    x += width;
+  }
+  return layout;
+}
+
+/**
+ * Deepest storage depth of any aisle (the prezone keeps clear of the deepest rack).
+ * @param {Object} uiConfig
+ * @returns {number}
+ */
+export function maxStorageDepth(uiConfig) {
+  return aisleLayout(uiConfig).reduce((max, a) => Math.max(max, a.depth), 1);
+}
+
+/**
+ * Depth in m of the deepest rack.
+ * @param {Object} uiConfig
+ * @returns {number}
+ */
+export function maxRackDepth(uiConfig) {
+  return maxStorageDepth(uiConfig) * resolveDimensions(uiConfig).locationDepth;
+}
+
+/**
+ * Origin of the prezone (PLC station coordinates) in rack-group coordinates: in front of the deepest rack.
+ * @param {Object} uiConfig
+ * @returns {{x:number, z:number}}
+ */
+export function prezoneOrigin(uiConfig) {
+  return { x: 1.0, z: -maxRackDepth(uiConfig) - 5 };
+}
+
+/**
+ * Aisles whose rack top exceeds the building clear height.
+ * @param {Object} uiConfig
+ * @returns {{aisle:number, height:number, clearHeight:number, excess:number}[]}
+ */
+export function clearHeightViolations(uiConfig) {
+  return aisleLayout(uiConfig)
+    .filter(a => a.clearHeight !== null && a.height > a.clearHeight + 1e-9)
+    .map(a => ({ aisle: a.aisle, height: +a.height.toFixed(3), clearHeight: a.clearHeight, excess: +(a.height - a.clearHeight).toFixed(3) }));
+}
+
+/**
+ * Overrides with one value set or cleared; entries left without values are dropped.
+ * @param {Object[]} overrides Current `aisle_overrides`
+ * @param {number} aisle 0-based
+ * @param {string} key One of AISLE_OVERRIDE_KEYS
+ * @param {number|number[]|null} value null = use the warehouse-wide value
+ * @returns {Object[]} New array, sorted by aisle
+ */
+export function setAisleOverride(overrides, aisle, key, value) {
+  const next = (overrides || []).filter(o => o && o.aisle !== aisle).map(o => ({ ...o }));
+  const current = { ...((overrides || []).find(o => o && o.aisle === aisle) || { aisle }) };
+  if (value === null || value === undefined) delete current[key];
+  else current[key] = value;
+  if (AISLE_OVERRIDE_KEYS.some(k => k in current)) next.push(current);
+  return next.sort((a, b) => a.aisle - b.aisle);
+}
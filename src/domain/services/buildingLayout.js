@@ -0,0 +1,303 @@
+/**
+ * Building envelope around the installation (`building` in the layout) and clash detection against it.
+ * Everything is in rack-group coordinates, in m: x across the aisles (0 = west rack line of the first aisle),
+ * z along them (0 = lift end of the racks, the prezone lies at negative z). `walls` is the closed polygon of the
+ * wall centre lines; doors snap to the nearest wall. Racks, lifts and PLC stations are checked as boxes against
+ * the walls, the column grid, fire walls, the clear zone in front of every door and the sprinkler clearance height.
+ */
+import { aisleLayout, prezoneOrigin } from './aisleLayout.js';
+import { formatLength } from './dimensionProfiles.js';
+import { resolvePlcAddressCodec } from './plcAddress.js';
+import { prezoneLevelHeights, stationElevation } from './prezoneLevels.js';
+
+/** Values used when the layout leaves them out. */
+export const BUILDING_DEFAULTS = {
+  wall_thickness: 0.3,
+  wall_height: 12,
+  column_size: 0.5,
+  door_height: 4,
+  door_clearance: 3,
+  fire_wall_thickness: 0.25
+};
+
+/** Lift footprint and its distance from the rack front (AnimationManager.createLifts). */
+export const LIFT_FOOTPRINT = { size: 0.6, z: 0.5 };
+
+/** Station footprints (width along x, depth along z before rotation, height) as drawn by PLCStationManager. */
+export const STATION_FOOTPRINTS = {
+  helper_station: { width: 1.2, depth: 0.8, height: 0.4 },
+  aisle_entrance: { width: 1.5, depth: 0.8, height: 0.5 },
+  lift_station: { width: 1.5, depth: 1.5, height: 0.4 },
+  picking_diverter: { width: 1.0, depth: 1.2, height: 0.4 },
+  picking_station: { width: 2.0, depth: 1.0, height: 0.4 },
+  lift_reading_point: { width: 0.8, depth: 0.6, height: 0.4 },
+  unknown: { width: 1.0, depth: 1.0, height: 0.5 }
+};
+
+/** Clash kinds in report order. */
+export const CLASH_KINDS = ['outside', 'wall', 'column', 'fire_wall', 'door', 'sprinkler'];
+
+const EPSILON = 1e-6;
+
+const rectangle = (minX, maxX, minZ, maxZ) => [
+  { x: minX, z: minZ }, { x: maxX, z: minZ }, { x: maxX, z: maxZ }, { x: minX, z: maxZ }
+];
+
+/** Rectangle of `halfWidth` on both sides of a segment (a wall, a door clear zone). */
+function band(from, to, halfWidth) {
+  const length = Math.hypot(to.x - from.x, to.z - from.z) || 1;
+  const nx = -(to.z - from.z) / length * halfWidth;
+  const nz = (to.x - from.x) / length * halfWidth;
+  return [
+    { x: from.x + nx, z: from.z + nz }, { x: to.x + nx, z: to.z + nz },
+    { x: to.x - nx, z: to.z - nz }, { x: from.x - nx, z: from.z - nz }
+  ];
+}
+
+/** Separating axis test of two convex polygons; touching edges do not count. */
+function convexOverlap(a, b) {
+  for (const polygon of [a, b]) {
+    for (let i = 0; i < polygon.length; i++) {
+      const p = polygon[i];
+      const q = polygon[(i + 1) % polygon.length];
+      const axis = { x: q.z - p.z, z: p.x - q.x };
+      const project = (points) => points.map(pt => pt.x * axis.x + pt.z * axis.z);
+      const pa = project(a);
+      const pb = project(b);
+      const scale = Math.hypot(axis.x, axis.z) || 1;
+      if (Math.min(Math.max(...pa), Math.max(...pb)) - Math.max(Math.min(...pa), Math.min(...pb)) <= EPSILON * scale) return false;
+    }
+  }
+  return true;
+}
+
+/** Ray casting point-in-polygon test. */
+function insidePolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.z > point.z) !== (b.z > point.z) && point.x < (b.x - a.x) * (point.z - a.z) / (b.z - a.z) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+/** Centre of the overlap of the bounding boxes of two polygons (where a clash is marked). */
+function overlapCenter(a, b) {
+  const bounds = (points) => ({
+    minX: Math.min(...points.map(p => p.x)), maxX: Math.max(...points.map(p => p.x)),
+    minZ: Math.min(...points.map(p => p.z)), maxZ: Math.max(...points.map(p => p.z))
+  });
+  const ba = bounds(a);
+  const bb = bounds(b);
+  const round = (v) => +v.toFixed(3);
+  return {
+    x: round((Math.max(ba.minX, bb.minX) + Math.min(ba.maxX, bb.maxX)) / 2),
+    z: round((Math.max(ba.minZ, bb.minZ) + Math.min(ba.maxZ, bb.maxZ)) / 2)
+  };
+}
+
+/**
+ * Building of a layout with defaults applied, or null without one. Columns are expanded from their grid,
+ * doors carry the wall they sit on and the ends of their opening.
+ * @param {Object} uiConfig
+ * @returns {{walls:{x:number,z:number}[], wallThickness:number, wallHeight:number, columns:Object[], doors:Object[], fireWalls:Object[], sprinklerClearanceHeight:number|null}|null}
+ */
+export function resolveBuilding(uiConfig) {
+  const building = uiConfig && uiConfig.building;
+  if (!building) return null;
+  const walls = (building.walls || []).map(({ x, z }) => ({ x, z }));
+  const wallHeight = building.wall_height ?? uiConfig.clear_height ?? BUILDING_DEFAULTS.wall_height;
+
+  const columns = [];
+  const grid = building.columns;
+  if (grid) {
+    const size = grid.size ?? BUILDING_DEFAULTS.column_size;
+    for (let i = 0; i < grid.count.x; i++) {
+      for (let j = 0; j < grid.count.z; j++) {
+        // Grid lines: letters across the aisles, numbers along them
+        const letter = i < 26 ? String.fromCharCode(65 + i) : `X${i + 1}`;
+        columns.push({ label: `${letter}${j + 1}`, x: grid.origin.x + i * grid.spacing.x, z: grid.origin.z + j * grid.spacing.z, size });
+      }
+    }
+  }
+
+  const segments = walls.map((from, i) => ({ from, to: walls[(i + 1) % walls.length] }));
+  const doors = (building.doors || []).map((door, index) => {
+    // Nearest wall and the door centre projected onto it
+    let best = null;
+    segments.forEach((segment, wall) => {
+      const dx = segment.to.x - segment.from.x;
+      const dz = segment.to.z - segment.from.z;
+      const length = Math.hypot(dx, dz);
+      if (!length) return;
+      const t = Math.min(Math.max(((door.position.x - segment.from.x) * dx + (door.position.z - segment.from.z) * dz) / (length * length), 0), 1);
+      const point = { x: segment.from.x + t * dx, z: segment.from.z + t * dz };
+      const distance = Math.hypot(door.position.x - point.x, door.position.z - point.z);
+      if (!best || distance < best.distance) best = { wall, offset: t * length, length, dx: dx / length, dz: dz / length, distance };
+    });
+    const half = door.width / 2;
+    const offset = best ? Math.min(Math.max(best.offset, half), Math.max(half, best.length - half)) : 0;
+    const at = (o) => (best ? { x: segments[best.wall].from.x + best.dx * o, z: segments[best.wall].from.z + best.dz * o } : { ...door.position });
+    return {
+      index,
+      label: door.name || `Door ${index + 1}`,
+      wall: best ? best.wall : null,
+      offset,
+      width: door.width,
+      height: door.height ?? BUILDING_DEFAULTS.door_height,
+      clearance: door.clearance ?? BUILDING_DEFAULTS.door_clearance,
+      from: at(offset - half),
+      to: at(offset + half)
+    };
+  });
+
+  const fireWalls = (building.fire_walls || []).map((fireWall, index) => ({
+    index,
+    label: fireWall.name || `Fire wall ${index + 1}`,
+    from: { x: fireWall.from.x, z: fireWall.from.z },
+    to: { x: fireWall.to.x, z: fireWall.to.z },
+    thickness: fireWall.thickness ?? BUILDING_DEFAULTS.fire_wall_thickness,
+    height: fireWall.height ?? wallHeight
+  }));
+
+  return {
+    walls,
+    wallThickness: building.wall_thickness ?? BUILDING_DEFAULTS.wall_thickness,
+    wallHeight,
+    columns,
+    doors,
+    fireWalls,
+    sprinklerClearanceHeight: building.sprinkler_clearance_height ?? null
+  };
+}
+
+/**
+ * Plan footprints and top heights of racks, lifts and PLC stations in rack-group coordinates.
+ * Loops are not stations (they are drawn as conveyors) and are left out.
+ * @param {Object} uiConfig
+ * @returns {{type:'rack'|'lift'|'station', label:string, aisle?:number, side?:number, plc_address?:number, minX:number, maxX:number, minZ:number, maxZ:number, top:number}[]}
+ */
+export function equipmentFootprints(uiConfig) {
+  const items = [];
+  for (const aisle of aisleLayout(uiConfig)) {
+    if (!aisle.levels) continue;
+    [aisle.x, aisle.eastX].forEach((x, side) => {
+      items.push({
+        type: 'rack', label: `Aisle ${aisle.aisle + 1} ${side === 1 ? 'east' : 'west'} rack`, aisle: aisle.aisle, side,
+        minX: x, maxX: x + aisle.rackDepth, minZ: 0, maxZ: aisle.length, top: aisle.height
+      });
+    });
+    // The lift mast serves the top level
+    const half = LIFT_FOOTPRINT.size / 2;
+    items.push({
+      type: 'lift', label: `Lift aisle ${aisle.aisle + 1}`, aisle: aisle.aisle,
+      minX: aisle.centerX - half, maxX: aisle.centerX + half, minZ: LIFT_FOOTPRINT.z - half, maxZ: LIFT_FOOTPRINT.z + half, top: aisle.height
+    });
+  }
+
+  const codec = resolvePlcAddressCodec(uiConfig.plc_address_convention);
+  const heights = prezoneLevelHeights(uiConfig);
+  const origin = prezoneOrigin(uiConfig);
+  (uiConfig.plc_stations || []).forEach(station => {
+    if (!station || !station.position || codec.isLoopAddress(station.plc_address)) return;
+    const { width, depth, height } = STATION_FOOTPRINTS[codec.stationType(station.plc_address)] || STATION_FOOTPRINTS.unknown;
+    // Bounding box of the rotated footprint
+    const angle = (station.rotation || 0) * Math.PI / 180;
+    const halfX = (Math.abs(Math.cos(angle)) * width + Math.abs(Math.sin(angle)) * depth) / 2;
+    const halfZ = (Math.abs(Math.sin(angle)) * width + Math.abs(Math.cos(angle)) * depth) / 2;
+    const x = origin.x + station.position.x;
+    const z = origin.z + station.position.z;
+    const base = (station.position.y || 0) + stationElevation(station.plc_address, codec, heights);
+    items.push({
+      type: 'station', label: station.name || `Station ${station.plc_address}`, plc_address: station.plc_address,
+      minX: x - halfX, maxX: x + halfX, minZ: z - halfZ, maxZ: z + halfZ, top: +(base + height).toFixed(3)
+    });
+  });
+  return items;
+}
+
+/**
+ * Every conflict between the equipment and the building. Items outside the walls are reported once as `outside`;
+ * `sprinkler` entries carry the height above the sprinkler clearance height in `excess`.
+ * @param {Object} uiConfig
+ * @returns {{kind:string, item:{type:string, label:string, aisle?:number, side?:number, plc_address?:number}, obstacle:{type:string, label:string, index?:number}, at:{x:number, z:number}, excess?:number}[]}
+ */
+export function detectBuildingClashes(uiConfig) {
+  const building = resolveBuilding(uiConfig);
+  if (!building) return [];
+  const obstacles = [];
+  const hasWalls = building.walls.length >= 3;
+  if (hasWalls) {
+    building.walls.forEach((from, i) => {
+      const to = building.walls[(i + 1) % building.walls.length];
+      obstacles.push({ kind: 'wall', obstacle: { type: 'wall', label: `Wall ${i + 1}`, index: i }, shape: band(from, to, building.wallThickness / 2) });
+    });
+  }
+  building.columns.forEach((column, index) => {
+    const half = column.size / 2;
+    obstacles.push({
+      kind: 'column',
+      obstacle: { type: 'column', label: `Column ${column.label}`, index },
+      shape: rectangle(column.x - half, column.x + half, column.z - half, column.z + half)
+    });
+  });
+  building.fireWalls.forEach(fireWall => {
+    obstacles.push({ kind: 'fire_wall', obstacle: { type: 'fire_wall', label: fireWall.label, index: fireWall.index }, shape: band(fireWall.from, fireWall.to, fireWall.thickness / 2) });
+  });
+  building.doors.forEach(door => {
+    // Clear zone: the opening's width, `clearance` deep on both sides of the wall
+    obstacles.push({ kind: 'door', obstacle: { type: 'door', label: door.label, index: door.index }, shape: band(door.from, door.to, door.clearance) });
+  });
+
+  const clashes = [];
+  const describe = ({ type, label, aisle, side, plc_address }) => ({
+    type, label, ...(aisle !== undefined ? { aisle } : {}), ...(side !== undefined ? { side } : {}), ...(plc_address !== undefined ? { plc_address } : {})
+  });
+  for (const item of equipmentFootprints(uiConfig)) {
+    const shape = rectangle(item.minX, item.maxX, item.minZ, item.maxZ);
+    const center = { x: +((item.minX + item.maxX) / 2).toFixed(3), z: +((item.minZ + item.maxZ) / 2).toFixed(3) };
+    if (hasWalls && !shape.every(point => insidePolygon(point, building.walls))) {
+      clashes.push({ kind: 'outside', item: describe(item), obstacle: { type: 'building', label: 'Building' }, at: center });
+    }
+    obstacles.forEach(({ kind, obstacle, shape: obstacleShape }) => {
+      if (convexOverlap(shape, obstacleShape)) clashes.push({ kind, item: describe(item), obstacle, at: overlapCenter(shape, obstacleShape) });
+    });
+    const limit = building.sprinklerClearanceHeight;
+    if (limit !== null && item.top > limit + EPSILON) {
+      clashes.push({
+        kind: 'sprinkler', item: describe(item), obstacle: { type: 'sprinkler', label: 'Sprinkler clearance' },
+        at: center, excess: +(item.top - limit).toFixed(3)
+      });
+    }
+  }
+  return clashes.sort((a, b) => CLASH_KINDS.indexOf(a.kind) - CLASH_KINDS.indexOf(b.kind));
+}
+
+/**
+ * One line per clash for the Info panel, the report and the CLI.
+ * @param {Object} clash detectBuildingClashes entry
+ * @param {string} [units='m'] Display units (dimensionProfiles.LENGTH_UNITS)
+ * @returns {string}
+ */
+export function describeClash(clash, units = 'm') {
+  const { kind, item, obstacle, excess } = clash;
+  switch (kind) {
+    case 'outside': return `${item.label} is outside the building walls`;
+    case 'sprinkler': return `${item.label} reaches ${formatLength(excess, units)} above the sprinkler clearance height`;
+    case 'door': return `${item.label} blocks the clear zone of ${obstacle.label}`;
+    default: return `${item.label} clashes with ${obstacle.label}`;
+  }
+}
+
+/**
+ * Clash report of a layout: clashes with their text, counts per kind and the building summary.
+ * @param {Object} uiConfig
+ * @returns {{building:boolean, valid:boolean, counts:Object<string, number>, clashes:Object[]}}
+ */
+export function buildingClashReport(uiConfig) {
+  const units = (uiConfig && uiConfig.units) || 'm';
+  const clashes = detectBuildingClashes(uiConfig).map(clash => ({ ...clash, message: describeClash(clash, units) }));
+  const counts = Object.fromEntries(CLASH_KINDS.map(kind => [kind, clashes.filter(c => c.kind === kind).length]));
+  return { building: !!(uiConfig && uiConfig.building), valid: clashes.length === 0, counts, clashes };
+}
@@ -0,0 +1,178 @@
+/**
+ * Freeform conveyor paths of the prezone (loops and open sections), pure so routing can use them headless.
+ * A path is a list of `{x, z, y?}` points in prezone coordinates, joined as:
+ * - `polyline`: straight sections; `corner_radius` rounds every corner into an arc (90° curves)
+ * - `spline`: a Catmull-Rom curve through the points
+ * Paths are sampled into polylines; snapping and sub-paths work on those samples, ellipses included.
+ */
+
+const SPLINE_SAMPLES_PER_SEGMENT = 12;
+const ARC_STEP = Math.PI / 16;
+
+/**
+ * @typedef {Object} ConveyorPathConfig
+ * @property {{x:number, z:number, y?:number}[]} points At least 2
+ * @property {'polyline'|'spline'} [curve='polyline']
+ * @property {number} [corner_radius=0] Polyline corners
+ * @property {boolean} [closed] Default true for loops, false for open sections
+ */
+
+/**
+ * @typedef {Object} PathProjection
+ * @property {{x:number,y:number,z:number}} point Closest point on the path
+ * @property {number} index Segment index
+ * @property {number} t 0..1 along the segment
+ * @property {number} along Distance from the first point along the path
+ * @property {number} distance Horizontal distance to the projected point
+ */
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+/** Rounds a polyline corner at `p1` into an arc; returns the arc points or `[p1]` when there is nothing to round. */
+function filletCorner(p0, p1, p2, radius) {
+  const l1 = Math.hypot(p1.x - p0.x, p1.z - p0.z);
+  const l2 = Math.hypot(p2.x - p1.x, p2.z - p1.z);
+  if (radius <= 0 || l1 === 0 || l2 === 0) return [p1];
+  const d1 = { x: (p1.x - p0.x) / l1, z: (p1.z - p0.z) / l1 };
+  const d2 = { x: (p2.x - p1.x) / l2, z: (p2.z - p1.z) / l2 };
+  const turn = Math.acos(Math.max(-1, Math.min(1, d1.x * d2.x + d1.z * d2.z)));
+  if (turn < 1e-3 || turn > Math.PI - 1e-3) return [p1];
+  const r = Math.min(radius, Math.min(l1, l2) / 2 / Math.tan(turn / 2));
+  const tangent = r * Math.tan(turn / 2);
+  const side = Math.sign(d1.x * d2.z - d1.z * d2.x);
+  const start = { x: p1.x - d1.x * tangent, z: p1.z - d1.z * tangent };
+  const center = { x: start.x - d1.z * r * side, z: start.z + d1.x * r * side };
+  const a0 = Math.atan2(start.z - center.z, start.x - center.x);
+  const steps = Math.max(2, Math.ceil(turn / ARC_STEP));
+  const arc = [];
+  for (let i = 0; i <= steps; i++) {
+    const a = a0 + side * turn * (i / steps);
+    arc.push({ x: center.x + r * Math.cos(a), y: p1.y, z: center.z + r * Math.sin(a) });
+  }
+  return arc;
+}
+
+function catmullRom(p0, p1, p2, p3, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  const f = (a, b, c, d) => 0.5 * (2 * b + (-a + c) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (-a + 3 * b - 3 * c + d) * t3);
+  return { x: f(p0.x, p1.x, p2.x, p3.x), y: lerp(p1.y, p2.y, t), z: f(p0.z, p1.z, p2.z, p3.z) };
+}
+
+/**
+ * Samples a path into a polyline (closed paths do not repeat the first point).
+ * @param {ConveyorPathConfig} path
+ * @param {Object} [options]
+ * @param {number} [options.y=0] Added to every point's `y`
+ * @param {boolean} [options.closed=false] Used when the path does not set `closed`
+ * @returns {{points:{x:number,y:number,z:number}[], closed:boolean}}
+ */
+export function sampleConveyorPath(path, { y = 0, closed: closedDefault = false } = {}) {
+  const closed = path.closed ?? closedDefault;
+  const input = (path.points || []).map(p => ({ x: p.x, y: (p.y || 0) + y, z: p.z }));
+  const n = input.length;
+  if (n < 2) return { points: input, closed: false };
+  const at = (i) => input[closed ? (i + n) % n : Math.max(0, Math.min(n - 1, i))];
+  const points = [];
+  if (path.curve === 'spline') {
+    const segments = closed ? n : n - 1;
+    for (let i = 0; i < segments; i++) {
+      for (let s = 0; s < SPLINE_SAMPLES_PER_SEGMENT; s++) points.push(catmullRom(at(i - 1), at(i), at(i + 1), at(i + 2), s / SPLINE_SAMPLES_PER_SEGMENT));
+    }
+    if (!closed) points.push({ ...input[n - 1] });
+  } else {
+    const radius = path.corner_radius || 0;
+    input.forEach((p, i) => {
+      if (!closed && (i === 0 || i === n - 1)) points.push({ ...p });
+      else points.push(...filletCorner(at(i - 1), p, at(i + 1), radius));
+    });
+  }
+  return { points, closed };
+}
+
+/**
+ * Ellipse as a closed polyline (the classic main loop).
+ * @param {{x:number,y:number,z:number}} center
+ * @param {number} radiusX
+ * @param {number} radiusZ
+ * @param {number} [samples=96]
+ * @returns {{points:{x:number,y:number,z:number}[], closed:true}}
+ */
+export function ellipsePath(center, radiusX, radiusZ, samples = 96) {
+  const points = [];
+  for (let i = 0; i < samples; i++) {
+    const a = (i / samples) * Math.PI * 2;
+    points.push({ x: center.x + radiusX * Math.cos(a), y: center.y, z: center.z + radiusZ * Math.sin(a) });
+  }
+  return { points, closed: true };
+}
+
+/** Segment start indices and cumulative lengths of a sampled path. */
+function measure({ points, closed }) {
+  const segments = closed ? points.length : points.length - 1;
+  const offsets = [0];
+  for (let i = 0; i < segments; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    offsets.push(offsets[i] + Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z));
+  }
+  return { segments, offsets, length: offsets[segments] };
+}
+
+/**
+ * Closest point of a sampled path to `p`, measured horizontally (stations snap in plan view).
+ * @param {{points:Object[], closed:boolean}} sampled
+ * @param {{x:number, z:number}} p
+ * @returns {PathProjection|null} null for paths with fewer than 2 points
+ */
+export function projectOntoPath(sampled, p) {
+  const { points } = sampled;
+  if (points.length < 2) return null;
+  const { segments, offsets } = measure(sampled);
+  let best = null;
+  for (let i = 0; i < segments; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const len2 = dx * dx + dz * dz;
+    const t = len2 === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.z - a.z) * dz) / len2));
+    const point = { x: a.x + dx * t, y: lerp(a.y, b.y, t), z: a.z + dz * t };
+    const distance = Math.hypot(p.x - point.x, p.z - point.z);
+    if (!best || distance < best.distance) {
+      best = { point, index: i, t, along: offsets[i] + (offsets[i + 1] - offsets[i]) * t, distance };
+    }
+  }
+  return best;
+}
+
+/**
+ * Points of a sampled path between two projections, endpoints included. Closed paths take the shorter way round,
+ * open paths run between the two positions.
+ * @param {{points:Object[], closed:boolean}} sampled
+ * @param {PathProjection} from
+ * @param {PathProjection} to
+ * @returns {{x:number,y:number,z:number}[]}
+ */
+export function pathBetween(sampled, from, to) {
+  const { points, closed } = sampled;
+  const { length } = measure(sampled);
+  let forward = to.along >= from.along;
+  if (closed) {
+    const ahead = (to.along - from.along + length) % length;
+    forward = ahead <= length - ahead;
+  }
+  const n = points.length;
+  const result = [{ ...from.point }];
+  // forward: vertices from.index+1 .. to.index; backward: from.index .. to.index+1 (a full lap on the same segment)
+  let count = forward ? to.index - from.index : from.index - to.index;
+  if (closed) {
+    count = (count + n) % n;
+    if (count === 0 && (forward ? to.t < from.t : to.t > from.t)) count = n;
+  }
+  for (let j = 0; j < count; j++) {
+    result.push({ ...points[forward ? (from.index + 1 + j) % n : (from.index - j + n) % n] });
+  }
+  result.push({ ...to.point });
+  return result;
+}
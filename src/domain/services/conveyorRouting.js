@@ -0,0 +1,214 @@
+/**
+ * Shortest-path routing of containers over the PLC conveyor network (graph from conveyorTopology.js).
+ * Segments are weighted by their length from the station positions; hops over an implicit loop (main loop SRC 11401,
+ * loops of other levels) follow that loop's path (ellipse or freeform, the shorter way round) when its geometry is given,
+ * otherwise they are straight. Station-to-station edges follow an open conveyor section both stations sit on.
+ * Positions and polylines are in prezone coordinates: the `position` of plc_stations raised to the station's
+ * floor / conveyor level (prezoneLevels.js).
+ */
+import { buildConveyorGraph } from './conveyorTopology.js';
+import { ellipsePath, pathBetween, projectOntoPath } from './conveyorPath.js';
+import { DEFAULT_PREZONE_LEVEL_HEIGHTS, stationElevation } from './prezoneLevels.js';
+
+const LOOP_ARC_SAMPLES = 96;
+/** Max distance of a station from an open section to count as sitting on it. */
+const SECTION_TOLERANCE = 0.05;
+
+const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+
+/**
+ * @typedef {Object} MainLoopGeometry
+ * @property {{x:number,y:number,z:number}} center
+ * @property {number} radiusX
+ * @property {number} radiusZ
+ * @property {{points:{x:number,y:number,z:number}[], closed:boolean}} [path] Sampled freeform loop; replaces the ellipse
+ */
+
+/**
+ * @typedef {Object} ConveyorRoute
+ * @property {number[]} stations Ordered PLC addresses, `from` first, loops included where they are used
+ * @property {{x:number,y:number,z:number}[]} points 3D polyline along the conveyors
+ * @property {number} length Polyline length
+ */
+
+export class ConveyorRouter {
+  /**
+   * @param {Object[]} plcStations Stations with `plc_address`, `position` and `directions`
+   * @param {Object} [options]
+   * @param {MainLoopGeometry|null} [options.loop=null] Main loop ellipse (see getMainLoopGeometry in createPrezone.js)
+   * @param {Map<number,MainLoopGeometry>|null} [options.loops=null] Geometry per loop address (see getPrezoneLoopGeometries)
+   * @param {{points:Object[], closed:boolean}[]} [options.sections=[]] Sampled open conveyor sections (see getPrezoneConveyorSections)
+   * @param {import('./plcAddress.js').PlcAddressCodec} [options.codec] PLC address convention of the layout, defaults to SRC
+   * @param {{floor:number, conveyor_level:number}} [options.levelHeights] See prezoneLevelHeights
+   */
+  constructor(plcStations, { loop = null, loops = null, sections = [], codec, levelHeights = DEFAULT_PREZONE_LEVEL_HEIGHTS } = {}) {
+    this.graph = buildConveyorGraph(plcStations, codec ? { codec } : {});
+    this.loops = new Map();
+    new Map(loops || []).forEach((geometry, address) => this.loops.set(address, loopPathOf(geometry)));
+    if (loop && !this.loops.has(this.graph.loop)) this.loops.set(this.graph.loop, loopPathOf(loop));
+    this.sections = (sections || []).filter(section => section.points.length >= 2);
+    this.positions = new Map();
+    (plcStations || []).forEach(s => {
+      if (!s || !s.position) return;
+      const y = (s.position.y || 0) + stationElevation(s.plc_address, this.graph.codec, levelHeights);
+      this.positions.set(s.plc_address, { x: s.position.x || 0, y, z: s.position.z || 0 });
+    });
+  }
+
+  /** Loop node without a station of its own: positions come from its ellipse. */
+  isImplicitLoop(address) {
+    return this.graph.loops.has(address) && !this.positions.has(address);
+  }
+
+  /** Station position, or the point of an implicit loop closest to `near`. */
+  positionOf(address, near = null) {
+    if (this.isImplicitLoop(address)) {
+      const path = this.loops.get(address);
+      if (!path) return near ? { ...near } : null;
+      return near ? projectOntoPath(path, near).point : centroid(path.points);
+    }
+    return this.positions.get(address) || null;
+  }
+
+  /**
+   * Polyline between two stations over a loop (shorter way round) or a straight segment without loop geometry.
+   * `from` on another level than the loop makes the first segment the vertical transfer.
+   */
+  loopPath(loop, from, to) {
+    const path = this.loops.get(loop);
+    if (!path) return [from, to];
+    return [from, ...pathBetween(path, projectOntoPath(path, from), projectOntoPath(path, to)), to];
+  }
+
+  /** Polyline between two stations: along an open section both sit on, else straight. */
+  sectionPath(from, to) {
+    for (const section of this.sections) {
+      const a = projectOntoPath(section, from);
+      const b = projectOntoPath(section, to);
+      if (a.distance <= SECTION_TOLERANCE && b.distance <= SECTION_TOLERANCE && Math.abs(a.point.y - from.y) <= SECTION_TOLERANCE) {
+        return [from, ...pathBetween(section, a, b), to];
+      }
+    }
+    return [from, to];
+  }
+
+  /**
+   * Routing edges out of `address`: explicit / implied edges, with hops over an implicit loop collapsed into one edge
+   * `address -> loop -> target` whose polyline follows the loop.
+   */
+  hops(address, to) {
+    const start = this.positionOf(address);
+    const result = [];
+    this.graph.outgoing(address).forEach(edge => {
+      if (!this.isImplicitLoop(edge.to)) {
+        const end = this.positionOf(edge.to);
+        if (start && end) result.push({ to: edge.to, via: [edge.to], points: this.sectionPath(start, end) });
+        return;
+      }
+      if (!start) return;
+      const loop = edge.to;
+      if (to === loop) {
+        result.push({ to: loop, via: [loop], points: [start, this.positionOf(loop, start)] });
+        return;
+      }
+      this.graph.outgoing(loop).forEach(loopEdge => {
+        const end = this.positionOf(loopEdge.to);
+        if (!end || loopEdge.to === address) return;
+        result.push({ to: loopEdge.to, via: [loop, loopEdge.to], points: this.loopPath(loop, start, end) });
+      });
+    });
+    return result.map(hop => ({ ...hop, length: polylineLength(hop.points) }));
+  }
+
+  /**
+   * Shortest route between two PLC addresses (Dijkstra).
+   * @param {number} from
+   * @param {number} to
+   * @returns {ConveyorRoute|null} null when `to` cannot be reached
+   */
+  route(from, to) {
+    if (!this.graph.nodes.has(from) || !this.graph.nodes.has(to) || !this.positionOf(from)) return null;
+    const dist = new Map([[from, 0]]);
+    const previous = new Map();
+    const done = new Set();
+    const queue = [from];
+    while (queue.length) {
+      queue.sort((a, b) => dist.get(a) - dist.get(b));
+      const current = queue.shift();
+      if (done.has(current)) continue;
+      done.add(current);
+      if (current === to) break;
+      if (this.isImplicitLoop(current)) continue;
+      this.hops(current, to).forEach(hop => {
+        const next = dist.get(current) + hop.length;
+        if (next < (dist.has(hop.to) ? dist.get(hop.to) : Infinity)) {
+          dist.set(hop.to, next);
+          previous.set(hop.to, { from: current, hop });
+          queue.push(hop.to);
+        }
+      });
+    }
+    if (!dist.has(to)) return null;
+
+    const chain = [];
+    for (let address = to; address !== from; address = previous.get(address).from) chain.unshift(previous.get(address).hop);
+    const stations = [from, ...chain.flatMap(hop => hop.via)];
+    const points = [{ ...this.positionOf(from) }];
+    chain.forEach(hop => hop.points.slice(1).forEach(p => {
+      const last = points[points.length - 1];
+      if (distance(last, p) > 1e-6) points.push({ ...p });
+    }));
+    return { stations, points, length: dist.get(to) };
+  }
+
+  /**
+   * Route into an aisle: to its lift entrance (lift station on the infeed floor with the aisle as counter).
+   * @param {number} aisle 0-based aisle index
+   * @param {number} [from] Defaults to the Entry (SRC 11400)
+   * @returns {ConveyorRoute|null}
+   */
+  routeToAisle(aisle, from = this.graph.entry) {
+    const target = this.findStation('lift_station', aisle, this.graph.codec.generation.floor);
+    return target === null ? null : this.route(from, target);
+  }
+
+  /**
+   * Route to a picking station.
+   * @param {number} index 0-based picking station index
+   * @param {number} [from] Defaults to the Entry (SRC 11400)
+   * @returns {ConveyorRoute|null}
+   */
+  routeToPickingStation(index, from = this.graph.entry) {
+    const target = this.findStation('picking_station', index);
+    return target === null ? null : this.route(from, target);
+  }
+
+  /** Address of the station with the given decoded type / counter (and floor), or null. */
+  findStation(type, counter, floor = null) {
+    for (const node of this.graph.nodes.values()) {
+      if (node.type === type && node.counter === counter && (floor === null || node.floor === floor)) return node.address;
+    }
+    return null;
+  }
+}
+
+/** Sampled path of a loop geometry: its freeform path, else its ellipse. */
+function loopPathOf(geometry) {
+  return geometry.path || ellipsePath(geometry.center, geometry.radiusX, geometry.radiusZ, LOOP_ARC_SAMPLES);
+}
+
+function centroid(points) {
+  const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y, z: acc.z + p.z }), { x: 0, y: 0, z: 0 });
+  return { x: sum.x / points.length, y: sum.y / points.length, z: sum.z / points.length };
+}
+
+/**
+ * Length of a polyline.
+ * @param {{x:number,y:number,z:number}[]} points
+ * @returns {number}
+ */
+export function polylineLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) length += distance(points[i - 1], points[i]);
+  return length;
+}
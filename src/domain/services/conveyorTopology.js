@@ -0,0 +1,267 @@
+/**
+ * Conveyor topology built from plc_stations (`directions.straight` / `directions.divert`) plus the
+ * connections the prezone renderer implies, and routing checks on it. Pure, so layouts can be validated headless.
+ *
+ * Addresses are decoded with the layout's PLC address codec (plcAddress.js); the SRC numbers below are the default.
+ *
+ * Implicit parts (mirroring createPrezone.js):
+ * - the main loop (11401) and every targeted loop of another level (21401) are nodes, with or without a station;
+ * - a loop delivers to every station of its level that feeds back into it (stations on the loop ellipse), except the Entry;
+ * - stations feeding the loop of another level are vertical transfers and get nothing back (prezoneLevels.js);
+ * - lift stations with the same counter are one lift on several floors (11600 <-> 21600);
+ * - lift exits (lift stations off the infeed floor without own directions) feed their level's loop, else the main loop.
+ */
+import { DEFAULT_PLC_ADDRESS_CONVENTION, resolvePlcAddressCodec } from './plcAddress.js';
+import { attachedLoop, prezoneLoops } from './prezoneLevels.js';
+
+/** Infeed of the prezone (SRC convention; see `codec.entry`). */
+export const ENTRY_ADDRESS = DEFAULT_PLC_ADDRESS_CONVENTION.stations.entry;
+/** Main loop helper station, implicit node when absent (SRC convention; see `codec.mainLoop`). */
+export const LOOP_ADDRESS = DEFAULT_PLC_ADDRESS_CONVENTION.stations.main_loop;
+
+/** Station types that take totes out of circulation (storage, picking). */
+const SINK_TYPES = ['lift_station', 'picking_station'];
+
+/**
+ * @typedef {Object} ConveyorEdge
+ * @property {number} from
+ * @property {number} to
+ * @property {'straight'|'divert'|'loop'|'lift'|'loop_return'} kind Explicit direction or implied connection
+ */
+
+/**
+ * @typedef {Object} RoutingFinding
+ * @property {'error'|'warning'} severity
+ * @property {'dangling_target'|'missing_entry'|'unreachable_picking_station'|'aisle_no_inbound_path'|'aisle_no_return_path'|'cycle_without_exit'} code
+ * @property {number[]} stations Addresses involved
+ * @property {string} message
+ */
+
+/**
+ * Builds the conveyor graph.
+ * @param {Object[]} plcStations Stations with `plc_address` and optional `directions`
+ * @param {Object} [options]
+ * @param {import('./plcAddress.js').PlcAddressCodec} [options.codec] Convention of the layout, defaults to SRC
+ * @returns {{nodes:Map<number,{address:number,name:string|null,type:string,floor:number,counter:number,implicit:boolean}>, edges:ConveyorEdge[], dangling:ConveyorEdge[], outgoing:(address:number)=>ConveyorEdge[], codec:Object, entry:number, loop:number, loops:Set<number>}}
+ */
+export function buildConveyorGraph(plcStations, { codec = resolvePlcAddressCodec() } = {}) {
+  const entry = codec.entry;
+  const loop = codec.mainLoop;
+  const nodes = new Map();
+  (plcStations || []).forEach(station => {
+    if (!station || !Number.isInteger(station.plc_address)) return;
+    const decoded = codec.decode(station.plc_address);
+    nodes.set(station.plc_address, {
+      address: station.plc_address,
+      name: station.name || null,
+      type: decoded.stationType,
+      floor: decoded.floor,
+      counter: decoded.counter,
+      implicit: false,
+      directions: station.directions || {}
+    });
+  });
+  const loops = new Set(prezoneLoops(plcStations, codec).map(l => l.address));
+  loops.forEach(address => {
+    if (nodes.has(address)) return;
+    const decoded = codec.decode(address);
+    nodes.set(address, {
+      address, name: address === loop ? 'Main Loop' : `Loop F${decoded.floor}.${decoded.conveyorLevel}`, type: decoded.stationType,
+      floor: decoded.floor, counter: decoded.counter, implicit: true, directions: {}
+    });
+  });
+
+  const edges = [];
+  const dangling = [];
+  const seen = new Set();
+  const addEdge = (from, to, kind) => {
+    const key = `${from}>${to}`;
+    if (from === to || seen.has(key)) return;
+    seen.add(key);
+    edges.push({ from, to, kind });
+  };
+
+  nodes.forEach(node => {
+    ['straight', 'divert'].forEach(kind => {
+      const target = node.directions[kind];
+      if (target === null || target === undefined) return;
+      if (!nodes.has(target)) {
+        dangling.push({ from: node.address, to: target, kind });
+        return;
+      }
+      addEdge(node.address, target, kind);
+    });
+    const onLoop = attachedLoop({ plc_address: node.address, directions: node.directions }, loops, codec);
+    if (onLoop !== null && node.address !== entry) addEdge(onLoop, node.address, 'loop');
+  });
+
+  const lifts = [...nodes.values()].filter(n => n.type === 'lift_station');
+  lifts.forEach(lift => {
+    lifts.filter(other => other !== lift && other.counter === lift.counter).forEach(other => addEdge(lift.address, other.address, 'lift'));
+    const hasDirections = lift.directions.straight != null || lift.directions.divert != null;
+    if (codec.isLiftExit(lift.address) && !hasDirections) {
+      const ownLoop = codec.loopAddress(lift.floor, codec.decode(lift.address).conveyorLevel);
+      addEdge(lift.address, loops.has(ownLoop) ? ownLoop : loop, 'loop_return');
+    }
+  });
+
+  const byFrom = new Map();
+  edges.forEach(edge => {
+    if (!byFrom.has(edge.from)) byFrom.set(edge.from, []);
+    byFrom.get(edge.from).push(edge);
+  });
+  return { nodes, edges, dangling, outgoing: (address) => byFrom.get(address) || [], codec, entry, loop, loops };
+}
+
+/**
+ * Addresses reachable from `start` (start included).
+ * @param {ReturnType<typeof buildConveyorGraph>} graph
+ * @param {number|number[]} start
+ * @returns {Set<number>}
+ */
+export function reachableFrom(graph, start) {
+  const visited = new Set();
+  const stack = (Array.isArray(start) ? start : [start]).filter(a => graph.nodes.has(a));
+  while (stack.length) {
+    const address = stack.pop();
+    if (visited.has(address)) continue;
+    visited.add(address);
+    graph.outgoing(address).forEach(edge => stack.push(edge.to));
+  }
+  return visited;
+}
+
+/** Strongly connected components (iterative Tarjan). */
+function stronglyConnectedComponents(graph) {
+  let index = 0;
+  const indices = new Map();
+  const lowlink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  for (const root of graph.nodes.keys()) {
+    if (indices.has(root)) continue;
+    const work = [{ address: root, edgeIndex: 0 }];
+    indices.set(root, index); lowlink.set(root, index); index++;
+    stack.push(root); onStack.add(root);
+    while (work.length) {
+      const frame = work[work.length - 1];
+      const out = graph.outgoing(frame.address);
+      if (frame.edgeIndex < out.length) {
+        const next = out[frame.edgeIndex++].to;
+        if (!indices.has(next)) {
+          indices.set(next, index); lowlink.set(next, index); index++;
+          stack.push(next); onStack.add(next);
+          work.push({ address: next, edgeIndex: 0 });
+        } else if (onStack.has(next)) {
+          lowlink.set(frame.address, Math.min(lowlink.get(frame.address), indices.get(next)));
+        }
+        continue;
+      }
+      work.pop();
+      if (work.length) {
+        const parent = work[work.length - 1].address;
+        lowlink.set(parent, Math.min(lowlink.get(parent), lowlink.get(frame.address)));
+      }
+      if (lowlink.get(frame.address) === indices.get(frame.address)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.address);
+        components.push(component);
+      }
+    }
+  }
+  return components;
+}
+
+/**
+ * Checks the routing of a PLC station layout. Layouts without PLC stations have nothing to route and pass.
+ * @param {Object[]} plcStations
+ * @param {Object} [options] See buildConveyorGraph
+ * @returns {{valid:boolean, findings:RoutingFinding[], graph:ReturnType<typeof buildConveyorGraph>}} `valid` = no errors
+ */
+export function validatePlcTopology(plcStations, options = {}) {
+  const graph = buildConveyorGraph(plcStations, options);
+  const { entry, loop } = graph;
+  const findings = [];
+  if (!plcStations || plcStations.length === 0) return { valid: true, findings, graph };
+  const label = (address) => {
+    const node = graph.nodes.get(address);
+    return node && node.name ? `${node.name} (${address})` : `PLC ${address}`;
+  };
+
+  graph.dangling.forEach(edge => findings.push({
+    severity: 'error',
+    code: 'dangling_target',
+    stations: [edge.from, edge.to],
+    message: `${label(edge.from)}: ${edge.kind} target ${edge.to} is not a PLC station`
+  }));
+
+  const hasEntry = graph.nodes.has(entry);
+  if (!hasEntry) {
+    findings.push({ severity: 'error', code: 'missing_entry', stations: [entry], message: `Entry station ${entry} is missing` });
+  }
+  const fromEntry = hasEntry ? reachableFrom(graph, entry) : new Set();
+
+  if (hasEntry) {
+    graph.nodes.forEach(node => {
+      if (node.type === 'picking_station' && !fromEntry.has(node.address)) {
+        findings.push({
+          severity: 'error',
+          code: 'unreachable_picking_station',
+          stations: [node.address],
+          message: `${label(node.address)} cannot be reached from the Entry ${entry}`
+        });
+      }
+    });
+
+    // One aisle per lift counter: Entry -> lift (any floor) -> back to the loop
+    const liftsByCounter = new Map();
+    graph.nodes.forEach(node => {
+      if (node.type !== 'lift_station') return;
+      if (!liftsByCounter.has(node.counter)) liftsByCounter.set(node.counter, []);
+      liftsByCounter.get(node.counter).push(node.address);
+    });
+    [...liftsByCounter.entries()].sort((a, b) => a[0] - b[0]).forEach(([counter, addresses]) => {
+      const aisle = `Aisle ${counter + 1}`;
+      if (!addresses.some(a => fromEntry.has(a))) {
+        findings.push({
+          severity: 'error',
+          code: 'aisle_no_inbound_path',
+          stations: addresses,
+          message: `${aisle}: no path from Entry ${entry} to lift ${addresses.join(' / ')}`
+        });
+      } else if (!reachableFrom(graph, addresses).has(loop)) {
+        findings.push({
+          severity: 'error',
+          code: 'aisle_no_return_path',
+          stations: addresses,
+          message: `${aisle}: no path from lift ${addresses.join(' / ')} back to the loop ${loop}`
+        });
+      }
+    });
+  }
+
+  // Closed cycles: a strongly connected component nothing leaves and no storage / picking station drains
+  stronglyConnectedComponents(graph).forEach(component => {
+    const members = new Set(component);
+    const isCycle = component.length > 1;
+    if (!isCycle) return;
+    const leaves = component.some(address => graph.outgoing(address).some(edge => !members.has(edge.to)));
+    const drains = component.some(address => SINK_TYPES.includes(graph.nodes.get(address).type));
+    if (!leaves && !drains) {
+      findings.push({
+        severity: 'warning',
+        code: 'cycle_without_exit',
+        stations: [...component].sort((a, b) => a - b),
+        message: `Totes can circulate forever between ${[...component].sort((a, b) => a - b).join(', ')} (no exit to storage or picking)`
+      });
+    }
+  });
+
+  return { valid: !findings.some(f => f.severity === 'error'), findings, graph };
+}
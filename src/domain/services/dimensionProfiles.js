@@ -0,0 +1,101 @@
+/**
+ * Real-world location and aisle dimensions. A layout names a profile (`dimensions.profile`) and may replace single
+ * values; everything in the scene and the calculations is in metres, `units` only changes how lengths are shown
+ * and exported for people.
+ */
+import { constants } from '../../core/constants.js';
+
+/** Named dimension profiles in m: location pitch along the aisle and into the rack, aisle width, level pitch. */
+export const DIMENSION_PROFILES = {
+  standard: {
+    label: 'Standard 1200 × 800',
+    location_length: constants.locationLength,
+    location_depth: constants.locationDepth,
+    aisle_width: constants.aisleWidth,
+    level_height: constants.levelHeight
+  },
+  // 600 × 400 totes stored lengthwise into the rack, 100 / 50 mm gaps
+  tote: { label: 'Tote 600 × 400', location_length: 0.5, location_depth: 0.65, aisle_width: 1.0, level_height: 0.45 },
+  carton: { label: 'Carton 800 × 600', location_length: 0.7, location_depth: 0.85, aisle_width: 1.2, level_height: 0.6 },
+  // Starts from the standard values; the layout sets its own
+  custom: {
+    label: 'Custom',
+    location_length: constants.locationLength,
+    location_depth: constants.locationDepth,
+    aisle_width: constants.aisleWidth,
+    level_height: constants.levelHeight
+  }
+};
+
+/** Values a layout may set in `dimensions` on top of its profile. */
+export const DIMENSION_KEYS = ['location_length', 'location_depth', 'aisle_width', 'level_height'];
+
+/** Display units: factor from m and decimals shown. */
+export const LENGTH_UNITS = {
+  mm: { factor: 1000, digits: 0 },
+  m: { factor: 1, digits: 2 },
+  ft: { factor: 1 / 0.3048, digits: 2 }
+};
+
+/**
+ * Sizes of a layout in config form: its profile (standard when unknown) with the layout's own values applied.
+ * Saved as `dimensions`, the result pins every size (e.g. to start a custom profile from the sizes in use).
+ * @param {Object} uiConfig
+ * @returns {{profile:string, location_length:number, location_depth:number, aisle_width:number, level_height:number}}
+ */
+export function dimensionValues(uiConfig) {
+  const dimensions = (uiConfig && uiConfig.dimensions) || {};
+  const profile = DIMENSION_PROFILES[dimensions.profile] ? dimensions.profile : 'standard';
+  const values = { profile };
+  DIMENSION_KEYS.forEach(key => {
+    values[key] = dimensions[key] > 0 ? dimensions[key] : DIMENSION_PROFILES[profile][key];
+  });
+  return values;
+}
+
+/**
+ * Dimensions of a layout for the geometry code (see dimensionValues).
+ * @param {Object} uiConfig
+ * @returns {{profile:string, locationLength:number, locationDepth:number, aisleWidth:number, levelHeight:number}}
+ */
+export function resolveDimensions(uiConfig) {
+  const values = dimensionValues(uiConfig);
+  return {
+    profile: values.profile,
+    locationLength: values.location_length,
+    locationDepth: values.location_depth,
+    aisleWidth: values.aisle_width,
+    levelHeight: values.level_height
+  };
+}
+
+/**
+ * Converts a length from m into display units.
+ * @param {number} metres
+ * @param {string} [units='m'] Key of LENGTH_UNITS
+ * @returns {number} Rounded to the unit's decimals
+ */
+export function toUnits(metres, units = 'm') {
+  const { factor, digits } = LENGTH_UNITS[units] || LENGTH_UNITS.m;
+  return +(metres * factor).toFixed(digits);
+}
+
+/**
+ * Converts a length in display units back to m.
+ * @param {number} value
+ * @param {string} [units='m']
+ * @returns {number}
+ */
+export function fromUnits(value, units = 'm') {
+  return value / (LENGTH_UNITS[units] || LENGTH_UNITS.m).factor;
+}
+
+/**
+ * Length with its unit for labels, e.g. `1200 mm`, `1.2 m`, `3.94 ft`.
+ * @param {number} metres
+ * @param {string} [units='m']
+ * @returns {string}
+ */
+export function formatLength(metres, units = 'm') {
+  return `${toUnits(metres, units).toLocaleString()} ${LENGTH_UNITS[units] ? units : 'm'}`;
+}
@@ -0,0 +1,204 @@
+/**
+ * PLC station address codec, pure so layouts can be analysed headless.
+ * The digit layout, station type table and well-known addresses are a declared convention
+ * (`plc_address_convention` in the layout file); the default is the SRC scheme
+ * <Floor><Conveyor-Level><Station-Type><Counter>, e.g. 11401 = floor 1, level 1, helper station 01.
+ */
+
+/** Station type by the third address digit (SRC convention). */
+export const PLC_STATION_TYPE_DIGITS = {
+  4: 'helper_station',     // Helper station in prezone (loop switch)
+  5: 'aisle_entrance',     // Entrance to OSR aisle
+  6: 'lift_station',       // Lift station
+  7: 'picking_diverter',   // Diversion to picking station
+  8: 'picking_station',    // Picking station
+  9: 'lift_reading_point'  // Lift entrance reading point
+};
+
+/** Field names a convention can lay out; `type` and `counter` are required. */
+export const PLC_ADDRESS_FIELDS = ['floor', 'conveyor_level', 'type', 'counter'];
+
+/**
+ * Default convention (SRC, 5 digits). Generated stations use `generation.floor` / `generation.conveyor_level`;
+ * lift exits are lift stations on `generation.lift_exit_floor`.
+ */
+export const DEFAULT_PLC_ADDRESS_CONVENTION = {
+  name: 'SRC',
+  fields: [
+    { name: 'floor', digits: 1 },
+    { name: 'conveyor_level', digits: 1 },
+    { name: 'type', digits: 1 },
+    { name: 'counter', digits: 2 }
+  ],
+  types: { ...PLC_STATION_TYPE_DIGITS },
+  stations: { entry: 11400, main_loop: 11401 },
+  generation: { floor: 1, conveyor_level: 1, lift_exit_floor: 2 }
+};
+
+/**
+ * Builds a codec from a convention; missing parts fall back to the SRC defaults.
+ * @param {Object} [convention=DEFAULT_PLC_ADDRESS_CONVENTION]
+ * @returns {PlcAddressCodec}
+ * @throws {Error} When the layout lacks type / counter fields or uses unknown field names
+ */
+export function createPlcAddressCodec(convention = DEFAULT_PLC_ADDRESS_CONVENTION) {
+  return new PlcAddressCodec(convention);
+}
+
+export class PlcAddressCodec {
+  constructor(convention = DEFAULT_PLC_ADDRESS_CONVENTION) {
+    const fields = convention.fields || DEFAULT_PLC_ADDRESS_CONVENTION.fields;
+    fields.forEach(f => {
+      if (!PLC_ADDRESS_FIELDS.includes(f.name)) throw new Error(`unknown PLC address field "${f.name}" (allowed: ${PLC_ADDRESS_FIELDS.join(', ')})`);
+      if (!Number.isInteger(f.digits) || f.digits < 1) throw new Error(`PLC address field "${f.name}" needs a positive digit count`);
+    });
+    ['type', 'counter'].forEach(name => {
+      if (!fields.some(f => f.name === name)) throw new Error(`PLC address convention needs a "${name}" field`);
+    });
+    this.name = convention.name || 'custom';
+    this.fields = fields.map(f => ({ name: f.name, digits: f.digits }));
+    this.digits = this.fields.reduce((sum, f) => sum + f.digits, 0);
+    this.types = new Map(Object.entries(convention.types || DEFAULT_PLC_ADDRESS_CONVENTION.types).map(([code, type]) => [Number(code), type]));
+    const typeDigits = this.fields.find(f => f.name === 'type').digits;
+    this.types.forEach((type, code) => {
+      if (!Number.isInteger(code) || code < 0 || String(code).length > typeDigits) throw new Error(`type code "${code}" (${type}) does not fit ${typeDigits} digit(s)`);
+    });
+    this.typeCodes = new Map([...this.types].map(([code, type]) => [type, code]));
+    this.generation = { ...DEFAULT_PLC_ADDRESS_CONVENTION.generation, ...(convention.generation || {}) };
+    const stations = convention.stations || {};
+    this.entry = stations.entry ?? this.encode({ type: 'helper_station', counter: 0 });
+    this.mainLoop = stations.main_loop ?? this.encode({ type: 'helper_station', counter: 1 });
+  }
+
+  /**
+   * Splits an address into its fields (absent fields decode as 1 for floor / level).
+   * @param {number|string} plcAddress
+   * @returns {{floor:number,conveyorLevel:number,stationTypeDigit:number,counter:number,stationType:string,fullAddress:number|string,addressString:string}}
+   */
+  decode(plcAddress) {
+    const addressStr = String(plcAddress).padStart(this.digits, '0');
+    const parts = { floor: 1, conveyor_level: 1 };
+    let offset = 0;
+    this.fields.forEach(f => {
+      parts[f.name] = parseInt(addressStr.slice(offset, offset + f.digits));
+      offset += f.digits;
+    });
+    return {
+      floor: parts.floor,
+      conveyorLevel: parts.conveyor_level,
+      stationTypeDigit: parts.type,
+      counter: parts.counter,
+      stationType: this.types.get(parts.type) || 'unknown',
+      fullAddress: plcAddress,
+      addressString: addressStr
+    };
+  }
+
+  /**
+   * Composes an address; floor / level default to the convention's generation values.
+   * @param {{type:string, counter:number, floor?:number, conveyorLevel?:number}} parts
+   * @returns {number}
+   * @throws {Error} For station types the convention does not map or values that do not fit their digits
+   */
+  encode({ type, counter, floor = this.generation.floor, conveyorLevel = this.generation.conveyor_level }) {
+    if (!this.typeCodes.has(type)) throw new Error(`PLC address convention ${this.name} has no code for station type "${type}"`);
+    const values = { floor, conveyor_level: conveyorLevel, type: this.typeCodes.get(type), counter };
+    const text = this.fields.map(f => {
+      const digits = String(values[f.name]);
+      if (digits.length > f.digits) throw new Error(`${f.name} ${values[f.name]} does not fit ${f.digits} digit(s) of a ${this.name} PLC address`);
+      return digits.padStart(f.digits, '0');
+    }).join('');
+    return parseInt(text);
+  }
+
+  /** @returns {string} Station type ('unknown' for unmapped type codes) */
+  stationType(plcAddress) {
+    return this.decode(plcAddress).stationType;
+  }
+
+  /**
+   * Loop helper station of a floor / conveyor level: the main loop on the infeed level, otherwise the helper station
+   * with the main loop's counter on that level (SRC: 21401 on floor 2).
+   * @returns {number|null} null when the level cannot be encoded
+   */
+  loopAddress(floor, conveyorLevel) {
+    if (floor === this.generation.floor && conveyorLevel === this.generation.conveyor_level) return this.mainLoop;
+    try {
+      return this.encode({ type: 'helper_station', counter: this.decode(this.mainLoop).counter, floor, conveyorLevel });
+    } catch {
+      return null;
+    }
+  }
+
+  isLoopAddress(plcAddress) {
+    const decoded = this.decode(plcAddress);
+    return this.loopAddress(decoded.floor, decoded.conveyorLevel) === Number(plcAddress);
+  }
+
+  /** Lift station on another floor than the generated infeed: outfeed that returns to the main loop. */
+  isLiftExit(plcAddress) {
+    const decoded = this.decode(plcAddress);
+    return decoded.stationType === 'lift_station' && decoded.floor !== this.generation.floor;
+  }
+}
+
+/**
+ * Problems of a layout's convention and of its station addresses under it (unusable convention, addresses longer
+ * than the digit layout).
+ * @param {Object|null} convention `plc_address_convention` of the layout, null = SRC
+ * @param {Object[]} [plcStations]
+ * @returns {string[]}
+ */
+export function plcAddressConventionErrors(convention, plcStations = []) {
+  let codec;
+  try {
+    codec = new PlcAddressCodec(convention || DEFAULT_PLC_ADDRESS_CONVENTION);
+  } catch (e) {
+    return [`plc_address_convention: ${e.message}`];
+  }
+  const errors = [];
+  const check = (address, where) => {
+    if (Number.isInteger(address) && String(address).length > codec.digits) {
+      errors.push(`${where}: ${address} has more than the ${codec.digits} digits of the ${codec.name} PLC address convention`);
+    }
+  };
+  plcStations.forEach((station, i) => {
+    check(station.plc_address, `plc_stations[${i}]`);
+    ['straight', 'divert'].forEach(kind => check(station.directions?.[kind], `plc_stations[${i}].directions.${kind}`));
+  });
+  return errors;
+}
+
+const DEFAULT_CODEC = new PlcAddressCodec(DEFAULT_PLC_ADDRESS_CONVENTION);
+const CODEC_CACHE = new WeakMap();
+
+/**
+ * Codec for a convention object (cached per object); the default SRC codec for null / undefined.
+ * Callers resolve it from their layout (`uiConfig.plc_address_convention`) and pass it on, so two layouts never share one.
+ * @param {Object|null} [convention]
+ * @returns {PlcAddressCodec}
+ */
+export function resolvePlcAddressCodec(convention) {
+  if (!convention) return DEFAULT_CODEC;
+  if (!CODEC_CACHE.has(convention)) CODEC_CACHE.set(convention, new PlcAddressCodec(convention));
+  return CODEC_CACHE.get(convention);
+}
+
+/**
+ * @param {number|string} plcAddress PLC station address
+ * @param {PlcAddressCodec} [codec] Defaults to the SRC convention
+ * @returns {string} Station type ('unknown' for unmapped type digits)
+ */
+export function getPlcStationType(plcAddress, codec = DEFAULT_CODEC) {
+  return codec.stationType(plcAddress);
+}
+
+/**
+ * Splits a PLC address into its parts.
+ * @param {number|string} plcAddress
+ * @param {PlcAddressCodec} [codec] Defaults to the SRC convention
+ * @returns {{floor:number,conveyorLevel:number,stationTypeDigit:number,counter:number,stationType:string,fullAddress:number|string,addressString:string}}
+ */
+export function decodePlcAddress(plcAddress, codec = DEFAULT_CODEC) {
+  return codec.decode(plcAddress);
+}
@@ -0,0 +1,117 @@
+/**
+ * PLC station layout edits shared by the station editor and the station auto-generation, pure so they run headless.
+ * Stations moved, rotated, linked or added in the editor carry `user_placed: true` and are kept as they are when
+ * stations are regenerated (aisle / picking station counts); addresses the editor deleted are listed in
+ * `plc_removed_stations` so generation does not bring them back.
+ */
+import { resolvePlcAddressCodec } from './plcAddress.js';
+
+/** X offset of the generated picking diverters / stations in prezone coordinates. */
+const PICKING_STATION_OFFSET_X = 6.0;
+
+/**
+ * Generated stations with the user's edits applied: a user-placed station replaces the generated one with its
+ * address, removed addresses are dropped, and user-placed stations generation does not produce are kept.
+ * @param {Object[]|null} existing Current plc_stations
+ * @param {Object[]} generated Freshly generated stations
+ * @param {number[]} [removed=[]] `plc_removed_stations`
+ * @returns {Object[]}
+ */
+export function mergeGeneratedStations(existing, generated, removed = []) {
+  const placed = new Map((existing || []).filter(s => s && s.user_placed).map(s => [s.plc_address, s]));
+  const removedSet = new Set(removed);
+  const merged = generated
+    .filter(s => placed.has(s.plc_address) || !removedSet.has(s.plc_address))
+    .map(s => placed.get(s.plc_address) || s);
+  const addresses = new Set(merged.map(s => s.plc_address));
+  placed.forEach((station, address) => {
+    if (!addresses.has(address)) merged.push(station);
+  });
+  return merged;
+}
+
+/**
+ * Stations of a layout as the prezone renders them: picking diverters and picking stations are regenerated for
+ * `picking_stations` (diverter on the main loop, divert to its station), the other stations are kept, and the
+ * user's edits are applied (mergeGeneratedStations). Routing checks run on this list, not on the file's stations.
+ * @param {Object} uiConfig
+ * @param {import('./plcAddress.js').PlcAddressCodec} codec Convention of the layout
+ * @returns {Object[]} New list; `uiConfig.plc_stations` is not changed
+ */
+export function withGeneratedPickingStations(uiConfig, codec) {
+  const count = uiConfig.picking_stations || 3;
+  // Picking diverters (SRC 117xx) and picking stations (SRC 118xx) are replaced by generated ones
+  const kept = (uiConfig.plc_stations || []).filter(station => {
+    const type = codec.stationType(station.plc_address);
+    return type !== 'picking_diverter' && type !== 'picking_station';
+  });
+  const picking = [];
+  for (let i = 0; i < count; i++) {
+    // Diverters in a line on the main loop side, their stations in a parallel line further out
+    const x = -15 + i * 7 + PICKING_STATION_OFFSET_X;
+    const stationAddress = codec.encode({ type: 'picking_station', counter: i });
+    picking.push({
+      name: `Picking Diverter ${i + 1}`,
+      plc_address: codec.encode({ type: 'picking_diverter', counter: i }),
+      position: { x, y: 0.15, z: -8 },
+      directions: { straight: codec.mainLoop, divert: stationAddress }
+    });
+    // No connection back to the main loop
+    picking.push({
+      name: `Picking Station ${i + 1}`,
+      plc_address: stationAddress,
+      position: { x, y: 0.15, z: -14 },
+      directions: { straight: null, divert: null }
+    });
+  }
+  return mergeGeneratedStations(uiConfig.plc_stations, [...kept, ...picking], uiConfig.plc_removed_stations);
+}
+
+/**
+ * Lowest free address of a station type on a floor / conveyor level. Addresses of stations, direction targets, the
+ * Entry and the level's loop count as taken.
+ * @param {Object[]} plcStations
+ * @param {string} type Station type of the convention (e.g. 'picking_station')
+ * @param {{floor?:number, conveyorLevel?:number}} [level] Defaults to the convention's generation level
+ * @param {import('./plcAddress.js').PlcAddressCodec} [codec] Convention of the layout, defaults to SRC
+ * @returns {number}
+ * @throws {Error} When the convention has no code for the type or every counter is taken
+ */
+export function allocatePlcAddress(plcStations, type, { floor, conveyorLevel } = {}, codec = resolvePlcAddressCodec()) {
+  const level = { floor: floor ?? codec.generation.floor, conveyorLevel: conveyorLevel ?? codec.generation.conveyor_level };
+  const taken = new Set([codec.entry, codec.mainLoop, codec.loopAddress(level.floor, level.conveyorLevel)]);
+  (plcStations || []).forEach(station => {
+    [station.plc_address, station.directions?.straight, station.directions?.divert].forEach(address => {
+      if (Number.isInteger(address)) taken.add(address);
+    });
+  });
+  const counters = 10 ** codec.fields.find(f => f.name === 'counter').digits;
+  for (let counter = 0; counter < counters; counter++) {
+    const address = codec.encode({ type, counter, ...level });
+    if (!taken.has(address)) return address;
+  }
+  throw new Error(`no free ${type} address on floor ${level.floor}, conveyor level ${level.conveyorLevel}`);
+}
+
+/**
+ * Snaps a position to a ground grid (x / z only; y stays relative to the station's level).
+ * @param {{x:number, y:number, z:number}} position
+ * @param {number} step Grid size, 0 = no snapping
+ * @returns {{x:number, y:number, z:number}}
+ */
+export function snapToGrid(position, step) {
+  if (!(step > 0)) return { ...position };
+  const snap = (value) => Math.round(value / step) * step;
+  return { x: snap(position.x), y: position.y, z: snap(position.z) };
+}
+
+/**
+ * Rotation about the vertical axis normalized to [0, 360) degrees, optionally snapped.
+ * @param {number} degrees
+ * @param {number} [step=0] Snap step in degrees, 0 = none
+ * @returns {number}
+ */
+export function normalizeRotation(degrees, step = 0) {
+  const snapped = step > 0 ? Math.round(degrees / step) * step : degrees;
+  return ((snapped % 360) + 360) % 360;
+}
@@ -0,0 +1,73 @@
+/**
+ * Floors and conveyor levels of the prezone: station heights, one main loop per level and the loop a station
+ * sits on. Pure, shared by the renderer (createPrezone.js), the topology and the router.
+ *
+ * Station `position.y` is relative to the station's level; the level itself is raised by
+ * `(floor - generation.floor) * level_heights.floor + (conveyor level - generation.conveyor_level) * level_heights.conveyor_level`.
+ * A station whose direction targets the loop of another level is a vertical transfer into that loop.
+ */
+import { resolvePlcAddressCodec } from './plcAddress.js';
+
+/** Default height (scene units) of one floor and of one conveyor level (`prezone_visuals.level_heights`). */
+export const DEFAULT_PREZONE_LEVEL_HEIGHTS = { floor: 3.0, conveyor_level: 1.0 };
+
+/**
+ * @param {Object} [uiConfig]
+ * @returns {{floor:number, conveyor_level:number}}
+ */
+export function prezoneLevelHeights(uiConfig) {
+  return { ...DEFAULT_PREZONE_LEVEL_HEIGHTS, ...(uiConfig?.prezone_visuals?.level_heights || {}) };
+}
+
+/**
+ * Height of a floor / conveyor level above the infeed level.
+ * @param {{floor:number, conveyorLevel:number}} level Decoded address or level
+ * @param {import('./plcAddress.js').PlcAddressCodec} [codec] Convention of the layout, defaults to SRC
+ * @param {{floor:number, conveyor_level:number}} [heights=DEFAULT_PREZONE_LEVEL_HEIGHTS]
+ * @returns {number}
+ */
+export function levelElevation({ floor, conveyorLevel }, codec = resolvePlcAddressCodec(), heights = DEFAULT_PREZONE_LEVEL_HEIGHTS) {
+  return (floor - codec.generation.floor) * heights.floor + (conveyorLevel - codec.generation.conveyor_level) * heights.conveyor_level;
+}
+
+/** Elevation of the level a PLC address belongs to. */
+export function stationElevation(plcAddress, codec = resolvePlcAddressCodec(), heights = DEFAULT_PREZONE_LEVEL_HEIGHTS) {
+  return levelElevation(codec.decode(plcAddress), codec, heights);
+}
+
+/**
+ * Loops of the prezone: the main loop always, plus the loop of every other level that a station targets or that
+ * exists as a station.
+ * @param {Object[]} plcStations
+ * @param {import('./plcAddress.js').PlcAddressCodec} [codec] Convention of the layout, defaults to SRC
+ * @returns {{address:number, floor:number, conveyorLevel:number, main:boolean}[]} Main loop first
+ */
+export function prezoneLoops(plcStations, codec = resolvePlcAddressCodec()) {
+  const addresses = new Set([codec.mainLoop]);
+  (plcStations || []).forEach(station => {
+    if (!station) return;
+    [station.plc_address, station.directions?.straight, station.directions?.divert].forEach(address => {
+      if (Number.isInteger(address) && codec.isLoopAddress(address)) addresses.add(address);
+    });
+  });
+  return [...addresses].map(address => {
+    const { floor, conveyorLevel } = codec.decode(address);
+    return { address, floor, conveyorLevel, main: address === codec.mainLoop };
+  });
+}
+
+/**
+ * Loop a station sits on: the loop of its own level, when the station feeds it.
+ * Stations that only target loops of other levels are vertical transfers and sit on no loop.
+ * @param {Object} station
+ * @param {Set<number>} loopAddresses
+ * @param {import('./plcAddress.js').PlcAddressCodec} [codec] Convention of the layout, defaults to SRC
+ * @returns {number|null}
+ */
+export function attachedLoop(station, loopAddresses, codec = resolvePlcAddressCodec()) {
+  const targets = [station.directions?.straight, station.directions?.divert].filter(a => loopAddresses.has(a));
+  if (targets.length === 0 || loopAddresses.has(station.plc_address)) return null;
+  const { floor, conveyorLevel } = codec.decode(station.plc_address);
+  const own = codec.loopAddress(floor, conveyorLevel);
+  return targets.includes(own) ? own : null;
+}
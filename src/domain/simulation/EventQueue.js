@@ -0,0 +1,54 @@
+/**
+ * Min-heap of timed events for the discrete-event simulator.
+ * Ties on time are broken by insertion order so runs are fully deterministic.
+ */
+export class EventQueue {
+  constructor() {
+    this.heap = [];
+    this.seq = 0;
+  }
+
+  get size() { return this.heap.length; }
+
+  /** @param {number} time Simulation time in seconds @param {Object} event */
+  push(time, event) {
+    this.heap.push({ time, seq: this.seq++, event });
+    this._up(this.heap.length - 1);
+  }
+
+  /** @returns {{time:number,event:Object}|null} */
+  pop() {
+    if (!this.heap.length) return null;
+    const top = this.heap[0];
+    const last = this.heap.pop();
+    if (this.heap.length) { this.heap[0] = last; this._down(0); }
+    return { time: top.time, event: top.event };
+  }
+
+  _less(i, j) {
+    const a = this.heap[i], b = this.heap[j];
+    return a.time < b.time || (a.time === b.time && a.seq < b.seq);
+  }
+
+  _up(i) {
+    while (i > 0) {
+      const p = (i - 1) >> 1;
+      if (!this._less(i, p)) break;
+      [this.heap[i], this.heap[p]] = [this.heap[p], this.heap[i]];
+      i = p;
+    }
+  }
+
+  _down(i) {
+    const n = this.heap.length;
+    for (;;) {
+      const l = 2 * i + 1, r = l + 1;
+      let m = i;
+      if (l < n && this._less(l, m)) m = l;
+      if (r < n && this._less(r, m)) m = r;
+      if (m === i) break;
+      [this.heap[i], this.heap[m]] = [this.heap[m], this.heap[i]];
+      i = m;
+    }
+  }
+}
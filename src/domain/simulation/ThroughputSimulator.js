@@ -0,0 +1,289 @@
+/**
+ * Deterministic discrete-event throughput simulator for shuttles and lifts.
+ * Headless (no Three.js / DOM): takes an order stream, schedules storage and retrieval jobs across every
+ * lift (one per aisle) and shuttle (one per aisle level) and reports cycles per hour per aisle.
+ * The returned timeline can be replayed in the 3D view (AnimationManager.replaySimulation).
+ */
+import { aisleParams, rackLevelCenter } from '../services/aisleLayout.js';
+import { EventQueue } from './EventQueue.js';
+import { DEFAULT_KINEMATICS, liftTransferTime, resolveKinematics, shuttleHandlingTime, travelTime } from './kinematics.js';
+
+/** Default equipment parameters: the shared kinematic model (kinematics.js). */
+export const DEFAULT_EQUIPMENT_PARAMS = DEFAULT_KINEMATICS;
+
+export { travelTime };
+
+/**
+ * Order in the stream fed to the simulator (0-based indices).
+ * @typedef {Object} SimOrder
+ * @property {string|number} id
+ * @property {number} time Arrival time in seconds
+ * @property {'storage'|'retrieval'} type
+ * @property {number} aisle
+ * @property {number} level
+ * @property {number} module
+ * @property {number} position
+ * @property {number} [depth]
+ */
+
+/**
+ * One movement of one piece of equipment, used for reporting and 3D replay.
+ * @typedef {Object} TimelineSegment
+ * @property {'shuttle'|'lift'} equipment
+ * @property {string} id Equipment id (same keys as AnimationManager.shuttles / lifts)
+ * @property {number} aisle
+ * @property {string|number} jobId
+ * @property {'travel'|'handle'} action
+ * @property {'y'|'z'} axis Lifts move along y, shuttles along z (aisle coordinate, 0 = lift interface)
+ * @property {number} from
+ * @property {number} to
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * Equipment list as created by AnimationManager (shuttle per aisle level, lift per aisle).
+ * @param {Object} uiConfig
+ * @returns {{shuttles:{id:string,aisle:number,level:number}[], lifts:{id:string,aisle:number}[]}}
+ */
+export function equipmentFromConfig(uiConfig) {
+  const shuttles = [];
+  const lifts = [];
+  for (let a = 0; a < uiConfig.aisles; a++) {
+    for (let l = 0; l < (uiConfig.levels_per_aisle[a] || 0); l++) shuttles.push({ id: `${a}_${l}`, aisle: a, level: l });
+    lifts.push({ id: `lift_${a}`, aisle: a });
+  }
+  return { shuttles, lifts };
+}
+
+/** Small seeded PRNG (mulberry32) so generated order streams are reproducible. */
+function createRandom(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6D2B79F5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generates a reproducible random order stream (Poisson arrivals, uniform locations).
+ * @param {Object} opts
+ * @param {Object} opts.uiConfig
+ * @param {number} [opts.count=200]
+ * @param {number} [opts.ordersPerHour=600]
+ * @param {number} [opts.storageShare=0.5] Fraction of storage jobs (rest are retrievals)
+ * @param {number} [opts.seed=1]
+ * @returns {SimOrder[]}
+ */
+export function generateOrderStream({ uiConfig, count = 200, ordersPerHour = 600, storageShare = 0.5, seed = 1 }) {
+  const rand = createRandom(seed);
+  const pick = (n) => Math.min(n - 1, Math.floor(rand() * n));
+  const meanGap = 3600 / ordersPerHour;
+  const orders = [];
+  let time = 0;
+  for (let i = 0; i < count; i++) {
+    time += -Math.log(1 - rand()) * meanGap;
+    const aisle = pick(uiConfig.aisles);
+    const geometry = aisleParams(uiConfig, aisle);
+    orders.push({
+      id: i + 1,
+      time: +time.toFixed(3),
+      type: rand() < storageShare ? 'storage' : 'retrieval',
+      aisle,
+      level: pick(geometry.levels || 1),
+      module: pick(geometry.modules),
+      position: pick(geometry.locations),
+      depth: pick(geometry.depth)
+    });
+  }
+  return orders;
+}
+
+export class ThroughputSimulator {
+  /**
+   * @param {Object} opts
+   * @param {Object} opts.uiConfig Rack geometry (modules_per_aisle, locations_per_module, ...)
+   * @param {{shuttles:Object[],lifts:Object[]}} [opts.equipment] Defaults to equipmentFromConfig(uiConfig)
+   * @param {Object} [opts.params] Overrides merged into DEFAULT_EQUIPMENT_PARAMS (see resolveKinematics)
+   */
+  constructor({ uiConfig, equipment, params = {} }) {
+    this.uiConfig = uiConfig;
+    this.equipment = equipment || equipmentFromConfig(uiConfig);
+    this.params = resolveKinematics(params);
+  }
+
+  /** Aisle coordinate of a storage location (distance from the lift interface). */
+  locationZ(aisle, module, position) {
+    const { locations, locationLength } = aisleParams(this.uiConfig, aisle);
+    const slot = module * locations + position;
+    return slot * locationLength + locationLength / 2;
+  }
+
+  /**
+   * Checks an order's address against the aisle geometry (aisleParams).
+   * @param {SimOrder} order
+   * @returns {string|null} Why the address is invalid, or null when it is valid
+   */
+  validateOrder(order) {
+    const within = (value, count) => Number.isInteger(value) && value >= 0 && value < count;
+    if (!within(order.aisle, this.uiConfig.aisles)) return `aisle ${order.aisle} does not exist`;
+    const geometry = aisleParams(this.uiConfig, order.aisle);
+    const fields = [['level', geometry.levels], ['module', geometry.modules], ['position', geometry.locations]];
+    if (order.depth !== undefined) fields.push(['depth', geometry.depth]);
+    const bad = fields.find(([field, count]) => !within(order[field], count));
+    return bad ? `${bad[0]} ${order[bad[0]]} is outside aisle ${order.aisle} (0-${bad[1] - 1})` : null;
+  }
+
+  /** Elevation of a level's centre in an aisle (level height profile). */
+  levelY(aisle, level) {
+    return rackLevelCenter(aisleParams(this.uiConfig, aisle), level);
+  }
+
+  /**
+   * Runs the simulation to completion. Orders with an invalid address or without equipment are not simulated;
+   * they are returned in `rejected` with an `error` message.
+   * @param {SimOrder[]} orders
+   * @returns {{makespan:number,completed:number,rejected:(SimOrder & {error:string})[],totalCyclesPerHour:number,aisles:Object[],jobs:Object[],timeline:TimelineSegment[],params:Object}} `params` are the kinematics used
+   */
+  run(orders) {
+    const lifts = new Map();
+    const shuttles = new Map();
+    this.equipment.lifts.forEach(l => lifts.set(l.aisle, { ...l, kind: 'lift', pos: this.params.lift.infeedHeight, busy: false, busyTime: 0, queue: [] }));
+    this.equipment.shuttles.forEach(s => shuttles.set(`${s.aisle}_${s.level}`, { ...s, kind: 'shuttle', pos: 0, busy: false, busyTime: 0, queue: [] }));
+
+    const queue = new EventQueue();
+    const timeline = [];
+    const jobs = [];
+    const rejected = [];
+
+    [...orders].sort((a, b) => a.time - b.time).forEach(order => {
+      const error = this.validateOrder(order)
+        || (!lifts.has(order.aisle) && `aisle ${order.aisle} has no lift`)
+        || (!shuttles.has(`${order.aisle}_${order.level}`) && `level ${order.level} of aisle ${order.aisle} has no shuttle`);
+      if (error) {
+        rejected.push({ ...order, error });
+        return;
+      }
+      queue.push(order.time, { type: 'arrival', job: { order, arrival: order.time, completed: null } });
+    });
+
+    const start = (res, now) => {
+      if (res.busy || !res.queue.length) return;
+      const job = res.queue.shift();
+      const segments = res.kind === 'lift' ? this.liftSegments(res, job.order, now) : this.shuttleSegments(res, job.order, now);
+      timeline.push(...segments);
+      const end = segments.length ? segments[segments.length - 1].end : now;
+      res.busy = true;
+      res.busyTime += end - now;
+      queue.push(end, { type: 'done', res, job });
+    };
+    const enqueue = (res, job, now) => { res.queue.push(job); start(res, now); };
+
+    let makespan = 0;
+    while (queue.size) {
+      const { time, event } = queue.pop();
+      const { job } = event;
+      const { order } = job;
+      const lift = lifts.get(order.aisle);
+      const shuttle = shuttles.get(`${order.aisle}_${order.level}`);
+      if (event.type === 'arrival') {
+        enqueue(order.type === 'retrieval' ? shuttle : lift, job, time);
+        continue;
+      }
+      // 'done': hand the job to the next resource or complete it
+      event.res.busy = false;
+      const storing = order.type !== 'retrieval';
+      if (event.res.kind === 'lift' && storing) enqueue(shuttle, job, time);
+      else if (event.res.kind === 'shuttle' && !storing) enqueue(lift, job, time);
+      else {
+        job.completed = time;
+        jobs.push(job);
+        makespan = Math.max(makespan, time);
+      }
+      start(event.res, time);
+    }
+
+    return this.report({ jobs, timeline, rejected, makespan, lifts, shuttles });
+  }
+
+  /** Lift cycle: storage = infeed -> level, retrieval = level -> infeed (one transfer at each end). */
+  liftSegments(lift, order, now) {
+    const p = this.params.lift;
+    const storing = order.type !== 'retrieval';
+    const pickY = storing ? p.infeedHeight : this.levelY(order.aisle, order.level);
+    const dropY = storing ? this.levelY(order.aisle, order.level) : p.infeedHeight;
+    return this.buildSegments(lift, order, now, [
+      { action: 'travel', to: pickY, duration: travelTime(pickY - lift.pos, p) },
+      { action: 'handle', to: pickY, duration: liftTransferTime(p) },
+      { action: 'travel', to: dropY, duration: travelTime(dropY - pickY, p) },
+      { action: 'handle', to: dropY, duration: liftTransferTime(p) }
+    ], 'y');
+  }
+
+  /** Shuttle cycle: storage = lift interface -> location, retrieval = location -> lift interface. */
+  shuttleSegments(shuttle, order, now) {
+    const p = this.params.shuttle;
+    const storing = order.type !== 'retrieval';
+    const locZ = this.locationZ(order.aisle, order.module, order.position);
+    const interfaceHandling = shuttleHandlingTime(0, p);
+    const deepHandling = shuttleHandlingTime(order.depth || 0, p);
+    const pickZ = storing ? 0 : locZ;
+    const dropZ = storing ? locZ : 0;
+    return this.buildSegments(shuttle, order, now, [
+      { action: 'travel', to: pickZ, duration: travelTime(pickZ - shuttle.pos, p) },
+      { action: 'handle', to: pickZ, duration: storing ? interfaceHandling : deepHandling },
+      { action: 'travel', to: dropZ, duration: travelTime(dropZ - pickZ, p) },
+      { action: 'handle', to: dropZ, duration: storing ? deepHandling : interfaceHandling }
+    ], 'z');
+  }
+
+  buildSegments(res, order, now, steps, axis) {
+    const segments = [];
+    let t = now;
+    for (const step of steps) {
+      if (step.duration <= 0) continue;
+      segments.push({
+        equipment: res.kind, id: res.id, aisle: res.aisle, jobId: order.id,
+        action: step.action, axis, from: res.pos, to: step.to, start: t, end: t + step.duration
+      });
+      t += step.duration;
+      res.pos = step.to;
+    }
+    return segments;
+  }
+
+  report({ jobs, timeline, rejected, makespan, lifts, shuttles }) {
+    const hours = makespan / 3600;
+    const aisles = [];
+    for (let a = 0; a < this.uiConfig.aisles; a++) {
+      const done = jobs.filter(j => j.order.aisle === a);
+      const aisleShuttles = [...shuttles.values()].filter(s => s.aisle === a);
+      const lift = lifts.get(a);
+      const leadTimes = done.map(j => j.completed - j.arrival);
+      aisles.push({
+        aisle: a,
+        cycles: done.length,
+        storage: done.filter(j => j.order.type !== 'retrieval').length,
+        retrieval: done.filter(j => j.order.type === 'retrieval').length,
+        cyclesPerHour: hours > 0 ? +(done.length / hours).toFixed(1) : 0,
+        avgLeadTime: leadTimes.length ? +(leadTimes.reduce((s, v) => s + v, 0) / leadTimes.length).toFixed(1) : 0,
+        liftUtilization: lift && makespan > 0 ? +(lift.busyTime / makespan).toFixed(3) : 0,
+        shuttleUtilization: aisleShuttles.length && makespan > 0
+          ? +(aisleShuttles.reduce((s, sh) => s + sh.busyTime, 0) / (aisleShuttles.length * makespan)).toFixed(3)
+          : 0
+      });
+    }
+    return {
+      makespan: +makespan.toFixed(3),
+      completed: jobs.length,
+      rejected,
+      totalCyclesPerHour: hours > 0 ? +(jobs.length / hours).toFixed(1) : 0,
+      aisles,
+      jobs: jobs.map(j => ({ id: j.order.id, type: j.order.type, aisle: j.order.aisle, level: j.order.level, arrival: j.arrival, completed: j.completed })),
+      timeline,
+      params: this.params
+    };
+  }
+}
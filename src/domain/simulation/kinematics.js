@@ -0,0 +1,167 @@
+/**
+ * Kinematic model of the shuttles and lifts: jerk-limited (S-curve) travel, shuttle arm load handling and lift
+ * transfer times. Pure, so the throughput simulator and the 3D animation (AnimationManager) share the same timing.
+ * SI units throughout (m, m/s, m/s², m/s³, s); scene units are metres.
+ */
+
+/**
+ * Limits of one axis. Without `jerk` (or with 0) the profile is trapezoidal.
+ * @typedef {Object} MotionLimits
+ * @property {number} maxSpeed
+ * @property {number} acceleration
+ * @property {number} [jerk]
+ */
+
+/** Default kinematics per equipment type. */
+export const DEFAULT_KINEMATICS = {
+  shuttle: {
+    maxSpeed: 2.0, acceleration: 1.0, jerk: 2.0,
+    // Telescopic arms: stroke per storage depth, settle / grip time while extended
+    arms: { maxSpeed: 1.0, acceleration: 2.0, jerk: 8.0, stroke: 0.6, gripTime: 0.3 }
+  },
+  lift: {
+    maxSpeed: 1.5, acceleration: 1.5, jerk: 3.0, infeedHeight: 0.85,
+    // Roller transfer between the lift carriage and the infeed / level buffer
+    transfer: { maxSpeed: 0.8, acceleration: 1.0, jerk: 4.0, distance: 1.2 }
+  }
+};
+
+/**
+ * Defaults with overrides merged per equipment type and nested axis (`arms`, `transfer`).
+ * @param {Object} [overrides] Same shape as DEFAULT_KINEMATICS, every field optional
+ * @returns {typeof DEFAULT_KINEMATICS}
+ */
+export function resolveKinematics(overrides = {}) {
+  const merge = (base, extra = {}) => {
+    const merged = { ...base, ...extra };
+    Object.keys(base).forEach(key => {
+      if (base[key] && typeof base[key] === 'object') merged[key] = { ...base[key], ...(extra[key] || {}) };
+    });
+    return merged;
+  };
+  return {
+    shuttle: merge(DEFAULT_KINEMATICS.shuttle, overrides.shuttle),
+    lift: merge(DEFAULT_KINEMATICS.lift, overrides.lift)
+  };
+}
+
+/** Ramp from rest to `speed` (S-curve when jerk-limited): duration, jerk phase length and peak acceleration. */
+function ramp(speed, { acceleration, jerk }) {
+  const jerkTime = jerk > 0 ? acceleration / jerk : 0;
+  if (speed >= acceleration * jerkTime) return { time: speed / acceleration + jerkTime, jerkTime, peak: acceleration };
+  // Maximum acceleration is not reached: two jerk phases only
+  const peak = Math.sqrt(speed * jerk);
+  return { time: 2 * peak / jerk, jerkTime: peak / jerk, peak };
+}
+
+/**
+ * Rest-to-rest move over a distance: duration, peak speed and the position over time.
+ * Short moves do not reach max speed (and possibly not max acceleration); the ramps are symmetric.
+ * @param {number} distance Signed distance
+ * @param {MotionLimits} limits
+ * @returns {{distance:number, duration:number, peakSpeed:number, positionAt:(t:number)=>number}}
+ */
+export function motionProfile(distance, limits) {
+  const d = Math.abs(distance);
+  if (d === 0) return { distance, duration: 0, peakSpeed: 0, positionAt: () => 0 };
+  // A ramp up and down covers speed * rampTime
+  const covered = (speed) => speed * ramp(speed, limits).time;
+  let speed = limits.maxSpeed;
+  if (covered(speed) > d) {
+    let low = 0;
+    let high = speed;
+    for (let i = 0; i < 60; i++) {
+      speed = (low + high) / 2;
+      if (covered(speed) > d) high = speed;
+      else low = speed;
+    }
+    speed = low;
+  }
+  const { time, jerkTime, peak } = ramp(speed, limits);
+  const j = jerkTime > 0 ? peak / jerkTime : 0;
+  const constAccel = time - 2 * jerkTime;
+  const cruise = Math.max(0, (d - covered(speed)) / speed);
+  // Phases: start acceleration and jerk, integrated in closed form
+  const phases = [
+    { duration: jerkTime, acceleration: 0, jerk: j },
+    { duration: constAccel, acceleration: peak, jerk: 0 },
+    { duration: jerkTime, acceleration: peak, jerk: -j },
+    { duration: cruise, acceleration: 0, jerk: 0 },
+    { duration: jerkTime, acceleration: 0, jerk: -j },
+    { duration: constAccel, acceleration: -peak, jerk: 0 },
+    { duration: jerkTime, acceleration: -peak, jerk: j }
+  ];
+  const duration = 2 * time + cruise;
+  const sign = Math.sign(distance);
+  const positionAt = (t) => {
+    if (t >= duration) return distance;
+    let remaining = Math.max(0, t);
+    let p = 0;
+    let v = 0;
+    for (const phase of phases) {
+      const dt = Math.min(remaining, phase.duration);
+      p += v * dt + phase.acceleration * dt * dt / 2 + phase.jerk * dt * dt * dt / 6;
+      v += phase.acceleration * dt + phase.jerk * dt * dt / 2;
+      remaining -= dt;
+      if (remaining <= 0) break;
+    }
+    return sign * Math.min(p, d);
+  };
+  return { distance, duration, peakSpeed: speed, positionAt };
+}
+
+/**
+ * Travel time of a rest-to-rest move.
+ * @param {number} distance
+ * @param {MotionLimits} limits
+ * @returns {number} seconds
+ */
+export function travelTime(distance, limits) {
+  return motionProfile(distance, limits).duration;
+}
+
+/**
+ * Easing for an animation of a move: maps normalized time to the normalized distance covered.
+ * @param {number} distance
+ * @param {MotionLimits} limits
+ * @returns {(k:number)=>number}
+ */
+export function motionEasing(distance, limits) {
+  const profile = motionProfile(distance, limits);
+  if (!profile.duration) return (k) => k;
+  return (k) => profile.positionAt(k * profile.duration) / distance;
+}
+
+/**
+ * Shuttle load handling at a storage depth: arms extend to the depth, grip, and retract.
+ * @param {number} [depth=0] 0-based storage depth (0 = lift interface / first position)
+ * @param {Object} [shuttle] Shuttle kinematics (DEFAULT_KINEMATICS.shuttle)
+ * @returns {{extend:number, grip:number, retract:number, total:number, stroke:number}} seconds, stroke in m
+ */
+export function shuttleArmPhases(depth = 0, shuttle = DEFAULT_KINEMATICS.shuttle) {
+  const { arms } = shuttle;
+  const stroke = arms.stroke * (depth + 1);
+  const extend = travelTime(stroke, arms);
+  return { extend, grip: arms.gripTime, retract: extend, total: 2 * extend + arms.gripTime, stroke };
+}
+
+/**
+ * Shuttle load handling time. A fixed `handlingTime` (+ `depthHandlingTime` per depth) overrides the arm model.
+ * @param {number} [depth=0]
+ * @param {Object} [shuttle]
+ * @returns {number} seconds
+ */
+export function shuttleHandlingTime(depth = 0, shuttle = DEFAULT_KINEMATICS.shuttle) {
+  if (Number.isFinite(shuttle.handlingTime)) return shuttle.handlingTime + depth * (shuttle.depthHandlingTime || 0);
+  return shuttleArmPhases(depth, shuttle).total;
+}
+
+/**
+ * Lift transfer time (load onto or off the carriage). A fixed `transferTime` overrides the roller model.
+ * @param {Object} [lift]
+ * @returns {number} seconds
+ */
+export function liftTransferTime(lift = DEFAULT_KINEMATICS.lift) {
+  if (Number.isFinite(lift.transferTime)) return lift.transferTime;
+  return travelTime(lift.transfer.distance, lift.transfer);
+}
@@ -3,7 +3,11 @@ import * as THREE from 'three';
 
 import { constants } from '../../core/constants.js';
 import { TextureAtlasManager } from '../../core/TextureAtlasManager.js';
-import { getLocationTypeColor } from '../../ui/theme.js';
+import { getLocationTypeColor, hasCustomLocationTypeColor, INVENTORY_STATUS_COLORS, registerLocationTypeColors } from '../../ui/theme.js';
+import { isLocationMissing, resolveLocationType } from '../../domain/rules/locationRules.js';
+import { aisleLayout, aisleParams, rackLevelCenter } from '../../domain/services/aisleLayout.js';
+import { resolveDimensions } from '../../domain/services/dimensionProfiles.js';
+import { RackStructureBuilder } from './RackStructureBuilder.js';
 
 /**
  * Unified RackBuilder: progressive refactor layer that can output either instanced or individual meshes
@@ -13,11 +17,13 @@ export class RackBuilder {
   constructor({ instanced = true } = {}) {
     this.instanced = instanced;
     this.textureAtlas = null;
+    this.inventory = null; // InventoryService; when set, locations are colored by occupancy
   this._lastSignature = null;
   this._lastGroup = null;
   // --- incremental diff state (regular path only for now) ---
   this._shapeSignature = null; // structural aspects only
   this._moduleSigs = new Map(); // moduleKey -> signature
+    this.structureBuilder = new RackStructureBuilder(); // steel members, rebuilt only when the shape changes
   }
 
   /** Build racks group from uiConfig + rule arrays.
@@ -26,8 +32,11 @@ export class RackBuilder {
    * @param {Array} locationTypes
    * @param {Object} [options]
    * @param {boolean} [options.forceIncremental] Force rebuild path (skip early full-group reuse) so diff logic can run
+   * @param {import('../../domain/services/InventoryService.js').InventoryService} [options.inventory] Color locations by filled/empty/reserved
    */
   build(uiConfig, missingLocations = [], locationTypes = [], options = {}) {
+    this.inventory = options.inventory || null;
+    registerLocationTypeColors(locationTypes); // rule colors (type palette) before any material is picked
     const signature = this.computeSignature(uiConfig, missingLocations, locationTypes);
     if (!options.forceIncremental && this._lastSignature && signature === this._lastSignature && this._lastGroup) {
       return this._lastGroup;
@@ -53,8 +62,12 @@ export class RackBuilder {
         uiConfig.locations_per_module,
         uiConfig.storage_depth,
         uiConfig.levels_per_aisle.join(','),
-        missing.length,
-        types.length
+        JSON.stringify(uiConfig.aisle_overrides || []),
+        JSON.stringify(uiConfig.level_heights || []),
+        JSON.stringify(uiConfig.dimensions || {}),
+        JSON.stringify(missing), // rule contents, so an undo that keeps the count still rebuilds
+        JSON.stringify(types),
+        this.inventory ? this.inventory.version : '-'
       ].join('|');
     } catch { return Math.random().toString(); }
   }
@@ -72,20 +85,17 @@ export class RackBuilder {
   const hemi = new THREE.HemisphereLight(0xe0f4ff, 0x404040, 0.5); group.add(hemi);
   const dir = new THREE.DirectionalLight(0xffffff, 0.7); dir.position.set(12,18,10); dir.castShadow = false; group.add(dir);
       this._moduleSigs.clear();
-      const moduleLength = uiConfig.locations_per_module * constants.locationLength;
-      const totalRackDepth = uiConfig.storage_depth * constants.locationDepth;
-      const rackAndAisleWidth = (totalRackDepth * 2) + constants.aisleWidth;
-      for (let a=0;a<uiConfig.aisles;a++) {
-        const levels = uiConfig.levels_per_aisle[a];
+      for (const aisle of aisleLayout(uiConfig)) {
+        const a = aisle.aisle;
         for (let side=0; side<2; side++) {
           const rackLine = new THREE.Group();
           rackLine.userData.isRackLine = true;
           const isEast = side===1;
-          rackLine.position.x = a * rackAndAisleWidth + (isEast ? totalRackDepth + constants.aisleWidth : 0);
-          for (let l=0;l<levels;l++) {
-            for (let m=0;m<uiConfig.modules_per_aisle;m++) {
+          rackLine.position.x = isEast ? aisle.eastX : aisle.x;
+          for (let l=0;l<aisle.levels;l++) {
+            for (let m=0;m<aisle.modules;m++) {
               const moduleGroup = new THREE.Group();
-              moduleGroup.position.z = m*moduleLength;
+              moduleGroup.position.z = m*aisle.moduleLength;
               const moduleKey = this.moduleKey(a,side,l,m);
               this.populateModuleGroup(moduleGroup, { uiConfig, a, side, l, m, missingLocations, locationTypes });
               moduleGroup.userData.moduleKey = moduleKey;
@@ -98,9 +108,10 @@ export class RackBuilder {
           group.add(rackLine);
         }
       }
+      group.add(this.structureBuilder.build(uiConfig, { signature: shapeSig, textureAtlas: this.textureAtlas }));
       this._shapeSignature = shapeSig;
       // Better total modules: sum over aisles levels
-      let moduleTotal = 0; for (let a=0;a<uiConfig.aisles;a++){const levels=uiConfig.levels_per_aisle[a]; moduleTotal += levels * uiConfig.modules_per_aisle * 2;}
+      const moduleTotal = this.countModules(uiConfig);
       this._lastStats = { mode:'regular', changed: moduleTotal, totalModules: moduleTotal, changedPercent:100 };
       if (typeof window !== 'undefined' && window.dispatchEvent) {
   try { window.dispatchEvent(new CustomEvent('rackbuilder:stats', { detail: this._lastStats })); } catch { /* optional */ }
@@ -110,13 +121,12 @@ export class RackBuilder {
 
     // incremental path: mutate existing module groups in place
     const changedModules = [];
-    const moduleLength = uiConfig.locations_per_module * constants.locationLength;
     // traverse existing structure; assume layout unchanged
-    for (let a=0;a<uiConfig.aisles;a++) {
-      const levels = uiConfig.levels_per_aisle[a];
+    for (const aisle of aisleLayout(uiConfig)) {
+      const a = aisle.aisle;
       for (let side=0; side<2; side++) {
-        for (let l=0;l<levels;l++) {
-          for (let m=0;m<uiConfig.modules_per_aisle;m++) {
+        for (let l=0;l<aisle.levels;l++) {
+          for (let m=0;m<aisle.modules;m++) {
             const moduleKey = this.moduleKey(a,side,l,m);
             const newSig = this.computeModuleSignature({ uiConfig, a, side, l, m, missingLocations, locationTypes });
             const prevSig = this._moduleSigs.get(moduleKey);
@@ -126,7 +136,7 @@ export class RackBuilder {
               if (moduleGroup) {
                 // rebuild contents
                 while (moduleGroup.children.length) moduleGroup.remove(moduleGroup.children[0]);
-                moduleGroup.position.z = m * moduleLength; // ensure position
+                moduleGroup.position.z = m * aisle.moduleLength; // ensure position
                 this.populateModuleGroup(moduleGroup, { uiConfig, a, side, l, m, missingLocations, locationTypes });
                 this._moduleSigs.set(moduleKey, newSig);
                 changedModules.push(moduleKey);
@@ -142,7 +152,7 @@ export class RackBuilder {
       // No changes
     }
     // Emit stats for regular path
-    let moduleTotal = 0; for (let a=0;a<uiConfig.aisles;a++){const levels=uiConfig.levels_per_aisle[a]; moduleTotal += levels * uiConfig.modules_per_aisle * 2;}
+    const moduleTotal = this.countModules(uiConfig);
     this._lastStats = { mode:'regular', changed: changedModules.length, totalModules: moduleTotal, changedPercent: +(changedModules.length / (moduleTotal||1) * 100).toFixed(2) };
     if (typeof window !== 'undefined' && window.dispatchEvent) {
   try { window.dispatchEvent(new CustomEvent('rackbuilder:stats', { detail: this._lastStats })); } catch { /* optional */ }
@@ -152,38 +162,64 @@ export class RackBuilder {
 
   moduleKey(a,side,l,m) { return `${a}:${side}:${l}:${m}`; }
 
+  /** Module groups of the layout (every level of both rack sides). */
+  countModules(uiConfig) {
+    return aisleLayout(uiConfig).reduce((total, aisle) => total + aisle.levels * aisle.modules * 2, 0);
+  }
+
+  /** Center of a location box in rack-group coordinates (same layout as both build paths). */
+  locationCenter(uiConfig, { aisle, side = 0, level, module, depth, position }) {
+    const layout = aisleLayout(uiConfig)[aisle];
+    const isEast = side === 1;
+    const xBase = isEast ? layout.eastX : layout.x;
+    const displayDepthIndex = isEast ? depth : layout.depth - 1 - depth;
+    return new THREE.Vector3(
+      xBase + (displayDepthIndex * layout.locationDepth) + (layout.locationDepth/2),
+      rackLevelCenter(layout, level),
+      (module*layout.moduleLength) + (position*layout.locationLength)+(layout.locationLength/2)
+    );
+  }
+
   computeShapeSignature(uiConfig) {
     return [
       uiConfig.aisles,
       uiConfig.modules_per_aisle,
       uiConfig.locations_per_module,
       uiConfig.storage_depth,
-      uiConfig.levels_per_aisle.join(',')
+      uiConfig.levels_per_aisle.join(','),
+      JSON.stringify(uiConfig.aisle_overrides || []),
+      JSON.stringify(uiConfig.level_heights || []),
+      JSON.stringify(uiConfig.dimensions || {})
     ].join('|');
   }
 
   populateModuleGroup(moduleGroup, { uiConfig, a, side, l, m, missingLocations, locationTypes }) {
     const isEast = side===1;
-    for (let d=0; d<uiConfig.storage_depth; d++) {
-      for (let s=0; s<uiConfig.locations_per_module; s++) {
-        if (this.matchMissing(a,l,m,d,s,missingLocations)) continue;
-        const locType = this.matchLocationType(a,l,m,d,s,locationTypes) || 'Storage';
-        const dIndex = isEast ? d : (uiConfig.storage_depth - 1 - d);
-        const { color, emissive, emissiveIntensity } = getLocationTypeColor(locType, dIndex);
+    const geometry = aisleParams(uiConfig, a);
+    const { depth, locations } = geometry;
+    for (let d=0; d<depth; d++) {
+      for (let s=0; s<locations; s++) {
+        if (this.matchMissing(a,side,l,m,d,s,missingLocations)) continue;
+        const locType = this.matchLocationType(a,side,l,m,d,s,locationTypes) || 'Storage';
+        const dIndex = isEast ? d : (depth - 1 - d);
+        const record = this.inventory ? this.inventory.get({ aisle:a, side, level:l, module:m, depth:d, position:s }) : null;
+        const inventoryStatus = this.inventory ? (record ? record.status : 'empty') : null;
+        const color = inventoryStatus ? INVENTORY_STATUS_COLORS[inventoryStatus] : getLocationTypeColor(locType, dIndex).color;
         const geom = new THREE.BoxGeometry(
-          constants.locationDepth * 0.8,
-          constants.levelHeight * 0.8,
-          constants.locationLength * 0.8
+          geometry.locationDepth * 0.8,
+          geometry.levelHeights[l] * 0.8,
+          geometry.locationLength * 0.8
         );
   // Use MeshBasicMaterial for consistent colors regardless of lighting
   const mat = new THREE.MeshBasicMaterial({ color });
         const mesh = new THREE.Mesh(geom, mat);
         mesh.position.set(
-          (dIndex*constants.locationDepth)+(constants.locationDepth/2),
-          (l*constants.levelHeight)+(constants.levelHeight/2),
-          (s*constants.locationLength)+(constants.locationLength/2)
+          (dIndex*geometry.locationDepth)+(geometry.locationDepth/2),
+          rackLevelCenter(geometry, l),
+          (s*geometry.locationLength)+(geometry.locationLength/2)
         );
-        mesh.userData = { aisle:a, level:l, module:m, depth:d, position:s, type:locType };
+        mesh.userData = { aisle:a, side, level:l, module:m, depth:d, position:s, type:locType };
+        if (inventoryStatus) Object.assign(mesh.userData, { inventoryStatus, inventory: record });
         moduleGroup.add(mesh);
       }
     }
@@ -192,12 +228,15 @@ export class RackBuilder {
   computeModuleSignature({ uiConfig, a, side, l, m, missingLocations, locationTypes }) {
     // build a lightweight string capturing presence + type distribution
     const parts = [a,side,l,m];
-    for (let d=0; d<uiConfig.storage_depth; d++) {
-      for (let s=0; s<uiConfig.locations_per_module; s++) {
-        if (this.matchMissing(a,l,m,d,s,missingLocations)) { parts.push('x'); continue; }
-        const locType = this.matchLocationType(a,l,m,d,s,locationTypes) || 'S'; // collapse Storage => S
-        // take first 2 chars of type to reduce length
-        parts.push(locType.slice(0,2));
+    const { depth, locations } = aisleParams(uiConfig, a);
+    for (let d=0; d<depth; d++) {
+      for (let s=0; s<locations; s++) {
+        if (this.matchMissing(a,side,l,m,d,s,missingLocations)) { parts.push('x'); continue; }
+        const locType = this.matchLocationType(a,side,l,m,d,s,locationTypes) || 'S'; // collapse Storage => S
+        // full type name: painted custom types may share their first characters
+        const inv = this.inventory ? this.inventory.statusOf({ aisle:a, side, level:l, module:m, depth:d, position:s }).charAt(0) : '';
+        const color = locType === 'S' ? '' : getLocationTypeColor(locType, 0).color.toString(36);
+        parts.push(locType + color + inv);
       }
     }
     return parts.join('.');
@@ -233,60 +272,65 @@ export class RackBuilder {
     }
     const group = new THREE.Group();
 
+    const dims = resolveDimensions(uiConfig);
     const locationGeometry = new THREE.BoxGeometry(
-      constants.locationDepth * 0.8,
+      dims.locationDepth * 0.8,
       constants.levelHeight * 0.8,
-      constants.locationLength * 0.8
+      dims.locationLength * 0.8
     );
 
-    // group key => {positions:[], data:[], signature, mesh?}
+    // group key => {positions:[], heights:[], data:[], signature, mesh?}
+    // The location geometry is one constants.levelHeight tall; instances scale it to their level's pitch
     const buckets = new Map();
-    const pushInstance = (key, pos, data) => {
-      if (!buckets.has(key)) buckets.set(key,{positions:[],data:[],materialKey:key});
-      const b = buckets.get(key); b.positions.push(pos); b.data.push(data);
+    const pushInstance = (key, pos, height, data) => {
+      if (!buckets.has(key)) buckets.set(key,{positions:[],heights:[],data:[],materialKey:key});
+      const b = buckets.get(key); b.positions.push(pos); b.heights.push(height / constants.levelHeight); b.data.push(data);
     };
 
-    const totalRackDepth = uiConfig.storage_depth * constants.locationDepth;
-    const rackAndAisleWidth = (totalRackDepth * 2) + constants.aisleWidth;
+    const layout = aisleLayout(uiConfig);
 
-    const moduleLength = uiConfig.locations_per_module * constants.locationLength;
-
-    for (let a=0;a<uiConfig.aisles;a++) {
-      const levels = uiConfig.levels_per_aisle[a];
+    for (const aisle of layout) {
+      const a = aisle.aisle;
       for (let side=0; side<2; side++) {
         const isEast = side===1;
-        const xBase = a * rackAndAisleWidth + (isEast ? totalRackDepth + constants.aisleWidth : 0);
-        for (let l=0;l<levels;l++) {
-          for (let m=0;m<uiConfig.modules_per_aisle;m++) {
-            for (let dpt=0; dpt<uiConfig.storage_depth; dpt++) {
-              for (let s=0; s<uiConfig.locations_per_module; s++) {
-                if (this.matchMissing(a,l,m,dpt,s,missingLocations)) {
+        const xBase = isEast ? aisle.eastX : aisle.x;
+        for (let l=0;l<aisle.levels;l++) {
+          for (let m=0;m<aisle.modules;m++) {
+            for (let dpt=0; dpt<aisle.depth; dpt++) {
+              for (let s=0; s<aisle.locations; s++) {
+                if (this.matchMissing(a,side,l,m,dpt,s,missingLocations)) {
                   // Optional visualization of missing locations
                   if (uiConfig.showMissingIndicators !== false) {
-                    const displayDepthIndexMissing = isEast ? dpt : uiConfig.storage_depth - 1 - dpt;
-                    const xM = xBase + (displayDepthIndexMissing * constants.locationDepth) + (constants.locationDepth/2);
-                    const yM = (l*constants.levelHeight)+(constants.levelHeight/2);
-                    const zM = (m*uiConfig.locations_per_module*constants.locationLength) + (s*constants.locationLength)+(constants.locationLength/2);
-                    pushInstance(`Missing_${side}`, new THREE.Vector3(xM,yM,zM), { aisle:a, level:l, module:m, depth:dpt, position:s, type:'Missing', status:'Unavailable' });
+                    const displayDepthIndexMissing = isEast ? dpt : aisle.depth - 1 - dpt;
+                    const xM = xBase + (displayDepthIndexMissing * aisle.locationDepth) + (aisle.locationDepth/2);
+                    const yM = rackLevelCenter(aisle, l);
+                    const zM = (m*aisle.moduleLength) + (s*aisle.locationLength)+(aisle.locationLength/2);
+                    pushInstance(`Missing_${side}`, new THREE.Vector3(xM,yM,zM), aisle.levelHeights[l], { aisle:a, side, level:l, module:m, depth:dpt, position:s, type:'Missing', status:'Unavailable' });
                   }
                   continue;
                 }
-                const locType = this.matchLocationType(a,l,m,dpt,s,locationTypes) || 'Storage';
-                const displayDepthIndex = isEast ? dpt : uiConfig.storage_depth - 1 - dpt;
+                const locType = this.matchLocationType(a,side,l,m,dpt,s,locationTypes) || 'Storage';
+                const displayDepthIndex = isEast ? dpt : aisle.depth - 1 - dpt;
                 
-                // For Storage, include depth parity for correct alternating colors
+                // With an inventory loaded, occupancy wins over type for the bucket (type kept in data)
                 let bucketKey;
-                if (locType === 'Storage') {
+                const record = this.inventory ? this.inventory.get({ aisle:a, side, level:l, module:m, depth:dpt, position:s }) : null;
+                const inventoryStatus = this.inventory ? (record ? record.status : 'empty') : null;
+                if (inventoryStatus) {
+                  bucketKey = `Inventory_${inventoryStatus}_${side}`;
+                } else if (locType === 'Storage') {
                   const depthParity = displayDepthIndex % 2 === 0 ? 'even' : 'odd';
                   bucketKey = `${locType}_${side}_${depthParity}`;
                 } else {
                   bucketKey = `${locType}_${side}`;
                 }
                 
-                const x = xBase + (displayDepthIndex * constants.locationDepth) + (constants.locationDepth/2);
-                const y = (l*constants.levelHeight)+(constants.levelHeight/2);
-                const z = (m*uiConfig.locations_per_module*constants.locationLength) + (s*constants.locationLength)+(constants.locationLength/2);
-                pushInstance(bucketKey, new THREE.Vector3(x,y,z), { aisle:a, level:l, module:m, depth:dpt, position:s, type:locType });
+                const x = xBase + (displayDepthIndex * aisle.locationDepth) + (aisle.locationDepth/2);
+                const y = rackLevelCenter(aisle, l);
+                const z = (m*aisle.moduleLength) + (s*aisle.locationLength)+(aisle.locationLength/2);
+                const data = { aisle:a, side, level:l, module:m, depth:dpt, position:s, type:locType };
+                if (inventoryStatus) Object.assign(data, { inventoryStatus, inventory: record });
+                pushInstance(bucketKey, new THREE.Vector3(x,y,z), aisle.levelHeights[l], data);
               }
             }
           }
@@ -294,40 +338,8 @@ export class RackBuilder {
       }
     }
 
-    // --- Frame skeleton (simplified instanced frame bars per module level & side) ---
-    (() => {
-      const frameGeometry = new THREE.BoxGeometry(totalRackDepth, 0.08, moduleLength);
-      // Count frames
-      let frameCount = 0;
-      for (let a=0;a<uiConfig.aisles;a++) {
-        const levels = uiConfig.levels_per_aisle[a];
-        frameCount += levels * uiConfig.modules_per_aisle * 2; // two sides
-      }
-      if (frameCount === 0) return;
-      const frameMaterial = this.textureAtlas ? (this.textureAtlas.getMaterial('frame_steel') || this.textureAtlas.getMaterial('frame_aluminum')) : new THREE.MeshBasicMaterial({ color: 0x888888 });
-      const frameMesh = new THREE.InstancedMesh(frameGeometry, frameMaterial, frameCount);
-      const mtx = new THREE.Matrix4();
-      let idx = 0;
-      for (let a=0;a<uiConfig.aisles;a++) {
-        const levels = uiConfig.levels_per_aisle[a];
-        for (let side=0; side<2; side++) {
-          const isEast = side===1;
-            const xBase = a * rackAndAisleWidth + (isEast ? totalRackDepth + constants.aisleWidth : 0);
-          for (let l=0;l<levels;l++) {
-            for (let m=0;m<uiConfig.modules_per_aisle;m++) {
-              const x = xBase + totalRackDepth / 2;
-              const y = l * constants.levelHeight;
-              const z = (m * moduleLength) + (moduleLength/2);
-              mtx.setPosition(x,y,z);
-              frameMesh.setMatrixAt(idx++, mtx);
-            }
-          }
-        }
-      }
-      frameMesh.instanceMatrix.needsUpdate = true;
-      frameMesh.userData.isInstancedFrame = true;
-      group.add(frameMesh);
-    })();
+    // --- Steel structure (uprights, beams, rails, bracing, base plates; reused while the shape is unchanged) ---
+    group.add(this.structureBuilder.build(uiConfig, { signature: this.computeShapeSignature(uiConfig), textureAtlas: this.textureAtlas }));
 
     // Build instanced meshes
     const tmpMatrix = new THREE.Matrix4();
@@ -343,8 +355,10 @@ export class RackBuilder {
         hash = (hash * 31 + ((p.x*10)|0)) | 0;
         hash = (hash * 31 + ((p.y*10)|0)) | 0;
         hash = (hash * 31 + ((p.z*10)|0)) | 0;
+        hash = (hash * 31 + ((bucket.heights[i]*100)|0)) | 0;
       }
-      bucket.signature = `${bucket.positions.length}#${hash}#${typeSig}`;
+      // color too, so recoloring a type in the palette replaces the reused mesh
+      bucket.signature = `${bucket.positions.length}#${hash}#${typeSig}#${getLocationTypeColor(bucket.data[0].type, 0).color}`;
       const prev = prevMeshesByKey.get(key);
       if (canIncrement && !force && prev && prev.userData && prev.userData.signature === bucket.signature) {
         // reuse existing mesh
@@ -354,12 +368,14 @@ export class RackBuilder {
         group.add(clone); // shallow clone to detach from old group
         return;
       }
-      const mat = this.materialForType(bucket.data[0].type);
+      const first = bucket.data[0];
+      const mat = first.inventoryStatus ? this.materialForInventoryStatus(first.inventoryStatus) : this.materialForType(first.type);
       const mesh = new THREE.InstancedMesh(locationGeometry, mat, bucket.positions.length);
       for (let i=0;i<bucket.positions.length;i++) {
         // IMPORTANT: Matrix4.setPosition in three.js r128 expects numeric x,y,z (not a Vector3 object)
         // Passing the Vector3 directly resulted in NaN translation components, making cubes invisible.
         const p = bucket.positions[i];
+        tmpMatrix.makeScale(1, bucket.heights[i], 1);
         tmpMatrix.setPosition(p.x, p.y, p.z);
         mesh.setMatrixAt(i,tmpMatrix);
         if (!mesh.userData.locations) mesh.userData.locations = [];
@@ -393,6 +409,15 @@ export class RackBuilder {
     // Use texture atlas if available else fallback simple material
     if (this.textureAtlas) {
       const safe = type.toLowerCase().replace(/\s+/g,'_');
+      if (hasCustomLocationTypeColor(type)) {
+        const { color, emissive, emissiveIntensity } = getLocationTypeColor(type, 0);
+        const base = this.textureAtlas.getMaterial('storage_default').clone();
+        base.color = new THREE.Color(color);
+        base.emissive = new THREE.Color(emissive);
+        base.emissiveIntensity = emissiveIntensity;
+        base.userData.derivedForType = type;
+        return base;
+      }
       if (type === 'Missing') {
         const missingMat = this.textureAtlas.getMaterial('missing_location');
         if (missingMat) return missingMat.clone();
@@ -427,32 +452,26 @@ export class RackBuilder {
     return new THREE.MeshBasicMaterial({ color: 0x6e9075 });
   }
 
+  materialForInventoryStatus(status) {
+    const color = INVENTORY_STATUS_COLORS[status] ?? INVENTORY_STATUS_COLORS.empty;
+    // Empty cells stay translucent so filled stock stands out in dense racks
+    return status === 'empty'
+      ? new THREE.MeshBasicMaterial({ color, transparent:true, opacity:0.35 })
+      : new THREE.MeshBasicMaterial({ color });
+  }
+
   /**
    * Returns statistics from the last build (instanced or regular)
    * @returns {{mode:string,reused:number,rebuilt:number}|null}
    */
   getLastBuildStats() { return this._lastStats || null; }
 
-  matchMissing(a,l,m,d,s,missing) {
-    // Treat null the same as undefined (wildcard) for convenience with JSON configs
-    return missing.some(r => (
-      ((r.aisle == null) || r.aisle === a || (Array.isArray(r.aisle)&&r.aisle.includes(a))) &&
-      ((r.level == null) || r.level === l || (Array.isArray(r.level)&&r.level.includes(l))) &&
-      ((r.module == null) || r.module === m || (Array.isArray(r.module)&&r.module.includes(m))) &&
-      ((r.depth == null) || r.depth === d || (Array.isArray(r.depth)&&r.depth.includes(d))) &&
-      ((r.position == null) || r.position === s || (Array.isArray(r.position)&&r.position.includes(s)))
-    ));
+  // Rule matching is delegated to domain/rules/locationRules.js (shared with DomainBuilder and capacity counters)
+  matchMissing(a,side,l,m,d,s,missing) {
+    return isLocationMissing(missing, { aisle:a, side, level:l, module:m, depth:d, position:s });
   }
 
-  matchLocationType(a,l,m,d,s,locationTypes) {
-    if (!Array.isArray(locationTypes)) return null;
-    const found = locationTypes.find(t => (
-      ((t.aisle==null) || t.aisle===a || (Array.isArray(t.aisle)&&t.aisle.includes(a))) &&
-      ((t.level==null) || t.level===l || (Array.isArray(t.level)&&t.level.includes(l))) &&
-      ((t.module==null) || t.module===m || (Array.isArray(t.module)&&t.module.includes(m))) &&
-      ((t.depth==null) || t.depth===d || (Array.isArray(t.depth)&&t.depth.includes(d))) &&
-      ((t.position==null) || t.position===s || (Array.isArray(t.position)&&t.position.includes(s)))
-    ));
-    return found ? (found.type || found.id || 'Storage') : null;
+  matchLocationType(a,side,l,m,d,s,locationTypes) {
+    return resolveLocationType(locationTypes, { aisle:a, side, level:l, module:m, depth:d, position:s });
   }
 }
@@ -0,0 +1,156 @@
+/**
+ * Steel structure of the racks: uprights at every module boundary, level beams, shuttle rails, diagonal bracing
+ * in the upright frames and base plates. Every member type is one InstancedMesh per aisle (a unit box scaled per
+ * instance), so AdvancedLODManager can drop small members per aisle with distance (`userData.structureMember`).
+ */
+import * as THREE from 'three';
+
+import { constants } from '../../core/constants.js';
+import { aisleLayout } from '../../domain/services/aisleLayout.js';
+
+/** Member cross sections in m (x across the rack, y up, z along the aisle). */
+export const STRUCTURE_SECTIONS = {
+  upright: constants.modulePostSize,
+  beam: { width: 0.05, height: 0.08 },
+  rail: { width: 0.06, height: 0.04 },
+  bracing: 0.03,
+  basePlate: { size: constants.modulePostSize * 2, thickness: 0.01 }
+};
+
+/** Member types in drawing order. */
+export const STRUCTURE_MEMBERS = ['upright', 'beam', 'rail', 'bracing', 'basePlate'];
+
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+const NO_ROTATION = new THREE.Quaternion();
+
+/**
+ * Instance transforms of every member of one aisle in rack-group coordinates.
+ * @param {Object} aisle aisleLayout entry
+ * @returns {Object<string, THREE.Matrix4[]>} Keyed by STRUCTURE_MEMBERS
+ */
+export function aisleStructureMatrices(aisle) {
+  const members = Object.fromEntries(STRUCTURE_MEMBERS.map(member => [member, []]));
+  if (!aisle.levels || !aisle.modules) return members;
+  const { upright: post, beam, rail, bracing, basePlate } = STRUCTURE_SECTIONS;
+  const box = (member, x, y, z, sx, sy, sz, rotation = NO_ROTATION) => {
+    members[member].push(new THREE.Matrix4().compose(new THREE.Vector3(x, y, z), rotation, new THREE.Vector3(sx, sy, sz)));
+  };
+  // Beams sit centred on the level floor; the lowest one stands on the ground
+  const beamY = (l) => Math.max(aisle.levelBases[l], beam.height / 2);
+
+  for (let side = 0; side < 2; side++) {
+    const xBase = side === 1 ? aisle.eastX : aisle.x;
+    // Front (aisle face) and back post line of the rack
+    const faces = [xBase + post / 2, xBase + aisle.rackDepth - post / 2];
+    const aisleFace = side === 1 ? xBase : xBase + aisle.rackDepth;
+
+    for (let m = 0; m <= aisle.modules; m++) {
+      // End frames stay inside the rack footprint
+      const z = Math.min(Math.max(m * aisle.moduleLength, post / 2), aisle.length - post / 2);
+      faces.forEach(x => {
+        box('upright', x, aisle.height / 2, z, post, aisle.height, post);
+        box('basePlate', x, basePlate.thickness / 2, z, basePlate.size, basePlate.thickness, basePlate.size);
+      });
+      // One diagonal per level panel between the two posts, alternating direction
+      const span = faces[1] - faces[0];
+      for (let l = 0; l < aisle.levels && span > 0; l++) {
+        const rise = aisle.levelHeights[l];
+        const angle = Math.atan2(rise, span) * (l % 2 === 0 ? 1 : -1);
+        const rotation = new THREE.Quaternion().setFromAxisAngle(Z_AXIS, angle);
+        box('bracing', xBase + aisle.rackDepth / 2, aisle.levelBases[l] + rise / 2, z, Math.hypot(span, rise), bracing, bracing, rotation);
+      }
+    }
+
+    for (let m = 0; m < aisle.modules; m++) {
+      const z = m * aisle.moduleLength + aisle.moduleLength / 2;
+      // Level beams on both faces plus the top tie
+      for (let l = 0; l <= aisle.levels; l++) {
+        faces.forEach(x => box('beam', x, beamY(l), z, beam.width, beam.height, aisle.moduleLength - post));
+      }
+    }
+
+    // Shuttle rails run the full aisle length on the aisle face of every level
+    const railX = side === 1 ? aisleFace - rail.width / 2 : aisleFace + rail.width / 2;
+    for (let l = 0; l < aisle.levels; l++) {
+      box('rail', railX, beamY(l) + beam.height / 2 + rail.height / 2, aisle.length / 2, rail.width, rail.height, aisle.length);
+    }
+  }
+  return members;
+}
+
+/**
+ * Builds the structure group and keeps it while the rack shape stays the same.
+ */
+export class RackStructureBuilder {
+  constructor() {
+    this._signature = null;
+    this._group = null;
+    this._fallbackMaterials = null;
+  }
+
+  /**
+   * @param {Object} uiConfig
+   * @param {Object} [options]
+   * @param {string} [options.signature] Rack shape signature; an unchanged one returns the previous group
+   * @param {import('../../core/TextureAtlasManager.js').TextureAtlasManager} [options.textureAtlas] Steel materials
+   * @returns {THREE.Group}
+   */
+  build(uiConfig, { signature, textureAtlas } = {}) {
+    // Regular and instanced builds differ in materials, so the atlas is part of the cache key
+    const key = signature ? `${signature}|${textureAtlas ? 'atlas' : 'plain'}` : null;
+    if (key && key === this._signature && this._group) return this._group;
+    const group = new THREE.Group();
+    group.name = 'rack_structure';
+    const materials = this.materials(textureAtlas);
+    const stats = Object.fromEntries(STRUCTURE_MEMBERS.map(member => [member, 0]));
+
+    for (const aisle of aisleLayout(uiConfig)) {
+      const matrices = aisleStructureMatrices(aisle);
+      // Bounds of the aisle's racks, so culling and LOD distances use the aisle rather than the group origin
+      const bounds = new THREE.Box3(
+        new THREE.Vector3(aisle.x, 0, 0),
+        new THREE.Vector3(aisle.x + aisle.width, aisle.height, aisle.length)
+      );
+      const sphere = bounds.getBoundingSphere(new THREE.Sphere());
+      STRUCTURE_MEMBERS.forEach(member => {
+        const list = matrices[member];
+        if (!list.length) return;
+        // Own unit geometry per mesh: its bounding volumes cover the aisle, not the unit box
+        const geometry = new THREE.BoxGeometry(1, 1, 1);
+        geometry.boundingBox = bounds.clone();
+        geometry.boundingSphere = sphere.clone();
+        const mesh = new THREE.InstancedMesh(geometry, materials[member], list.length);
+        list.forEach((matrix, i) => mesh.setMatrixAt(i, matrix));
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.name = `rack_structure_${member}`;
+        // Steel is not pickable: clicks reach the locations behind it
+        mesh.raycast = () => {};
+        Object.assign(mesh.userData, { isRackStructure: true, structureMember: member, aisle: aisle.aisle, lodCenter: sphere.center.clone() });
+        group.add(mesh);
+        stats[member] += list.length;
+      });
+    }
+    group.userData.structureStats = stats;
+    this._signature = key;
+    this._group = group;
+    return group;
+  }
+
+  /** Steel from the texture atlas when available, plain materials otherwise (regular path). */
+  materials(textureAtlas) {
+    const steel = textureAtlas && textureAtlas.getMaterial('frame_steel');
+    const rail = textureAtlas && textureAtlas.getMaterial('frame_aluminum');
+    if (steel) return { upright: steel, beam: steel, bracing: steel, basePlate: steel, rail: rail || steel };
+    if (!this._fallbackMaterials) {
+      const fallbackSteel = new THREE.MeshStandardMaterial({ color: 0x9aa3ad, metalness: 0.6, roughness: 0.4 });
+      this._fallbackMaterials = {
+        upright: fallbackSteel,
+        beam: fallbackSteel,
+        bracing: fallbackSteel,
+        basePlate: fallbackSteel,
+        rail: new THREE.MeshStandardMaterial({ color: 0xd0d4d8, metalness: 0.8, roughness: 0.2 })
+      };
+    }
+    return this._fallbackMaterials;
+  }
+}
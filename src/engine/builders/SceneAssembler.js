@@ -11,8 +11,8 @@ export class SceneAssembler {
     this.metricsService = new MetricsService();
   }
 
-  buildDomain(uiConfig, missingLocations) {
-    const builder = new DomainBuilder({ uiConfig, missingLocations });
+  buildDomain(uiConfig, missingLocations, inventory) {
+    const builder = new DomainBuilder({ uiConfig, missingLocations, inventory });
     const domain = builder.build();
     const metrics = this.metricsService.compute(domain);
     this.eventBus && this.eventBus.publish({ type: 'MetricsUpdated', payload: metrics });
@@ -0,0 +1,83 @@
+/**
+ * Headless core: everything needed to validate layouts and compute capacities without a browser.
+ * Only pure modules are imported here (no Three.js, no `document` / `window`), so this entry point
+ * runs unchanged in Node. The browser adapters (core/warehouseConfigIO.js, ui/*, SceneManager) build on top.
+ */
+export { calculateCapacity, calculateGrossLocations, calculateLocationsBySide, calculateTotalLocations } from '../core/warehouseMetrics.js';
+export { AISLE_OVERRIDE_KEYS, aisleLayout, aisleParams, clearHeightViolations, levelHeightsFor, maxRackDepth, maxStorageDepth, prezoneOrigin, rackLevelCenter, setAisleOverride } from '../domain/services/aisleLayout.js';
+export { BUILDING_DEFAULTS, buildingClashReport, CLASH_KINDS, describeClash, detectBuildingClashes, equipmentFootprints, resolveBuilding } from '../domain/services/buildingLayout.js';
+export { ellipsePath, pathBetween, projectOntoPath, sampleConveyorPath } from '../domain/services/conveyorPath.js';
+export { ConveyorRouter, polylineLength } from '../domain/services/conveyorRouting.js';
+export { buildConveyorGraph, reachableFrom, validatePlcTopology } from '../domain/services/conveyorTopology.js';
+export { CycleTimeService, FEM_REFERENCE_POINTS } from '../domain/services/CycleTimeService.js';
+export { DIMENSION_KEYS, DIMENSION_PROFILES, dimensionValues, formatLength, fromUnits, LENGTH_UNITS, resolveDimensions, toUnits } from '../domain/services/dimensionProfiles.js';
+export { DomainBuilder } from '../domain/services/DomainBuilder.js';
+export { InventoryService } from '../domain/services/InventoryService.js';
+export { MetricsService } from '../domain/services/MetricsService.js';
+export { createPlcAddressCodec, decodePlcAddress, DEFAULT_PLC_ADDRESS_CONVENTION, getPlcStationType, PLC_STATION_TYPE_DIGITS, resolvePlcAddressCodec } from '../domain/services/plcAddress.js';
+export { allocatePlcAddress, mergeGeneratedStations, withGeneratedPickingStations } from '../domain/services/plcStationLayout.js';
+export { attachedLoop, DEFAULT_PREZONE_LEVEL_HEIGHTS, levelElevation, prezoneLevelHeights, prezoneLoops, stationElevation } from '../domain/services/prezoneLevels.js';
+export { DEFAULT_KINEMATICS, liftTransferTime, motionProfile, resolveKinematics, shuttleArmPhases, shuttleHandlingTime, travelTime } from '../domain/simulation/kinematics.js';
+export { ThroughputSimulator, generateOrderStream } from '../domain/simulation/ThroughputSimulator.js';
+export { CONFIG_MIGRATIONS, CURRENT_CONFIG_VERSION, detectConfigVersion, migrateWarehouseConfig } from '../infrastructure/config/configMigrations.js';
+export { validateAgainstSchema } from '../infrastructure/config/schemaValidator.js';
+export {
+  INDEX_KEYS,
+  convertIndexFields,
+  convertRuleList,
+  normalizeRuleSide,
+  parseWarehouseConfig,
+  serializeWarehouseConfig,
+  toUIConfig,
+  validateWarehouseConfiguration
+} from '../infrastructure/config/warehouseConfigParser.js';
+
+// Used by analyzeWarehouseConfig below
+import { calculateCapacity } from '../core/warehouseMetrics.js';
+import { clearHeightViolations } from '../domain/services/aisleLayout.js';
+import { buildingClashReport } from '../domain/services/buildingLayout.js';
+import { validatePlcTopology } from '../domain/services/conveyorTopology.js';
+import { CycleTimeService } from '../domain/services/CycleTimeService.js';
+import { DomainBuilder } from '../domain/services/DomainBuilder.js';
+import { MetricsService } from '../domain/services/MetricsService.js';
+import { decodePlcAddress, resolvePlcAddressCodec } from '../domain/services/plcAddress.js';
+import { withGeneratedPickingStations } from '../domain/services/plcStationLayout.js';
+import { parseWarehouseConfig, toUIConfig } from '../infrastructure/config/warehouseConfigParser.js';
+
+/**
+ * Validates one layout file and computes its capacity, domain metrics, analytical throughput, decoded PLC stations,
+ * conveyor routing findings, racks above the building clear height and clashes with the building envelope.
+ * Routing findings, clear-height violations and clashes do not affect `valid` (schema validity); check
+ * `topology.valid`, `clearance.valid` and `building.valid`.
+ * @param {string|Object} input Raw JSON text or parsed external (1-based) configuration
+ * @returns {{valid:boolean, errors:string[], migration:Object|null, name:string|null, uiConfig:Object|null, capacity:Object|null, metrics:Object|null, throughput:Object|null, plcStations:Object[], topology:{valid:boolean, findings:Object[]}|null, clearance:{valid:boolean, violations:Object[]}|null, building:{building:boolean, valid:boolean, counts:Object, clashes:Object[]}|null}}
+ */
+export function analyzeWarehouseConfig(input) {
+  const { config, errors, migration } = parseWarehouseConfig(input);
+  if (!config) {
+    return { valid: false, errors, migration, name: null, uiConfig: null, capacity: null, metrics: null, throughput: null, plcStations: [], topology: null, clearance: null, building: null };
+  }
+  const uiConfig = toUIConfig(config);
+  const missingLocations = config.missing_locations;
+  const domain = new DomainBuilder({ uiConfig, missingLocations }).build();
+  const codec = resolvePlcAddressCodec(config.plc_address_convention);
+  const plcStations = (config.plc_stations || []).map(s => ({ name: s.name || null, ...decodePlcAddress(s.plc_address, codec) }));
+  // Routing is checked on the stations the prezone renders (picking diverters / stations regenerated)
+  const routedStations = uiConfig.plc_stations?.length ? withGeneratedPickingStations(uiConfig, codec) : [];
+  const { valid: routingValid, findings } = validatePlcTopology(routedStations, { codec });
+  const violations = clearHeightViolations(uiConfig);
+  return {
+    valid: true,
+    errors: [],
+    migration,
+    name: config.metadata ? config.metadata.name : null,
+    uiConfig,
+    capacity: calculateCapacity(uiConfig, missingLocations),
+    metrics: new MetricsService().compute(domain),
+    throughput: new CycleTimeService().compute(uiConfig),
+    plcStations,
+    topology: { valid: routingValid, findings },
+    clearance: { valid: violations.length === 0, violations },
+    building: buildingClashReport(uiConfig)
+  };
+}
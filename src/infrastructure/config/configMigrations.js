@@ -0,0 +1,161 @@
+/**
+ * Versioned migrations for warehouse configuration files.
+ * Each step upgrades a file from one format version to the next; `migrateWarehouseConfig` detects the
+ * version in `metadata.version` and applies the steps in order, collecting a human readable change log.
+ * Pure (no DOM) so the headless core can load old layouts too.
+ *
+ * Format history:
+ * - 0.x: indices in missing_locations / buffer_locations were 0-based
+ * - 1.x: 1-based indices, buffer rules in `buffer_locations` (top level or inside a `location_types` object)
+ * and derived `calculated_metrics` stored in the file; files without a version are treated as 1.0.0
+ * - 2.0.0: `location_types` is a list of typed rules, PLC stations and prezone visuals included
+ */
+import { shiftRuleValue } from '../../domain/rules/locationRules.js';
+
+/** Version written by exports and expected after migration. */
+export const CURRENT_CONFIG_VERSION = '2.0.0';
+
+const RULE_KEYS = ['aisle', 'level', 'module', 'depth', 'position'];
+
+/**
+ * Parses 'x.y.z' (missing parts = 0) into comparable numbers.
+ * @param {string} version
+ * @returns {number[]|null}
+ */
+function parseVersion(version) {
+  const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?/.exec(String(version).trim());
+  return match ? [1, 2, 3].map(i => Number(match[i] || 0)) : null;
+}
+
+/** @returns {number} <0, 0, >0 like a sort comparator */
+export function compareVersions(a, b) {
+  const va = parseVersion(a) || [0, 0, 0];
+  const vb = parseVersion(b) || [0, 0, 0];
+  for (let i = 0; i < 3; i++) {
+    if (va[i] !== vb[i]) return va[i] - vb[i];
+  }
+  return 0;
+}
+
+/**
+ * Format version of a raw (external) configuration; unversioned files are 1.0.0.
+ * @param {Object} raw
+ * @returns {string}
+ */
+export function detectConfigVersion(raw) {
+  const version = raw && raw.metadata && raw.metadata.version;
+  const parsed = version !== undefined && version !== null ? parseVersion(version) : null;
+  return parsed ? parsed.join('.') : '1.0.0';
+}
+
+function shiftRuleList(list, delta) {
+  return list.map(rule => {
+    if (!rule || typeof rule !== 'object') return rule;
+    const out = { ...rule };
+    RULE_KEYS.forEach(k => { if (k in out) out[k] = shiftRuleValue(out[k], delta); });
+    return out;
+  });
+}
+
+/**
+ * Registered migration steps, ordered by `from`. A step applies to every version >= from and < to.
+ * `migrate` receives a deep copy and a `change(message)` reporter and returns the upgraded config.
+ * @type {{from:string,to:string,description:string,migrate:(config:Object, change:(msg:string)=>void)=>Object}[]}
+ */
+export const CONFIG_MIGRATIONS = [
+  {
+    from: '0.0.0',
+    to: '1.0.0',
+    description: 'Convert 0-based location indices to 1-based',
+    migrate(config, change) {
+      if (Array.isArray(config.missing_locations) && config.missing_locations.length) {
+        config.missing_locations = shiftRuleList(config.missing_locations, +1);
+        change(`missing_locations: ${config.missing_locations.length} rule(s) converted from 0-based to 1-based indices`);
+      }
+      const holders = [config, config.location_types].filter(h => h && !Array.isArray(h) && Array.isArray(h.buffer_locations));
+      holders.forEach(h => {
+        h.buffer_locations = shiftRuleList(h.buffer_locations, +1);
+        change(`buffer_locations: ${h.buffer_locations.length} rule(s) converted from 0-based to 1-based indices`);
+      });
+      if (Array.isArray(config.location_types) && config.location_types.length) {
+        config.location_types = shiftRuleList(config.location_types, +1);
+        change(`location_types: ${config.location_types.length} rule(s) converted from 0-based to 1-based indices`);
+      }
+      return config;
+    }
+  },
+  {
+    from: '1.0.0',
+    to: '2.0.0',
+    description: 'Typed location_types rules, drop derived metrics, add prezone / PLC sections',
+    migrate(config, change) {
+      const legacy = config.location_types && !Array.isArray(config.location_types) ? config.location_types : null;
+      const buffers = [
+        ...(Array.isArray(config.buffer_locations) ? config.buffer_locations : []),
+        ...(legacy && Array.isArray(legacy.buffer_locations) ? legacy.buffer_locations : [])
+      ];
+      const rules = Array.isArray(config.location_types) ? config.location_types : [];
+      if (legacy || 'buffer_locations' in config) {
+        const converted = buffers.map(b => ({ ...b, type: b.type || 'Buffer' }));
+        const defaultType = legacy && legacy.default_type;
+        // First matching rule wins, so a catch-all rule at the end reproduces a non-Storage default type
+        if (defaultType && defaultType !== 'Storage') converted.push({ type: defaultType });
+        config.location_types = [...rules, ...converted];
+        delete config.buffer_locations;
+        change(`buffer_locations: ${buffers.length} rule(s) moved to location_types as type "Buffer"`);
+        if (defaultType && defaultType !== 'Storage') change(`location_types: default type "${defaultType}" added as catch-all rule`);
+      }
+      if ('calculated_metrics' in config) {
+        delete config.calculated_metrics;
+        change('calculated_metrics removed (recomputed on load)');
+      }
+      if (!Array.isArray(config.missing_locations)) {
+        config.missing_locations = [];
+      }
+      if (!Array.isArray(config.plc_stations)) {
+        config.plc_stations = [];
+        change('plc_stations: added empty list');
+      }
+      if (!config.prezone_visuals) {
+        config.prezone_visuals = { ellipse: { position: { x: 0, y: 0.0, z: -5.0 }, dimensions: { radiusX: 20.0, radiusZ: 2.0 } } };
+        change('prezone_visuals: added default ellipse');
+      }
+      return config;
+    }
+  }
+];
+
+/**
+ * Upgrades a raw (external, 1-based after migration) configuration to CURRENT_CONFIG_VERSION.
+ * Files that are already current are returned unchanged (as a copy).
+ * @param {Object} raw Parsed JSON of the file
+ * @returns {{config:Object|null, fromVersion:string, toVersion:string, changes:string[], errors:string[]}}
+ */
+export function migrateWarehouseConfig(raw) {
+  const fromVersion = detectConfigVersion(raw);
+  const result = { config: null, fromVersion, toVersion: CURRENT_CONFIG_VERSION, changes: [], errors: [] };
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    result.errors.push('/: must be object');
+    return result;
+  }
+  if (compareVersions(fromVersion, CURRENT_CONFIG_VERSION) > 0) {
+    result.errors.push(`/metadata/version: ${fromVersion} is newer than the supported format ${CURRENT_CONFIG_VERSION}`);
+    return result;
+  }
+  let config = JSON.parse(JSON.stringify(raw));
+  for (const step of CONFIG_MIGRATIONS) {
+    if (compareVersions(fromVersion, step.to) >= 0) continue;
+    const stepChanges = [];
+    config = step.migrate(config, (message) => stepChanges.push(message));
+    result.changes.push(`${step.from} → ${step.to}: ${step.description}`, ...stepChanges.map(c => `  ${c}`));
+  }
+  if (fromVersion !== CURRENT_CONFIG_VERSION) {
+    config.metadata = { ...(config.metadata || {}) };
+    if (!config.metadata.name) config.metadata.name = 'migrated_config';
+    if (!config.metadata.created) config.metadata.created = new Date().toISOString();
+    config.metadata.version = CURRENT_CONFIG_VERSION;
+    if (!config.metadata.migrated_from) config.metadata.migrated_from = fromVersion;
+  }
+  result.config = config;
+  return result;
+}
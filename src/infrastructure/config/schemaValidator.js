@@ -1,18 +1,163 @@
-/** Lightweight JSON Schema validator wrapper (runtime optional).
- * For now performs only minimal structural checks matching warehouse.schema.json.
- * Upgrade later by adding a real validator (Ajv) if needed.
+/**
+ * Synchronous JSON Schema validator for warehouse configurations (no external deps).
+ * Implements the draft 2020-12 subset used by warehouse.schema.json: type, enum, const, required,
+ * properties, additionalProperties, items, min/maxItems, minProperties, minLength, (exclusive)minimum / maximum,
+ * allOf / anyOf / oneOf / not and local `$ref`s into `$defs`.
+ * Errors are reported as `<JSON pointer>: <message>`, e.g. `/plc_stations/3/plc_address: must be >= 10000`.
  */
-export function validateAgainstSchema(config) {
-  if (!config || typeof config !== 'object') return { valid: false, errors: ['Config not object'] };
-  const wp = config.warehouse_parameters;
-  if (!wp) return { valid: false, errors: ['warehouse_parameters missing'] };
-  const errs = [];
-  const num = (v) => typeof v === 'number' && !isNaN(v);
-  if (!num(wp.aisles) || wp.aisles < 1) errs.push('aisles invalid');
-  if (!Array.isArray(wp.levels_per_aisle) || wp.levels_per_aisle.length !== wp.aisles) errs.push('levels_per_aisle length mismatch');
-  if (!num(wp.modules_per_aisle) || wp.modules_per_aisle < 1) errs.push('modules_per_aisle invalid');
-  if (!num(wp.locations_per_module) || wp.locations_per_module < 1) errs.push('locations_per_module invalid');
-  if (!num(wp.storage_depth) || wp.storage_depth < 1) errs.push('storage_depth invalid');
-  if (!num(wp.picking_stations) || wp.picking_stations < 0) errs.push('picking_stations invalid');
-  return { valid: errs.length === 0, errors: errs };
+import warehouseSchema from './warehouse.schema.json' with { type: 'json' };
+
+export { warehouseSchema };
+
+/** Escapes a property name for use in a JSON pointer (RFC 6901). */
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref.slice(2).split('/').reduce((node, part) => node && node[part.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+}
+
+/**
+ * Validates `value` against `schema`, appending `{path, message}` entries to `errors`.
+ * @param {*} value
+ * @param {Object|boolean} schema
+ * @param {string} path JSON pointer of `value`
+ * @param {Object} root Root schema (for $ref)
+ * @param {{path:string,message:string}[]} errors
+ */
+function validateNode(value, schema, path, root, errors) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path, message: 'is not allowed' });
+    return;
+  }
+  if (schema.$ref) {
+    validateNode(value, resolveRef(root, schema.$ref), path, root, errors);
+  }
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}` });
+      return; // further keywords would only produce noise
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path, message: `must have at least ${schema.minLength} characters` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => validateNode(item, schema.items, `${path}/${i}`, root, errors));
+    }
+  } else if (value !== null && typeof value === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: `${path}/${escapePointer(key)}`, message: 'is required' });
+    }
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      errors.push({ path, message: `must have at least ${schema.minProperties} properties` });
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = `${path}/${escapePointer(key)}`;
+      if (key in properties) {
+        validateNode(child, properties[key], childPath, root, errors);
+      } else if (schema.additionalProperties !== undefined) {
+        validateNode(child, schema.additionalProperties, childPath, root, errors);
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) validateNode(value, sub, path, root, errors);
+  if (schema.anyOf && !schema.anyOf.some(sub => isValid(value, sub, root))) {
+    // When only one alternative accepts this JSON type, its own errors are the most precise report
+    const candidates = schema.anyOf.filter(sub => acceptsType(value, sub, root));
+    if (candidates.length === 1) {
+      validateNode(value, candidates[0], path, root, errors);
+    } else {
+      errors.push({ path, message: describeAlternatives(candidates.length ? candidates : schema.anyOf, root) });
+    }
+  }
+  if (schema.oneOf && schema.oneOf.filter(sub => isValid(value, sub, root)).length !== 1) {
+    errors.push({ path, message: 'must match exactly one allowed form' });
+  }
+  if (schema.not && isValid(value, schema.not, root)) {
+    errors.push({ path, message: 'matches a forbidden form' });
+  }
+}
+
+function isValid(value, schema, root) {
+  const errors = [];
+  validateNode(value, schema, '', root, errors);
+  return errors.length === 0;
+}
+
+/** True when the (resolved) schema does not reject the value by its JSON type / const / enum alone. */
+function acceptsType(value, schema, root) {
+  const target = schema.$ref ? resolveRef(root, schema.$ref) : schema;
+  if (target.const !== undefined) return target.const === value;
+  if (target.enum) return target.enum.includes(value);
+  if (target.type !== undefined) {
+    const types = Array.isArray(target.type) ? target.type : [target.type];
+    return types.some(t => matchesType(value, t));
+  }
+  if (target.anyOf) return target.anyOf.some(sub => acceptsType(value, sub, root));
+  return true;
+}
+
+/** Human readable summary of anyOf alternatives (uses `title` where available). */
+function describeAlternatives(alternatives, root) {
+  const names = alternatives.map(alt => {
+    const target = alt.$ref ? resolveRef(root, alt.$ref) : alt;
+    if (target.title) return target.title;
+    if (target.const !== undefined) return JSON.stringify(target.const);
+    if (target.type) return target.type;
+    if (target.required) return `object with ${target.required.join(' / ')}`;
+    return alt.$ref ? alt.$ref.split('/').pop() : 'alternative';
+  });
+  return `must match one of: ${[...new Set(names)].join(' | ')}`;
+}
+
+/**
+ * Validates a configuration against warehouse.schema.json plus cross-field rules the schema cannot express.
+ * @param {Object} config External (1-based) configuration
+ * @param {Object} [schema=warehouseSchema]
+ * @returns {{valid:boolean, errors:string[], details:{path:string,message:string}[]}} `errors` as `pointer: message`
+ */
+export function validateAgainstSchema(config, schema = warehouseSchema) {
+  const details = [];
+  validateNode(config, schema, '', schema, details);
+  const wp = config && config.warehouse_parameters;
+  if (wp && Array.isArray(wp.levels_per_aisle) && Number.isInteger(wp.aisles) && wp.levels_per_aisle.length !== wp.aisles) {
+    details.push({ path: '/warehouse_parameters/levels_per_aisle', message: `must have ${wp.aisles} entries (one per aisle)` });
+  }
+  const errors = details.map(e => `${e.path || '/'}: ${e.message}`);
+  return { valid: errors.length === 0, errors, details };
 }
@@ -0,0 +1,391 @@
+/**
+ * Pure warehouse configuration parsing / serialisation (no DOM, no Three.js).
+ * @fileoverview Shared by the browser adapter (core/warehouseConfigIO.js) and the headless core
+ * (src/headless) so layout files can be validated and converted in Node.
+ * JSDoc typedefs are provided so editors & tooling can reason about the data structures.
+ */
+import { validateAgainstSchema } from './schemaValidator.js';
+import { CURRENT_CONFIG_VERSION, migrateWarehouseConfig } from './configMigrations.js';
+import { shiftRuleValue, SIDE_NAMES, sideIndex } from '../../domain/rules/locationRules.js';
+import { plcAddressConventionErrors } from '../../domain/services/plcAddress.js';
+
+/**
+ * Condition on one index field of a location rule (see domain/rules/locationRules.js):
+ * null / -1 wildcard, exact index, array, inclusive `{from,to}` range or `{not: RuleValue}`.
+ * @typedef {null|number|Array<number|{from?:number,to?:number}>|{from?:number,to?:number}|{not:*}} RuleValue
+ */
+
+/**
+ * A single missing location rule (all indices 0-based internally).
+ * @typedef {Object} MissingLocation
+ * @property {RuleValue} [aisle]
+ * @property {RuleValue} [level]
+ * @property {RuleValue} [module]
+ * @property {RuleValue} [depth]
+ * @property {RuleValue} [position]
+ * @property {'west'|'east'|Array<'west'|'east'>|{not:string}} [side] Rack side; omitted = both sides.
+ */
+
+/**
+ * Descriptor of a special location type override / custom definition.
+ * @typedef {Object} LocationTypeDescriptor
+ * @property {string} [type] Location type name (e.g. 'Buffer', 'Service').
+ * @property {string} [id] Unique id / name (used as type when `type` is missing).
+ * @property {RuleValue} [aisle]
+ * @property {RuleValue} [level]
+ * @property {RuleValue} [module]
+ * @property {RuleValue} [depth]
+ * @property {RuleValue} [position]
+ * @property {'west'|'east'|Array<'west'|'east'>|{not:string}} [side]
+ * @property {string} [category] UI grouping category.
+ * @property {Object<string,any>} [meta] Arbitrary metadata.
+ */
+
+/**
+ * Prezone ellipse shape.
+ * @typedef {Object} PrezoneEllipse
+ * @property {{x:number,y:number,z:number}} position
+ * @property {{radiusX:number,radiusZ:number}} dimensions
+ */
+
+/**
+ * Prezone visuals container.
+ * @typedef {Object} PrezoneVisuals
+ * @property {PrezoneEllipse} ellipse Main loop
+ * @property {boolean} [realisticConveyors]
+ * @property {{floor?:number, conveyor_level?:number}} [level_heights] Height of one floor / conveyor level
+ * @property {ConveyorPath} [path] Freeform main loop, replaces the ellipse
+ * @property {Array<{floor:number, conveyor_level?:number, path?:ConveyorPath} & Partial<PrezoneEllipse>>} [loops] Loops of further levels
+ * @property {Array<ConveyorPath & {name?:string, floor?:number, conveyor_level?:number}>} [conveyors] Open sections (spurs, merges, diverts)
+ */
+
+/**
+ * Freeform conveyor path (see domain/services/conveyorPath.js).
+ * @typedef {Object} ConveyorPath
+ * @property {{x:number, y?:number, z:number}[]} points
+ * @property {'polyline'|'spline'} [curve='polyline']
+ * @property {number} [corner_radius] Rounds polyline corners
+ */
+
+/**
+ * PLC Station descriptor.
+ * @typedef {Object} PlcStation
+ * @property {number} id Station numeric id.
+ * @property {string} type Station type (e.g. 'SimpleStation','EvoLift').
+ * @property {string} [description]
+ * @property {string} [group]
+ */
+
+/**
+ * PLC address convention (see domain/services/plcAddress.js); omitted = SRC 5-digit addresses.
+ * @typedef {Object} PlcAddressConvention
+ * @property {string} [name]
+ * @property {{name:'floor'|'conveyor_level'|'type'|'counter', digits:number}[]} [fields] Most significant first
+ * @property {Object<string,string>} [types] Type code -> station type
+ * @property {{entry?:number, main_loop?:number}} [stations]
+ * @property {{floor?:number, conveyor_level?:number, lift_exit_floor?:number}} [generation] Used for generated stations
+ */
+
+/**
+ * Rack geometry of one aisle replacing the warehouse-wide values (see domain/services/aisleLayout.js).
+ * @typedef {Object} AisleOverride
+ * @property {number} aisle 1-based in external JSON, 0-based internally
+ * @property {number} [modules_per_aisle]
+ * @property {number} [locations_per_module]
+ * @property {number} [storage_depth]
+ * @property {number[]} [level_heights]
+ * @property {number} [clear_height]
+ */
+
+/**
+ * Dimension profile of a layout in m; set values replace the ones of the named profile.
+ * @typedef {Object} Dimensions
+ * @property {'standard'|'tote'|'carton'|'custom'} [profile]
+ * @property {number} [location_length] Location pitch along the aisle
+ * @property {number} [location_depth] Location pitch into the rack
+ * @property {number} [aisle_width]
+ * @property {number} [level_height] Level pitch without a level_heights profile
+ */
+
+/**
+ * Building envelope in m, in rack coordinates (x across the aisles, z along them, prezone at negative z).
+ * @typedef {Object} Building
+ * @property {{x:number,z:number}[]} walls Closed polygon of the wall centre lines
+ * @property {number} [wall_thickness]
+ * @property {number} [wall_height] Defaults to clear_height
+ * @property {{origin:{x:number,z:number}, spacing:{x:number,z:number}, count:{x:number,z:number}, size?:number}} [columns] Column grid
+ * @property {{name?:string, position:{x:number,z:number}, width:number, height?:number, clearance?:number}[]} [doors] Snapped to the nearest wall
+ * @property {{name?:string, from:{x:number,z:number}, to:{x:number,z:number}, thickness?:number, height?:number}[]} [fire_walls]
+ * @property {number} [sprinkler_clearance_height] Highest allowed top of racks and equipment
+ */
+
+/**
+ * UI configuration object used by the editor / scene before export.
+ * @typedef {Object} UIConfig
+ * @property {number} aisles
+ * @property {number[]} levels_per_aisle Array length equals aisles.
+ * @property {number} modules_per_aisle
+ * @property {number} locations_per_module
+ * @property {number} storage_depth Storage depth per location (e.g., 1,2,3).
+ * @property {number} picking_stations Total picking stations.
+ * @property {number[]} [level_heights] Level pitch in m, bottom level first; the last entry repeats upwards.
+ * @property {number|null} [clear_height] Building clear height in m (rack top limit).
+ * @property {AisleOverride[]} [aisle_overrides] Per-aisle geometry, 0-based `aisle`
+ * @property {Dimensions} [dimensions] Location and aisle sizes (see domain/services/dimensionProfiles.js)
+ * @property {'mm'|'m'|'ft'} [units] Display unit of lengths; values are always stored in m
+ * @property {Building|null} [building] Building envelope (see domain/services/buildingLayout.js)
+ * @property {PrezoneVisuals} [prezone_visuals]
+ * @property {PlcStation[]} [plc_stations]
+ * @property {PlcAddressConvention|null} [plc_address_convention]
+ * @property {number[]} [plc_removed_stations] Addresses deleted in the station editor
+ */
+
+/**
+ * The object shape written to JSON during export.
+ * @typedef {Object} WarehouseConfig
+ * @property {{name:string,created:string,version:string,description:string}} metadata
+ * @property {{
+ * aisles:number,
+ * levels_per_aisle:number[],
+ * modules_per_aisle:number,
+ * locations_per_module:number,
+ * storage_depth:number,
+ * picking_stations:number,
+ * level_heights?:number[],
+ * clear_height?:number,
+ * aisle_overrides?:AisleOverride[]
+ * }} warehouse_parameters
+ * @property {Dimensions} [dimensions]
+ * @property {'mm'|'m'|'ft'} [units]
+ * @property {Building} [building]
+ * @property {PrezoneVisuals} prezone_visuals
+ * @property {PlcStation[]} plc_stations
+ * @property {PlcAddressConvention} [plc_address_convention]
+ * @property {number[]} [plc_removed_stations]
+ * @property {MissingLocation[]} missing_locations
+ * @property {LocationTypeDescriptor[]} location_types
+ */
+
+/** Index-like keys that are 1-based in external JSON and 0-based internally. */
+export const INDEX_KEYS = ['aisle', 'level', 'module', 'depth', 'position'];
+
+/**
+ * Convert one-based indices (as exposed to external JSON) to zero-based internal form.
+ * Leaves wildcards untouched and converts arrays, `{from,to}` ranges and `{not}` negations.
+ * @param {Record<string,any>} obj
+ * @param {string[]} keys Index-like keys to convert.
+ * @param {1|-1} direction +1 to convert 0->1 (export), -1 to convert 1->0 (import)
+ * @returns {Record<string,any>} Mutated shallow clone.
+ */
+export function convertIndexFields(obj, keys, direction) {
+  const newObj = { ...obj };
+  for (const key of keys) {
+    if (key in newObj) newObj[key] = shiftRuleValue(newObj[key], direction);
+  }
+  return newObj;
+}
+
+/**
+ * Canonical side condition: 0/1/'W'/'E' become 'west'/'east' (arrays and `{not}` included).
+ * Unknown values are kept so validation can report them.
+ */
+export function normalizeRuleSide(cond) {
+  if (cond === null || cond === undefined) return cond;
+  if (Array.isArray(cond)) return cond.map(normalizeRuleSide);
+  if (typeof cond === 'object' && 'not' in cond) return { ...cond, not: normalizeRuleSide(cond.not) };
+  const index = sideIndex(cond);
+  return index === null ? cond : SIDE_NAMES[index];
+}
+
+/**
+ * Converts every object entry of a rule list (missing_locations, location_types) in the given direction
+ * and normalises `side` to 'west' / 'east'.
+ * @param {Object[]} list
+ * @param {1|-1} direction +1 = internal -> external (export), -1 = external -> internal (import)
+ * @returns {Object[]}
+ */
+export function convertRuleList(list, direction) {
+  return (Array.isArray(list) ? list : []).map(loc => {
+    if (!loc || typeof loc !== 'object') return loc;
+    const converted = convertIndexFields(loc, INDEX_KEYS, direction);
+    if ('side' in converted) converted.side = normalizeRuleSide(converted.side);
+    return converted;
+  });
+}
+
+/**
+ * Validates the structure of a warehouse configuration object.
+ * @param {Object} config - The configuration object to validate.
+ * @returns {boolean} True if valid, false otherwise.
+ */
+export function validateWarehouseConfiguration(config) {
+  if (!config || !config.warehouse_parameters) return false;
+  const params = config.warehouse_parameters;
+  const requiredParams = ['aisles', 'levels_per_aisle', 'modules_per_aisle', 'locations_per_module', 'storage_depth', 'picking_stations'];
+  for (const param of requiredParams) {
+    if (!(param in params)) {
+      console.error(`Missing required parameter: ${param}`);
+      return false;
+    }
+  }
+  if (!Array.isArray(params.levels_per_aisle) || params.levels_per_aisle.length !== params.aisles) return false;
+  return true;
+}
+
+/**
+ * Aisle override problems the schema cannot express: aisles outside the layout and duplicates.
+ * @param {Object} params External (1-based) warehouse_parameters
+ * @returns {string[]}
+ */
+function aisleOverrideErrors(params) {
+  const errors = [];
+  const seen = new Set();
+  (params.aisle_overrides || []).forEach(({ aisle }) => {
+    if (aisle > params.aisles) errors.push(`aisle_overrides: aisle ${aisle} does not exist (${params.aisles} aisles)`);
+    else if (seen.has(aisle)) errors.push(`aisle_overrides: aisle ${aisle} is overridden twice`);
+    seen.add(aisle);
+  });
+  return errors;
+}
+
+/**
+ * Parses an external (1-based) warehouse configuration into internal (0-based) form.
+ * Older format versions are upgraded first (see configMigrations.js), then the schema is enforced.
+ * Never throws: JSON, migration and structural problems are reported in `errors`.
+ * @param {string|Object} input Raw JSON text or an already parsed object
+ * @returns {{config:WarehouseConfig|null, errors:string[], migration:{fromVersion:string,toVersion:string,changes:string[]}|null}}
+ * `config` has 0-based missing_locations / location_types / aisle_overrides
+ */
+export function parseWarehouseConfig(input) {
+  let raw = input;
+  if (typeof input === 'string') {
+    try {
+      raw = JSON.parse(input);
+    } catch (e) {
+      return { config: null, errors: [`Invalid JSON: ${e.message}`], migration: null };
+    }
+  }
+  const { config: migrated, errors: migrationErrors, ...migration } = migrateWarehouseConfig(raw);
+  if (!migrated) return { config: null, errors: migrationErrors, migration };
+  const schemaResult = validateAgainstSchema(migrated);
+  if (!schemaResult.valid) return { config: null, errors: schemaResult.errors, migration };
+  if (!validateWarehouseConfiguration(migrated)) {
+    return { config: null, errors: ['invalid warehouse configuration format'], migration };
+  }
+  const overrideErrors = aisleOverrideErrors(migrated.warehouse_parameters);
+  if (overrideErrors.length) return { config: null, errors: overrideErrors, migration };
+  const plcErrors = plcAddressConventionErrors(migrated.plc_address_convention, migrated.plc_stations);
+  if (plcErrors.length) return { config: null, errors: plcErrors, migration };
+  const params = migrated.warehouse_parameters;
+  const config = {
+    ...migrated,
+    ...(params.aisle_overrides ? {
+      warehouse_parameters: { ...params, aisle_overrides: params.aisle_overrides.map(o => convertIndexFields(o, ['aisle'], -1)) }
+    } : {}),
+    missing_locations: convertRuleList(migrated.missing_locations, -1),
+    location_types: convertRuleList(migrated.location_types, -1)
+  };
+  return { config, errors: [], migration };
+}
+
+/**
+ * Builds the flat UI configuration used by the scene / domain from a parsed config.
+ * Values are only lower-bounded (not clamped to slider ranges) so large layouts import unchanged.
+ * @param {WarehouseConfig} config Parsed (0-based) configuration
+ * @returns {UIConfig}
+ */
+export function toUIConfig(config) {
+  const params = config.warehouse_parameters;
+  return {
+    aisles: Math.max(1, params.aisles || 1),
+    levels_per_aisle: Array.isArray(params.levels_per_aisle)
+      ? params.levels_per_aisle.map(lv => Math.max(1, lv))
+      : [2, 2, 2, 2],
+    modules_per_aisle: Math.max(1, params.modules_per_aisle || 3),
+    locations_per_module: Math.max(1, params.locations_per_module || 2),
+    storage_depth: Math.max(1, params.storage_depth || 1),
+    picking_stations: Math.max(1, params.picking_stations || 1),
+    level_heights: params.level_heights ? [...params.level_heights] : [],
+    clear_height: params.clear_height ?? null,
+    aisle_overrides: (params.aisle_overrides || []).map(o => ({ ...o })),
+    dimensions: { ...(config.dimensions || {}) },
+    units: config.units || 'm',
+    building: config.building ? JSON.parse(JSON.stringify(config.building)) : null,
+    plc_stations: config.plc_stations || null,
+    plc_address_convention: config.plc_address_convention || null,
+    plc_removed_stations: config.plc_removed_stations || [],
+    prezone_visuals: config.prezone_visuals || {},
+    missing_locations: config.missing_locations || [],
+    location_types: config.location_types || []
+  };
+}
+
+const DEFAULT_PREZONE_ELLIPSE = {
+  position: { x: 0, y: 0.0, z: -5.0 },
+  dimensions: { radiusX: 20.0, radiusZ: 2.0 }
+};
+
+/**
+ * Copies each prezone part that is set; a prezone with neither an ellipse nor a path gets the default ellipse.
+ * @param {PrezoneVisuals} visuals
+ * @returns {PrezoneVisuals}
+ */
+function serializePrezoneVisuals(visuals) {
+  const copy = value => JSON.parse(JSON.stringify(value));
+  const result = {};
+  if (visuals.ellipse) {
+    result.ellipse = { position: { ...visuals.ellipse.position }, dimensions: { ...visuals.ellipse.dimensions } };
+  } else if (!visuals.path) {
+    result.ellipse = copy(DEFAULT_PREZONE_ELLIPSE);
+  }
+  if (visuals.realisticConveyors !== undefined) result.realisticConveyors = visuals.realisticConveyors;
+  if (visuals.level_heights) result.level_heights = { ...visuals.level_heights };
+  if (visuals.path) result.path = copy(visuals.path);
+  if (visuals.loops) result.loops = copy(visuals.loops);
+  if (visuals.conveyors) result.conveyors = copy(visuals.conveyors);
+  return result;
+}
+
+/**
+ * Serialises the current state to the external (1-based) configuration format.
+ * @param {UIConfig} uiConfig
+ * @param {MissingLocation[]} missingLocations 0-based
+ * @param {LocationTypeDescriptor[]} locationTypes 0-based
+ * @param {{name?:string,created?:string}} [meta]
+ * @returns {WarehouseConfig}
+ */
+export function serializeWarehouseConfig(uiConfig, missingLocations, locationTypes, { name = 'warehouse_config', created = new Date().toISOString() } = {}) {
+  return {
+    metadata: {
+      name,
+      created,
+      version: CURRENT_CONFIG_VERSION,
+      description: 'Enhanced warehouse configuration with PLC prezone'
+    },
+    warehouse_parameters: {
+      aisles: uiConfig.aisles,
+      levels_per_aisle: [...uiConfig.levels_per_aisle],
+      modules_per_aisle: uiConfig.modules_per_aisle,
+      locations_per_module: uiConfig.locations_per_module,
+      storage_depth: uiConfig.storage_depth,
+      picking_stations: uiConfig.picking_stations,
+      ...(uiConfig.level_heights?.length ? { level_heights: [...uiConfig.level_heights] } : {}),
+      ...(uiConfig.clear_height ? { clear_height: uiConfig.clear_height } : {}),
+      ...(uiConfig.aisle_overrides?.length
+        ? { aisle_overrides: uiConfig.aisle_overrides.map(o => convertIndexFields(o, ['aisle'], +1)) }
+        : {})
+    },
+    ...(uiConfig.dimensions && Object.keys(uiConfig.dimensions).length ? { dimensions: { ...uiConfig.dimensions } } : {}),
+    units: uiConfig.units || 'm',
+    ...(uiConfig.building ? { building: JSON.parse(JSON.stringify(uiConfig.building)) } : {}),
+    // Include prezone visuals (same structure as warehouse_config_instance)
+    prezone_visuals: serializePrezoneVisuals(uiConfig.prezone_visuals || {}),
+    // Include PLC stations (same structure as warehouse_config_instance)
+    plc_stations: uiConfig.plc_stations ? uiConfig.plc_stations.map(s => ({ ...s })) : [],
+    // Only non-SRC projects carry a convention
+    ...(uiConfig.plc_address_convention ? { plc_address_convention: uiConfig.plc_address_convention } : {}),
+    ...(uiConfig.plc_removed_stations?.length ? { plc_removed_stations: [...uiConfig.plc_removed_stations] } : {}),
+    missing_locations: convertRuleList(missingLocations, +1),
+    location_types: convertRuleList(locationTypes, +1)
+  };
+}
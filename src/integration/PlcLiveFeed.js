@@ -0,0 +1,88 @@
+/**
+ * Live PLC state feed: takes messages from a telegram adapter (plcTelegramAdapters.js), keeps the last known state
+ * per station, drives PLCStationManager.updateStationState and publishes PLC_EVENTS on the EventBus.
+ * No Three.js here; the station manager is looked up per telegram because every rebuild creates a new one.
+ */
+import { parseTelegramMessage, PLC_EVENTS } from './plcTelegrams.js';
+
+export class PlcLiveFeed {
+  /**
+   * @param {Object} options
+   * @param {import('./EventBus.js').EventBus} [options.eventBus]
+   * @param {()=>({updateStationState:Function}|null)} [options.getStationManager] Current PLCStationManager
+   */
+  constructor({ eventBus = null, getStationManager = () => null } = {}) {
+    this.eventBus = eventBus;
+    this.getStationManager = getStationManager;
+    this.adapter = null;
+    this.status = 'closed';
+    this.states = new Map(); // plc address -> { state, container, message, timestamp }
+  }
+
+  publish(type, payload) {
+    if (this.eventBus) this.eventBus.publish({ type, payload });
+  }
+
+  /** Starts receiving from `adapter`, replacing a previous one. */
+  connect(adapter) {
+    this.disconnect();
+    this.adapter = adapter;
+    adapter.connect(
+      (message) => this.handleMessage(message),
+      (status, detail) => {
+        this.status = status;
+        this.publish(PLC_EVENTS.connection, { status, detail: detail ?? null, adapter: adapter.name });
+      }
+    );
+  }
+
+  disconnect() {
+    if (!this.adapter) return;
+    const adapter = this.adapter;
+    this.adapter = null;
+    adapter.disconnect();
+  }
+
+  /** Forgets all states and resets the station visuals. */
+  clear() {
+    const addresses = [...this.states.keys()];
+    this.states.clear();
+    const manager = this.getStationManager();
+    if (manager) addresses.forEach(address => manager.updateStationState(address, null));
+  }
+
+  /**
+   * Applies one feed message.
+   * @param {string|Object|Object[]} message
+   * @returns {Object[]} Accepted telegrams
+   */
+  handleMessage(message) {
+    const { telegrams, errors } = parseTelegramMessage(message);
+    errors.forEach(error => this.publish(PLC_EVENTS.invalidTelegram, { error, message }));
+    telegrams.forEach(telegram => {
+      this.publish(PLC_EVENTS.telegram, telegram);
+      const previous = this.states.get(telegram.plcAddress) || { state: 'idle', container: null, message: null };
+      const next = telegram.type === 'station_state'
+        ? { state: telegram.state, container: telegram.state === 'idle' ? null : (telegram.container ?? previous.container), message: telegram.message }
+        : { ...previous, state: previous.state === 'idle' ? 'occupied' : previous.state, container: telegram.container };
+      next.timestamp = telegram.timestamp;
+      this.states.set(telegram.plcAddress, next);
+      this.applyState(telegram.plcAddress, next);
+      if (telegram.type === 'container_at_station') {
+        this.publish(PLC_EVENTS.containerAtStation, { plcAddress: telegram.plcAddress, container: telegram.container, timestamp: telegram.timestamp });
+      }
+      this.publish(PLC_EVENTS.stationState, { plcAddress: telegram.plcAddress, ...next, previous: previous.state });
+    });
+    return telegrams;
+  }
+
+  applyState(plcAddress, state) {
+    const manager = this.getStationManager();
+    if (manager) manager.updateStationState(plcAddress, state);
+  }
+
+  /** Re-applies the known states, e.g. after the prezone was rebuilt. */
+  reapply() {
+    this.states.forEach((state, address) => this.applyState(address, state));
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * Recorded PLC telegram logs and their replay timeline (pure; the 3D side lives in AnimationManager).
+ *
+ * Log rows have `timestamp` (ms or ISO string), `plc_address` (or `plc`), `event` and `container` (or `container_id`).
+ * `event` is a station state (idle / occupied / blocked / faulted) or `container_at_station`; `message` is optional.
+ * Files: JSON array (or `{ "telegrams": [...] }`), NDJSON (one object per line) or CSV with a header row.
+ * Replayed telegrams use the live feed format (plcTelegrams.js), so PlcLiveFeed applies them like live ones.
+ */
+import { normalizeTelegram, STATION_STATES } from './plcTelegrams.js';
+import { parseCSV } from '../core/csv.js';
+
+/** Replay speeds offered by the UI. */
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 5, 10, 30, 60];
+
+/**
+ * Converts one log row into a live-feed telegram.
+ * @param {Object} row
+ * @returns {{telegram:Object|null, error:string|null}}
+ */
+export function telegramFromLogRow(row) {
+  const event = String(row.event ?? row.type ?? '').trim().toLowerCase();
+  const raw = {
+    plc: row.plc_address ?? row.plc,
+    container: row.container ?? row.container_id ?? null,
+    message: row.message || null,
+    timestamp: /^\d+$/.test(String(row.timestamp)) ? Number(row.timestamp) : row.timestamp
+  };
+  if (raw.container === '') raw.container = null;
+  if (STATION_STATES.includes(event)) Object.assign(raw, { type: 'station_state', state: event });
+  else if (event === 'container_at_station' || event === 'arrived') raw.type = 'container_at_station';
+  else raw.type = event;
+  if (raw.timestamp === undefined || raw.timestamp === '' || Number.isNaN(new Date(raw.timestamp).getTime())) {
+    return { telegram: null, error: `row without valid timestamp: ${JSON.stringify(row)}` };
+  }
+  const { telegram, error } = normalizeTelegram(raw);
+  if (!telegram) return { telegram: null, error };
+  return {
+    telegram: {
+      type: raw.type,
+      plc: telegram.plcAddress,
+      ...(telegram.state ? { state: telegram.state } : {}),
+      container: telegram.container,
+      message: telegram.message,
+      timestamp: telegram.timestamp
+    },
+    error: null
+  };
+}
+
+/**
+ * Parses a recorded telegram log.
+ * @param {string} text
+ * @param {'json'|'ndjson'|'csv'} [format] Detected from the content when omitted
+ * @returns {{telegrams:Object[], errors:string[]}} telegrams sorted by timestamp
+ */
+export function parseTelegramLog(text, format) {
+  const trimmed = text.trim();
+  const detected = format || (trimmed.startsWith('[') || /^\{[^\n]*"telegrams"/.test(trimmed) ? 'json' : trimmed.startsWith('{') ? 'ndjson' : 'csv');
+  let rows;
+  if (detected === 'json') {
+    const data = JSON.parse(trimmed);
+    rows = Array.isArray(data) ? data : data.telegrams;
+    if (!Array.isArray(rows)) throw new Error('Telegram log must be an array or contain a "telegrams" array');
+  } else if (detected === 'ndjson') {
+    rows = trimmed.split(/\r?\n/).filter(l => l.trim()).map(l => JSON.parse(l));
+  } else {
+    rows = parseCSV(trimmed);
+  }
+  const telegrams = [];
+  const errors = [];
+  rows.forEach((row, i) => {
+    const { telegram, error } = telegramFromLogRow(row);
+    if (telegram) telegrams.push(telegram); else errors.push(`row ${i + 1}: ${error}`);
+  });
+  telegrams.sort((a, b) => a.timestamp - b.timestamp); // stable: same-time rows keep file order
+  return { telegrams, errors };
+}
+
+/**
+ * Replay timeline with play / pause / speed / seek. Positions are milliseconds since the first telegram.
+ * `advance()` and `seek()` return the telegrams to apply; the caller renders.
+ */
+export class TelegramReplay {
+  /** @param {Object[]} telegrams Sorted output of parseTelegramLog */
+  constructor(telegrams) {
+    this.telegrams = telegrams;
+    this.start = telegrams.length ? telegrams[0].timestamp : 0;
+    this.duration = telegrams.length ? telegrams[telegrams.length - 1].timestamp - this.start : 0;
+    this.position = 0;
+    this.cursor = 0; // telegrams[0..cursor) are applied
+    this.speed = 1;
+    this.playing = false;
+    this.idleTimes = new Map(); // plc -> times the station reported idle (a parked container left)
+    this.tracks = this.buildContainerTracks();
+  }
+
+  /** Per container: its station visits in time order. */
+  buildContainerTracks() {
+    const tracks = new Map();
+    this.telegrams.forEach(t => {
+      if (t.state === 'idle') {
+        if (!this.idleTimes.has(t.plc)) this.idleTimes.set(t.plc, []);
+        this.idleTimes.get(t.plc).push(t.timestamp - this.start);
+      }
+      if (!t.container || !(t.type === 'container_at_station' || t.state === 'occupied')) return;
+      if (!tracks.has(t.container)) tracks.set(t.container, []);
+      const visits = tracks.get(t.container);
+      const last = visits[visits.length - 1];
+      if (!last || last.plc !== t.plc) visits.push({ plc: t.plc, time: t.timestamp - this.start });
+    });
+    return tracks;
+  }
+
+  /** Starts playing; at the end, seek(0) first (and apply its telegrams) to play again. */
+  play() { if (this.position < this.duration) this.playing = true; }
+  pause() { this.playing = false; }
+  setSpeed(speed) { this.speed = speed; }
+
+  /**
+   * Moves forward by wall-clock time while playing.
+   * @param {number} wallMs
+   * @returns {Object[]} Telegrams passed
+   */
+  advance(wallMs) {
+    if (!this.playing) return [];
+    const passed = this.moveTo(Math.min(this.duration, this.position + wallMs * this.speed));
+    if (this.position >= this.duration) this.playing = false;
+    return passed;
+  }
+
+  /**
+   * Jumps to a position. Going back cannot undo telegrams, so the result asks for a reset and lists everything
+   * up to the new position to rebuild the station states.
+   * @param {number} position
+   * @returns {{reset:boolean, telegrams:Object[]}}
+   */
+  seek(position) {
+    const target = Math.max(0, Math.min(this.duration, position));
+    if (target < this.position) {
+      this.position = 0;
+      this.cursor = 0;
+      return { reset: true, telegrams: this.moveTo(target) };
+    }
+    return { reset: false, telegrams: this.moveTo(target) };
+  }
+
+  moveTo(position) {
+    const limit = this.start + position;
+    const passed = [];
+    while (this.cursor < this.telegrams.length && this.telegrams[this.cursor].timestamp <= limit) {
+      passed.push(this.telegrams[this.cursor++]);
+    }
+    this.position = position;
+    return passed;
+  }
+
+  /**
+   * Where each container is at the current position: between the station it last reached and the next one
+   * (`k` = 0..1 travel progress), or parked at its last station (`to` = null) until that station reports idle.
+   * @returns {{container:string, from:number, to:number|null, k:number}[]}
+   */
+  containerPositions() {
+    const result = [];
+    this.tracks.forEach((visits, container) => {
+      if (visits[0].time > this.position) return;
+      let i = 0;
+      while (i < visits.length - 1 && visits[i + 1].time <= this.position) i++;
+      const next = visits[i + 1];
+      if (!next) {
+        const left = (this.idleTimes.get(visits[i].plc) || []).some(t => t > visits[i].time && t <= this.position);
+        if (!left) result.push({ container, from: visits[i].plc, to: null, k: 0 });
+        return;
+      }
+      const span = next.time - visits[i].time;
+      result.push({ container, from: visits[i].plc, to: next.plc, k: span > 0 ? (this.position - visits[i].time) / span : 1 });
+    });
+    return result;
+  }
+}
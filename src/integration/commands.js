@@ -1,13 +1,193 @@
-/** Simple command pattern scaffold with undo stack (logic only). */
+/**
+ * Command pattern for layout edits (logic only, no DOM / Three.js).
+ * Every command has `execute()`, `undo()`, a human readable `label` and a `scope` telling the view what to
+ * rebuild: 'racks' (rule edits, incremental RackBuilder diff), 'prezone' (PLC stations) or 'layout' (parameters).
+ */
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/** Undo / redo stacks with change notifications for history views. */
 export class CommandStack {
-  constructor() { this.stack = []; this.undoStack = []; }
-  execute(cmd) { cmd.execute(); this.stack.push(cmd); this.undoStack = []; }
-  undo() { const c = this.stack.pop(); if (c && c.undo) { c.undo(); this.undoStack.push(c); } }
-  redo() { const c = this.undoStack.pop(); if (c && c.execute) { c.execute(); this.stack.push(c); } }
+  constructor({ limit = 100 } = {}) {
+    this.stack = [];
+    this.undoStack = [];
+    this.limit = limit;
+    this.listeners = new Set();
+  }
+  /** @param {(action:'execute'|'undo'|'redo'|'clear', cmd:Object|null)=>void} fn @returns {() => void} unsubscribe */
+  subscribe(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+  notify(action, cmd) {
+    for (const fn of this.listeners) {
+      try { fn(action, cmd); } catch (e) { console.error('Command listener error', e); }
+    }
+  }
+  execute(cmd) {
+    cmd.execute();
+    this.stack.push(cmd);
+    if (this.stack.length > this.limit) this.stack.shift();
+    this.undoStack = [];
+    this.notify('execute', cmd);
+    return cmd;
+  }
+  undo() {
+    const c = this.stack.pop();
+    if (c && c.undo) { c.undo(); this.undoStack.push(c); this.notify('undo', c); }
+    return c || null;
+  }
+  redo() {
+    const c = this.undoStack.pop();
+    if (c && c.execute) { c.execute(); this.stack.push(c); this.notify('redo', c); }
+    return c || null;
+  }
+  canUndo() { return this.stack.length > 0; }
+  canRedo() { return this.undoStack.length > 0; }
+  /** Forget all history (e.g. after importing another layout, old commands reference stale objects). */
+  clear() {
+    this.stack = [];
+    this.undoStack = [];
+    this.notify('clear', null);
+  }
+  /** Oldest first; undone commands (redo-able) follow with `done: false`. */
+  history() {
+    return [
+      ...this.stack.map(cmd => ({ label: cmd.label, scope: cmd.scope, done: true })),
+      ...[...this.undoStack].reverse().map(cmd => ({ label: cmd.label, scope: cmd.scope, done: false }))
+    ];
+  }
+}
+
+/**
+ * Assigns a set of configuration keys (deep copies) and restores the previous values on undo.
+ * Slider drags record one command per gesture: `before` is captured on the first input, `after` on change.
+ */
+export class UpdateConfigCommand {
+  constructor(target, before, after, label = 'Change parameters', scope = 'layout') {
+    this.target = target; this.before = clone(before); this.after = clone(after);
+    this.label = label; this.scope = scope;
+  }
+  apply(values) { Object.entries(values).forEach(([key, value]) => { this.target[key] = clone(value); }); }
+  execute() { this.apply(this.after); }
+  undo() { this.apply(this.before); }
 }
 
 export class AddMissingLocationCommand {
-  constructor(targetArray, rule) { this.target = targetArray; this.rule = rule; this.added = false; }
+  constructor(targetArray, rule, label = 'Mark location missing') {
+    this.target = targetArray; this.rule = rule; this.added = false;
+    this.label = label; this.scope = 'racks';
+  }
   execute() { if (!this.added) { this.target.push(this.rule); this.added = true; } }
   undo() { if (this.added) { const idx = this.target.indexOf(this.rule); if (idx>=0) this.target.splice(idx,1); this.added = false; } }
 }
+
+export class RemoveMissingLocationCommand {
+  constructor(targetArray, rule, label = 'Restore missing location') {
+    this.target = targetArray; this.rule = rule; this.index = -1;
+    this.label = label; this.scope = 'racks';
+  }
+  execute() { this.index = this.target.indexOf(this.rule); if (this.index >= 0) this.target.splice(this.index, 1); }
+  undo() { if (this.index >= 0) { this.target.splice(this.index, 0, this.rule); this.index = -1; } }
+}
+
+/** Replaces the contents of a rule array in place (the array reference is shared with SceneManager). */
+export class ReplaceRulesCommand {
+  constructor(targetArray, nextRules, label = 'Edit location types') {
+    this.target = targetArray; this.before = clone(targetArray); this.after = clone(nextRules);
+    this.label = label; this.scope = 'racks';
+  }
+  execute() { this.target.splice(0, this.target.length, ...clone(this.after)); }
+  undo() { this.target.splice(0, this.target.length, ...clone(this.before)); }
+}
+
+/** Station of the configuration by address (generation may replace station objects between builds). */
+const findStation = (config, plcAddress) => (config.plc_stations || []).find(s => s.plc_address === plcAddress) || null;
+
+/**
+ * Assigns station fields (deep copies) and marks the station `user_placed`, so generation keeps the edit
+ * (domain/services/plcStationLayout.js); undo restores the previous fields and flag.
+ */
+export class UpdatePlcStationCommand {
+  constructor(config, plcAddress, changes, label = `Edit PLC station ${plcAddress}`) {
+    const station = findStation(config, plcAddress);
+    this.config = config; this.plcAddress = plcAddress;
+    this.after = { ...clone(changes), user_placed: true };
+    this.before = Object.fromEntries(Object.keys(this.after).map(key => [key, clone(station ? station[key] : undefined)]));
+    this.label = label; this.scope = 'prezone';
+  }
+  apply(values) {
+    const station = findStation(this.config, this.plcAddress);
+    if (!station) return;
+    Object.entries(values).forEach(([key, value]) => {
+      if (value === undefined) delete station[key];
+      else station[key] = clone(value);
+    });
+  }
+  execute() { this.apply(this.after); }
+  undo() { this.apply(this.before); }
+}
+
+export class MovePlcStationCommand extends UpdatePlcStationCommand {
+  constructor(config, plcAddress, to, label = `Move PLC station ${plcAddress}`) {
+    super(config, plcAddress, { position: { ...to } }, label);
+  }
+}
+
+/** Adds a station; its address leaves `plc_removed_stations` while it exists. */
+export class AddPlcStationCommand {
+  constructor(config, station, label = `Add PLC station ${station.plc_address}`) {
+    this.config = config; this.station = clone({ ...station, user_placed: true });
+    this.wasRemoved = (config.plc_removed_stations || []).includes(station.plc_address);
+    this.label = label; this.scope = 'prezone';
+  }
+  execute() {
+    this.config.plc_stations = [...(this.config.plc_stations || []), clone(this.station)];
+    if (this.wasRemoved) this.config.plc_removed_stations = this.config.plc_removed_stations.filter(a => a !== this.station.plc_address);
+  }
+  undo() {
+    this.config.plc_stations = (this.config.plc_stations || []).filter(s => s.plc_address !== this.station.plc_address);
+    if (this.wasRemoved) this.config.plc_removed_stations = [...(this.config.plc_removed_stations || []), this.station.plc_address];
+  }
+}
+
+/**
+ * Deletes a station, clears the directions pointing at it (those stations become `user_placed`) and records the
+ * address in `plc_removed_stations` (unless it is listed already); undo restores all of it.
+ */
+export class RemovePlcStationCommand {
+  constructor(config, plcAddress, label = `Delete PLC station ${plcAddress}`) {
+    this.config = config; this.plcAddress = plcAddress;
+    this.label = label; this.scope = 'prezone';
+  }
+  execute() {
+    const stations = this.config.plc_stations || [];
+    this.index = stations.findIndex(s => s.plc_address === this.plcAddress);
+    this.station = this.index >= 0 ? clone(stations[this.index]) : null;
+    this.referrers = stations.filter(s => s.directions && (s.directions.straight === this.plcAddress || s.directions.divert === this.plcAddress))
+      .map(s => ({ plcAddress: s.plc_address, directions: clone(s.directions), user_placed: s.user_placed }));
+    this.config.plc_stations = stations.filter(s => s.plc_address !== this.plcAddress);
+    this.config.plc_stations.forEach(s => {
+      if (!this.referrers.some(r => r.plcAddress === s.plc_address)) return;
+      ['straight', 'divert'].forEach(kind => { if (s.directions[kind] === this.plcAddress) s.directions[kind] = null; });
+      s.user_placed = true;
+    });
+    this.wasRemoved = (this.config.plc_removed_stations || []).includes(this.plcAddress);
+    if (!this.wasRemoved) this.config.plc_removed_stations = [...(this.config.plc_removed_stations || []), this.plcAddress];
+  }
+  undo() {
+    this.referrers.forEach(r => {
+      const station = findStation(this.config, r.plcAddress);
+      if (!station) return;
+      station.directions = clone(r.directions);
+      if (r.user_placed === undefined) delete station.user_placed;
+      else station.user_placed = r.user_placed;
+    });
+    if (this.station) {
+      const stations = [...(this.config.plc_stations || [])];
+      stations.splice(Math.min(this.index, stations.length), 0, clone(this.station));
+      this.config.plc_stations = stations;
+    }
+    if (!this.wasRemoved) this.config.plc_removed_stations = (this.config.plc_removed_stations || []).filter(a => a !== this.plcAddress);
+  }
+}
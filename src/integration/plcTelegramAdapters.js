@@ -0,0 +1,129 @@
+/**
+ * Telegram adapters for the live PLC feed. An adapter delivers raw feed messages (see plcTelegrams.js) and reports
+ * its connection status; PlcLiveFeed does the parsing. Another transport (MQTT bridge, OPC UA gateway, ...) plugs in
+ * by implementing the same members: `connect(onMessage, onStatus)` with onStatus receiving
+ * 'connecting' | 'open' | 'closed' | 'error' and an optional detail, `disconnect()` and `name`.
+ */
+import { STATION_STATES } from './plcTelegrams.js';
+
+/** WebSocket transport with automatic reconnect. */
+export class WebSocketTelegramAdapter {
+  /**
+   * @param {string} url e.g. ws://localhost:8765 (scripts/mock-plc-server.js)
+   * @param {Object} [options]
+   * @param {number} [options.reconnectMs=3000] Delay before reconnecting after a drop, 0 disables reconnects
+   * @param {Function} [options.WebSocketImpl=globalThis.WebSocket]
+   */
+  constructor(url, { reconnectMs = 3000, WebSocketImpl = globalThis.WebSocket } = {}) {
+    this.url = url;
+    this.name = `WebSocket ${url}`;
+    this.reconnectMs = reconnectMs;
+    this.WebSocketImpl = WebSocketImpl;
+    this.socket = null;
+    this.reconnectTimer = null;
+    this.active = false;
+  }
+
+  connect(onMessage, onStatus = () => {}) {
+    if (!this.WebSocketImpl) throw new Error('WebSocket is not available in this environment');
+    this.active = true;
+    this.onMessage = onMessage;
+    this.onStatus = onStatus;
+    this.open();
+  }
+
+  open() {
+    this.onStatus('connecting', this.url);
+    const socket = new this.WebSocketImpl(this.url);
+    this.socket = socket;
+    socket.onopen = () => this.onStatus('open', this.url);
+    socket.onmessage = (event) => this.onMessage(event.data);
+    socket.onerror = () => this.onStatus('error', `connection to ${this.url} failed`);
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.onStatus('closed', this.url);
+      if (this.active && this.reconnectMs > 0) {
+        this.reconnectTimer = setTimeout(() => { if (this.active) this.open(); }, this.reconnectMs);
+      }
+    };
+  }
+
+  disconnect() {
+    this.active = false;
+    clearTimeout(this.reconnectTimer);
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+      this.onStatus('closed', this.url);
+    }
+  }
+}
+
+/**
+ * In-process mock: emits random station states and container moves for the given stations, without any server.
+ * Tests can also push telegrams directly with `emit()`.
+ */
+export class MockTelegramAdapter {
+  /**
+   * @param {number[]} plcAddresses Stations to animate
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs=700] 0 = only telegrams passed to emit()
+   * @param {()=>number} [options.random=Math.random]
+   */
+  constructor(plcAddresses, { intervalMs = 700, random = Math.random } = {}) {
+    this.name = 'Mock PLC';
+    this.plcAddresses = [...plcAddresses];
+    this.intervalMs = intervalMs;
+    this.random = random;
+    this.timer = null;
+    this.containerSeq = 1000;
+    this.onMessage = null;
+  }
+
+  connect(onMessage, onStatus = () => {}) {
+    this.onMessage = onMessage;
+    this.onStatus = onStatus;
+    onStatus('open', this.name);
+    if (this.intervalMs > 0 && this.plcAddresses.length) {
+      this.timer = setInterval(() => this.emit(randomTelegram(this)), this.intervalMs);
+    }
+  }
+
+  /** Delivers a telegram (object, array or JSON text) as if it came from the PLC. */
+  emit(message) {
+    if (this.onMessage) this.onMessage(typeof message === 'string' ? message : JSON.stringify(message));
+  }
+
+  disconnect() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.onMessage) {
+      this.onMessage = null;
+      this.onStatus('closed', this.name);
+    }
+  }
+}
+
+/**
+ * One random telegram for a mock feed: mostly occupied / idle, sometimes blocked or faulted, plus container scans.
+ * Shared with scripts/mock-plc-server.js.
+ * @param {{plcAddresses:number[], random:()=>number, containerSeq:number}} source Mutated (container counter)
+ * @returns {Object}
+ */
+export function randomTelegram(source) {
+  const { plcAddresses, random } = source;
+  const plc = plcAddresses[Math.floor(random() * plcAddresses.length)];
+  const roll = random();
+  if (roll < 0.3) return { type: 'container_at_station', plc, container: `C-${source.containerSeq++}`, timestamp: Date.now() };
+  const weights = [0.45, 0.4, 0.1, 0.05];
+  let pick = random();
+  let index = 0;
+  while (index < weights.length - 1 && pick > weights[index]) pick -= weights[index++];
+  const state = STATION_STATES[index];
+  const telegram = { type: 'station_state', plc, state, timestamp: Date.now() };
+  if (state === 'occupied') telegram.container = `C-${source.containerSeq++}`;
+  if (state === 'faulted') telegram.message = 'Photo eye timeout';
+  return telegram;
+}
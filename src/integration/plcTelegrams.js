@@ -0,0 +1,75 @@
+/**
+ * PLC telegram format of the live feed (JSON over WebSocket, one telegram or an array per message):
+ * - `{ "type": "station_state", "plc": 11500, "state": "occupied", "container": "C-1001", "message": "..." }`
+ * - `{ "type": "container_at_station", "plc": 11600, "container": "C-1001" }`
+ * `plc_address` is accepted for `plc`; `timestamp` (ms or ISO string) is optional.
+ */
+
+/** Station states a PLC reports; 'idle' is the normal (unhighlighted) look. */
+export const STATION_STATES = ['idle', 'occupied', 'blocked', 'faulted'];
+
+/** EventBus event types published by PlcLiveFeed. */
+export const PLC_EVENTS = {
+  telegram: 'PlcTelegramReceived',
+  stationState: 'PlcStationStateChanged',
+  containerAtStation: 'PlcContainerAtStation',
+  connection: 'PlcFeedConnectionChanged',
+  invalidTelegram: 'PlcTelegramRejected'
+};
+
+const toTimestamp = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && !Number.isNaN(Date.parse(value))) return Date.parse(value);
+  return Date.now();
+};
+
+/**
+ * Normalizes one telegram.
+ * @param {Object} raw
+ * @returns {{telegram:Object|null, error:string|null}} telegram `{ type, plcAddress, state?, container, message, timestamp }`
+ */
+export function normalizeTelegram(raw) {
+  if (!raw || typeof raw !== 'object') return { telegram: null, error: 'telegram is not an object' };
+  const plcAddress = Number(raw.plc ?? raw.plc_address);
+  if (!Number.isInteger(plcAddress)) return { telegram: null, error: `telegram without valid plc address: ${JSON.stringify(raw)}` };
+  const base = {
+    type: raw.type,
+    plcAddress,
+    container: raw.container ?? null,
+    message: raw.message ?? null,
+    timestamp: toTimestamp(raw.timestamp)
+  };
+  if (raw.type === 'station_state') {
+    const state = String(raw.state || '').toLowerCase();
+    if (!STATION_STATES.includes(state)) return { telegram: null, error: `unknown station state "${raw.state}" for ${plcAddress}` };
+    return { telegram: { ...base, state }, error: null };
+  }
+  if (raw.type === 'container_at_station') {
+    if (base.container === null) return { telegram: null, error: `container_at_station for ${plcAddress} without container` };
+    return { telegram: base, error: null };
+  }
+  return { telegram: null, error: `unknown telegram type "${raw.type}"` };
+}
+
+/**
+ * Parses a feed message (JSON text or already parsed value) into telegrams.
+ * @param {string|Object|Object[]} message
+ * @returns {{telegrams:Object[], errors:string[]}}
+ */
+export function parseTelegramMessage(message) {
+  let value = message;
+  if (typeof message === 'string') {
+    try {
+      value = JSON.parse(message);
+    } catch (e) {
+      return { telegrams: [], errors: [`invalid JSON: ${e.message}`] };
+    }
+  }
+  const telegrams = [];
+  const errors = [];
+  (Array.isArray(value) ? value : [value]).forEach(raw => {
+    const { telegram, error } = normalizeTelegram(raw);
+    if (telegram) telegrams.push(telegram); else errors.push(error);
+  });
+  return { telegrams, errors };
+}
@@ -7,14 +7,33 @@
 
 import * as THREE from 'three';
 
-import { /* getCameraViewConfig, */ syncLevelsPerAisle } from './uiUtils.js';
+import { /* getCameraViewConfig, */ parseLevelHeights, syncLevelsPerAisle } from './uiUtils.js';
 import { createInteractionPanel, updatePanelText } from './interactionPanel.js';
 import { bindCameraEvents, setCameraPreset /*, animateCamera */ } from './cameraControls.js';
 import { getSelectableObjects, filterSelectedObject, showObjectInfo } from './objectSelectionUtils.js';
-import { exportWarehouseConfiguration, importWarehouseConfiguration, validateWarehouseConfiguration } from '../core/warehouseConfigIO.js';
-import { calculateTotalLocations } from '../core/warehouseMetrics.js';
+import { CellSelectionEditor } from './cellSelectionEditor.js';
+import { PlcStationEditor } from './plcStationEditor.js';
+import { formatColor, getLocationTypeColor, LOCATION_TYPE_COLORS, registerLocationTypeColors } from './theme.js';
+import { exportWarehouseConfiguration, importWarehouseConfiguration } from '../core/warehouseConfigIO.js';
+import { toUIConfig } from '../infrastructure/config/warehouseConfigParser.js';
+import { SIDE_NAMES, sideIndex } from '../domain/rules/locationRules.js';
+import { resolvePlcAddressCodec } from '../domain/services/plcAddress.js';
+import { allocatePlcAddress, mergeGeneratedStations } from '../domain/services/plcStationLayout.js';
+import { aisleLayout, aisleParams, setAisleOverride } from '../domain/services/aisleLayout.js';
+import { dimensionValues, formatLength, fromUnits, toUnits } from '../domain/services/dimensionProfiles.js';
+import { importInventoryFile } from '../core/inventoryIO.js';
+import { ThroughputSimulator, generateOrderStream } from '../domain/simulation/ThroughputSimulator.js';
+import { editMissingCells, paintLocationTypes, typeDescriptor } from '../domain/rules/cellRuleCompactor.js';
+import { PLC_EVENTS } from '../integration/plcTelegrams.js';
+import { MockTelegramAdapter, WebSocketTelegramAdapter } from '../integration/plcTelegramAdapters.js';
+import { REPLAY_SPEEDS, TelegramReplay } from '../integration/TelegramReplay.js';
+import { importTelegramLog } from '../core/telegramLogIO.js';
+import { AddMissingLocationCommand, AddPlcStationCommand, CommandStack, MovePlcStationCommand, RemoveMissingLocationCommand, RemovePlcStationCommand, ReplaceRulesCommand, UpdateConfigCommand, UpdatePlcStationCommand } from '../integration/commands.js';
 import { constants } from '../core/constants.js';
 
+/** Escapes text for the HTML log panel. */
+const escapeHtml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
 /**
  * Manages user interactions with the 3D warehouse scene.
  * Handles mouse events, object selection, keyboard shortcuts, and UI updates.
@@ -25,10 +44,15 @@ export class InteractionManager {
      * Creates a new InteractionManager instance.
      * @param {SceneManager} sceneManager - The scene manager instance
      * @param {UIManager} uiManager - The UI manager instance
+     * @param {Object} [options]
+     * @param {PlcLiveFeed} [options.plcLiveFeed] - Live PLC state feed controlled by the "Live PLC Feed" section
      */
-    constructor(sceneManager, uiManager) {
+    constructor(sceneManager, uiManager, { plcLiveFeed = null } = {}) {
         this.sceneManager = sceneManager;
         this.uiManager = uiManager;
+        this.plcLiveFeed = plcLiveFeed;
+        this.telegramReplay = null; // recorded log being replayed (TelegramReplay)
+        this.plcAddCodec = null; // convention the add-station type list was filled from
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         this.selectedObject = null;
@@ -38,6 +62,8 @@ export class InteractionManager {
             transparent: true,
             opacity: 0.5
         });
+        // Undo/redo history of layout edits (sliders, rules, PLC stations)
+        this.commandStack = new CommandStack();
 
         this.init();
         this.createCameraPresets();
@@ -114,125 +140,18 @@ export class InteractionManager {
         // Reset to Default button
         const resetDefaultBtn = panel.querySelector('#reset-default-btn');
         resetDefaultBtn.addEventListener('click', () => {
-            // Default config with PLC stations and prezone visuals - matches warehouse_config_instance.json
+            // Parameters, PLC stations and prezone visuals of warehouse_config_instance.json (fallback when it did not load)
+            const source = this.sceneManager.fullConfig || this.sceneManager.getFallbackConfiguration();
             const defaultConfig = {
-                aisles: 3,
-                levels_per_aisle: [9, 5, 3],
-                modules_per_aisle: 6,
-                locations_per_module: 4,
-                storage_depth: 2,
-                picking_stations: 3,
-                // Include PLC stations from current configuration
-                plc_stations: [
-                    {
-                        "name": "Entry",
-                        "position": { "x": -15.0, "y": 0.0, "z": -2.0 },
-                        "plc_address": 11400,
-                        "directions": { "straight": 11401, "divert": null }
-                    },
-                    {
-                        "name": "Aisle 1 Entrance",
-                        "position": { "x": 3.225, "y": 0.0, "z": -2.0 },
-                        "plc_address": 11500,
-                        "directions": { "straight": 11401, "divert": 11600 }
-                    },
-                    {
-                        "name": "Aisle 1 Lift",
-                        "position": { "x": 3.225, "y": 1.0, "z": 4.5 },
-                        "plc_address": 11600,
-                        "directions": { "straight": null, "divert": null }
-                    },
-                    {
-                        "name": "Picking Diverter 1",
-                        "position": { "x": -15.0, "y": 0.0, "z": -8.0 },
-                        "plc_address": 11700,
-                        "directions": { "straight": null, "divert": 11401 }
-                    },
-                    {
-                        "name": "Picking Station 1",
-                        "position": { "x": -15.0, "y": 0.0, "z": -14.0 },
-                        "plc_address": 11800,
-                        "directions": { "straight": 11700, "divert": null }
-                    },
-                    {
-                        "name": "Picking Diverter 2",
-                        "position": { "x": -8.0, "y": 0.0, "z": -8.0 },
-                        "plc_address": 11701,
-                        "directions": { "straight": 11401, "divert": null }
-                    },
-                    {
-                        "name": "Picking Station 2",
-                        "position": { "x": -8.0, "y": 0.0, "z": -14.0 },
-                        "plc_address": 11801,
-                        "directions": { "straight": 11701, "divert": null }
-                    },
-                    {
-                        "name": "Picking Diverter 3",
-                        "position": { "x": -1.0, "y": 0.0, "z": -8.0 },
-                        "plc_address": 11702,
-                        "directions": { "straight": 11401, "divert": null }
-                    },
-                    {
-                        "name": "Picking Station 3",
-                        "position": { "x": -1.0, "y": 0.0, "z": -14.0 },
-                        "plc_address": 11802,
-                        "directions": { "straight": 11702, "divert": null }
-                    },
-                    {
-                        "name": "Aisle 2 Entrance",
-                        "position": { "x": 8.95, "y": 0.0, "z": -2.0 },
-                        "plc_address": 11501,
-                        "directions": { "straight": 11601, "divert": 11401 }
-                    },
-                    {
-                        "name": "Aisle 2 Lift",
-                        "position": { "x": 8.95, "y": 1.0, "z": 4.5 },
-                        "plc_address": 11601,
-                        "directions": { "straight": null, "divert": null }
-                    },
-                    {
-                        "name": "Aisle 3 Entrance",
-                        "position": { "x": 14.65, "y": 0.0, "z": -2.0 },
-                        "plc_address": 11502,
-                        "directions": { "straight": 11602, "divert": 11401 }
-                    },
-                    {
-                        "name": "Aisle 3 Lift",
-                        "position": { "x": 14.65, "y": 1.0, "z": 4.5 },
-                        "plc_address": 11602,
-                        "directions": { "straight": null, "divert": null }
-                    },
-                    {
-                        "name": "Aisle 1 Fill Reader",
-                        "position": { "x": 3.225, "y": 1.0, "z": 6 },
-                        "plc_address": 11900,
-                        "directions": { "straight": null, "divert": null }
-                    },
-                    {
-                        "name": "Aisle 2 Fill Reader",
-                        "position": { "x": 8.95, "y": 1.0, "z": 6 },
-                        "plc_address": 11901,
-                        "directions": { "straight": null, "divert": null }
-                    },
-                    {
-                        "name": "Aisle 3 Fill Reader",
-                        "position": { "x": 14.65, "y": 1.0, "z": 6 },
-                        "plc_address": 11902,
-                        "directions": { "straight": null, "divert": null }
-                    }
-                ],
-                // Include prezone visuals configuration
-                prezone_visuals: {
-                    "ellipse": {
-                        "position": { "x": 0, "y": 0.0, "z": -5.0 },
-                        "dimensions": { "radiusX": 20.0, "radiusZ": 2.0 }
-                    }
-                },
+                ...source.warehouse_parameters,
+                plc_stations: source.plc_stations || [],
+                prezone_visuals: source.prezone_visuals || {},
                 // Include missing locations and location types
                 missing_locations: [],
                 location_types: []
             };
             this.uiManager.uiConfig = JSON.parse(JSON.stringify(defaultConfig));
+            this.commandStack.clear(); // recorded commands point at the replaced config
             this.updatePLCStationsForAisles(); // Initialize PLC stations for default aisles
             this.updateInputPanelFromConfig(panel);
             this.uiManager.updateStorageCapacity();
@@ -246,6 +165,10 @@ export class InteractionManager {
         const updateValue = (id, configKey) => {
             const slider = panel.querySelector(`#${id}`);
             const span = panel.querySelector(`#${id}-value`);
+            const label = panel.querySelector(`label[for="${id}"]`).textContent.replace(/:$/, '');
+            // Changing the aisle count also regenerates levels, aisle overrides, PLC stations and the prezone ellipse
+            const keys = id === 'aisles' ? [configKey, 'levels_per_aisle', 'aisle_overrides', 'plc_stations', 'prezone_visuals'] : [configKey];
+            this.trackSliderCommand(slider, keys, (before, after) => `${label}: ${before[configKey]} → ${after[configKey]}`);
             slider.addEventListener('input', (e) => {
                 const value = parseInt(e.target.value);
                 this.uiManager.uiConfig[configKey] = value;
@@ -253,6 +176,8 @@ export class InteractionManager {
                 if (id === 'aisles') {
                     this.updateLevelInputs(panel);
                     this.updatePLCStationsForAisles(); // Update PLC stations and ellipse
+                } else if (['modules', 'locations', 'depth'].includes(id)) {
+                    this.updateLevelInputs(panel); // Override placeholders show the warehouse-wide value
                 }
                 // Update storage capacity after all changes are processed
                 this.uiManager.updateStorageCapacity();
@@ -264,6 +189,26 @@ export class InteractionManager {
         updateValue('depth', 'storage_depth');
         updateValue('stations', 'picking_stations');
 
+        // Level height profile and building clear height
+        const levelHeightsInput = panel.querySelector('#level-heights');
+        this.trackSliderCommand(levelHeightsInput, ['level_heights'], (before, after) =>
+            `Level heights: ${before.level_heights?.join(', ') || 'default'} → ${after.level_heights?.join(', ') || 'default'}`);
+        levelHeightsInput.addEventListener('input', (e) => {
+            const heights = parseLevelHeights(e.target.value);
+            e.target.classList.toggle('invalid', heights === null);
+            if (heights === null) return;
+            this.uiManager.uiConfig.level_heights = heights;
+            this.updateLevelInputs(panel);
+        });
+        const clearHeightInput = panel.querySelector('#clear-height');
+        this.trackSliderCommand(clearHeightInput, ['clear_height'], (before, after) =>
+            `Clear height: ${before.clear_height ?? 'none'} → ${after.clear_height ?? 'none'}`);
+        clearHeightInput.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.uiManager.uiConfig.clear_height = value > 0 ? value : null;
+            this.uiManager.updateStorageCapacity();
+        });
+
         // Dynamic level inputs
         this.updateLevelInputs(panel);
 
@@ -275,7 +220,6 @@ export class InteractionManager {
                     this.uiManager.uiConfig,
                     this.sceneManager.missingLocations,
                     this.sceneManager.locationTypes,
-                    calculateTotalLocations,
                     filename
                 );
             }
@@ -292,8 +236,10 @@ export class InteractionManager {
                 this.showLoadingOverlay();
                 importWarehouseConfiguration(
                     file,
-                    validateWarehouseConfiguration,
-                    (warehouseConfig) => {
+                    (warehouseConfig, migration) => {
+                        if (migration && migration.changes.length) {
+                            this.logMigration(file.name, migration);
+                        }
                         // Apply the configuration
                         const uiConfig = warehouseConfig.warehouse_parameters;
                         this.sceneManager.missingLocations = warehouseConfig.missing_locations || [];
@@ -302,25 +248,9 @@ export class InteractionManager {
                         this.sceneManager.modelConfig = { ...uiConfig };
                         
                         // For imported configs, use the actual values (don't clamp to UI slider limits)
-                        // This allows importing configs with values beyond the UI slider ranges
-                        const importedConfig = {
-                            aisles: Math.max(1, uiConfig.aisles || 1),
-                            levels_per_aisle: Array.isArray(uiConfig.levels_per_aisle)
-                                ? uiConfig.levels_per_aisle.map(lv => Math.max(1, lv))
-                                : [2, 2, 2, 2],
-                            modules_per_aisle: Math.max(1, uiConfig.modules_per_aisle || 3),
-                            locations_per_module: Math.max(1, uiConfig.locations_per_module || 2),
-                            storage_depth: Math.max(1, uiConfig.storage_depth || 1),
-                            picking_stations: Math.max(1, uiConfig.picking_stations || 1),
-                            // Include PLC stations from the imported configuration
-                            plc_stations: warehouseConfig.plc_stations || null,
-                            // Include prezone_visuals from the imported configuration
-                            prezone_visuals: warehouseConfig.prezone_visuals || {},
-                            // Include other configuration sections
-                            missing_locations: warehouseConfig.missing_locations || [],
-                            location_types: warehouseConfig.location_types || []
-                        };
+                        const importedConfig = toUIConfig(warehouseConfig);
                         this.uiManager.uiConfig = importedConfig;
+                        this.commandStack.clear(); // recorded commands point at the replaced config and rules
                         
                         this.updateInputPanelFromConfig(panel);
                         this.uiManager.updateStorageCapacity();
@@ -331,10 +261,30 @@ export class InteractionManager {
                             // Reset file input after successful import to allow re-importing same file
                             event.target.value = '';
                         }, 400);
+                    },
+                    (errors) => {
+                        // Invalid file: nothing was applied, list the schema errors in the log
+                        this.hideLoadingOverlay();
+                        event.target.value = '';
+                        this.logImportErrors(file.name, errors);
                     }
                 );
             }
         });
+        // Dimension profile and display units
+        this.bindDimensionEvents(panel);
+        // Undo/redo buttons and history list
+        this.bindHistoryEvents(panel);
+        // Cell edit modes (toggle missing / paint location type) and type palette
+        this.bindCellEditorEvents(panel);
+        // PLC station editor (move / rotate / link, add / delete)
+        this.bindPlcEditorEvents(panel);
+        // Inventory (stock file import + fill level view)
+        this.bindInventoryEvents(panel);
+        // Discrete-event throughput simulation + replay
+        this.bindSimulationEvents(panel);
+        this.bindLiveFeedEvents(panel);
+        this.bindTelegramReplayEvents(panel);
         // Rebuild button
         panel.querySelector('#rebuild-btn').addEventListener('click', () => {
             this.showLoadingOverlay();
@@ -345,6 +295,770 @@ export class InteractionManager {
         });
     }
 
+    /**
+     * Records one undoable command per slider gesture: the values of `keys` before the first 'input' event
+     * and after the final 'change' event. Must be bound before the slider's own 'input' handler.
+     * @param {HTMLInputElement} slider - Range input.
+     * @param {string[]} keys - uiConfig keys the slider (and its side effects) modifies.
+     * @param {Function} describe - `(before, after) => label` for the history list.
+     */
+    trackSliderCommand(slider, keys, describe) {
+        const snapshot = () => JSON.parse(JSON.stringify(
+            Object.fromEntries(keys.map(key => [key, this.uiManager.uiConfig[key]]))
+        ));
+        let before = null;
+        slider.addEventListener('input', () => {
+            if (!before) before = snapshot();
+        });
+        slider.addEventListener('change', () => {
+            if (!before) return;
+            const after = snapshot();
+            if (JSON.stringify(before) !== JSON.stringify(after)) {
+                this.commandStack.execute(new UpdateConfigCommand(this.uiManager.uiConfig, before, after, describe(before, after)));
+            }
+            before = null;
+        });
+    }
+
+    /**
+     * Binds the dimension profile, the display units and the size inputs. Sizes are shown in the display units;
+     * editing one turns the profile into 'custom' with all four sizes stored in m.
+     * @param {HTMLElement} panel - The DOM element containing the input panel controls.
+     */
+    bindDimensionEvents(panel) {
+        const profileSelect = panel.querySelector('#dimension-profile');
+        const unitsSelect = panel.querySelector('#length-units');
+        const sizeInputs = panel.querySelectorAll('.dimension-values input');
+        this.trackSliderCommand(profileSelect, ['dimensions'], (before, after) =>
+            `Dimensions: ${before.dimensions?.profile || 'standard'} → ${after.dimensions?.profile || 'standard'}`);
+        profileSelect.addEventListener('input', (e) => {
+            // Custom starts from the sizes in use
+            this.uiManager.uiConfig.dimensions = e.target.value === 'custom'
+                ? { ...dimensionValues(this.uiManager.uiConfig), profile: 'custom' }
+                : { profile: e.target.value };
+            this.updateDimensionInputs(panel);
+            this.updateLevelInputs(panel);
+        });
+        this.trackSliderCommand(unitsSelect, ['units'], (before, after) => `Units: ${before.units || 'm'} → ${after.units || 'm'}`);
+        unitsSelect.addEventListener('input', (e) => {
+            this.uiManager.uiConfig.units = e.target.value;
+            this.updateDimensionInputs(panel);
+            this.uiManager.updateStorageCapacity();
+        });
+        sizeInputs.forEach(input => {
+            const format = (config) => formatLength(dimensionValues(config)[input.dataset.dimension], this.uiManager.uiConfig.units);
+            this.trackSliderCommand(input, ['dimensions'], (before, after) =>
+                `${input.parentElement.textContent.trim().replace(/:$/, '')}: ${format(before)} → ${format(after)}`);
+            input.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                if (!(value > 0)) return;
+                const config = this.uiManager.uiConfig;
+                config.dimensions = { ...dimensionValues(config), profile: 'custom', [input.dataset.dimension]: fromUnits(value, config.units) };
+                profileSelect.value = 'custom';
+                this.updateLevelInputs(panel);
+            });
+        });
+        this.updateDimensionInputs(panel);
+    }
+
+    /**
+     * Shows the profile, the units and the resolved sizes of the current configuration.
+     * @param {HTMLElement} panel - The DOM element containing the input panel controls.
+     */
+    updateDimensionInputs(panel) {
+        const config = this.uiManager.uiConfig;
+        const units = config.units || 'm';
+        const values = dimensionValues(config);
+        panel.querySelector('#dimension-profile').value = values.profile;
+        panel.querySelector('#length-units').value = units;
+        panel.querySelectorAll('.dimension-values input').forEach(input => {
+            input.step = units === 'mm' ? 10 : 0.01;
+            input.value = toUnits(values[input.dataset.dimension], units);
+        });
+        panel.querySelector('.dimension-unit').textContent = `Sizes in ${units}`;
+        // Without a height profile every level has the profile's pitch
+        panel.querySelector('#level-heights').placeholder = values.level_height;
+    }
+
+    /**
+     * Binds the undo/redo buttons and keeps the history list and the scene in sync with the command stack.
+     * Executed, undone and redone rule and parameter edits only rebuild the racks (RackBuilder diffs against the previous build).
+     * @param {HTMLElement} panel - The DOM element containing the input panel controls.
+     */
+    bindHistoryEvents(panel) {
+        panel.querySelector('#undo-btn').addEventListener('click', () => this.commandStack.undo());
+        panel.querySelector('#redo-btn').addEventListener('click', () => this.commandStack.redo());
+        this.commandStack.subscribe((action, command) => {
+            if (command) {
+                this.applyCommandToScene(command, panel);
+            }
+            this.renderHistory(panel);
+        });
+        this.renderHistory(panel);
+    }
+
+    /**
+     * Brings panel and scene up to date after a command ran, was undone or redone.
+     * @param {Object} command - Command from integration/commands.js.
+     * @param {HTMLElement} panel - The DOM element containing the input panel controls.
+     */
+    applyCommandToScene(command, panel) {
+        if (command.scope === 'racks') {
+            this.sceneManager.rebuildRacks();
+        } else if (command.scope === 'layout') {
+            // Parameters only change the racks incrementally; prezone and equipment follow on "Rebuild Warehouse"
+            this.updateInputPanelFromConfig(panel);
+            this.sceneManager.rebuildRacks(this.uiManager.getConfig());
+        } else {
+            this.sceneManager.buildWarehouse(this.uiManager.getConfig());
+            if (this.plcEditor) this.plcEditor.refresh(); // station meshes were replaced
+        }
+        this.uiManager.updateStorageCapacity();
+    }
+
+    /**
+     * Renders the command history (latest last; undone entries struck through) and the button states.
+     * @param {HTMLElement} panel - The DOM element containing the input panel controls.
+     */
+    renderHistory(panel) {
+        const list = panel.querySelector('#history-list');
+        const entries = this.commandStack.history().slice(-15);
+        list.innerHTML = '';
+        if (entries.length === 0) {
+            list.innerHTML = '<li class="empty">No edits yet</li>';
+        }
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = entry.label;
+            if (!entry.done) item.className = 'undone';
+            list.appendChild(item);
+        });
+        panel.querySelector('#undo-btn').disabled = !this.commandStack.canUndo();
+        panel.querySelector('#redo-btn').disabled = !this.commandStack.canRedo();
+    }
+
+    /**
+     * Binds the cell editor: edit mode, selection tool, whole module/level/column actions and the type palette.
+     * @param {HTMLElement} panel - The DOM element containing the input panel controls.
+     */
+    bindCellEditorEvents(panel) {
+        this.cellEditor = new CellSelectionEditor(this.sceneManager, (cells) => this.applyCellEdit(cells));
+        const scopeButtons = panel.querySelectorAll('[data-cell-scope]');
+        this.updateCellScopeButtons = () => {
+            scopeButtons.forEach(button => { button.disabled = !this.cellEditor.anchor; });
+        };
+        panel.querySelector('#cell-edit-mode').addEventListener('change', (e) => {
+            this.cellEditor.setMode(e.target.value);
+            if (this.cellEditor.enabled) {
+                this.deselectObject();
+                this.setPlcEditMode(panel, null); // one edit mode at a time
+            }
+            this.updateCellScopeButtons();
+        });
+        panel.querySelector('#cell-edit-tool').addEventListener('change', (e) => {
+            this.cellEditor.setTool(e.target.value);
+        });
+        scopeButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const scope = button.getAttribute('data-cell-scope');
+                this.applyCellEdit(this.cellEditor.expandAnchor(scope), `whole ${scope}`);
+            });
+        });
+
+        // Type palette: built-in types, types found in the loaded rules and user-defined ones
+        this.activeLocationType = 'Buffer';
+        this.customLocationTypes = [];
+        panel.querySelector('#add-type-btn').addEventListener('click', () => {
+            const name = panel.querySelector('#new-type-name').value.trim();
+            const metaText = panel.querySelector('#new-type-meta').value.trim();
+            if (!name || name === 'Storage' || name === 'Missing') {
+                this.uiManager.addLog('⚠️ Enter a type name other than Storage / Missing');
+                return;
+            }
+            let meta;
+            try {
+                meta = metaText ? JSON.parse(metaText) : undefined;
+            } catch (error) {
+                this.uiManager.addLog(`⚠️ Meta is not valid JSON: ${escapeHtml(error.message)}`);
+                return;
+            }
+            if (meta !== undefined && (typeof meta !== 'object' || meta === null || Array.isArray(meta))) {
+                this.uiManager.addLog('⚠️ Meta must be a JSON object');
+                return;
+            }
+            const descriptor = typeDescriptor({
+                type: name,
+                color: panel.querySelector('#new-type-color').value,
+                category: panel.querySelector('#new-type-category').value.trim(),
+                meta
+            });
+            this.customLocationTypes = [...this.customLocationTypes.filter(t => t.type !== name), descriptor];
+            registerLocationTypeColors([descriptor]);
+            this.activeLocationType = name;
+            panel.querySelector('#new-type-name').value = '';
+            this.renderTypePalette(panel);
+            this.uiManager.addLog(`Location type <strong>${escapeHtml(name)}</strong> added to the palette`);
+        });
+        this.renderTypePalette(panel);
+    }
+
+    /**
+     * Palette entries: built-in types, types used by the current rules and types created in this session.
+     * @returns {Object[]} Type descriptors ({type, color, category?, meta?}); 'Storage' erases.
+     */
+    getTypePalette() {
+        const entries = new Map();
+        const add = (descriptor) => {
+            const color = descriptor.color || formatColor(getLocationTypeColor(descriptor.type, 0).color);
+            entries.set(descriptor.type, { ...entries.get(descriptor.type), ...descriptor, color });
+        };
+        add({ type: 'Storage', color: formatColor(getLocationTypeColor('Storage', 0).color) });
+        Object.keys(LOCATION_TYPE_COLORS)
+            .filter(type => !['Missing', 'StorageEven', 'StorageOdd'].includes(type))
+            .forEach(type => add({ type }));
+        (this.sceneManager.locationTypes || []).forEach(rule => {
+            if (rule && rule.type) add(typeDescriptor(rule));
+        });
+        this.customLocationTypes.forEach(add);
+        return [...entries.values()];
+    }
+
+    /**
+     * Renders the palette swatches; clicking one makes it the type painted in "Paint location type" mode.
+     * @param {HTMLElement} panel - The DOM element containing the input panel controls.
+     */
+    renderTypePalette(panel) {
+        const container = panel.querySelector('#type-palette');
+        container.innerHTML = '';
+        this.getTypePalette().forEach(entry => {
+            const button = document.createElement('button');
+            button.className = `type-swatch${entry.type === this.activeLocationType ? ' active' : ''}`;
+            button.title = entry.type === 'Storage' ? 'Storage (erases painted types)' : [entry.category, entry.meta && JSON.stringify(entry.meta)].filter(Boolean).join(' – ') || entry.type;
+            const color = document.createElement('span');
+            color.className = 'swatch-color';
+            color.style.background = entry.color;
+            const name = document.createElement('span');
+            name.textContent = entry.type;
+            button.append(color, name);
+            button.addEventListener('click', () => {
+                this.activeLocationType = entry.type;
+                this.renderTypePalette(panel);
+            });
+            container.appendChild(button);
+        });
+    }
+
+    /**
+     * Applies a cell selection in the active edit mode (toggle missing or paint the active type).
+     * @param {Object[]} cells - 0-based cell addresses.
+     * @param {string} [what] - Selection description for the history label.
+     * @returns {Object|null} The executed command, or null when nothing changed.
+     */
+    applyCellEdit(cells, what) {
+        if (this.cellEditor.mode === 'paint') {
+            const descriptor = this.getTypePalette().find(entry => entry.type === this.activeLocationType) || null;
+            return this.paintLocationType(cells, descriptor, what);
+        }
+        return this.editMissingCells(cells, 'toggle', what);
+    }
+
+    /**
+     * Paints a location type onto cells as one undoable command; location_types is rewritten as compact rules
+     * carrying the type's color / category / meta, so it exports unchanged through exportWarehouseConfiguration.
+     * @param {Object[]} cells - 0-based cell addresses.
+     * @param {Object|null} descriptor - Palette entry ({type, color, category?, meta?}); Storage / null erases.
+     * @param {string} [what] - Selection description for the history label.
+     * @returns {Object|null} The executed command, or null when nothing changed.
+     */
+    paintLocationType(cells, descriptor, what) {
+        const config = this.sceneManager.currentConfig || this.uiManager.uiConfig;
+        const { rules, painted } = paintLocationTypes(config, this.sceneManager.locationTypes, this.sceneManager.missingLocations, cells, descriptor);
+        if (!painted) return null;
+        const type = descriptor ? descriptor.type : 'Storage';
+        const label = `Paint ${type}: ${painted} location${painted === 1 ? '' : 's'}${what ? ` (${what})` : ''}`;
+        return this.setLocationTypes(rules, label);
+    }
+
+    /**
+     * Toggles cells missing (or restores them when all are missing) as one undoable command.
+     * The edited cells are written as compact wildcard / range rules; rules the edit does not touch are kept.
+     * @param {Object[]} cells - 0-based cell addresses.
+     * @param {'toggle'|'add'|'remove'} [mode='toggle']
+     * @param {string} [what] - Selection description for the history label.
+     * @returns {Object|null} The executed command, or null when nothing changed.
+     */
+    editMissingCells(cells, mode = 'toggle', what) {
+        const config = this.sceneManager.currentConfig || this.uiManager.uiConfig;
+        const { rules, added, removed } = editMissingCells(config, this.sceneManager.missingLocations, cells, mode);
+        if (!added && !removed) return null;
+        const count = added || removed;
+        const label = `${added ? 'Mark missing' : 'Restore'}: ${count} location${count === 1 ? '' : 's'}${what ? ` (${what})` : ''}`;
+        const command = this.commandStack.execute(new ReplaceRulesCommand(this.sceneManager.missingLocations, rules, label));
+        this.uiManager.addLog(`${label} → ${rules.length} missing rule${rules.length === 1 ? '' : 's'}`);
+        return command;
+    }
+
+    /**
+     * Marks a location (or a wildcard rule, 0-based) as missing through the command stack.
+     * @param {Object} rule - Missing-location rule ({aisle, side, level, module, depth, position}).
+     * @param {string} [label] - History label.
+     */
+    addMissingLocation(rule, label) {
+        return this.commandStack.execute(new AddMissingLocationCommand(this.sceneManager.missingLocations, rule, label));
+    }
+
+    /**
+     * Removes a missing-location rule (the same object as in sceneManager.missingLocations) undoably.
+     * @param {Object} rule - Rule to remove.
+     * @param {string} [label] - History label.
+     */
+    removeMissingLocation(rule, label) {
+        return this.commandStack.execute(new RemoveMissingLocationCommand(this.sceneManager.missingLocations, rule, label));
+    }
+
+    /**
+     * Replaces the location-type rules (0-based) in one undoable step.
+     * @param {Object[]} rules - New location_types rule list.
+     * @param {string} [label] - History label.
+     */
+    setLocationTypes(rules, label) {
+        return this.commandStack.execute(new ReplaceRulesCommand(this.sceneManager.locationTypes, rules, label));
+    }
+
+    /**
+     * PLC station of the current configuration.
+     * @param {number} plcAddress
+     * @returns {Object|null}
+     */
+    findPlcStation(plcAddress) {
+        return (this.uiManager.uiConfig.plc_stations || []).find(s => s.plc_address === plcAddress) || null;
+    }
+
+    /**
+     * Moves a PLC station of the current configuration undoably; the station keeps this position when stations
+     * are regenerated.
+     * @param {number} plcAddress - Address of the station to move.
+     * @param {{x:number,y:number,z:number}} position - New prezone-local position.
+     * @returns {Object|null} The executed command, or null when no station has this address or it did not move.
+     */
+    movePlcStation(plcAddress, position) {
+        const station = this.findPlcStation(plcAddress);
+        if (!station || ['x', 'y', 'z'].every(axis => station.position?.[axis] === position[axis])) return null;
+        return this.commandStack.execute(new MovePlcStationCommand(this.uiManager.uiConfig, plcAddress, position));
+    }
+
+    /**
+     * Rotates a PLC station about the vertical axis undoably.
+     * @param {number} plcAddress
+     * @param {number} degrees
+     * @returns {Object|null} The executed command, or null when no station has this address or it did not turn.
+     */
+    rotatePlcStation(plcAddress, degrees) {
+        const station = this.findPlcStation(plcAddress);
+        if (!station || (station.rotation || 0) === degrees) return null;
+        return this.commandStack.execute(new UpdatePlcStationCommand(this.uiManager.uiConfig, plcAddress, { rotation: degrees }, `Rotate PLC station ${plcAddress} to ${degrees}°`));
+    }
+
+    /**
+     * Sets (or clears) one direction of a PLC station undoably.
+     * @param {number} plcAddress
+     * @param {'straight'|'divert'} kind
+     * @param {number|null} target - Target address, null clears the direction.
+     * @returns {Object|null} The executed command, or null when nothing changed.
+     */
+    setPlcDirection(plcAddress, kind, target) {
+        const station = this.findPlcStation(plcAddress);
+        if (!station || (station.directions?.[kind] ?? null) === target) return null;
+        const directions = { straight: null, divert: null, ...station.directions, [kind]: target };
+        const label = target === null ? `Clear ${kind} of PLC station ${plcAddress}` : `Link ${plcAddress} → ${target} (${kind})`;
+        return this.commandStack.execute(new UpdatePlcStationCommand(this.uiManager.uiConfig, plcAddress, { directions }, label));
+    }
+
+    /**
+     * Adds a station of a type with the lowest free address of its floor / conveyor level.
+     * @param {string} type - Station type of the layout's convention.
+     * @param {{floor:number, conveyorLevel:number}} level
+     * @param {{x:number,y:number,z:number}} position - Prezone-local position.
+     * @returns {Object|null} The executed command, or null when no address is free.
+     */
+    addPlcStation(type, level, position) {
+        const config = this.uiManager.uiConfig;
+        const codec = resolvePlcAddressCodec(config.plc_address_convention);
+        let address;
+        try {
+            address = allocatePlcAddress(config.plc_stations, type, level, codec);
+        } catch (error) {
+            this.uiManager.addLog(`⚠️ ${escapeHtml(error.message)}`);
+            return null;
+        }
+        const name = `${type.split('_').map(word => word[0].toUpperCase() + word.slice(1)).join(' ')} ${codec.decode(address).counter + 1}`;
+        const station = { name, plc_address: address, position: { ...position }, directions: { straight: null, divert: null } };
+        const command = this.commandStack.execute(new AddPlcStationCommand(config, station, `Add ${name} (${address})`));
+        this.uiManager.addLog(`➕ PLC station <strong>${escapeHtml(name)}</strong> added as ${address}`);
+        return command;
+    }
+
+    /**
+     * Deletes a station undoably; directions pointing at it are cleared and generation does not recreate it.
+     * @param {number} plcAddress
+     * @returns {Object|null} The executed command, or null when no station has this address.
+     */
+    removePlcStation(plcAddress) {
+        if (!this.findPlcStation(plcAddress)) return null;
+        return this.commandStack.execute(new RemovePlcStationCommand(this.uiManager.uiConfig, plcAddress));
+    }
+
+    /**
+     * Binds the PLC station editor: edit mode, grid, link direction, selection actions and adding stations.
+     * @param {HTMLElement} panel - The DOM element containing the input panel controls.
+     */
+    bindPlcEditorEvents(panel) {
+        const selection = panel.querySelector('#plc-edit-selection');
+        const clearButton = panel.querySelector('#plc-clear-links-btn');
+        const deleteButton = panel.querySelector('#plc-delete-btn');
+        const showSelection = (plcAddress) => {
+            const station = plcAddress === null ? null : this.findPlcStation(plcAddress);
+            clearButton.disabled = !station;
+            deleteButton.disabled = !station;
+            if (!station) {
+                selection.textContent = 'No station selected';
+                return;
+            }
+            const target = (kind) => station.directions?.[kind] ?? '–';
+            selection.textContent = `${station.name || 'Station'} (${plcAddress}): straight → ${target('straight')}, divert → ${target('divert')}`;
+        };
+        this.plcEditor = new PlcStationEditor(this.sceneManager, {
+            onMove: (plcAddress, position) => this.movePlcStation(plcAddress, position),
+            onRotate: (plcAddress, degrees) => this.rotatePlcStation(plcAddress, degrees),
+            onLink: (from, to, kind) => {
+                this.setPlcDirection(from, kind, to);
+                this.plcEditor.select(from);
+            },
+            onSelect: showSelection
+        });
+        this.commandStack.subscribe(() => showSelection(this.plcEditor.selected));
+
+        panel.querySelector('#plc-edit-mode').addEventListener('change', (e) => this.setPlcEditMode(panel, e.target.value));
+        panel.querySelector('#plc-edit-grid').addEventListener('change', (e) => this.plcEditor.setGrid(e.target.value));
+        panel.querySelector('#plc-link-kind').addEventListener('change', (e) => this.plcEditor.setLinkKind(e.target.value));
+        clearButton.addEventListener('click', () => {
+            const address = this.plcEditor.selected;
+            const directions = this.findPlcStation(address)?.directions;
+            if (!directions || (directions.straight == null && directions.divert == null)) return;
+            this.commandStack.execute(new UpdatePlcStationCommand(this.uiManager.uiConfig, address, { directions: { straight: null, divert: null } }, `Clear links of PLC station ${address}`));
+        });
+        deleteButton.addEventListener('click', () => {
+            const address = this.plcEditor.selected;
+            this.plcEditor.select(null);
+            this.removePlcStation(address);
+        });
+
+        // New stations go next to the selected one
+        const typeSelect = panel.querySelector('#plc-add-type');
+        this.updatePlcAddInputs(panel);
+        panel.querySelector('#plc-add-btn').addEventListener('click', () => {
+            const selected = this.findPlcStation(this.plcEditor.selected);
+            const base = selected ? selected.position : { x: 0, y: 0.15, z: -5 };
+            const command = this.addPlcStation(typeSelect.value, {
+                floor: parseInt(panel.querySelector('#plc-add-floor').value),
+                conveyorLevel: parseInt(panel.querySelector('#plc-add-level').value)
+            }, { x: base.x + 2, y: base.y ?? 0.15, z: base.z });
+            if (command) {
+                if (!this.plcEditor.enabled) this.setPlcEditMode(panel, 'move');
+                this.plcEditor.select(command.station.plc_address);
+            }
+        });
+    }
+
+    /**
+     * Fills the add-station inputs from the layout's PLC address convention: its station types and generation level.
+     * Called again whenever the configuration is replaced, as another convention encodes other types; the inputs
+     * are left as they are while the convention stays the same.
+     * @param {HTMLElement} panel - The DOM element containing the input panel controls.
+     */
+    updatePlcAddInputs(panel) {
+        const codec = resolvePlcAddressCodec(this.uiManager.uiConfig.plc_address_convention);
+        if (codec === this.plcAddCodec) return;
+        this.plcAddCodec = codec;
+        panel.querySelector('#plc-add-type').innerHTML = [...codec.typeCodes.keys()].map(type => `<option value="${escapeHtml(type)}">${escapeHtml(type)}</option>`).join('');
+        panel.querySelector('#plc-add-floor').value = codec.generation.floor;
+        panel.querySelector('#plc-add-level').value = codec.generation.conveyor_level;
+    }
+
+    /**
+     * Switches the PLC station editor mode (and the mode select); turning it on leaves the cell edit mode.
+     * @param {HTMLElement} panel - The DOM element containing the input panel controls.
+     * @param {'move'|'rotate'|'link'|null} mode
+     */
+    setPlcEditMode(panel, mode) {
+        if (!this.plcEditor) return;
+        this.plcEditor.setMode(mode);
+        panel.querySelector('#plc-edit-mode').value = mode || '';
+        if (this.plcEditor.enabled) {
+            this.deselectObject();
+            if (this.cellEditor && this.cellEditor.enabled) {
+                this.cellEditor.setMode(null);
+                panel.querySelector('#cell-edit-mode').value = '';
+                this.updateCellScopeButtons();
+            }
+        }
+    }
+
+    /**
+     * True for elements with their own text undo (so Ctrl+Z is left to the browser).
+     * @param {EventTarget} target
+     * @returns {boolean}
+     */
+    isTextInput(target) {
+        if (!target || !target.tagName) return false;
+        if (target.tagName === 'TEXTAREA' || target.isContentEditable) return true;
+        return target.tagName === 'INPUT' && !['range', 'checkbox', 'button', 'file'].includes(target.type);
+    }
+
+    /**
+     * Writes configuration import errors (JSON pointer + message) to the Info panel log.
+     * @param {string} filename - Name of the rejected file.
+     * @param {string[]} errors - Error messages from parseWarehouseConfig.
+     */
+    logImportErrors(filename, errors) {
+        const maxShown = 20;
+        const lines = errors.slice(0, maxShown)
+            .map(e => `<div style='margin-left:10px;'><code>${escapeHtml(e)}</code></div>`)
+            .join('');
+        const more = errors.length > maxShown ? `<div style='margin-left:10px;'>… ${errors.length - maxShown} more</div>` : '';
+        this.uiManager.addLog(`<span style='color:#c33;'>❌ Import rejected: <strong>${escapeHtml(filename)}</strong> (${errors.length} error${errors.length === 1 ? '' : 's'})</span>${lines}${more}`);
+    }
+
+    /**
+     * Writes the version migration report of an imported configuration to the Info panel log.
+     * @param {string} filename - Name of the imported file.
+     * @param {{fromVersion:string,toVersion:string,changes:string[]}} migration - Report from parseWarehouseConfig.
+     */
+    logMigration(filename, migration) {
+        const lines = migration.changes
+            .map(c => `<div style='margin-left:${c.startsWith('  ') ? 20 : 10}px;'>${escapeHtml(c.trim())}</div>`)
+            .join('');
+        this.uiManager.addLog(`🔄 <strong>${escapeHtml(filename)}</strong> migrated from format ${migration.fromVersion} to ${migration.toVersion}${lines}`);
+    }
+
+    /**
+     * Binds the stock import button and the fill level toggle.
+     * @param {HTMLElement} panel - The DOM element containing the input panel controls.
+     */
+    bindInventoryEvents(panel) {
+        const stockInput = panel.querySelector('#import-stock-input');
+        const toggle = panel.querySelector('#show-inventory-toggle');
+        panel.querySelector('#import-stock-btn').addEventListener('click', () => {
+            stockInput.value = '';
+            stockInput.click();
+        });
+        stockInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+            this.showLoadingOverlay();
+            const layout = { uiConfig: this.uiManager.getConfig(), missingLocations: this.sceneManager.missingLocations };
+            importInventoryFile(file, this.sceneManager.inventory, layout, (result) => {
+                this.sceneManager.showInventory = true;
+                toggle.checked = true;
+                this.sceneManager.buildWarehouse(this.uiManager.getConfig());
+                this.uiManager.updateStorageCapacity();
+                let message = `Stock loaded: <strong>${escapeHtml(file.name)}</strong> (${result.loaded} records)`;
+                if (result.skipped) message += `<br><span style='color:#c33;'>${result.skipped} rows skipped: ${escapeHtml(result.errors[0])}${result.skipped > 1 ? ', …' : ''}</span>`;
+                this.uiManager.addLog(message);
+                this.hideLoadingOverlay();
+            }, (error) => {
+                this.hideLoadingOverlay();
+                this.uiManager.addLog(`<span style='color:#c33;'>❌ Stock file <strong>${escapeHtml(file.name)}</strong>: ${escapeHtml(error.message)}</span>`);
+            });
+        });
+        toggle.addEventListener('change', () => {
+            this.sceneManager.showInventory = toggle.checked;
+            this.showLoadingOverlay();
+            setTimeout(() => {
+                this.sceneManager.buildWarehouse(this.uiManager.getConfig());
+                this.hideLoadingOverlay();
+            }, 400);
+        });
+    }
+
+    /**
+     * Binds the throughput simulation controls: runs the headless simulator on a generated
+     * order stream, logs cycles per hour per aisle and replays the result in the 3D view.
+     * @param {HTMLElement} panel - The DOM element containing the input panel controls.
+     */
+    bindSimulationEvents(panel) {
+        const rateSlider = panel.querySelector('#sim-orders-per-hour');
+        const rateValue = panel.querySelector('#sim-orders-per-hour-value');
+        rateSlider.addEventListener('input', (e) => {
+            rateValue.textContent = e.target.value;
+        });
+        panel.querySelector('#run-simulation-btn').addEventListener('click', () => {
+            const uiConfig = this.uiManager.getConfig();
+            const animationManager = this.sceneManager.animationManager;
+            const ordersPerHour = parseInt(rateSlider.value);
+            const orders = generateOrderStream({ uiConfig, count: Math.round(ordersPerHour / 6), ordersPerHour, seed: 1 });
+            const simulator = new ThroughputSimulator({ uiConfig, equipment: animationManager.getSimulationEquipment() });
+            const result = simulator.run(orders);
+            const lines = result.aisles.map(a =>
+                `<div style='margin-left:10px;'><strong>Aisle ${a.aisle + 1}:</strong> ${a.cyclesPerHour} cycles/h (lift ${(a.liftUtilization * 100).toFixed(0)}%)</div>`
+            ).join('');
+            const rejected = result.rejected.length
+                ? `<div style='margin-left:10px;color:#c33;'>${result.rejected.length} order${result.rejected.length === 1 ? '' : 's'} rejected: ${escapeHtml(result.rejected[0].error)}</div>`
+                : '';
+            this.uiManager.addLog(`Simulation: <strong>${result.totalCyclesPerHour} cycles/h</strong> (${result.completed} jobs in ${(result.makespan / 60).toFixed(1)} min)${lines}${rejected}`);
+            animationManager.replaySimulation(result);
+        });
+        panel.querySelector('#stop-simulation-btn').addEventListener('click', () => {
+            this.sceneManager.animationManager.stopReplay();
+        });
+    }
+
+    /**
+     * Binds the Live PLC Feed section: WebSocket / mock adapters and connection status.
+     * @param {HTMLElement} panel - The DOM element containing the input panel controls.
+     */
+    bindLiveFeedEvents(panel) {
+        const feed = this.plcLiveFeed;
+        const section = panel.querySelector('.live-plc-section');
+        if (!feed) {
+            section.style.display = 'none';
+            return;
+        }
+        const status = panel.querySelector('#plc-feed-status');
+        const statusText = { connecting: 'Connecting…', open: 'Connected', closed: 'Disconnected', error: 'Connection error' };
+        if (feed.eventBus) {
+            feed.eventBus.subscribe(PLC_EVENTS.connection, ({ status: state, detail, adapter }) => {
+                status.textContent = `${statusText[state] || state}: ${adapter}`;
+                status.dataset.state = state;
+                if (state === 'open' || state === 'error') {
+                    this.uiManager.addLog(`${state === 'open' ? '🔌' : '⚠️'} PLC feed ${escapeHtml(state === 'open' ? `connected (${adapter})` : detail || adapter)}`);
+                }
+            });
+            feed.eventBus.subscribe(PLC_EVENTS.stationState, ({ plcAddress, state, previous, message }) => {
+                if (state === 'faulted' && previous !== 'faulted') {
+                    this.uiManager.addLog(`<span style='color:#c33;'>❌ PLC ${plcAddress} faulted${message ? `: ${escapeHtml(message)}` : ''}</span>`);
+                }
+            });
+        }
+        panel.querySelector('#plc-feed-connect-btn').addEventListener('click', () => {
+            const url = panel.querySelector('#plc-feed-url').value.trim();
+            if (!url) return;
+            this.stopTelegramReplay(panel);
+            try {
+                feed.connect(new WebSocketTelegramAdapter(url));
+            } catch (error) {
+                this.uiManager.addLog(`⚠️ ${escapeHtml(error.message)}`);
+            }
+        });
+        panel.querySelector('#plc-feed-mock-btn').addEventListener('click', () => {
+            const { mainLoop } = resolvePlcAddressCodec(this.uiManager.uiConfig.plc_address_convention);
+            const addresses = (this.uiManager.uiConfig.plc_stations || []).map(s => s.plc_address).filter(a => a !== mainLoop);
+            this.stopTelegramReplay(panel);
+            feed.connect(new MockTelegramAdapter(addresses));
+        });
+        panel.querySelector('#plc-feed-disconnect-btn').addEventListener('click', () => {
+            feed.disconnect();
+            feed.clear();
+        });
+    }
+
+    /**
+     * Binds the Telegram Replay section: load a recorded log, play / pause, speed and seek.
+     * Replayed telegrams go through the live feed, so stations look and publish events like with a live PLC.
+     * @param {HTMLElement} panel - The DOM element containing the input panel controls.
+     */
+    bindTelegramReplayEvents(panel) {
+        const feed = this.plcLiveFeed;
+        const section = panel.querySelector('.telegram-replay-section');
+        if (!feed) {
+            section.style.display = 'none';
+            return;
+        }
+        const animationManager = this.sceneManager.animationManager;
+        const playBtn = panel.querySelector('#replay-play-btn');
+        const speedSelect = panel.querySelector('#replay-speed');
+        const seek = panel.querySelector('#replay-seek');
+        const timeLabel = panel.querySelector('#replay-time');
+        const fileInput = panel.querySelector('#load-telegram-log-input');
+        speedSelect.innerHTML = REPLAY_SPEEDS.map(v => `<option value="${v}"${v === 1 ? ' selected' : ''}>${v}×</option>`).join('');
+
+        const formatOffset = (ms) => {
+            const total = Math.floor(ms / 1000);
+            return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+        };
+        const showProgress = (replay) => {
+            playBtn.textContent = replay.playing ? '⏸ Pause' : '▶ Play';
+            if (document.activeElement !== seek) seek.value = replay.position;
+            const wallClock = new Date(replay.start + replay.position).toLocaleTimeString();
+            timeLabel.textContent = `${formatOffset(replay.position)} / ${formatOffset(replay.duration)} (${wallClock})`;
+        };
+
+        const seekTo = (replay, position) => {
+            const { reset, telegrams } = replay.seek(position);
+            if (reset) feed.clear();
+            if (telegrams.length) feed.handleMessage(telegrams);
+            animationManager.wakeTelegramReplay();
+        };
+
+        panel.querySelector('#load-telegram-log-btn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            importTelegramLog(file, ({ telegrams, errors }) => {
+                const skipped = errors.length ? ` <span style='color:#c33;'>(${errors.length} rows skipped: ${escapeHtml(errors[0])}${errors.length > 1 ? ', …' : ''})</span>` : '';
+                this.uiManager.addLog(`📼 Telegram log <strong>${escapeHtml(file.name)}</strong>: ${telegrams.length} telegrams${skipped}`);
+                if (!telegrams.length) return;
+                this.stopTelegramReplay(panel);
+                feed.disconnect(); // a replay replaces the live feed
+                feed.clear();
+                const replay = new TelegramReplay(telegrams);
+                replay.setSpeed(parseFloat(speedSelect.value));
+                this.telegramReplay = replay;
+                seek.max = replay.duration;
+                [playBtn, speedSelect, seek].forEach(el => { el.disabled = false; });
+                seekTo(replay, 0); // telegrams of the first instant
+                animationManager.playTelegramReplay(replay, {
+                    onTelegrams: (passed) => feed.handleMessage(passed),
+                    onFrame: showProgress
+                });
+            }, (error) => {
+                this.uiManager.addLog(`<span style='color:#c33;'>❌ Telegram log <strong>${escapeHtml(file.name)}</strong>: ${escapeHtml(error.message)}</span>`);
+            });
+            fileInput.value = '';
+        });
+        playBtn.addEventListener('click', () => {
+            const replay = this.telegramReplay;
+            if (!replay) return;
+            if (replay.playing) {
+                replay.pause();
+            } else {
+                if (replay.position >= replay.duration) seekTo(replay, 0);
+                replay.play();
+            }
+            animationManager.wakeTelegramReplay(); // renders the new state, and keeps going while playing
+        });
+        speedSelect.addEventListener('change', () => {
+            if (this.telegramReplay) this.telegramReplay.setSpeed(parseFloat(speedSelect.value));
+        });
+        seek.addEventListener('input', () => {
+            if (this.telegramReplay) seekTo(this.telegramReplay, parseFloat(seek.value));
+        });
+    }
+
+    /**
+     * Ends a telegram replay (e.g. when switching to the live feed) and disables its controls.
+     * @param {HTMLElement} panel - The DOM element containing the input panel controls.
+     */
+    stopTelegramReplay(panel) {
+        if (!this.telegramReplay) return;
+        this.telegramReplay = null;
+        this.sceneManager.animationManager.stopTelegramReplay();
+        this.plcLiveFeed.clear();
+        ['#replay-play-btn', '#replay-speed', '#replay-seek'].forEach(sel => { panel.querySelector(sel).disabled = true; });
+        panel.querySelector('#replay-play-btn').textContent = '▶ Play';
+        panel.querySelector('#replay-time').textContent = 'No log loaded';
+    }
+
     // Show loading overlay
     /**
      * Shows the loading overlay.
@@ -372,6 +1086,18 @@ export class InteractionManager {
         const container = panel.querySelector('#levels-container');
         // Adjust the levels_per_aisle array using utility
         syncLevelsPerAisle(this.uiManager.uiConfig.levels_per_aisle, aisleCount);
+        // Overrides of removed aisles are dropped
+        const config = this.uiManager.uiConfig;
+        if (config.aisle_overrides) config.aisle_overrides = config.aisle_overrides.filter(o => o.aisle < aisleCount);
+        const integer = (text) => (parseInt(text) >= 1 ? parseInt(text) : null);
+        const overrideFields = [
+            { key: 'modules_per_aisle', label: 'Modules', parse: integer },
+            { key: 'locations_per_module', label: 'Locations', parse: integer },
+            { key: 'storage_depth', label: 'Depth', parse: integer },
+            { key: 'level_heights', label: 'Level heights', type: 'text', parse: (text) => parseLevelHeights(text) },
+            { key: 'clear_height', label: 'Clear height', step: 0.05, parse: (text) => (parseFloat(text) > 0 ? parseFloat(text) : null) }
+        ];
+        const shown = (value) => (Array.isArray(value) ? value.join(', ') : value ?? '');
         
         // Calculate appropriate max value for level sliders based on imported values
         // Default max is 9, but extend if imported config has higher values
@@ -387,11 +1113,36 @@ export class InteractionManager {
                 <label>Aisle ${i + 1}:</label>
                 <input type="range" min="2" max="${maxLevels}" value="${this.uiManager.uiConfig.levels_per_aisle[i]}" data-aisle="${i}">
                 <span>${this.uiManager.uiConfig.levels_per_aisle[i]}</span>
+                <details class="aisle-overrides">
+                    <summary>Overrides</summary>
+                    ${overrideFields.map(({ key, label, type = 'number', step = 1 }) => `
+                        <label>${label}: <input type="${type}" min="${step}" step="${step}" data-key="${key}"
+                            value="${shown((config.aisle_overrides || []).find(o => o.aisle === i)?.[key])}" placeholder="${shown(config[key]) || '–'}"></label>
+                    `).join('')}
+                </details>
             `;
             container.appendChild(levelDiv);
+            // Per-aisle geometry and heights; empty = warehouse-wide value
+            levelDiv.querySelectorAll('.aisle-overrides input').forEach(input => {
+                const { key } = input.dataset;
+                const field = overrideFields.find(f => f.key === key);
+                const current = (overrides) => shown((overrides || []).find(o => o.aisle === i)?.[key]) || 'default';
+                this.trackSliderCommand(input, ['aisle_overrides'], (before, after) =>
+                    `Aisle ${i + 1} ${field.label.toLowerCase()}: ${current(before.aisle_overrides)} → ${current(after.aisle_overrides)}`);
+                input.addEventListener('input', (e) => {
+                    const value = field.parse(e.target.value);
+                    // A height list is applied once every entry is a positive number
+                    e.target.classList.toggle('invalid', field.type === 'text' && value === null);
+                    if (field.type === 'text' && value === null) return;
+                    config.aisle_overrides = setAisleOverride(config.aisle_overrides, i, key, value?.length === 0 ? null : value);
+                    this.uiManager.updateStorageCapacity();
+                });
+            });
             // Bind event
             const slider = levelDiv.querySelector('input');
             const valueSpan = levelDiv.querySelector('span');
+            this.trackSliderCommand(slider, ['levels_per_aisle'], (before, after) =>
+                `Aisle ${i + 1} levels: ${before.levels_per_aisle[i]} → ${after.levels_per_aisle[i]}`);
             slider.addEventListener('input', (e) => {
                 const value = parseInt(e.target.value);
                 const aisleIndex = parseInt(e.target.getAttribute('data-aisle'));
@@ -410,100 +1161,94 @@ export class InteractionManager {
      */
     updatePLCStationsForAisles() {
         const aisleCount = this.uiManager.uiConfig.aisles;
+        // Addresses follow the layout's convention (SRC: 11400 entry, 117xx/118xx picking, 115xx/116xx/119xx aisles)
+        const codec = resolvePlcAddressCodec(this.uiManager.uiConfig.plc_address_convention);
+        const loop = codec.mainLoop;
         
         // Base PLC stations (always present)
         const basePlcStations = [
             {
                 "name": "Entry",
                 "position": { "x": -15.0, "y": 0.0, "z": -2.0 },
-                "plc_address": 11400,
-                "directions": { "straight": 11401, "divert": null }
-            },
-            {
-                "name": "Picking Diverter 1",
-                "position": { "x": -15.0, "y": 0.0, "z": -8.0 },
-                "plc_address": 11700,
-                "directions": { "straight": null, "divert": 11401 }
-            },
-            {
-                "name": "Picking Station 1",
-                "position": { "x": -15.0, "y": 0.0, "z": -14.0 },
-                "plc_address": 11800,
-                "directions": { "straight": 11700, "divert": null }
-            },
-            {
-                "name": "Picking Diverter 2",
-                "position": { "x": -8.0, "y": 0.0, "z": -8.0 },
-                "plc_address": 11701,
-                "directions": { "straight": 11401, "divert": null }
-            },
-            {
-                "name": "Picking Station 2",
-                "position": { "x": -8.0, "y": 0.0, "z": -14.0 },
-                "plc_address": 11801,
-                "directions": { "straight": 11701, "divert": null }
-            },
-            {
-                "name": "Picking Diverter 3",
-                "position": { "x": -1.0, "y": 0.0, "z": -8.0 },
-                "plc_address": 11702,
-                "directions": { "straight": 11401, "divert": null }
-            },
-            {
-                "name": "Picking Station 3",
-                "position": { "x": -1.0, "y": 0.0, "z": -14.0 },
-                "plc_address": 11802,
-                "directions": { "straight": 11702, "divert": null }
+                "plc_address": codec.entry,
+                "directions": { "straight": loop, "divert": null }
             }
         ];
+        [-15.0, -8.0, -1.0].forEach((x, i) => {
+            const diverter = codec.encode({ type: 'picking_diverter', counter: i });
+            const station = codec.encode({ type: 'picking_station', counter: i });
+            basePlcStations.push(
+                {
+                    "name": `Picking Diverter ${i + 1}`,
+                    "position": { "x": x, "y": 0.0, "z": -8.0 },
+                    "plc_address": diverter,
+                    "directions": { "straight": loop, "divert": station }
+                },
+                {
+                    "name": `Picking Station ${i + 1}`,
+                    "position": { "x": x, "y": 0.0, "z": -14.0 },
+                    "plc_address": station,
+                    "directions": { "straight": diverter, "divert": null }
+                }
+            );
+        });
 
         // Generate dynamic aisle stations based on aisle count
         const dynamicStations = [];
         
-        // Calculate aisle positions (dynamically generated)
+        // Calculate aisle positions (dynamically generated), following the aisle spacing of the rack layout
+        const layout = aisleLayout(this.uiManager.uiConfig);
         const generateAislePosition = (index) => {
             const baseX = 3.225; // Base position for aisle 1
-            const spacing = 5.725; // Distance between aisles
             return {
-                x: baseX + (index * spacing),
+                x: baseX + (layout[index].centerX - layout[0].centerX),
                 name: `Aisle ${index + 1}`
             };
         };
 
         for (let i = 0; i < aisleCount; i++) {
-            const _aisleNum = i + 1; // unused
             const pos = generateAislePosition(i);
+            const lift = codec.encode({ type: 'lift_station', counter: i });
             
-            // Aisle Entrance (11500 + i)
+            // Aisle Entrance (SRC 11500 + i)
             dynamicStations.push({
                 "name": `${pos.name} Entrance`,
                 "position": { "x": pos.x, "y": 0.0, "z": -2.0 },
-                "plc_address": 11500 + i,
+                "plc_address": codec.encode({ type: 'aisle_entrance', counter: i }),
                 "directions": { 
-                    "straight": i === 0 ? 11401 : (11600 + i), // First aisle connects to main loop
-                    "divert": i === 0 ? (11600 + i) : 11401    // Others divert to main loop
+                    "straight": i === 0 ? loop : lift, // First aisle connects to main loop
+                    "divert": i === 0 ? lift : loop    // Others divert to main loop
                 }
             });
 
-            // Aisle Lift (11600 + i)
+            // Aisle Lift (SRC 11600 + i)
             dynamicStations.push({
                 "name": `${pos.name} Lift`,
                 "position": { "x": pos.x, "y": 1.0, "z": 4.5 },
-                "plc_address": 11600 + i,
+                "plc_address": lift,
                 "directions": { "straight": null, "divert": null }
             });
 
-            // Fill Reader (11900 + i)
+            // Fill Reader (SRC 11900 + i)
             dynamicStations.push({
                 "name": `${pos.name} Fill Reader`,
                 "position": { "x": pos.x, "y": 1.0, "z": 6 },
-                "plc_address": 11900 + i,
+                "plc_address": codec.encode({ type: 'lift_reading_point', counter: i }),
+                "directions": { "straight": null, "divert": null }
+            });
+
+            // Lift Exit (SRC 21600 + i): outfeed on the lift exit floor, returns to the main loop (createLiftExitToLoopConnections)
+            dynamicStations.push({
+                "name": `${pos.name} Lift Exit`,
+                "position": { "x": pos.x - 2.25, "y": 1.0, "z": 6 },
+                "plc_address": codec.encode({ type: 'lift_station', counter: i, floor: codec.generation.lift_exit_floor }),
                 "directions": { "straight": null, "divert": null }
             });
         }
 
-        // Update the configuration with combined stations
-        this.uiManager.uiConfig.plc_stations = [...basePlcStations, ...dynamicStations];
+        // Update the configuration with combined stations, keeping stations edited in the station editor
+        const config = this.uiManager.uiConfig;
+        config.plc_stations = mergeGeneratedStations(config.plc_stations, [...basePlcStations, ...dynamicStations], config.plc_removed_stations);
 
         // Update ellipse radiusX based on aisle count (make it wider for more aisles)
         const baseRadiusX = 15.0;  // Base radius for 3 aisles
@@ -520,7 +1265,10 @@ export class InteractionManager {
             };
         }
         
-        this.uiManager.uiConfig.prezone_visuals.ellipse.dimensions.radiusX = Math.max(newRadiusX, 15.0);
+        // A freeform main loop (prezone_visuals.path) keeps its drawn shape
+        if (!this.uiManager.uiConfig.prezone_visuals.path) {
+            this.uiManager.uiConfig.prezone_visuals.ellipse.dimensions.radiusX = Math.max(newRadiusX, 15.0);
+        }
     }
 
     /**
@@ -548,6 +1296,11 @@ export class InteractionManager {
         panel.querySelector('#depth-value').textContent = this.uiManager.uiConfig.storage_depth;
         panel.querySelector('#stations').value = this.uiManager.uiConfig.picking_stations;
         panel.querySelector('#stations-value').textContent = this.uiManager.uiConfig.picking_stations;
+        panel.querySelector('#level-heights').value = (this.uiManager.uiConfig.level_heights || []).join(', ');
+        panel.querySelector('#level-heights').classList.remove('invalid');
+        panel.querySelector('#clear-height').value = this.uiManager.uiConfig.clear_height ?? '';
+        this.updateDimensionInputs(panel);
+        this.updatePlcAddInputs(panel);
         // Update level inputs
         this.updateLevelInputs(panel);
     }
@@ -601,12 +1354,27 @@ export class InteractionManager {
      * @param {MouseEvent} event - The mouse click event
      */
     onMouseClick(event) {
+        if (this.plcEditor && this.plcEditor.enabled) {
+            // Station editor: clicks pick stations (and draw links) instead of selecting; it raycasts the stations itself
+            this.plcEditor.handleClick(event);
+            return;
+        }
         this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
         this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
         this.raycaster.setFromCamera(this.mouse, this.sceneManager.camera);
         const objectsToCheck = getSelectableObjects(this.sceneManager);
         const intersects = this.raycaster.intersectObjects(objectsToCheck, true);
         const selectedObject = filterSelectedObject(intersects);
+        if (this.cellEditor && this.cellEditor.enabled) {
+            // Edit mode: clicks edit cells instead of selecting (drag tools select on pointer up)
+            const cell = !this.cellEditor.isDragTool() && this.cellEditor.cellFromObject(selectedObject);
+            if (cell) {
+                this.cellEditor.anchor = cell;
+                this.updateCellScopeButtons();
+                this.applyCellEdit([cell]);
+            }
+            return;
+        }
         if (selectedObject) {
             this.selectObject(selectedObject);
         } else {
@@ -627,6 +1395,20 @@ export class InteractionManager {
      * @param {KeyboardEvent} event
      */
     onKeyDown(event) {
+        // Undo / redo (Ctrl+Z, Ctrl+Y or Ctrl+Shift+Z; Cmd on macOS), except while typing in a text field
+        if ((event.ctrlKey || event.metaKey) && !this.isTextInput(event.target)) {
+            const key = event.key.toLowerCase();
+            if (key === 'z' || key === 'y') {
+                event.preventDefault();
+                if (key === 'y' || event.shiftKey) {
+                    this.commandStack.redo();
+                } else {
+                    this.commandStack.undo();
+                }
+            }
+            return;
+        }
+
         // Camera movement controls
         const moveDistance = 2;
         const camera = this.sceneManager.camera;
@@ -760,10 +1542,13 @@ export class InteractionManager {
                             const val = locationData[k];
                             return `<div style='margin-left:10px;'><strong>${k}:</strong> ${val === -1 ? '-' : val + 1}</div>`;
                         })
-                        .join('');
+                        .join('') + this.formatSideDetail(object.userData.side) + this.formatLocationMeasurements(object.userData);
                     if (details) {
                         label += '<br>' + details;
                     }
+                    if (object.userData.inventoryStatus) {
+                        label += this.formatInventoryDetails(object.userData.inventoryStatus, object.userData.inventory);
+                    }
                 } else if (
                     object.userData.type === 'Buffer' || object.userData.location_type === 'Buffer'
                 ) {
@@ -774,7 +1559,7 @@ export class InteractionManager {
                             const val = object.userData[k];
                             return `<div style='margin-left:10px;'><strong>${k}:</strong> ${val === -1 ? '-' : val + 1}</div>`;
                         });
-                    const details = detailsArr.join('');
+                    const details = detailsArr.join('') + this.formatSideDetail(object.userData.side) + this.formatLocationMeasurements(object.userData);
                     const typeLabel = object.userData.type ? ` <strong>${object.userData.type}</strong>` : '';
                     label = `Selected:${typeLabel}${details}`;
                 } else if (object.userData.type === 'picking_station') {
@@ -827,6 +1612,7 @@ export class InteractionManager {
                     const details = Object.entries(object.userData)
                         .filter(([k, _v]) => !excludeKeys.includes(k))
                         .map(([k, v]) => {
+                            if (k === 'side') return this.formatSideDetail(v);
                             if (incrementKeys.includes(k) && typeof v === 'number') {
                                 return `<div style='margin-left:10px;'><strong>${k}:</strong> ${v === -1 ? '-' : v + 1}</div>`;
                             }
@@ -839,6 +1625,8 @@ export class InteractionManager {
                 // Special handling for ellipse
                 if (object.name === 'VisualEllipseBar') {
                     label = `Selected: <strong>Main Loop</strong>`;
+                } else if (object.name.startsWith('VisualEllipseBar_')) {
+                    label = `Selected: <strong>Loop ${object.name.slice('VisualEllipseBar_'.length)}</strong>`;
                 } else {
                     label = `Selected: <strong>${object.name}</strong>`;
                 }
@@ -847,6 +1635,49 @@ export class InteractionManager {
         }
     }
 
+    /**
+     * Formats the rack side (west/east) of a location for the info log.
+     * @param {number|string|undefined} side - Side index (0 = west, 1 = east) or name
+     * @returns {string} HTML fragment ('' when the object has no side)
+     */
+    formatSideDetail(side) {
+        const index = sideIndex(side);
+        if (index === null) return '';
+        return `<div style='margin-left:10px;'><strong>side:</strong> ${SIDE_NAMES[index]}</div>`;
+    }
+
+    /**
+     * Formats the size (length × depth × level pitch) and floor elevation of a location in the display units.
+     * @param {Object} userData - Location data with 0-based aisle and level
+     * @returns {string} HTML fragment ('' for objects outside the rack layout)
+     */
+    formatLocationMeasurements({ aisle, level }) {
+        const config = this.uiManager.uiConfig;
+        if (typeof aisle !== 'number' || typeof level !== 'number' || aisle < 0 || aisle >= config.aisles) return '';
+        const geometry = aisleParams(config, aisle);
+        if (level < 0 || level >= geometry.levels) return '';
+        const units = config.units || 'm';
+        const size = [geometry.locationLength, geometry.locationDepth, geometry.levelHeights[level]].map(m => toUnits(m, units)).join(' × ');
+        return `<div style='margin-left:10px;'><strong>size:</strong> ${size} ${units}</div>`
+            + `<div style='margin-left:10px;'><strong>elevation:</strong> ${formatLength(geometry.levelBases[level], units)}</div>`;
+    }
+
+    /**
+     * Formats the stock details of a location for the info log.
+     * @param {string} status - 'filled' | 'empty' | 'reserved'
+     * @param {Object|null} record - InventoryRecord or null when nothing is stored
+     * @returns {string} HTML fragment
+     */
+    formatInventoryDetails(status, record) {
+        let html = `<div style='margin-left:10px;'><strong>status:</strong> ${status}</div>`;
+        if (!record) return html;
+        const fields = [['sku', record.sku], ['container', record.containerId], ['quantity', record.quantity], ['stored', record.storedAt], ['updated', record.updatedAt]];
+        fields.forEach(([k, v]) => {
+            if (v !== null && v !== undefined) html += `<div style='margin-left:10px;'><strong>${k}:</strong> ${v}</div>`;
+        });
+        return html;
+    }
+
     /**
      * Deselects the currently selected object.
      */
@@ -974,9 +1805,10 @@ export class InteractionManager {
             actualHeight = box.max.y - box.min.y;
             actualDepth = box.max.z - box.min.z;
             
-            width = actualWidth;
-            height = actualHeight;
-            depth = actualDepth;
+            // Instances scale the shared geometry (level pitch, rack depth, module length)
+            width = actualWidth * scale.x;
+            height = actualHeight * scale.y;
+            depth = actualDepth * scale.z;
         } else {
             // Fallback to constants if no bounding box
             width = constants.locationLength;
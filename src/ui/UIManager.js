@@ -1,4 +1,9 @@
-import { UI_THEME } from './theme.js';
+import { formatColor, getLocationTypeColor, registerLocationTypeColors, UI_THEME } from './theme.js';
+import { calculateCapacity, calculateLocationsByType, calculateTotalLocations } from '../core/warehouseMetrics.js';
+import { downloadJson } from '../core/warehouseConfigIO.js';
+import { aisleLayout, clearHeightViolations } from '../domain/services/aisleLayout.js';
+import { dimensionValues, formatLength, toUnits } from '../domain/services/dimensionProfiles.js';
+import { CycleTimeService } from '../domain/services/CycleTimeService.js';
 
 /**
  * Manages the user interface for warehouse configuration and controls.
@@ -109,8 +114,29 @@ export class UIManager {
                     <h4>Storage Capacity:</h4>
                     <div id="storage-capacity" class="capacity-display">0</div>
                     <div id="missing-locations" class="capacity-missing" style="font-size:15px;color:#c33;margin-top:4px;">Missing: 0</div>
+                    <div id="side-capacity" class="capacity-sides" style="font-size:13px;margin-top:4px;">West: 0 | East: 0</div>
+                    <div id="inventory-fill" class="capacity-fill" style="font-size:15px;color:#2d6a4f;margin-top:4px;display:none;">Filled: 0</div>
+                    <div id="rack-height" class="capacity-height" style="font-size:13px;margin-top:4px;"></div>
                     <small>Total storage locations</small>
                 </div>
+                <div class="ui-section legend-section">
+                    <h4>Location Types:</h4>
+                    <div id="location-type-legend"></div>
+                </div>
+                <div class="ui-section throughput-section">
+                    <h4>Throughput (FEM 9.851):</h4>
+                    <div id="throughput-summary"></div>
+                    <button id="export-throughput-btn" title="Cycle times and throughput per aisle as JSON">📊 Export JSON</button>
+                </div>
+                <div class="ui-section routing-section">
+                    <h4>PLC Routing:</h4>
+                    <div id="plc-routing-findings"></div>
+                </div>
+                <div class="ui-section building-section">
+                    <h4>Building:</h4>
+                    <div id="building-clashes"></div>
+                    <button id="export-clashes-btn" title="Every clash of racks, lifts and stations with the building as JSON">🧱 Export report</button>
+                </div>
                 <div class="ui-section" id="info-logs">
                     <h4>Informations</h4>
                     <div id="info-log-content"></div>
@@ -124,6 +150,24 @@ export class UIManager {
         document.body.appendChild(uiContainer);
         this.addStyles();
         this.updateStorageCapacity();
+        this.updateRoutingFindings(this.sceneManager.plcTopology);
+        window.addEventListener('plc:topology', (e) => this.updateRoutingFindings(e.detail));
+        this.updateBuildingClashes(this.sceneManager.buildingReport);
+        window.addEventListener('building:clashes', (e) => this.updateBuildingClashes(e.detail));
+        uiContainer.querySelector('#export-clashes-btn').addEventListener('click', () => {
+            const report = this.sceneManager.buildingReport;
+            if (!report) return;
+            downloadJson({ building: this.uiConfig.building || null, units: this.uiConfig.units || 'm', ...report }, 'warehouse_clash_report.json');
+        });
+        uiContainer.querySelector('#export-throughput-btn').addEventListener('click', () => {
+            const { aisles, levels_per_aisle, modules_per_aisle, locations_per_module, storage_depth, level_heights, aisle_overrides } = this.uiConfig;
+            const geometry = { aisles, levels_per_aisle, modules_per_aisle, locations_per_module, storage_depth, level_heights, aisle_overrides };
+            // Sizes in the display units; cycle times stay in s and the kinematics in SI units
+            const units = this.uiConfig.units || 'm';
+            const { profile, ...sizes } = dimensionValues(this.uiConfig);
+            const dimensions = { profile, units, ...Object.fromEntries(Object.entries(sizes).map(([key, m]) => [key, toUnits(m, units)])) };
+            downloadJson({ geometry, dimensions, ...this.throughput }, 'warehouse_throughput.json');
+        });
         // Toggle logic for info panel
         const toggleBtn = uiContainer.querySelector('#ui-toggle');
         const uiContent = uiContainer.querySelector('#ui-content');
@@ -345,6 +389,23 @@ export class UIManager {
                 border-radius: 8px;
                 border: 2px solid var(--ui-capacity-border);
             }
+            .throughput-entry {
+                font-size: 12px;
+                margin: 3px 0;
+            }
+            .throughput-total {
+                font-weight: bold;
+            }
+            .routing-finding {
+                font-size: 12px;
+                margin: 3px 0;
+            }
+            .routing-error {
+                color: #c33;
+            }
+            .routing-warning {
+                color: #b7791f;
+            }
             .capacity-display {
                 font-size: 24px;
                 font-weight: bold;
@@ -363,29 +424,166 @@ export class UIManager {
      * Updates the storage capacity display in the UI.
      */
     updateStorageCapacity() {
-        const totalCapacity = this.calculateStorageCapacity();
-        // Calculate theoretical max locations (all possible, no missing)
-        let maxLocations = 0;
-        for (let a = 0; a < this.uiConfig.aisles; a++) {
-            const levels = this.uiConfig.levels_per_aisle[a];
-            for (let l = 0; l < levels; l++) {
-                for (let m = 0; m < this.uiConfig.modules_per_aisle; m++) {
-                    for (let d = 0; d < this.uiConfig.storage_depth; d++) {
-                        for (let s = 0; s < this.uiConfig.locations_per_module; s++) {
-                            for (let side = 0; side < 2; side++) {
-                                maxLocations++;
-                            }
-                        }
-                    }
-                }
-            }
-        }
-        const missingLocations = maxLocations - totalCapacity;
+        const { net: totalCapacity, missing: missingLocations, west, east } = calculateCapacity(this.uiConfig, this.sceneManager.missingLocations);
         document.getElementById('storage-capacity').textContent = totalCapacity.toLocaleString();
         const missingDiv = document.getElementById('missing-locations');
         if (missingDiv) {
             missingDiv.textContent = `Missing: ${missingLocations.toLocaleString()}`;
         }
+        const sideDiv = document.getElementById('side-capacity');
+        if (sideDiv) {
+            sideDiv.textContent = `West: ${west.toLocaleString()} | East: ${east.toLocaleString()}`;
+        }
+        this.updateInventoryFill(totalCapacity);
+        this.updateRackHeight();
+        this.updateLocationTypeLegend();
+        this.updateThroughput();
+    }
+
+    /**
+     * Shows the highest rack top and every aisle reaching above the building clear height.
+     */
+    updateRackHeight() {
+        const container = document.getElementById('rack-height');
+        if (!container) return;
+        const units = this.uiConfig.units;
+        const height = Math.max(0, ...aisleLayout(this.uiConfig).map(a => a.height));
+        const clear = this.uiConfig.clear_height ? ` (clear height ${formatLength(this.uiConfig.clear_height, units)})` : '';
+        container.innerHTML = '';
+        const total = document.createElement('div');
+        total.textContent = `Rack height: ${formatLength(height, units)}${clear}`;
+        container.appendChild(total);
+        clearHeightViolations(this.uiConfig).forEach(v => {
+            const entry = document.createElement('div');
+            entry.className = 'routing-error';
+            entry.textContent = `⚠️ Aisle ${v.aisle + 1}: ${formatLength(v.height, units)} exceeds the clear height of ${formatLength(v.clearHeight, units)} by ${formatLength(v.excess, units)}`;
+            container.appendChild(entry);
+        });
+    }
+
+    /**
+     * Recomputes the analytical cycle times (CycleTimeService) and shows moves per hour per aisle and the bottleneck.
+     */
+    updateThroughput() {
+        this.throughput = new CycleTimeService().compute(this.uiConfig);
+        const container = document.getElementById('throughput-summary');
+        if (!container) return;
+        const { aisles, totalMovesPerHour, bottleneck } = this.throughput;
+        container.innerHTML = '';
+        aisles.forEach(a => {
+            const entry = document.createElement('div');
+            entry.className = 'throughput-entry';
+            entry.textContent = `Aisle ${a.aisle + 1}: ${a.movesPerHour.double.toLocaleString()} moves/h `
+                + `(shuttle SC ${a.shuttle.singleCycle} s / DC ${a.shuttle.doubleCycle} s, lift SC ${a.lift.singleCycle} s / DC ${a.lift.doubleCycle} s)`;
+            container.appendChild(entry);
+        });
+        const total = document.createElement('div');
+        total.className = 'throughput-entry throughput-total';
+        total.textContent = `System: ${totalMovesPerHour.double.toLocaleString()} moves/h (single cycles ${totalMovesPerHour.single.toLocaleString()})`
+            + (bottleneck ? `, bottleneck: ${bottleneck.resource} of aisle ${bottleneck.aisle + 1}` : '');
+        container.appendChild(total);
+    }
+
+    /**
+     * Renders the location type legend (color swatch, name, category and count per type).
+     */
+    updateLocationTypeLegend() {
+        const legend = document.getElementById('location-type-legend');
+        if (!legend) return;
+        const locationTypes = this.sceneManager.locationTypes || [];
+        registerLocationTypeColors(locationTypes);
+        const counts = calculateLocationsByType(this.uiConfig, this.sceneManager.missingLocations || [], locationTypes);
+        legend.innerHTML = '';
+        Object.entries(counts).forEach(([type, count]) => {
+            const rule = locationTypes.find(r => r && r.type === type);
+            const entry = document.createElement('div');
+            entry.className = 'legend-entry';
+            const swatch = document.createElement('span');
+            swatch.className = 'legend-color';
+            swatch.style.background = formatColor(getLocationTypeColor(type, 0).color);
+            const label = document.createElement('span');
+            label.textContent = `${type}${rule && rule.category ? ` (${rule.category})` : ''}: ${count.toLocaleString()}`;
+            entry.append(swatch, label);
+            legend.appendChild(entry);
+        });
+    }
+
+    /**
+     * Lists the conveyor routing findings of the last prezone build (errors first).
+     * @param {{valid:boolean, findings:Object[]}|null} topology - Result of validatePlcTopology.
+     */
+    updateRoutingFindings(topology) {
+        const container = document.getElementById('plc-routing-findings');
+        if (!container) return;
+        container.innerHTML = '';
+        if (!topology) return;
+        if (topology.findings.length === 0) {
+            const ok = document.createElement('div');
+            ok.className = 'routing-finding routing-ok';
+            ok.textContent = '✅ All stations reachable, every aisle returns to the loop';
+            container.appendChild(ok);
+            return;
+        }
+        const ordered = [...topology.findings].sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+        ordered.forEach(finding => {
+            const entry = document.createElement('div');
+            entry.className = `routing-finding routing-${finding.severity}`;
+            entry.textContent = `${finding.severity === 'error' ? '❌' : '⚠️'} ${finding.message}`;
+            entry.title = finding.code;
+            container.appendChild(entry);
+        });
+    }
+
+    /**
+     * Lists every clash of the last build with the building (walls, columns, fire walls, door zones, sprinklers).
+     * @param {{building:boolean, valid:boolean, clashes:Object[]}|null} report - Result of buildingClashReport.
+     */
+    updateBuildingClashes(report) {
+        const container = document.getElementById('building-clashes');
+        const exportBtn = document.getElementById('export-clashes-btn');
+        if (!container) return;
+        container.innerHTML = '';
+        if (exportBtn) exportBtn.style.display = report && report.building ? '' : 'none';
+        if (!report) return;
+        if (!report.building) {
+            const none = document.createElement('div');
+            none.className = 'routing-finding';
+            none.textContent = 'No building in this layout';
+            container.appendChild(none);
+            return;
+        }
+        if (report.valid) {
+            const ok = document.createElement('div');
+            ok.className = 'routing-finding routing-ok';
+            ok.textContent = '✅ No clashes with walls, columns, fire walls, doors or sprinklers';
+            container.appendChild(ok);
+            return;
+        }
+        report.clashes.forEach(clash => {
+            const entry = document.createElement('div');
+            entry.className = 'routing-finding routing-error';
+            entry.textContent = `❌ ${clash.message}`;
+            entry.title = clash.kind;
+            container.appendChild(entry);
+        });
+    }
+
+    /**
+     * Shows filled / reserved counts and fill level once a stock file is loaded.
+     * @param {number} totalCapacity - Available storage locations.
+     */
+    updateInventoryFill(totalCapacity) {
+        const fillDiv = document.getElementById('inventory-fill');
+        const inventory = this.sceneManager.inventory;
+        if (!fillDiv || !inventory) return;
+        const { filled, reserved, records } = inventory.summary({ uiConfig: this.uiConfig, missingLocations: this.sceneManager.missingLocations || [] });
+        if (records === 0) {
+            fillDiv.style.display = 'none';
+            return;
+        }
+        const percent = totalCapacity > 0 ? ((filled / totalCapacity) * 100).toFixed(1) : '0.0';
+        fillDiv.textContent = `Filled: ${filled.toLocaleString()} (${percent}%) | Reserved: ${reserved.toLocaleString()}`;
+        fillDiv.style.display = '';
     }
 
     /**
@@ -393,54 +591,7 @@ export class UIManager {
      * @returns {number} Total storage locations available.
      */
     calculateStorageCapacity() {
-        let total = 0;
-        
-        // Get missing locations and location types from SceneManager
-        const missingLocations = this.sceneManager.missingLocations || [];
-    // const locationTypes = this.sceneManager.locationTypes || []; // not used in capacity calculation
-        
-        // Helper function to check if a location is missing
-        const isLocationMissing = (aisle, level, module, depth, position) => {
-            return missingLocations.some(missing => {
-                const aisleMatch = Array.isArray(missing.aisle) ? 
-                    missing.aisle.includes(aisle) : 
-                    (missing.aisle === null || missing.aisle === aisle);
-                
-                const levelMatch = Array.isArray(missing.level) ? 
-                    missing.level.includes(level) : 
-                    (missing.level === null || missing.level === level);
-                
-                const moduleMatch = missing.module === null || missing.module === module;
-                const depthMatch = missing.depth === null || missing.depth === depth;
-                const positionMatch = missing.position === null || missing.position === position;
-                
-                return aisleMatch && levelMatch && moduleMatch && depthMatch && positionMatch;
-            });
-        };
-        
-        // Count actual available locations
-        for (let a = 0; a < this.uiConfig.aisles; a++) {
-            const levels = this.uiConfig.levels_per_aisle[a];
-            
-            for (let l = 0; l < levels; l++) {
-                for (let m = 0; m < this.uiConfig.modules_per_aisle; m++) {
-                    for (let d = 0; d < this.uiConfig.storage_depth; d++) {
-                        for (let s = 0; s < this.uiConfig.locations_per_module; s++) {
-                            // Count locations on both sides of the aisle (West and East)
-                            for (let side = 0; side < 2; side++) {
-                                // Check if this location is missing
-                                if (!isLocationMissing(a, l, m, d, s)) {
-                                    // Location exists, so count it
-                                    total++;
-                                }
-                            }
-                        }
-                    }
-                }
-            }
-        }
-        
-        return total;
+        return calculateTotalLocations(this.uiConfig, this.sceneManager.missingLocations || []);
     }
 
     /**
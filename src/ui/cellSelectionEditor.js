@@ -0,0 +1,205 @@
+/**
+ * Cell edit modes (toggle missing locations, paint location types): click, box and lasso selection
+ * of rack cells in screen space. Selections are reported as 0-based cell addresses; InteractionManager
+ * turns them into compact missing_locations / location_types rules (domain/rules/cellRuleCompactor.js)
+ * through the command stack.
+ */
+
+import { listLocations } from '../domain/rules/cellRuleCompactor.js';
+import { sideIndex } from '../domain/rules/locationRules.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/** Cell fields a scope action keeps fixed (the others span their whole range). */
+const SCOPE_FIELDS = {
+    module: ['aisle', 'side', 'level', 'module'],
+    level: ['aisle', 'side', 'level'],
+    column: ['aisle', 'side', 'module', 'position']
+};
+
+/**
+ * Even-odd point in polygon test (screen coordinates).
+ * @param {{x:number,y:number}} point
+ * @param {{x:number,y:number}[]} polygon
+ * @returns {boolean}
+ */
+function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) && point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+export class CellSelectionEditor {
+    /**
+     * @param {SceneManager} sceneManager - Provides camera, renderer, controls, rackBuilder and racksGroup.
+     * @param {Function} onSelect - Called with `(cells)` after a box or lasso selection.
+     */
+    constructor(sceneManager, onSelect) {
+        this.sceneManager = sceneManager;
+        this.onSelect = onSelect;
+        this.mode = null; // null (off) | 'missing' | 'paint'
+        this.tool = 'click'; // 'click' | 'box' | 'lasso'
+        this.anchor = null; // last clicked cell, base for module / level / column actions
+        this.points = null; // screen path while dragging
+        this.overlay = null;
+
+        const canvas = sceneManager.renderer.domElement;
+        canvas.addEventListener('pointerdown', this.onPointerDown.bind(this));
+        canvas.addEventListener('pointermove', this.onPointerMove.bind(this));
+        canvas.addEventListener('pointerup', this.onPointerUp.bind(this));
+    }
+
+    /** True while any edit mode is active (clicks edit cells instead of selecting objects). */
+    get enabled() {
+        return this.mode !== null;
+    }
+
+    /**
+     * Switches the edit mode. Orbit controls are paused while a drag tool is active.
+     * @param {'missing'|'paint'|null} mode
+     */
+    setMode(mode) {
+        this.mode = mode || null;
+        if (!this.mode) this.anchor = null;
+        this.updateControls();
+    }
+
+    /**
+     * @param {'click'|'box'|'lasso'} tool
+     */
+    setTool(tool) {
+        this.tool = tool;
+        this.updateControls();
+    }
+
+    updateControls() {
+        if (this.sceneManager.controls) {
+            this.sceneManager.controls.enabled = !(this.enabled && this.tool !== 'click');
+        }
+    }
+
+    /**
+     * True while a drag tool owns pointer input (plain clicks must not select objects then).
+     * @returns {boolean}
+     */
+    isDragTool() {
+        return this.enabled && this.tool !== 'click';
+    }
+
+    /**
+     * Extracts a cell address from a picked object (instanced location or regular location mesh).
+     * @param {Object} object - Object returned by filterSelectedObject.
+     * @returns {{aisle:number,side:number,level:number,module:number,depth:number,position:number}|null}
+     */
+    cellFromObject(object) {
+        const data = object && object.userData;
+        if (!data) return null;
+        const fields = ['aisle', 'level', 'module', 'depth', 'position'];
+        if (!fields.every(f => Number.isInteger(data[f]))) return null;
+        return {
+            aisle: data.aisle,
+            side: sideIndex(data.side) ?? 0,
+            level: data.level,
+            module: data.module,
+            depth: data.depth,
+            position: data.position
+        };
+    }
+
+    /**
+     * All cells sharing the anchor's module, level or column (column = every level at one slot).
+     * @param {'module'|'level'|'column'} scope
+     * @returns {Object[]} Empty when no cell was clicked yet.
+     */
+    expandAnchor(scope) {
+        if (!this.anchor || !SCOPE_FIELDS[scope]) return [];
+        const fixed = SCOPE_FIELDS[scope];
+        return listLocations(this.currentConfig()).filter(cell => fixed.every(f => cell[f] === this.anchor[f]));
+    }
+
+    currentConfig() {
+        return this.sceneManager.currentConfig;
+    }
+
+    onPointerDown(event) {
+        if (!this.isDragTool() || event.button !== 0) return;
+        this.points = [{ x: event.clientX, y: event.clientY }];
+        this.drawOverlay();
+    }
+
+    onPointerMove(event) {
+        if (!this.points) return;
+        const point = { x: event.clientX, y: event.clientY };
+        if (this.tool === 'box') {
+            this.points = [this.points[0], point];
+        } else {
+            this.points.push(point);
+        }
+        this.drawOverlay();
+    }
+
+    onPointerUp() {
+        if (!this.points) return;
+        const polygon = this.selectionPolygon();
+        this.points = null;
+        this.drawOverlay();
+        if (polygon.length < 3) return;
+        const cells = this.cellsInPolygon(polygon);
+        if (cells.length && this.onSelect) this.onSelect(cells);
+    }
+
+    /** Current drag path as a closed polygon (box drags expand to their four corners). */
+    selectionPolygon() {
+        if (!this.points || this.points.length < 2) return [];
+        if (this.tool === 'box') {
+            const [a, b] = this.points;
+            return [{ x: a.x, y: a.y }, { x: b.x, y: a.y }, { x: b.x, y: b.y }, { x: a.x, y: b.y }];
+        }
+        return this.points;
+    }
+
+    /**
+     * Projects every location center of the built layout to the screen and keeps those inside the polygon.
+     * @param {{x:number,y:number}[]} polygon - Client coordinates.
+     * @returns {Object[]} Cells (including currently missing ones).
+     */
+    cellsInPolygon(polygon) {
+        const { camera, racksGroup, rackBuilder, renderer } = this.sceneManager;
+        const config = this.currentConfig();
+        if (!racksGroup || !config) return [];
+        racksGroup.updateMatrixWorld(true);
+        const rect = renderer.domElement.getBoundingClientRect();
+        return listLocations(config).filter(cell => {
+            const ndc = rackBuilder.locationCenter(config, cell).applyMatrix4(racksGroup.matrixWorld).project(camera);
+            if (ndc.z > 1) return false; // behind the camera
+            const screen = {
+                x: rect.left + (ndc.x + 1) / 2 * rect.width,
+                y: rect.top + (1 - ndc.y) / 2 * rect.height
+            };
+            return pointInPolygon(screen, polygon);
+        });
+    }
+
+    /** Draws (or clears) the dashed selection outline in a full-window SVG overlay. */
+    drawOverlay() {
+        if (!this.overlay) {
+            this.overlay = document.createElementNS(SVG_NS, 'svg');
+            this.overlay.style.cssText = 'position:fixed;left:0;top:0;width:100%;height:100%;pointer-events:none;z-index:900;';
+            this.outline = document.createElementNS(SVG_NS, 'polygon');
+            this.outline.setAttribute('fill', 'rgba(188, 108, 37, 0.15)');
+            this.outline.setAttribute('stroke', '#bc6c25');
+            this.outline.setAttribute('stroke-dasharray', '6 4');
+            this.overlay.appendChild(this.outline);
+            document.body.appendChild(this.overlay);
+        }
+        const polygon = this.selectionPolygon();
+        this.overlay.style.display = polygon.length ? 'block' : 'none';
+        this.outline.setAttribute('points', polygon.map(p => `${p.x},${p.y}`).join(' '));
+    }
+}
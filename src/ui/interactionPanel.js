@@ -1,5 +1,6 @@
 // UI panel creation and DOM logic extracted from UIManager
 // All functions here are pure or only interact with the DOM, not Three.js
+import { DIMENSION_PROFILES, LENGTH_UNITS } from '../domain/services/dimensionProfiles.js';
 
 export function createInteractionPanel(uiConfig) {
     // Add loading overlay to body (hidden by default)
@@ -46,6 +47,31 @@ export function createInteractionPanel(uiConfig) {
                 <input type="range" id="depth" min="1" max="3" value="${uiConfig.storage_depth}">
                 <span id="depth-value">${uiConfig.storage_depth}</span>
             </div>
+            <div class="ui-section dimension-section">
+                <label for="dimension-profile">Dimensions:</label>
+                <select id="dimension-profile">
+                    ${Object.entries(DIMENSION_PROFILES).map(([key, { label }]) => `<option value="${key}">${label}</option>`).join('')}
+                </select>
+                <label for="length-units">Units:</label>
+                <select id="length-units">
+                    ${Object.keys(LENGTH_UNITS).map(unit => `<option value="${unit}">${unit}</option>`).join('')}
+                </select>
+                <div class="dimension-values">
+                    <label>Location length: <input type="number" min="0" data-dimension="location_length"></label>
+                    <label>Location depth: <input type="number" min="0" data-dimension="location_depth"></label>
+                    <label>Aisle width: <input type="number" min="0" data-dimension="aisle_width"></label>
+                    <label>Level height: <input type="number" min="0" data-dimension="level_height"></label>
+                    <small class="dimension-unit"></small>
+                </div>
+            </div>
+            <div class="ui-section level-height-section">
+                <label for="level-heights">Level Heights (m):</label>
+                <input type="text" id="level-heights" placeholder="1.0" value="${(uiConfig.level_heights || []).join(', ')}"
+                    title="Bottom level first, e.g. 0.6, 0.6, 0.45 – the last value repeats for higher levels">
+                <label for="clear-height">Clear Height (m):</label>
+                <input type="number" id="clear-height" min="0.1" step="0.05" placeholder="none" value="${uiConfig.clear_height ?? ''}"
+                    title="Usable building height; racks reaching above it are reported in the Info panel">
+            </div>
             <div class="ui-section">
                 <label for="stations">Picking Stations:</label>
                 <input type="range" id="stations" min="1" max="4" value="${uiConfig.picking_stations}">
@@ -59,6 +85,120 @@ export function createInteractionPanel(uiConfig) {
                     <input type="file" id="import-file-input" accept=".json" style="display: none;">
                 </div>
             </div>
+            <div class="ui-section history-section">
+                <h4>Edit History:</h4>
+                <div class="config-controls">
+                    <button id="undo-btn" class="config-btn" title="Undo (Ctrl+Z)" disabled>↶ Undo</button>
+                    <button id="redo-btn" class="config-btn" title="Redo (Ctrl+Y)" disabled>↷ Redo</button>
+                </div>
+                <ol id="history-list" class="history-list"></ol>
+            </div>
+            <div class="ui-section cell-editor-section">
+                <h4>Edit Cells:</h4>
+                <label for="cell-edit-mode">Mode:</label>
+                <select id="cell-edit-mode">
+                    <option value="">Off (select objects)</option>
+                    <option value="missing">Toggle missing locations</option>
+                    <option value="paint">Paint location type</option>
+                </select>
+                <label for="cell-edit-tool">Selection:</label>
+                <select id="cell-edit-tool">
+                    <option value="click">Click</option>
+                    <option value="box">Box (drag)</option>
+                    <option value="lasso">Lasso (drag)</option>
+                </select>
+                <div class="config-controls">
+                    <button class="config-btn" data-cell-scope="module" title="Apply to the clicked cell's module" disabled>Whole module</button>
+                    <button class="config-btn" data-cell-scope="level" title="Apply to the clicked cell's level" disabled>Whole level</button>
+                    <button class="config-btn" data-cell-scope="column" title="Apply to all levels at the clicked slot" disabled>Whole column</button>
+                </div>
+                <h4>Type Palette:</h4>
+                <div id="type-palette" class="type-palette"></div>
+                <details class="type-creator">
+                    <summary>New location type</summary>
+                    <input type="text" id="new-type-name" placeholder="Name (e.g. Returns)">
+                    <input type="color" id="new-type-color" value="#e76f51">
+                    <input type="text" id="new-type-category" placeholder="Category (optional)">
+                    <textarea id="new-type-meta" rows="2" placeholder='Meta JSON (optional), e.g. {"max_weight": 30}'></textarea>
+                    <button id="add-type-btn" class="config-btn">➕ Add type</button>
+                </details>
+            </div>
+            <div class="ui-section plc-editor-section">
+                <h4>Edit PLC Stations:</h4>
+                <label for="plc-edit-mode">Mode:</label>
+                <select id="plc-edit-mode">
+                    <option value="">Off (select objects)</option>
+                    <option value="move">Move (drag gizmo)</option>
+                    <option value="rotate">Rotate</option>
+                    <option value="link">Link (click source, then target)</option>
+                </select>
+                <label for="plc-edit-grid">Grid snap:</label>
+                <select id="plc-edit-grid">
+                    <option value="0">Off</option>
+                    <option value="0.25">0.25</option>
+                    <option value="0.5" selected>0.5</option>
+                    <option value="1">1.0</option>
+                </select>
+                <label for="plc-link-kind">Link direction:</label>
+                <select id="plc-link-kind">
+                    <option value="straight">Straight</option>
+                    <option value="divert">Divert</option>
+                </select>
+                <div id="plc-edit-selection" class="plc-edit-selection">No station selected</div>
+                <div class="config-controls">
+                    <button id="plc-clear-links-btn" class="config-btn" title="Clear the selected station's directions" disabled>✂ Clear links</button>
+                    <button id="plc-delete-btn" class="config-btn" title="Delete the selected station" disabled>🗑 Delete</button>
+                </div>
+                <label for="plc-add-type">Add station:</label>
+                <select id="plc-add-type"></select>
+                <label for="plc-add-floor">Floor / conveyor level:</label>
+                <input type="number" id="plc-add-floor" min="0" value="1" style="width:4em;">
+                <input type="number" id="plc-add-level" min="0" value="1" style="width:4em;">
+                <div class="config-controls">
+                    <button id="plc-add-btn" class="config-btn">➕ Add station</button>
+                </div>
+            </div>
+            <div class="ui-section inventory-section">
+                <h4>Inventory:</h4>
+                <div class="config-controls">
+                    <button id="import-stock-btn" class="config-btn import-btn">📦 Import Stock</button>
+                    <input type="file" id="import-stock-input" accept=".json,.csv" style="display: none;">
+                </div>
+                <label style="display:block;margin-top:6px;">
+                    <input type="checkbox" id="show-inventory-toggle"> Show fill level
+                </label>
+            </div>
+            <div class="ui-section simulation-section">
+                <h4>Throughput Simulation:</h4>
+                <label for="sim-orders-per-hour">Orders per hour:</label>
+                <input type="range" id="sim-orders-per-hour" min="100" max="3000" step="100" value="600">
+                <span id="sim-orders-per-hour-value">600</span>
+                <div class="config-controls">
+                    <button id="run-simulation-btn" class="config-btn">▶ Simulate</button>
+                    <button id="stop-simulation-btn" class="config-btn">⏹ Stop Replay</button>
+                </div>
+            </div>
+            <div class="ui-section live-plc-section">
+                <h4>Live PLC Feed:</h4>
+                <input type="text" id="plc-feed-url" value="ws://localhost:8765" spellcheck="false">
+                <div class="config-controls">
+                    <button id="plc-feed-connect-btn" class="config-btn">🔌 Connect</button>
+                    <button id="plc-feed-mock-btn" class="config-btn">🧪 Mock</button>
+                    <button id="plc-feed-disconnect-btn" class="config-btn">⏏ Disconnect</button>
+                </div>
+                <div id="plc-feed-status" class="plc-feed-status">Disconnected</div>
+            </div>
+            <div class="ui-section telegram-replay-section">
+                <h4>Telegram Replay:</h4>
+                <div class="config-controls">
+                    <button id="load-telegram-log-btn" class="config-btn">📼 Load Log</button>
+                    <input type="file" id="load-telegram-log-input" accept=".json,.ndjson,.jsonl,.csv" style="display: none;">
+                    <button id="replay-play-btn" class="config-btn" disabled>▶ Play</button>
+                    <select id="replay-speed" disabled></select>
+                </div>
+                <input type="range" id="replay-seek" min="0" max="0" step="100" value="0" disabled>
+                <div id="replay-time" class="replay-time">No log loaded</div>
+            </div>
             <div class="ui-section" style="display: flex; flex-direction: column; align-items: center;">
                 <button id="rebuild-btn" class="rebuild-button" style="margin-bottom: 8px;">Rebuild Warehouse</button>
                 <button id="reset-default-btn" class="reset-default-button">Reset to Default</button>
@@ -0,0 +1,227 @@
+/**
+ * PLC station editor: move / rotate stations with a transform gizmo on the ground plane (grid snapping in prezone
+ * coordinates) and draw `directions` links from one station to another. Edits are reported through callbacks;
+ * InteractionManager turns them into undoable commands (integration/commands.js) that rebuild the prezone.
+ */
+
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+
+import { normalizeRotation, snapToGrid } from '../domain/services/plcStationLayout.js';
+
+const ROTATION_SNAP_DEGREES = 15;
+const LINK_COLORS = { straight: 0x00ff88, divert: 0xffaa00 };
+
+export class PlcStationEditor {
+    /**
+     * @param {SceneManager} sceneManager - Provides camera, renderer, scene, controls and plcStationManager.
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onMove - `(plcAddress, position)` after a move gesture (prezone coordinates, y unchanged).
+     * @param {Function} callbacks.onRotate - `(plcAddress, degrees)` after a rotate gesture.
+     * @param {Function} callbacks.onLink - `(fromAddress, toAddress, kind)` after a link was drawn.
+     * @param {Function} [callbacks.onSelect] - `(plcAddress|null)` when the selected station changes.
+     */
+    constructor(sceneManager, { onMove, onRotate, onLink, onSelect = () => {} }) {
+        this.sceneManager = sceneManager;
+        this.callbacks = { onMove, onRotate, onLink, onSelect };
+        this.mode = null; // null (off) | 'move' | 'rotate' | 'link'
+        this.grid = 0.5; // ground grid in scene units, 0 = off
+        this.linkKind = 'straight';
+        this.selected = null; // PLC address
+        this.raycaster = new THREE.Raycaster();
+        this.gizmo = null;
+        this.linkLine = null;
+        this.dragged = false; // the click ending a gizmo drag must not change the selection
+
+        this.handlePointerMove = this.onPointerMove.bind(this); // kept for removeEventListener in dispose()
+        sceneManager.renderer.domElement.addEventListener('pointermove', this.handlePointerMove);
+    }
+
+    /** True while an editor mode is active (clicks pick stations instead of selecting objects). */
+    get enabled() {
+        return this.mode !== null;
+    }
+
+    /**
+     * @param {'move'|'rotate'|'link'|null} mode
+     */
+    setMode(mode) {
+        this.mode = mode || null;
+        if (!this.mode) this.select(null);
+        this.clearLinkLine();
+        this.attachGizmo();
+    }
+
+    /** @param {number} step - Grid size, 0 = off */
+    setGrid(step) {
+        this.grid = Math.max(0, Number(step) || 0);
+    }
+
+    /** @param {'straight'|'divert'} kind */
+    setLinkKind(kind) {
+        this.linkKind = kind;
+        if (this.linkLine) this.linkLine.material.color.setHex(LINK_COLORS[kind]);
+    }
+
+    /** Station mesh of the current prezone. */
+    meshOf(plcAddress) {
+        const station = this.sceneManager.plcStationManager?.getStation(plcAddress);
+        return station ? station.mesh : null;
+    }
+
+    /**
+     * Station under the pointer.
+     * @param {{clientX:number, clientY:number}} event
+     * @returns {number|null} PLC address
+     */
+    pick(event) {
+        const manager = this.sceneManager.plcStationManager;
+        if (!manager) return null;
+        const rect = this.sceneManager.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.sceneManager.camera);
+        const meshes = [...manager.stations.values()].map(station => station.mesh);
+        const hit = this.raycaster.intersectObjects(meshes, true)[0];
+        for (let object = hit && hit.object; object; object = object.parent) {
+            if (object.userData && Number.isInteger(object.userData.plcAddress)) return object.userData.plcAddress;
+        }
+        return null;
+    }
+
+    /**
+     * Handles a click in editor mode: selects a station, or in link mode links the selected station to the clicked one.
+     * @param {MouseEvent} event
+     */
+    handleClick(event) {
+        if (this.dragged) {
+            this.dragged = false;
+            return;
+        }
+        const address = this.pick(event);
+        if (this.mode === 'link' && this.selected !== null && address !== null && address !== this.selected) {
+            const from = this.selected;
+            this.clearLinkLine();
+            this.callbacks.onLink(from, address, this.linkKind);
+            return;
+        }
+        this.select(address);
+    }
+
+    /**
+     * @param {number|null} plcAddress
+     */
+    select(plcAddress) {
+        this.selected = plcAddress;
+        this.clearLinkLine();
+        this.attachGizmo();
+        this.callbacks.onSelect(plcAddress);
+    }
+
+    /** Re-attaches the gizmo after the prezone was rebuilt (station meshes are replaced on every build). */
+    refresh() {
+        if (this.selected !== null && !this.meshOf(this.selected)) this.selected = null;
+        this.attachGizmo();
+    }
+
+    createGizmo() {
+        const { camera, renderer, scene } = this.sceneManager;
+        const gizmo = new TransformControls(camera, renderer.domElement);
+        gizmo.setSpace('world');
+        gizmo.setRotationSnap(THREE.MathUtils.degToRad(ROTATION_SNAP_DEGREES));
+        gizmo.addEventListener('dragging-changed', (event) => {
+            if (this.sceneManager.controls) this.sceneManager.controls.enabled = !event.value;
+            if (!event.value) this.commitGesture();
+        });
+        gizmo.addEventListener('objectChange', () => {
+            // Snap live in prezone coordinates (the warehouse group is offset, so the gizmo's world snap would not match)
+            const mesh = gizmo.object;
+            if (!mesh || this.mode !== 'move') return;
+            const snapped = snapToGrid(mesh.position, this.grid);
+            mesh.position.x = snapped.x;
+            mesh.position.z = snapped.z;
+        });
+        scene.add(gizmo);
+        return gizmo;
+    }
+
+    attachGizmo() {
+        const mesh = this.selected !== null ? this.meshOf(this.selected) : null;
+        if (!mesh || (this.mode !== 'move' && this.mode !== 'rotate')) {
+            if (this.gizmo) this.gizmo.detach();
+            return;
+        }
+        if (!this.gizmo) this.gizmo = this.createGizmo();
+        this.gizmo.setMode(this.mode === 'move' ? 'translate' : 'rotate');
+        // Ground plane only: x / z for moves, the vertical axis for rotations
+        this.gizmo.showX = this.mode === 'move';
+        this.gizmo.showZ = this.mode === 'move';
+        this.gizmo.showY = this.mode === 'rotate';
+        this.gizmo.attach(mesh);
+    }
+
+    /** Reports the finished gizmo drag; the mesh position is prezone-local (its parents are not rotated). */
+    commitGesture() {
+        const mesh = this.gizmo && this.gizmo.object;
+        const station = this.sceneManager.plcStationManager?.getStation(this.selected);
+        if (!mesh || !station) return;
+        this.dragged = true;
+        if (this.mode === 'move') {
+            const { x, z } = snapToGrid(mesh.position, this.grid);
+            this.callbacks.onMove(this.selected, { x, y: station.data.position.y, z });
+        } else if (this.mode === 'rotate') {
+            // Heading from the quaternion: the gizmo's XYZ Euler folds yaws past ±90° into [-90°, 90°] (x / z flip to π)
+            const heading = new THREE.Euler().setFromQuaternion(mesh.quaternion, 'YXZ').y;
+            this.callbacks.onRotate(this.selected, normalizeRotation(THREE.MathUtils.radToDeg(heading), ROTATION_SNAP_DEGREES));
+        }
+    }
+
+    /** Link mode: rubber band from the selected station to the pointer on the station's level. */
+    onPointerMove(event) {
+        if (this.mode !== 'link' || this.selected === null) return;
+        const mesh = this.meshOf(this.selected);
+        if (!mesh) return;
+        const start = mesh.getWorldPosition(new THREE.Vector3());
+        const rect = this.sceneManager.renderer.domElement.getBoundingClientRect();
+        this.raycaster.setFromCamera(new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        ), this.sceneManager.camera);
+        const end = new THREE.Vector3();
+        if (!this.raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), -start.y), end)) return;
+        if (!this.linkLine) {
+            this.linkLine = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints([start, end]),
+                new THREE.LineDashedMaterial({ color: LINK_COLORS[this.linkKind], dashSize: 0.4, gapSize: 0.2, depthTest: false })
+            );
+            this.linkLine.name = 'PlcStationEditor_LinkLine';
+            this.sceneManager.scene.add(this.linkLine);
+        }
+        this.linkLine.geometry.setFromPoints([start, end]);
+        this.linkLine.computeLineDistances();
+    }
+
+    clearLinkLine() {
+        if (!this.linkLine) return;
+        this.sceneManager.scene.remove(this.linkLine);
+        this.linkLine.geometry.dispose();
+        this.linkLine.material.dispose();
+        this.linkLine = null;
+    }
+
+    /** Removes the pointer listener, the gizmo and the link line; the editor is unusable afterwards. */
+    dispose() {
+        this.sceneManager.renderer.domElement.removeEventListener('pointermove', this.handlePointerMove);
+        this.clearLinkLine();
+        if (this.gizmo) {
+            this.gizmo.detach();
+            this.sceneManager.scene.remove(this.gizmo);
+            this.gizmo.dispose();
+            this.gizmo = null;
+        }
+        this.mode = null;
+        this.selected = null;
+    }
+}
@@ -55,8 +55,69 @@ export const LOCATION_TYPE_COLORS = {
     StorageOdd: 0x9ca3af // muted grey
 };
 
+/**
+ * Occupancy colors used when an inventory is loaded (RackBuilder inventory buckets).
+ * @type {Object<string, number>}
+ */
+export const INVENTORY_STATUS_COLORS = {
+    filled: 0x2d6a4f, // theme capacity green
+    empty: 0xdbe3e6, // light grey, reads as free space
+    reserved: 0xf4a261 // amber for inbound reservations
+};
+
+/**
+ * Colors set by location_types rules (`"color": "#rrggbb"`), e.g. custom types from the type palette.
+ * They override LOCATION_TYPE_COLORS and the generated colors.
+ * @type {Map<string, number>}
+ */
+const CUSTOM_LOCATION_TYPE_COLORS = new Map();
+
+/**
+ * Parses '#rrggbb' / 'rrggbb' (or a number) to a color number; null when invalid.
+ * @param {string|number} color
+ * @returns {number|null}
+ */
+export function parseColor(color) {
+    if (typeof color === 'number') return color;
+    const match = /^#?([0-9a-f]{6})$/i.exec(String(color || '').trim());
+    return match ? parseInt(match[1], 16) : null;
+}
+
+/**
+ * Formats a color number as '#rrggbb'.
+ * @param {number} color
+ * @returns {string}
+ */
+export function formatColor(color) {
+    return `#${(color >>> 0).toString(16).padStart(6, '0').slice(-6)}`;
+}
+
+/**
+ * Registers the colors carried by location_types rules (last rule of a type wins).
+ * @param {Object[]} locationTypes - Location type rules.
+ */
+export function registerLocationTypeColors(locationTypes) {
+    (locationTypes || []).forEach(rule => {
+        const color = rule && rule.type ? parseColor(rule.color) : null;
+        if (color !== null) CUSTOM_LOCATION_TYPE_COLORS.set(rule.type, color);
+    });
+}
+
+/**
+ * True when a rule defined the color of this type (the texture atlas material must not be used then).
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function hasCustomLocationTypeColor(type) {
+    return CUSTOM_LOCATION_TYPE_COLORS.has(type);
+}
+
 // Helper to get color/emissive for a location type
 export function getLocationTypeColor(type, depth) {
+    if (CUSTOM_LOCATION_TYPE_COLORS.has(type)) {
+        const color = CUSTOM_LOCATION_TYPE_COLORS.get(type);
+        return { color, emissive: color, emissiveIntensity: 0.45 };
+    }
     // Check if we have a specific color for this type
     if (LOCATION_TYPE_COLORS[type]) {
         return {
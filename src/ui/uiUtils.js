@@ -3,6 +3,8 @@
  * @fileoverview Shared utility functions for UIManager and InteractionManager
  */
 
+import { aisleLayout } from '../domain/services/aisleLayout.js';
+
 /**
  * Ensures the levels_per_aisle array matches the aisle count, filling with a default value if needed.
  * @param {Array<number>} levelsArr - The levels_per_aisle array to mutate
@@ -17,6 +19,17 @@ export function syncLevelsPerAisle(levelsArr, aisleCount, defaultLevel = 5) {
         levelsArr.pop();
     }
 }
+/**
+ * Parses a level height profile typed as a list ("0.6, 0.6 0.45").
+ * @param {string} text - Heights in m, bottom level first
+ * @returns {number[]|null} The heights ([] for an empty field), or null when an entry is not a positive number
+ */
+export function parseLevelHeights(text) {
+    const parts = String(text).split(/[\s,;]+/).filter(Boolean);
+    const heights = parts.map(Number);
+    return heights.every(h => Number.isFinite(h) && h > 0) ? heights : null;
+}
+
 // uiUtils.js
 // Shared utility functions for UIManager and InteractionManager
 
@@ -29,18 +42,15 @@ export function syncLevelsPerAisle(levelsArr, aisleCount, defaultLevel = 5) {
  * @param {number} config.aisles - Number of aisles
  * @param {number} config.storage_depth - Storage depth per aisle
  * @param {number} config.modules_per_aisle - Number of modules per aisle
+ * @param {Object} [config.dimensions] - Dimension profile (location and aisle sizes)
  * @returns {{position: {x:number, y:number, z:number}, target: {x:number, y:number, z:number}}} Camera configuration
  */
 export function getCameraViewConfig(view, config) {
-    // These values should match the constants used in the main codebase
-    const locationDepth = 1.5; // fallback if not imported
-    const aisleWidth = 3;
-    const moduleLength = 2;
-
-    const totalRackDepth = config.storage_depth * locationDepth;
-    const rackAndAisleWidth = (totalRackDepth * 2) + aisleWidth;
-    const warehouseWidth = config.aisles * rackAndAisleWidth;
-    const warehouseLength = config.modules_per_aisle * moduleLength;
+    // Extent of the rack layout (per-aisle geometry and dimension profile)
+    const layout = aisleLayout(config);
+    const rackAndAisleWidth = layout.length ? layout[0].width : 0;
+    const warehouseWidth = layout.reduce((sum, a) => sum + a.width, 0);
+    const warehouseLength = Math.max(0, ...layout.map(a => a.length));
     const centerX = warehouseWidth / 2;
     const centerZ = warehouseLength / 2;
 
@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { CycleTimeService, FEM_REFERENCE_POINTS } from '../src/domain/services/CycleTimeService.js';
+import { liftTransferTime, resolveKinematics, shuttleHandlingTime, travelTime } from '../src/domain/simulation/kinematics.js';
+import { smallUIConfig } from './fixtures.js';
+
+const round = value => +value.toFixed(1);
+
+describe('CycleTimeService', () => {
+  // Aisle 1 of the small layout: 2 modules × 3 locations of 1.2 m = 7.2 m, 3 levels of 1 m, depth 2
+  const uiConfig = smallUIConfig();
+
+  it('uses the FEM 9.851 reference points', () => {
+    assert.deepEqual(FEM_REFERENCE_POINTS, { p1: 1 / 5, p2: 2 / 3 });
+  });
+
+  it('computes the shuttle single and double cycle from trapezoidal travel to P1 and P2', () => {
+    // Without jerk: 1.44 m (P1) takes 2 × √1.44 = 2.4 s, 4.8 m (P2) 2 s + 0.8 m / 2 m/s + 2 s = 4.4 s,
+    // P1 → P2 (3.36 m) 2 × √3.36 s
+    const service = new CycleTimeService({ shuttle: { jerk: 0 } });
+    const { shuttle } = service.kinematics;
+    const handling = shuttleHandlingTime(0, shuttle) + (shuttleHandlingTime(0, shuttle) + shuttleHandlingTime(1, shuttle)) / 2;
+    const [aisle] = service.compute(uiConfig).aisles;
+    assert.equal(aisle.shuttle.singleCycle, round(2.4 + 4.4 + handling));
+    assert.equal(aisle.shuttle.doubleCycle, round(2.4 + 2 * Math.sqrt(3.36) + 4.4 + 2 * handling));
+  });
+
+  it('computes the lift cycles over the served height and the moves per hour', () => {
+    const service = new CycleTimeService();
+    const { lift } = resolveKinematics();
+    const result = service.compute(uiConfig);
+    const [first, second] = result.aisles;
+    // Level centres at 0.5 m and 2.5 m: P1 at 0.9 m, P2 at 1.83 m above the floor, infeed at 0.85 m
+    const h1 = 0.5 + 2 / 5;
+    const h2 = 0.5 + 4 / 3;
+    const transfer = liftTransferTime(lift);
+    const single = travelTime(h1 - 0.85, lift) + travelTime(h2 - 0.85, lift) + 2 * transfer;
+    const double = travelTime(h1 - 0.85, lift) + travelTime(h2 - h1, lift) + travelTime(h2 - 0.85, lift) + 4 * transfer;
+    assert.equal(first.lift.singleCycle, round(single));
+    assert.equal(first.lift.doubleCycle, round(double));
+    assert.deepEqual(first.lift.movesPerHour, { single: round(3600 / single), double: round(7200 / double) });
+    // One shuttle per level
+    assert.equal(second.levels, 2);
+    assert.equal(first.shuttle.singleCycle, second.shuttle.singleCycle);
+    assert.ok(Math.abs(first.shuttle.movesPerHour.single / second.shuttle.movesPerHour.single - 1.5) < 0.01);
+  });
+
+  it('limits each aisle by its weaker resource and reports the bottleneck', () => {
+    const result = new CycleTimeService().compute(uiConfig);
+    assert.equal(result.method, 'FEM 9.851');
+    result.aisles.forEach(aisle => {
+      assert.equal(aisle.movesPerHour.double, Math.min(aisle.shuttle.movesPerHour.double, aisle.lift.movesPerHour.double));
+      assert.equal(aisle.limitedBy, 'lift');
+    });
+    assert.equal(result.totalMovesPerHour.double, round(result.aisles[0].movesPerHour.double + result.aisles[1].movesPerHour.double));
+    assert.deepEqual(result.bottleneck, { aisle: 0, resource: 'lift', movesPerHour: result.aisles[0].movesPerHour.double });
+
+    // A slow shuttle makes the shuttles the limit
+    const slow = new CycleTimeService({ shuttle: { maxSpeed: 0.1 } }).compute(uiConfig);
+    assert.equal(slow.aisles[1].limitedBy, 'shuttles');
+    assert.equal(slow.bottleneck.resource, 'shuttles');
+  });
+});
@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { InventoryService, parseInventoryCSV, parseInventoryJSON } from '../src/domain/services/InventoryService.js';
+import { smallUIConfig } from './fixtures.js';
+
+describe('InventoryService', () => {
+  it('maps CSV headers case-insensitively, with quoted cells and semicolons', () => {
+    const rows = parseInventoryCSV('Aisle;Side;Level;Module;Depth;Position;SKU;Container_ID\r\n1;east;2;3;1;2;"SKU;7";C-1\r\n\r\n');
+    assert.deepEqual(rows, [{ aisle: '1', side: 'east', level: '2', module: '3', depth: '1', position: '2', sku: 'SKU;7', container_id: 'C-1' }]);
+    assert.deepEqual(parseInventoryCSV('aisle,sku\n1,"say ""hi"""\n2'), [{ aisle: '1', sku: 'say "hi"' }, { aisle: '2', sku: '' }]);
+    assert.deepEqual(parseInventoryCSV(''), []);
+  });
+
+  it('accepts a JSON array or an inventory array and rejects anything else', () => {
+    assert.deepEqual(parseInventoryJSON('[{"aisle":1}]'), [{ aisle: 1 }]);
+    assert.deepEqual(parseInventoryJSON('{"inventory":[{"aisle":2}]}'), [{ aisle: 2 }]);
+    assert.throws(() => parseInventoryJSON('{"rows":[]}'), /must be an array or contain an "inventory" array/);
+    assert.throws(() => parseInventoryJSON('{'), SyntaxError);
+  });
+
+  it('converts 1-based rows to 0-based records with normalised sides', () => {
+    const inventory = new InventoryService();
+    const csv = [
+      'aisle,side,level,module,depth,position,sku,container_id,quantity,stored_at,status',
+      '1,west,1,1,1,1,SKU-1,C-1,5,2026-01-01T00:00:00Z,',
+      '2,E,3,2,1,2,,,,,reserved',
+      '2,1,1,1,1,1,,,,,'
+    ].join('\n');
+    assert.deepEqual(inventory.load(csv, 'csv', 'stock.csv'), { loaded: 3, skipped: 0, errors: [] });
+    assert.equal(inventory.source, 'stock.csv');
+
+    assert.deepEqual(inventory.get({ aisle: 0, side: 0, level: 0, module: 0, depth: 0, position: 0 }), {
+      aisle: 0, level: 0, module: 0, depth: 0, position: 0, side: 0,
+      sku: 'SKU-1', containerId: 'C-1', quantity: 5,
+      storedAt: '2026-01-01T00:00:00Z', updatedAt: '2026-01-01T00:00:00Z', status: 'filled'
+    });
+    assert.equal(inventory.statusOf({ aisle: 1, side: 'east', level: 2, module: 1, depth: 0, position: 1 }), 'reserved');
+    assert.equal(inventory.statusOf({ aisle: 1, side: 1, level: 0, module: 0, depth: 0, position: 0 }), 'empty');
+    assert.equal(inventory.statusOf({ aisle: 1, side: 0, level: 0, module: 0, depth: 0, position: 0 }), 'empty');
+    assert.deepEqual(inventory.summary(), { filled: 1, reserved: 1, records: 3 });
+  });
+
+  it('skips rows with missing or invalid location indices', () => {
+    const inventory = new InventoryService();
+    const rows = [
+      { aisle: 1, level: 1, module: 1, depth: 1, position: 1, sku: 'A' },
+      { aisle: 0, level: 1, module: 1, depth: 1, position: 1, sku: 'B' },
+      { aisle: 1, level: 1, module: 1, depth: 1, sku: 'C' },
+      { aisle: 1, level: 'x', module: 1, depth: 1, position: 1 }
+    ];
+    assert.deepEqual(inventory.load(JSON.stringify({ inventory: rows }), 'json'), {
+      loaded: 1,
+      skipped: 3,
+      errors: ['row 2: missing or invalid location index', 'row 3: missing or invalid location index', 'row 4: missing or invalid location index']
+    });
+  });
+
+  it('writes records back as 1-based rows', () => {
+    const inventory = new InventoryService();
+    const row = { aisle: 2, side: 'east', level: 3, module: 1, depth: 1, position: 2, sku: 'S', container_id: null, quantity: 1 };
+    inventory.loadRecords([row]);
+    const [exported] = inventory.toJSON();
+    assert.deepEqual(
+      { aisle: exported.aisle, side: exported.side, level: exported.level, module: exported.module, position: exported.position },
+      { aisle: 2, side: 'east', level: 3, module: 1, position: 2 }
+    );
+  });
+
+  it('skips rows for locations the layout does not have', () => {
+    const inventory = new InventoryService();
+    // Aisle 2 has 2 levels; every location of aisle 1, module 2, level 1 is missing
+    const layout = { uiConfig: smallUIConfig(), missingLocations: [{ aisle: 0, level: 0, module: 1 }] };
+    const row = { aisle: 1, side: 'west', level: 1, module: 1, depth: 1, position: 1, sku: 'A' };
+    const rows = [
+      row,
+      { ...row, aisle: 3 },
+      { ...row, aisle: 2, level: 3 },
+      { ...row, module: 3 },
+      { ...row, depth: 3 },
+      { ...row, position: 4 },
+      { ...row, module: 2 },
+      { ...row, module: 2, level: 2 }
+    ];
+    assert.deepEqual(inventory.load(JSON.stringify(rows), 'json', null, layout), {
+      loaded: 2,
+      skipped: 6,
+      errors: [
+        'row 2: aisle 3 does not exist',
+        'row 3: level 3 is outside aisle 2 (1-2)',
+        'row 4: module 3 is outside aisle 1 (1-2)',
+        'row 5: depth 3 is outside aisle 1 (1-2)',
+        'row 6: position 4 is outside aisle 1 (1-3)',
+        'row 7: location is a missing location'
+      ]
+    });
+    assert.deepEqual(inventory.summary(layout), { filled: 2, reserved: 0, records: 2 });
+    // A layout shrunk after loading no longer counts the stock it lost
+    assert.deepEqual(inventory.summary({ uiConfig: { ...layout.uiConfig, levels_per_aisle: [1, 2] } }), { filled: 1, reserved: 0, records: 1 });
+  });
+
+  it('rejects rows with an unknown side instead of storing them on the west rack', () => {
+    const inventory = new InventoryService();
+    const row = { aisle: 1, level: 1, module: 1, depth: 1, position: 1, sku: 'A' };
+    const result = inventory.loadRecords([{ ...row, side: 'esat' }, { ...row, side: 'north' }, { ...row, side: '' }, { ...row, side: 1 }]);
+    assert.deepEqual(result, { loaded: 2, skipped: 2, errors: ['row 1: unknown side "esat"', 'row 2: unknown side "north"'] });
+    assert.equal(inventory.statusOf({ ...row, aisle: 0, level: 0, module: 0, depth: 0, position: 0, side: 0 }), 'filled');
+    assert.equal(inventory.statusOf({ ...row, aisle: 0, level: 0, module: 0, depth: 0, position: 0, side: 1 }), 'filled');
+  });
+});
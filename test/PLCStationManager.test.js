@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as THREE from 'three';
+
+import { PLCStationManager } from '../src/components/PLCStationManager.js';
+
+describe('PLCStationManager', () => {
+  it('reuses one state material per mesh while a station flips between idle and occupied', () => {
+    const manager = new PLCStationManager();
+    const base = new THREE.MeshStandardMaterial({ color: 0x888888 });
+    let clones = 0;
+    const clone = base.clone.bind(base);
+    base.clone = () => { clones++; return clone(); };
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(), base);
+    const group = new THREE.Group();
+    group.add(mesh);
+    manager.stations.set(11500, { mesh: group, data: { plc_address: 11500 } });
+
+    for (let i = 0; i < 5; i++) {
+      manager.updateStationState(11500, { state: 'occupied' });
+      assert.notEqual(mesh.material, base);
+      assert.equal(mesh.material.color.getHex(), 0x3B82F6);
+      manager.updateStationState(11500, { state: 'idle' });
+      assert.equal(mesh.material, base);
+    }
+    manager.updateStationState(11500, { state: 'faulted' });
+    assert.equal(mesh.material.color.getHex(), 0xE53E3E);
+    manager.updateStationState(11500, null);
+    assert.equal(mesh.material, base);
+    assert.equal(clones, 1);
+    assert.equal(base.color.getHex(), 0x888888);
+  });
+});
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as THREE from 'three';
+
+import { aisleLayout } from '../src/domain/services/aisleLayout.js';
+import { aisleStructureMatrices, RackStructureBuilder, STRUCTURE_MEMBERS, STRUCTURE_SECTIONS } from '../src/engine/builders/RackStructureBuilder.js';
+import { smallUIConfig } from './fixtures.js';
+
+/** Position and scale of an instance matrix. */
+const decompose = (matrix) => {
+  const position = new THREE.Vector3();
+  const scale = new THREE.Vector3();
+  matrix.decompose(position, new THREE.Quaternion(), scale);
+  return { position, scale };
+};
+
+describe('RackStructureBuilder', () => {
+  // First aisle of the small layout: 3 levels, 2 modules, racks 1.6 m deep
+  const [aisle] = aisleLayout(smallUIConfig());
+
+  it('creates every member per module boundary, module and level on both racks', () => {
+    const matrices = aisleStructureMatrices(aisle);
+    const counts = Object.fromEntries(STRUCTURE_MEMBERS.map(member => [member, matrices[member].length]));
+    assert.deepEqual(counts, {
+      upright: 2 * 3 * 2, // racks × module boundaries × post lines
+      beam: 2 * 2 * 4 * 2, // racks × modules × (levels + top tie) × faces
+      rail: 2 * 3,
+      bracing: 2 * 3 * 3,
+      basePlate: 2 * 3 * 2
+    });
+  });
+
+  it('keeps uprights inside the rack footprint and runs rails along the aisle', () => {
+    const matrices = aisleStructureMatrices(aisle);
+    const post = STRUCTURE_SECTIONS.upright;
+    matrices.upright.map(decompose).forEach(({ position, scale }) => {
+      assert.ok(Math.abs(scale.y - aisle.height) < 1e-9);
+      assert.ok(position.z >= post / 2 - 1e-9 && position.z <= aisle.length - post / 2 + 1e-9);
+      const inWest = position.x > aisle.x && position.x < aisle.x + aisle.rackDepth;
+      const inEast = position.x > aisle.eastX && position.x < aisle.eastX + aisle.rackDepth;
+      assert.ok(inWest || inEast);
+    });
+    matrices.rail.map(decompose).forEach(({ position, scale }) => {
+      assert.ok(Math.abs(scale.z - aisle.length) < 1e-9);
+      // On the aisle faces, between the two racks
+      assert.ok(position.x > aisle.x + aisle.rackDepth - 1e-9 && position.x < aisle.eastX + 1e-9);
+    });
+  });
+
+  it('has no members for an aisle without levels', () => {
+    const matrices = aisleStructureMatrices({ ...aisle, levels: 0 });
+    STRUCTURE_MEMBERS.forEach(member => assert.deepEqual(matrices[member], []));
+  });
+
+  it('builds one unpickable instanced mesh per member and aisle and reuses it for the same signature', () => {
+    const builder = new RackStructureBuilder();
+    const uiConfig = smallUIConfig();
+    const group = builder.build(uiConfig, { signature: 'a' });
+    assert.equal(group.children.length, 2 * STRUCTURE_MEMBERS.length);
+    // Second aisle has 2 levels
+    const mesh = group.children.find(child => child.userData.structureMember === 'rail' && child.userData.aisle === 1);
+    assert.ok(mesh instanceof THREE.InstancedMesh);
+    assert.equal(mesh.count, 2 * 2);
+    const hits = [];
+    mesh.raycast(new THREE.Raycaster(), hits);
+    assert.deepEqual(hits, []);
+    assert.equal(group.userData.structureStats.upright, 12 + 12);
+
+    assert.equal(builder.build(uiConfig, { signature: 'a' }), group);
+    assert.notEqual(builder.build(uiConfig, { signature: 'b' }), group);
+    assert.notEqual(builder.build(uiConfig), builder.build(uiConfig));
+  });
+});
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { parseTelegramLog, TelegramReplay } from '../src/integration/TelegramReplay.js';
+
+const T0 = Date.UTC(2026, 0, 1, 8, 0, 0);
+
+/** Container C1 goes Entry -> lift entrance -> lift, C2 parks at a picking station until it reports idle. */
+const LOG = [
+  'timestamp,plc_address,event,container',
+  `${T0},11400,occupied,C1`,
+  `${T0 + 1000},11500,occupied,C1`,
+  `${T0 + 1000},11400,idle,`,
+  `${T0 + 3000},11600,container_at_station,C1`,
+  `${T0 + 4000},11800,occupied,C2`,
+  `${T0 + 6000},11800,idle,`,
+  `${T0 + 8000},11600,faulted,`
+].join('\n');
+
+const replayOf = (text = LOG) => new TelegramReplay(parseTelegramLog(text).telegrams);
+
+describe('TelegramReplay', () => {
+  it('parses CSV, JSON and NDJSON logs into sorted telegrams', () => {
+    const csv = parseTelegramLog(LOG);
+    assert.deepEqual(csv.errors, []);
+    assert.equal(csv.telegrams.length, 7);
+    const rows = [{ timestamp: T0 + 5, plc: 11401, event: 'blocked' }, { timestamp: T0, plc_address: 11400, event: 'occupied', container_id: 'C9' }];
+    const json = parseTelegramLog(JSON.stringify(rows));
+    assert.deepEqual(json.telegrams.map(t => t.plc), [11400, 11401]);
+    assert.equal(json.telegrams[0].container, 'C9');
+    assert.deepEqual(parseTelegramLog(rows.map(r => JSON.stringify(r)).join('\n')).telegrams, json.telegrams);
+    assert.equal(parseTelegramLog('timestamp,plc_address,event\nsoon,11400,idle').errors.length, 1);
+  });
+
+  it('advances only while playing, scaled by speed, and stops at the end', () => {
+    const replay = replayOf();
+    assert.equal(replay.duration, 8000);
+    assert.deepEqual(replay.advance(1000), []);
+    assert.equal(replay.position, 0);
+
+    replay.play();
+    replay.setSpeed(2);
+    assert.deepEqual(replay.advance(500).map(t => t.plc), [11400, 11500, 11400]);
+    assert.equal(replay.position, 1000);
+    assert.deepEqual(replay.advance(1000).map(t => t.plc), [11600]);
+
+    replay.pause();
+    assert.deepEqual(replay.advance(10000), []);
+    replay.play();
+    assert.equal(replay.advance(10000).length, 3);
+    assert.equal(replay.position, 8000);
+    assert.equal(replay.playing, false);
+    replay.play();
+    assert.equal(replay.playing, false, 'play at the end needs a seek first');
+  });
+
+  it('seeks forward incrementally and back with a reset', () => {
+    const replay = replayOf();
+    const forward = replay.seek(3500);
+    assert.equal(forward.reset, false);
+    assert.equal(forward.telegrams.length, 4);
+    assert.equal(replay.seek(5000).telegrams.length, 1);
+
+    const back = replay.seek(1000);
+    assert.equal(back.reset, true);
+    assert.deepEqual(back.telegrams.map(t => t.plc), [11400, 11500, 11400]);
+    assert.equal(replay.cursor, 3);
+    assert.deepEqual(replay.seek(-50).telegrams.map(t => t.plc), [11400]);
+    assert.equal(replay.seek(99999).telegrams.length, 6);
+    assert.equal(replay.position, 8000);
+  });
+
+  it('places containers between stations and parks them until the station is idle', () => {
+    const replay = replayOf();
+    replay.seek(2000);
+    assert.deepEqual(replay.containerPositions(), [{ container: 'C1', from: 11500, to: 11600, k: 0.5 }]);
+    replay.seek(5000);
+    assert.deepEqual(replay.containerPositions(), [
+      { container: 'C1', from: 11600, to: null, k: 0 },
+      { container: 'C2', from: 11800, to: null, k: 0 }
+    ]);
+    replay.seek(7000);
+    assert.deepEqual(replay.containerPositions().map(p => p.container), ['C1']);
+  });
+});
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { generateOrderStream, ThroughputSimulator } from '../src/domain/simulation/ThroughputSimulator.js';
+import { sampleUIConfig, smallUIConfig } from './fixtures.js';
+
+describe('ThroughputSimulator', () => {
+  const uiConfig = sampleUIConfig();
+
+  it('generates the same order stream for the same seed', () => {
+    const a = generateOrderStream({ uiConfig, count: 50, seed: 7 });
+    const b = generateOrderStream({ uiConfig, count: 50, seed: 7 });
+    assert.deepEqual(a, b);
+    assert.notDeepEqual(generateOrderStream({ uiConfig, count: 50, seed: 8 }), a);
+  });
+
+  it('returns identical results for the same seed', () => {
+    const run = () => new ThroughputSimulator({ uiConfig }).run(generateOrderStream({ uiConfig, count: 120, seed: 42 }));
+    const first = run();
+    const second = run();
+    assert.deepEqual(second, first);
+    assert.equal(first.completed, 120);
+    assert.ok(first.makespan > 0);
+    assert.ok(first.timeline.length > 0);
+  });
+
+  it('does not depend on the order the stream is passed in', () => {
+    const orders = generateOrderStream({ uiConfig, count: 60, seed: 3 });
+    const sorted = new ThroughputSimulator({ uiConfig }).run(orders);
+    const reversed = new ThroughputSimulator({ uiConfig }).run([...orders].reverse());
+    assert.equal(reversed.makespan, sorted.makespan);
+    assert.deepEqual(reversed.aisles, sorted.aisles);
+  });
+
+  it('rejects orders for levels without a shuttle', () => {
+    const result = new ThroughputSimulator({ uiConfig }).run([
+      { id: 'ok', time: 0, type: 'storage', aisle: 0, level: 0, module: 0, position: 0 },
+      { id: 'no-level', time: 1, type: 'storage', aisle: 2, level: 8, module: 0, position: 0 }
+    ]);
+    assert.equal(result.completed, 1);
+    assert.deepEqual(result.rejected.map(o => o.id), ['no-level']);
+  });
+
+  it('rejects orders addressed outside the aisle geometry with an error', () => {
+    const simulator = new ThroughputSimulator({ uiConfig: smallUIConfig() });
+    const order = { time: 0, type: 'storage', aisle: 1, level: 0, module: 0, position: 0 };
+    const result = simulator.run([
+      { ...order, id: 'ok', depth: 1 },
+      { ...order, id: 'module', module: 2 },
+      { ...order, id: 'position', position: -1 },
+      { ...order, id: 'depth', depth: 2 },
+      { ...order, id: 'level', level: 2 },
+      { ...order, id: 'aisle', aisle: 2 },
+      { ...order, id: 'fraction', position: 0.5 }
+    ]);
+    assert.equal(result.completed, 1);
+    assert.deepEqual(Object.fromEntries(result.rejected.map(o => [o.id, o.error])), {
+      module: 'module 2 is outside aisle 1 (0-1)',
+      position: 'position -1 is outside aisle 1 (0-2)',
+      depth: 'depth 2 is outside aisle 1 (0-1)',
+      level: 'level 2 is outside aisle 1 (0-1)',
+      aisle: 'aisle 2 does not exist',
+      fraction: 'position 0.5 is outside aisle 1 (0-2)'
+    });
+    assert.equal(simulator.validateOrder({ ...order, module: 1, position: 2 }), null);
+  });
+});
@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { calculateCapacity } from '../src/core/warehouseMetrics.js';
+import { aisleLayout, aisleParams, clearHeightViolations, levelHeightsFor, maxStorageDepth, rackLevelCenter, setAisleOverride } from '../src/domain/services/aisleLayout.js';
+import { parseWarehouseConfig, serializeWarehouseConfig, toUIConfig } from '../src/infrastructure/config/warehouseConfigParser.js';
+import { smallUIConfig } from './fixtures.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≉ ${expected}`);
+
+/** Small layout (2 modules × 3 locations, depth 2) with a short, single-deep second aisle. */
+const overriddenConfig = () => ({
+  ...smallUIConfig(),
+  aisle_overrides: [{ aisle: 1, modules_per_aisle: 1, locations_per_module: 4, storage_depth: 1 }]
+});
+
+describe('aisleLayout', () => {
+  it('applies per-aisle module, location and depth overrides', () => {
+    const uiConfig = overriddenConfig();
+    assert.deepEqual(
+      [0, 1].map(a => { const { modules, locations, depth } = aisleParams(uiConfig, a); return { modules, locations, depth }; }),
+      [{ modules: 2, locations: 3, depth: 2 }, { modules: 1, locations: 4, depth: 1 }]
+    );
+    assert.equal(maxStorageDepth(uiConfig), 2);
+    // 3 levels × 2 × 3 × 2 and 2 levels × 1 × 4 × 1, both sides
+    assert.equal(calculateCapacity(uiConfig, []).gross, 2 * (36 + 8));
+  });
+
+  it('places aisles side by side by their own rack depth', () => {
+    const [first, second] = aisleLayout(overriddenConfig());
+    close(first.width, 2 * 1.6 + 2.5);
+    close(first.length, 7.2);
+    close(second.x, first.width);
+    close(second.rackDepth, 0.8);
+    close(second.centerX, second.x + 0.8 + 1.25);
+    close(second.eastX, second.x + 0.8 + 2.5);
+    close(second.length, 4.8);
+  });
+
+  it('sets and clears single override values', () => {
+    let overrides = setAisleOverride([], 2, 'storage_depth', 1);
+    overrides = setAisleOverride(overrides, 0, 'modules_per_aisle', 4);
+    assert.deepEqual(overrides, [{ aisle: 0, modules_per_aisle: 4 }, { aisle: 2, storage_depth: 1 }]);
+    overrides = setAisleOverride(overrides, 2, 'storage_depth', null);
+    assert.deepEqual(overrides, [{ aisle: 0, modules_per_aisle: 4 }]);
+  });
+
+  it('converts overrides between 1-based files and 0-based config and rejects unknown aisles', () => {
+    const raw = {
+      metadata: { name: 'overrides', version: '2.0.0', created: '2026-01-01T00:00:00.000Z' },
+      warehouse_parameters: {
+        aisles: 2, levels_per_aisle: [3, 2], modules_per_aisle: 2, locations_per_module: 3, storage_depth: 2, picking_stations: 1,
+        aisle_overrides: [{ aisle: 2, modules_per_aisle: 1, storage_depth: 1 }]
+      }
+    };
+    const uiConfig = toUIConfig(parseWarehouseConfig(raw).config);
+    assert.deepEqual(uiConfig.aisle_overrides, [{ aisle: 1, modules_per_aisle: 1, storage_depth: 1 }]);
+    assert.deepEqual(serializeWarehouseConfig(uiConfig, [], []).warehouse_parameters.aisle_overrides, raw.warehouse_parameters.aisle_overrides);
+
+    raw.warehouse_parameters.aisle_overrides.push({ aisle: 2, storage_depth: 2 }, { aisle: 3, storage_depth: 1 });
+    assert.deepEqual(parseWarehouseConfig(raw).errors, [
+      'aisle_overrides: aisle 2 is overridden twice',
+      'aisle_overrides: aisle 3 does not exist (2 aisles)'
+    ]);
+  });
+});
+
+describe('level heights', () => {
+  it('repeats the last entry of a height profile and falls back to the level pitch', () => {
+    assert.deepEqual(levelHeightsFor([1.5, 1.2], 4), [1.5, 1.2, 1.2, 1.2]);
+    assert.deepEqual(levelHeightsFor([], 2, 0.9), [0.9, 0.9]);
+    assert.deepEqual(levelHeightsFor(undefined, 0), []);
+  });
+
+  it('stacks levels with the warehouse or the aisle profile', () => {
+    const uiConfig = { ...smallUIConfig(), level_heights: [1.5, 1.0], aisle_overrides: [{ aisle: 1, level_heights: [2.0] }] };
+    const [first, second] = aisleLayout(uiConfig);
+    assert.deepEqual(first.levelBases, [0, 1.5, 2.5, 3.5]);
+    assert.equal(first.height, 3.5);
+    assert.deepEqual(second.levelBases, [0, 2, 4]);
+    assert.equal(rackLevelCenter(first, 0), 0.75);
+    assert.equal(rackLevelCenter(first, 2), 3);
+    // Above the rack the top pitch continues
+    assert.equal(rackLevelCenter(first, 4), 3.5 + 1 + 0.5);
+  });
+
+  it('reports aisles above their clear height', () => {
+    const uiConfig = { ...smallUIConfig(), level_heights: [1.5], clear_height: 4, aisle_overrides: [{ aisle: 1, clear_height: 2.5 }] };
+    // Aisle 1: 3 × 1.5 m = 4.5 m under 4 m, aisle 2: 2 × 1.5 m = 3 m under 2.5 m
+    assert.deepEqual(clearHeightViolations(uiConfig), [
+      { aisle: 0, height: 4.5, clearHeight: 4, excess: 0.5 },
+      { aisle: 1, height: 3, clearHeight: 2.5, excess: 0.5 }
+    ]);
+    assert.deepEqual(clearHeightViolations({ ...uiConfig, clear_height: null, aisle_overrides: [] }), []);
+    assert.deepEqual(clearHeightViolations({ ...uiConfig, clear_height: 4.5, aisle_overrides: [] }), []);
+  });
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildingClashReport, detectBuildingClashes, equipmentFootprints, resolveBuilding } from '../src/domain/services/buildingLayout.js';
+import { sampleUIConfig } from './fixtures.js';
+
+/** Rectangle of walls around the whole sample layout (racks and prezone). */
+const HALL = [{ x: -30, z: -40 }, { x: 40, z: -40 }, { x: 40, z: 40 }, { x: -30, z: 40 }];
+
+const withBuilding = (building) => sampleUIConfig({ building: { walls: HALL, ...building } });
+const kinds = (clashes) => clashes.map(c => c.kind);
+
+describe('buildingLayout', () => {
+  const items = equipmentFootprints(sampleUIConfig());
+  const racks = items.filter(item => item.type === 'rack');
+  const firstRack = racks[0];
+
+  it('lists racks per side, a lift per aisle and the prezone stations', () => {
+    assert.equal(racks.length, 6);
+    assert.equal(items.filter(item => item.type === 'lift').length, 3);
+    assert.ok(items.some(item => item.type === 'station' && item.label === 'Entry'));
+    // Loops are conveyors, not stations
+    assert.ok(!items.some(item => item.plc_address === 11401));
+  });
+
+  it('reports nothing without a building, or with an empty hall', () => {
+    assert.deepEqual(buildingClashReport(sampleUIConfig()), {
+      building: false, valid: true, counts: { outside: 0, wall: 0, column: 0, fire_wall: 0, door: 0, sprinkler: 0 }, clashes: []
+    });
+    assert.deepEqual(detectBuildingClashes(withBuilding({})), []);
+  });
+
+  it('expands the column grid with grid-line labels', () => {
+    const building = resolveBuilding(withBuilding({ columns: { origin: { x: -20, z: -30 }, spacing: { x: 10, z: 20 }, count: { x: 2, z: 3 } } }));
+    assert.deepEqual(building.columns.map(c => c.label), ['A1', 'A2', 'A3', 'B1', 'B2', 'B3']);
+    assert.deepEqual(building.columns[4], { label: 'B2', x: -10, z: -10, size: 0.5 });
+  });
+
+  it('finds a column standing in a rack', () => {
+    const x = (firstRack.minX + firstRack.maxX) / 2;
+    const z = (firstRack.minZ + firstRack.maxZ) / 2;
+    const clashes = detectBuildingClashes(withBuilding({ columns: { origin: { x, z }, spacing: { x: 100, z: 100 }, count: { x: 1, z: 1 } } }));
+    assert.deepEqual(kinds(clashes), ['column']);
+    assert.equal(clashes[0].item.label, firstRack.label);
+    assert.equal(clashes[0].obstacle.label, 'Column A1');
+  });
+
+  it('finds racks crossing a fire wall and blocking a door clear zone', () => {
+    const end = firstRack.maxZ;
+    const clashes = detectBuildingClashes(sampleUIConfig({
+      building: {
+        // North wall 1 m behind the rack ends, a door there with 3 m clear zone
+        walls: [{ x: -30, z: -40 }, { x: 40, z: -40 }, { x: 40, z: end + 1 }, { x: -30, z: end + 1 }],
+        doors: [{ name: 'Dock 1', position: { x: firstRack.minX + 0.8, z: end + 1 }, width: 1, clearance: 3 }],
+        fire_walls: [{ name: 'FW1', from: { x: -30, z: 10 }, to: { x: 40, z: 10 } }]
+      }
+    }));
+    assert.equal(clashes.filter(c => c.kind === 'fire_wall').length, racks.length);
+    const door = clashes.filter(c => c.kind === 'door');
+    assert.deepEqual(door.map(c => c.item.label), [firstRack.label]);
+    assert.equal(door[0].obstacle.label, 'Dock 1');
+  });
+
+  it('reports equipment above the sprinkler clearance height with the excess', () => {
+    const aisle0 = items.filter(item => item.aisle === 0);
+    const limit = aisle0[0].top - 0.5;
+    const report = buildingClashReport(withBuilding({ sprinkler_clearance_height: limit }));
+    const sprinkler = report.clashes.filter(c => c.kind === 'sprinkler');
+    assert.ok(sprinkler.length >= aisle0.length);
+    assert.ok(aisle0.every(item => sprinkler.some(c => c.item.label === item.label && c.excess === 0.5)));
+    assert.equal(report.valid, false);
+    assert.equal(report.counts.sprinkler, sprinkler.length);
+    assert.match(sprinkler[0].message, /reaches 0\.5 m above the sprinkler clearance height/);
+  });
+
+  it('reports equipment outside the walls and walls running through it', () => {
+    const report = buildingClashReport(withBuilding({ walls: [{ x: -1, z: -1 }, { x: 3, z: -1 }, { x: 3, z: 50 }, { x: -1, z: 50 }] }));
+    const outside = report.clashes.filter(c => c.kind === 'outside').map(c => c.item.label);
+    assert.ok(outside.includes('Entry'));
+    assert.ok(!outside.includes(firstRack.label));
+    assert.ok(report.clashes.some(c => c.kind === 'wall' && c.item.label === 'Lift aisle 1'));
+    // Sorted by kind: every outside clash comes before the first wall clash
+    const order = kinds(report.clashes);
+    assert.ok(order.lastIndexOf('outside') < order.indexOf('wall'));
+  });
+});
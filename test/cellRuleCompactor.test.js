@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { compactCellRules, compressIndices, editMissingCells, listLocations, listMissingCells } from '../src/domain/rules/cellRuleCompactor.js';
+import { smallUIConfig } from './fixtures.js';
+
+const key = c => `${c.aisle}:${c.side}:${c.level}:${c.module}:${c.depth}:${c.position}`;
+const keys = cells => cells.map(key).sort();
+
+describe('cellRuleCompactor', () => {
+  const uiConfig = smallUIConfig();
+
+  it('compresses runs of three or more indices into ranges', () => {
+    assert.equal(compressIndices([4]), 4);
+    assert.deepEqual(compressIndices([0, 1]), [0, 1]);
+    assert.deepEqual(compressIndices([5, 0, 2, 3, 4, 4]), [0, { from: 2, to: 5 }]);
+  });
+
+  it('round-trips arbitrary cell sets through compacted rules', () => {
+    const all = listLocations(uiConfig);
+    const subsets = [
+      all.filter(c => c.aisle === 1),
+      all.filter(c => c.level === 0 && c.side === 1),
+      all.filter((c, i) => i % 7 === 0),
+      all.filter(c => c.module === 1 && c.position !== 1)
+    ];
+    subsets.forEach(cells => {
+      const rules = compactCellRules(uiConfig, cells);
+      assert.deepEqual(keys(listMissingCells(uiConfig, rules)), keys(cells));
+      assert.ok(rules.length <= cells.length);
+    });
+  });
+
+  it('collapses a whole aisle into one wildcard rule', () => {
+    const rules = compactCellRules(uiConfig, listLocations(uiConfig).filter(c => c.aisle === 0));
+    assert.deepEqual(rules, [{ aisle: 0, level: null, module: null, depth: null, position: null }]);
+  });
+
+  it('toggles cells in and out of the missing set', () => {
+    const cells = listLocations(uiConfig).filter(c => c.aisle === 0 && c.level === 2);
+    const added = editMissingCells(uiConfig, [], cells);
+    assert.equal(added.added, cells.length);
+    assert.deepEqual(keys(listMissingCells(uiConfig, added.rules)), keys(cells));
+
+    const removed = editMissingCells(uiConfig, added.rules, cells);
+    assert.equal(removed.removed, cells.length);
+    assert.deepEqual(removed.rules, []);
+  });
+
+  it('keeps the rules an edit does not touch, also outside the current layout', () => {
+    // Aisle 3 and level 4 of aisle 1 exist in the full layout but not in this one
+    const outside = [{ aisle: 2, level: null, module: null, depth: null, position: null }, { aisle: 0, level: 3, module: 1, depth: null, position: null }];
+    const handWritten = { aisle: 1, level: 0, module: { not: 0 }, depth: null, position: null, side: 'east' };
+    const rules = [...outside, handWritten];
+    const cell = { aisle: 0, side: 0, level: 0, module: 0, depth: 0, position: 0 };
+
+    const marked = editMissingCells(uiConfig, rules, [cell]);
+    assert.equal(marked.added, 1);
+    assert.deepEqual(marked.rules, [...rules, { aisle: 0, level: 0, module: 0, depth: 0, position: 0, side: 'west' }]);
+
+    const restored = editMissingCells(uiConfig, marked.rules, [cell]);
+    assert.equal(restored.removed, 1);
+    assert.deepEqual(restored.rules, rules);
+  });
+
+  it('rewrites only the rules matching a restored cell', () => {
+    const kept = { aisle: 1, level: 1, module: null, depth: null, position: null };
+    const level = { aisle: 0, level: 2, module: null, depth: null, position: null, side: 'west' };
+    const restored = editMissingCells(uiConfig, [kept, level], [{ aisle: 0, side: 0, level: 2, module: 0, depth: 0, position: 0 }]);
+    assert.equal(restored.removed, 1);
+    assert.deepEqual(restored.rules[0], kept);
+    const expected = listLocations(uiConfig).filter(c => (c.aisle === 1 && c.level === 1)
+      || (c.aisle === 0 && c.side === 0 && c.level === 2 && !(c.module === 0 && c.depth === 0 && c.position === 0)));
+    assert.deepEqual(keys(listMissingCells(uiConfig, restored.rules)), keys(expected));
+  });
+});
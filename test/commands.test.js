@@ -0,0 +1,164 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { AddPlcStationCommand, CommandStack, MovePlcStationCommand, RemovePlcStationCommand, ReplaceRulesCommand, UpdateConfigCommand, UpdatePlcStationCommand } from '../src/integration/commands.js';
+
+/** Minimal command appending to a log, for stack behaviour independent of the config commands. */
+const logCommand = (log, name) => ({ label: name, scope: 'racks', execute: () => log.push(`+${name}`), undo: () => log.push(`-${name}`) });
+
+describe('CommandStack', () => {
+  it('executes, undoes and redoes in order', () => {
+    const log = [];
+    const stack = new CommandStack();
+    stack.execute(logCommand(log, 'a'));
+    stack.execute(logCommand(log, 'b'));
+    assert.equal(stack.undo().label, 'b');
+    assert.equal(stack.undo().label, 'a');
+    assert.equal(stack.undo(), null);
+    assert.equal(stack.redo().label, 'a');
+    assert.deepEqual(log, ['+a', '+b', '-b', '-a', '+a']);
+    assert.equal(stack.canUndo(), true);
+    assert.equal(stack.canRedo(), true);
+    assert.deepEqual(stack.history(), [
+      { label: 'a', scope: 'racks', done: true },
+      { label: 'b', scope: 'racks', done: false }
+    ]);
+  });
+
+  it('drops the redo branch on a new command and the oldest entries beyond the limit', () => {
+    const log = [];
+    const stack = new CommandStack({ limit: 2 });
+    ['a', 'b', 'c'].forEach(name => stack.execute(logCommand(log, name)));
+    assert.deepEqual(stack.history().map(h => h.label), ['b', 'c']);
+    stack.undo();
+    stack.execute(logCommand(log, 'd'));
+    assert.equal(stack.canRedo(), false);
+    assert.deepEqual(stack.history().map(h => h.label), ['b', 'd']);
+    stack.clear();
+    assert.deepEqual(stack.history(), []);
+  });
+
+  it('notifies subscribers until they unsubscribe, even when one of them throws', () => {
+    const stack = new CommandStack();
+    const seen = [];
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      stack.subscribe(() => { throw new Error('listener'); });
+      const unsubscribe = stack.subscribe((action, cmd) => seen.push(`${action}:${cmd ? cmd.label : '-'}`));
+      stack.execute(logCommand([], 'a'));
+      stack.undo();
+      stack.redo();
+      stack.clear();
+      unsubscribe();
+      stack.execute(logCommand([], 'b'));
+    } finally {
+      console.error = originalError;
+    }
+    assert.deepEqual(seen, ['execute:a', 'undo:a', 'redo:a', 'clear:-']);
+  });
+});
+
+describe('UpdateConfigCommand', () => {
+  it('assigns deep copies of the new values and restores the old ones', () => {
+    const config = { aisles: 2, levels_per_aisle: [3, 3], modules_per_aisle: 4 };
+    const after = { aisles: 3, levels_per_aisle: [3, 3, 5] };
+    const command = new UpdateConfigCommand(config, { aisles: 2, levels_per_aisle: [3, 3] }, after, 'Aisles: 2 → 3');
+    assert.equal(command.scope, 'layout');
+    command.execute();
+    assert.deepEqual(config, { aisles: 3, levels_per_aisle: [3, 3, 5], modules_per_aisle: 4 });
+    after.levels_per_aisle.push(9);
+    config.levels_per_aisle[0] = 1;
+    command.undo();
+    assert.deepEqual(config, { aisles: 2, levels_per_aisle: [3, 3], modules_per_aisle: 4 });
+    command.execute();
+    assert.deepEqual(config.levels_per_aisle, [3, 3, 5]);
+  });
+});
+
+describe('ReplaceRulesCommand', () => {
+  it('replaces the rules in place and restores them on undo', () => {
+    const rules = [{ aisle: 0, level: 1 }];
+    const shared = rules;
+    const command = new ReplaceRulesCommand(rules, [{ type: 'Cold', aisle: 1 }, { type: 'Buffer', level: 0 }]);
+    command.execute();
+    assert.equal(shared, rules);
+    assert.deepEqual(rules, [{ type: 'Cold', aisle: 1 }, { type: 'Buffer', level: 0 }]);
+    rules[0].aisle = 5;
+    command.undo();
+    assert.deepEqual(rules, [{ aisle: 0, level: 1 }]);
+    command.execute();
+    assert.deepEqual(rules[0], { type: 'Cold', aisle: 1 });
+  });
+});
+
+describe('PLC station commands', () => {
+  const plcConfig = () => ({
+    plc_stations: [
+      { name: 'Entry', plc_address: 11400, position: { x: 0, y: 0, z: 0 }, directions: { straight: 11401, divert: null } },
+      { name: 'Diverter 1', plc_address: 11700, position: { x: 2, y: 0, z: 0 }, directions: { straight: 11401, divert: 11800 } },
+      { name: 'Picking 1', plc_address: 11800, position: { x: 2, y: 0, z: -4 }, directions: { straight: 11700, divert: null } }
+    ]
+  });
+
+  it('adds a user-placed station and takes its address off the removed list', () => {
+    const config = { ...plcConfig(), plc_removed_stations: [11801] };
+    const stack = new CommandStack();
+    stack.execute(new AddPlcStationCommand(config, { name: 'Picking 2', plc_address: 11801, position: { x: 4, y: 0, z: -4 } }));
+    assert.deepEqual(config.plc_stations.at(-1), { name: 'Picking 2', plc_address: 11801, position: { x: 4, y: 0, z: -4 }, user_placed: true });
+    assert.deepEqual(config.plc_removed_stations, []);
+    stack.undo();
+    assert.deepEqual(config, { ...plcConfig(), plc_removed_stations: [11801] });
+    stack.redo();
+    assert.equal(config.plc_stations.length, 4);
+    assert.deepEqual(config.plc_removed_stations, []);
+  });
+
+  it('moves a station and restores its position and flag on undo', () => {
+    const config = plcConfig();
+    const stack = new CommandStack();
+    const command = stack.execute(new MovePlcStationCommand(config, 11700, { x: 3, y: 0, z: 1 }));
+    assert.equal(command.label, 'Move PLC station 11700');
+    assert.equal(command.scope, 'prezone');
+    assert.deepEqual(config.plc_stations[1].position, { x: 3, y: 0, z: 1 });
+    assert.equal(config.plc_stations[1].user_placed, true);
+    stack.undo();
+    assert.deepEqual(config, plcConfig());
+    stack.redo();
+    assert.deepEqual(config.plc_stations[1].position, { x: 3, y: 0, z: 1 });
+  });
+
+  it('re-addresses links and finds the station again after generation replaced it', () => {
+    const config = plcConfig();
+    const command = new UpdatePlcStationCommand(config, 11400, { directions: { straight: 11700, divert: null }, rotation: 90 });
+    command.execute();
+    assert.deepEqual(config.plc_stations[0].directions, { straight: 11700, divert: null });
+    config.plc_stations = config.plc_stations.map(s => ({ ...s })); // regenerated objects
+    command.undo();
+    assert.deepEqual(config, plcConfig());
+  });
+
+  it('deletes a station, clears the links to it and restores everything on undo', () => {
+    const config = plcConfig();
+    const stack = new CommandStack();
+    stack.execute(new RemovePlcStationCommand(config, 11800));
+    assert.deepEqual(config.plc_stations.map(s => s.plc_address), [11400, 11700]);
+    assert.deepEqual(config.plc_stations[1].directions, { straight: 11401, divert: null });
+    assert.equal(config.plc_stations[1].user_placed, true);
+    assert.deepEqual(config.plc_removed_stations, [11800]);
+    stack.undo();
+    assert.deepEqual(config, { ...plcConfig(), plc_removed_stations: [] });
+    stack.redo();
+    assert.deepEqual(config.plc_removed_stations, [11800]);
+    assert.equal(config.plc_stations.length, 2);
+  });
+
+  it('keeps an address listed before the delete on undo', () => {
+    const config = { ...plcConfig(), plc_removed_stations: [11800] };
+    const command = new RemovePlcStationCommand(config, 11800);
+    command.execute();
+    assert.deepEqual(config.plc_removed_stations, [11800]);
+    command.undo();
+    assert.deepEqual(config, { ...plcConfig(), plc_removed_stations: [11800] });
+  });
+});
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { CURRENT_CONFIG_VERSION, detectConfigVersion, migrateWarehouseConfig } from '../src/infrastructure/config/configMigrations.js';
+import { parseWarehouseConfig } from '../src/infrastructure/config/warehouseConfigParser.js';
+import { sampleConfig } from './fixtures.js';
+
+/** 0.x file: 0-based rule indices, buffers in a location_types object, stored metrics, no PLC section. */
+const legacyConfig = () => ({
+  metadata: { name: 'legacy', version: '0.9.0', created: '2024-03-01T00:00:00.000Z' },
+  warehouse_parameters: {
+    aisles: 2,
+    levels_per_aisle: [4, 4],
+    modules_per_aisle: 3,
+    locations_per_module: 2,
+    storage_depth: 1,
+    picking_stations: 2
+  },
+  missing_locations: [{ aisle: 0, level: [0, { from: 2, to: 3 }], module: null, depth: null, position: null }],
+  location_types: { default_type: 'Storage', buffer_locations: [{ aisle: 1, level: 0, module: { not: 2 }, depth: null, position: null }] },
+  calculated_metrics: { total_locations: 48 }
+});
+
+describe('configMigrations', () => {
+  it('treats unversioned files as 1.0.0', () => {
+    assert.equal(detectConfigVersion({}), '1.0.0');
+    assert.equal(detectConfigVersion({ metadata: { version: 'v0.9' } }), '0.9.0');
+  });
+
+  it('migrates a 0.x file step by step to the current version', () => {
+    const { config, fromVersion, toVersion, changes, errors } = migrateWarehouseConfig(legacyConfig());
+    assert.deepEqual(errors, []);
+    assert.equal(fromVersion, '0.9.0');
+    assert.equal(toVersion, CURRENT_CONFIG_VERSION);
+    assert.equal(config.metadata.version, '2.0.0');
+    assert.equal(config.metadata.migrated_from, '0.9.0');
+    assert.ok(changes.some(c => c.startsWith('0.0.0 → 1.0.0')));
+    assert.ok(changes.some(c => c.startsWith('1.0.0 → 2.0.0')));
+
+    // 1-based indices, buffers as typed rules, derived metrics dropped, PLC and prezone sections added
+    assert.deepEqual(config.missing_locations[0].level, [1, { from: 3, to: 4 }]);
+    assert.deepEqual(config.location_types, [{ aisle: 2, level: 1, module: { not: 3 }, depth: null, position: null, type: 'Buffer' }]);
+    assert.equal('calculated_metrics' in config, false);
+    assert.deepEqual(config.plc_stations, []);
+    assert.ok(config.prezone_visuals.ellipse);
+  });
+
+  it('loads a migrated 0.x file with its original 0-based indices', () => {
+    const { config, errors } = parseWarehouseConfig(legacyConfig());
+    assert.deepEqual(errors, []);
+    assert.deepEqual(config.missing_locations, legacyConfig().missing_locations);
+    assert.deepEqual(config.location_types, [{ ...legacyConfig().location_types.buffer_locations[0], type: 'Buffer' }]);
+  });
+
+  it('leaves current files unchanged and refuses newer ones', () => {
+    const current = sampleConfig();
+    const result = migrateWarehouseConfig(current);
+    assert.deepEqual(result.changes, []);
+    assert.deepEqual(result.config, current);
+    assert.notEqual(result.config, current);
+
+    const newer = migrateWarehouseConfig({ ...current, metadata: { ...current.metadata, version: '3.0.0' } });
+    assert.equal(newer.config, null);
+    assert.match(newer.errors[0], /newer than the supported format/);
+  });
+});
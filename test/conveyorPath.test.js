@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { ellipsePath, pathBetween, projectOntoPath, sampleConveyorPath } from '../src/domain/services/conveyorPath.js';
+
+/** 10 x 10 square loop, corners in order 0 (0,0) -> 1 (10,0) -> 2 (10,10) -> 3 (0,10). */
+const square = () => sampleConveyorPath({ points: [{ x: 0, z: 0 }, { x: 10, z: 0 }, { x: 10, z: 10 }, { x: 0, z: 10 }], closed: true });
+const plain = points => points.map(({ x, z }) => ({ x: +x.toFixed(6), z: +z.toFixed(6) }));
+
+describe('conveyorPath', () => {
+  it('projects points onto the nearest segment', () => {
+    const projection = projectOntoPath(square(), { x: 4, z: -3 });
+    assert.equal(projection.index, 0);
+    assert.equal(projection.t, 0.4);
+    assert.equal(projection.along, 4);
+    assert.equal(projection.distance, 3);
+  });
+
+  it('wraps around the first point of a closed loop', () => {
+    const loop = square();
+    const from = projectOntoPath(loop, { x: 0, z: 2 }); // last segment, just before the first point
+    const to = projectOntoPath(loop, { x: 3, z: 0 }); // first segment
+    assert.equal(from.index, 3);
+    assert.equal(to.index, 0);
+    assert.deepEqual(plain(pathBetween(loop, from, to)), [{ x: 0, z: 2 }, { x: 0, z: 0 }, { x: 3, z: 0 }]);
+    // And back the other way, across the same corner
+    assert.deepEqual(plain(pathBetween(loop, to, from)), [{ x: 3, z: 0 }, { x: 0, z: 0 }, { x: 0, z: 2 }]);
+  });
+
+  it('takes the shorter way round a closed loop', () => {
+    const loop = square();
+    const from = projectOntoPath(loop, { x: 1, z: 0 });
+    const to = projectOntoPath(loop, { x: 0, z: 9 });
+    // Backwards over corner 0 is 10 long, forwards over corners 1, 2 and 3 it would be 30
+    assert.deepEqual(plain(pathBetween(loop, from, to)), [{ x: 1, z: 0 }, { x: 0, z: 0 }, { x: 0, z: 9 }]);
+  });
+
+  it('never wraps an open section', () => {
+    const section = sampleConveyorPath({ points: [{ x: 0, z: 0 }, { x: 10, z: 0 }, { x: 10, z: 10 }] });
+    const from = projectOntoPath(section, { x: 10, z: 8 });
+    const to = projectOntoPath(section, { x: 1, z: 0 });
+    assert.deepEqual(plain(pathBetween(section, from, to)), [{ x: 10, z: 8 }, { x: 10, z: 0 }, { x: 1, z: 0 }]);
+  });
+
+  it('samples ellipses as closed paths at their centre height', () => {
+    const ellipse = ellipsePath({ x: 5, y: 0.1, z: -5 }, 20, 2, 8);
+    assert.equal(ellipse.closed, true);
+    assert.equal(ellipse.points.length, 8);
+    assert.deepEqual(plain([ellipse.points[0], ellipse.points[2]]), [{ x: 25, z: -5 }, { x: 5, z: -3 }]);
+    assert.ok(ellipse.points.every(p => p.y === 0.1));
+  });
+});
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { ConveyorRouter, polylineLength } from '../src/domain/services/conveyorRouting.js';
+
+/** Entry, one aisle and one picking station around the implicit main loop 11401; the helper has no inbound edge. */
+const stations = [
+  { name: 'Entry', plc_address: 11400, position: { x: -10, y: 0, z: -2 }, directions: { straight: 11401, divert: null } },
+  { name: 'Aisle 1 Entrance', plc_address: 11500, position: { x: 5, y: 0, z: -2 }, directions: { straight: 11401, divert: 11600 } },
+  { name: 'Aisle 1 Lift', plc_address: 11600, position: { x: 5, y: 1, z: 4 }, directions: { straight: null, divert: null } },
+  { name: 'Picking Diverter 1', plc_address: 11700, position: { x: -5, y: 0, z: -8 }, directions: { straight: 11401, divert: 11800 } },
+  { name: 'Picking Station 1', plc_address: 11800, position: { x: -5, y: 0, z: -14 }, directions: { straight: 11700, divert: null } },
+  { name: 'Helper', plc_address: 11300, position: { x: 20, y: 0, z: 0 }, directions: { straight: null, divert: null } }
+];
+
+describe('ConveyorRouter', () => {
+  it('routes over the main loop to an aisle lift and a picking station', () => {
+    const router = new ConveyorRouter(stations);
+    const toAisle = router.routeToAisle(0);
+    assert.deepEqual(toAisle.stations, [11400, 11401, 11500, 11600]);
+    // Without loop geometry the loop hop is a straight segment
+    assert.deepEqual(toAisle.points, [{ x: -10, y: 0, z: -2 }, { x: 5, y: 0, z: -2 }, { x: 5, y: 1, z: 4 }]);
+    assert.equal(toAisle.length, polylineLength(toAisle.points));
+    assert.deepEqual(router.routeToPickingStation(0).stations, [11400, 11401, 11700, 11800]);
+  });
+
+  it('leaves a picking station back over the loop without circling it', () => {
+    const router = new ConveyorRouter(stations);
+    assert.deepEqual(router.route(11800, 11600).stations, [11800, 11700, 11401, 11500, 11600]);
+    assert.deepEqual(router.route(11400, 11401).stations, [11400, 11401]);
+  });
+
+  it('follows the loop ellipse the shorter way round', () => {
+    const loop = { center: { x: 0, y: 0, z: -5 }, radiusX: 10, radiusZ: 3 };
+    const route = new ConveyorRouter(stations, { loop }).route(11400, 11500);
+    assert.deepEqual(route.stations, [11400, 11401, 11500]);
+    assert.ok(route.points.length > 3);
+    // Points between the stations lie on the ellipse, on its near (z > -5) half
+    route.points.slice(2, -2).forEach(p => {
+      assert.ok(Math.abs(((p.x / 10) ** 2) + (((p.z + 5) / 3) ** 2) - 1) < 0.01);
+      assert.ok(p.z > -5);
+    });
+    assert.ok(route.length < Math.PI * 13 / 2);
+  });
+
+  it('returns null for unreachable and unknown targets', () => {
+    const router = new ConveyorRouter(stations);
+    assert.equal(router.route(11400, 11300), null);
+    assert.equal(router.route(11600, 11400), null);
+    assert.equal(router.route(11400, 99999), null);
+    assert.equal(router.routeToAisle(4), null);
+    assert.equal(router.routeToPickingStation(1), null);
+  });
+});
@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildConveyorGraph, reachableFrom, validatePlcTopology } from '../src/domain/services/conveyorTopology.js';
+import { resolvePlcAddressCodec } from '../src/domain/services/plcAddress.js';
+import { withGeneratedPickingStations } from '../src/domain/services/plcStationLayout.js';
+import { sampleUIConfig } from './fixtures.js';
+
+/** Entry, one aisle (lift on floors 1 and 2) and one picking station on the main loop 11401. */
+const stations = () => [
+  { name: 'Entry', plc_address: 11400, directions: { straight: 11401, divert: null } },
+  { name: 'Aisle 1 Entrance', plc_address: 11500, directions: { straight: 11401, divert: 11600 } },
+  { name: 'Aisle 1 Lift', plc_address: 11600, directions: { straight: null, divert: null } },
+  { name: 'Aisle 1 Lift Exit', plc_address: 21600, directions: { straight: null, divert: null } },
+  { name: 'Picking Diverter 1', plc_address: 11700, directions: { straight: 11401, divert: 11800 } },
+  { name: 'Picking Station 1', plc_address: 11800, directions: { straight: 11700, divert: null } }
+];
+
+const codes = result => result.findings.map(f => f.code);
+
+describe('conveyorTopology', () => {
+  it('builds explicit, loop, lift and lift-exit edges with an implicit main loop node', () => {
+    const graph = buildConveyorGraph(stations());
+    assert.equal(graph.nodes.get(11401).implicit, true);
+    assert.equal(graph.nodes.get(11401).name, 'Main Loop');
+    assert.equal(graph.nodes.get(11800).type, 'picking_station');
+    const edge = (from, to) => graph.edges.find(e => e.from === from && e.to === to)?.kind;
+    assert.equal(edge(11400, 11401), 'straight');
+    assert.equal(edge(11500, 11600), 'divert');
+    assert.equal(edge(11401, 11500), 'loop');
+    assert.equal(edge(11401, 11400), undefined); // the Entry only feeds the loop
+    assert.equal(edge(11600, 21600), 'lift');
+    assert.equal(edge(21600, 11401), 'loop_return');
+    assert.deepEqual(graph.dangling, []);
+    assert.deepEqual([...reachableFrom(graph, 11400)].sort(), [11400, 11401, 11500, 11600, 11700, 11800, 21600]);
+  });
+
+  it('accepts a routable layout and the generated sample stations', () => {
+    assert.deepEqual(validatePlcTopology(stations()).findings, []);
+    assert.equal(validatePlcTopology([]).valid, true);
+    const uiConfig = sampleUIConfig();
+    const codec = resolvePlcAddressCodec(uiConfig.plc_address_convention);
+    assert.deepEqual(validatePlcTopology(withGeneratedPickingStations(uiConfig, codec), { codec }).findings, []);
+  });
+
+  it('reports dangling targets and a missing entry', () => {
+    const layout = stations().filter(s => s.plc_address !== 11400);
+    layout[0].directions.divert = 11699;
+    const result = validatePlcTopology(layout);
+    assert.equal(result.valid, false);
+    assert.deepEqual(codes(result), ['dangling_target', 'missing_entry']);
+    assert.deepEqual(result.graph.dangling, [{ from: 11500, to: 11699, kind: 'divert' }]);
+    assert.equal(result.findings[0].message, 'Aisle 1 Entrance (11500): divert target 11699 is not a PLC station');
+  });
+
+  it('reports picking stations and aisles without inbound or return paths', () => {
+    const layout = stations();
+    layout[4].directions.divert = null; // diverter no longer feeds its picking station
+    layout[1].directions.divert = null; // aisle entrance no longer feeds the lift
+    const result = validatePlcTopology(layout);
+    // Nothing leaves the main loop any more either
+    assert.deepEqual(codes(result), ['unreachable_picking_station', 'aisle_no_inbound_path', 'cycle_without_exit']);
+    assert.deepEqual(result.findings[1].stations, [11600, 21600]);
+
+    const noExit = stations().filter(s => s.plc_address !== 21600);
+    assert.deepEqual(codes(validatePlcTopology(noExit)), ['aisle_no_return_path']);
+  });
+
+  it('warns about closed cycles without an exit to storage or picking', () => {
+    const layout = [
+      ...stations(),
+      { name: 'Helper A', plc_address: 11300, directions: { straight: 11301, divert: null } },
+      { name: 'Helper B', plc_address: 11301, directions: { straight: 11300, divert: null } }
+    ];
+    const result = validatePlcTopology(layout);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.findings.map(f => [f.severity, f.code, f.stations]), [['warning', 'cycle_without_exit', [11300, 11301]]]);
+    // The main loop cycle drains into the lift and the picking station
+    assert.ok(!result.findings.some(f => f.stations.includes(11401)));
+  });
+});
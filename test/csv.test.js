@@ -0,0 +1,19 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { parseCSV } from '../src/core/csv.js';
+
+describe('csv', () => {
+  it('keys rows by the lower-cased header and keeps delimiters inside quotes', () => {
+    const text = 'Timestamp,PLC_Address,Event,Message\n1000,11500,faulted,"jam, lane 2"\n\n2000,11500,idle\n';
+    assert.deepEqual(parseCSV(text), [
+      { timestamp: '1000', plc_address: '11500', event: 'faulted', message: 'jam, lane 2' },
+      { timestamp: '2000', plc_address: '11500', event: 'idle', message: '' }
+    ]);
+  });
+
+  it('reads semicolon separated files with escaped quotes', () => {
+    assert.deepEqual(parseCSV('a;b\r\n" x ";"say ""hi"""'), [{ a: 'x', b: 'say "hi"' }]);
+    assert.deepEqual(parseCSV('  \n'), []);
+  });
+});
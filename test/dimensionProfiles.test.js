@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { aisleLayout } from '../src/domain/services/aisleLayout.js';
+import { dimensionValues, formatLength, fromUnits, resolveDimensions, toUnits } from '../src/domain/services/dimensionProfiles.js';
+import { smallUIConfig } from './fixtures.js';
+
+describe('dimensionProfiles', () => {
+  it('resolves the standard profile when none or an unknown one is set', () => {
+    const standard = { profile: 'standard', locationLength: 1.2, locationDepth: 0.8, aisleWidth: 2.5, levelHeight: 1.0 };
+    assert.deepEqual(resolveDimensions({}), standard);
+    assert.deepEqual(resolveDimensions({ dimensions: { profile: 'pallet' } }), standard);
+    assert.deepEqual(resolveDimensions(null), standard);
+  });
+
+  it('applies single values on top of a named profile', () => {
+    assert.deepEqual(dimensionValues({ dimensions: { profile: 'tote', aisle_width: 1.4, level_height: 0 } }), {
+      profile: 'tote', location_length: 0.5, location_depth: 0.65, aisle_width: 1.4, level_height: 0.45
+    });
+    assert.deepEqual(resolveDimensions({ dimensions: { profile: 'custom', location_length: 0.9 } }).locationLength, 0.9);
+  });
+
+  it('sizes the rack geometry from the profile', () => {
+    const [aisle] = aisleLayout({ ...smallUIConfig(), dimensions: { profile: 'carton' } });
+    assert.equal(aisle.moduleLength, 3 * 0.7);
+    assert.equal(aisle.rackDepth, 2 * 0.85);
+    assert.equal(aisle.width, 2 * 1.7 + 1.2);
+    assert.equal(aisle.height, 3 * 0.6);
+  });
+
+  it('converts and formats display units, metres in the data', () => {
+    assert.equal(toUnits(1.2, 'mm'), 1200);
+    assert.equal(toUnits(1.2, 'ft'), 3.94);
+    assert.equal(toUnits(1.234), 1.23);
+    assert.equal(fromUnits(800, 'mm'), 0.8);
+    assert.ok(Math.abs(fromUnits(toUnits(2.5, 'ft'), 'ft') - 2.5) < 0.01);
+    assert.equal(fromUnits(3, 'yards'), 3);
+    assert.equal(formatLength(0.8, 'mm'), '800 mm');
+    assert.equal(formatLength(1.2), '1.2 m');
+    assert.equal(formatLength(1.2, 'yards'), '1.2 m');
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Layouts shared by the test files: the shipped sample layout and a small hand-written one.
+ */
+import { readFileSync } from 'node:fs';
+
+import { parseWarehouseConfig, toUIConfig } from '../src/infrastructure/config/warehouseConfigParser.js';
+
+const SAMPLE_LAYOUT = new URL('../public/warehouse_config_instance.json', import.meta.url);
+
+/** Parsed external (1-based) sample layout; a fresh copy per call. */
+export function sampleConfig() {
+  return JSON.parse(readFileSync(SAMPLE_LAYOUT, 'utf8'));
+}
+
+/**
+ * Sample layout as UI config, optionally with extra external keys (e.g. `building`) merged in before parsing.
+ * @param {Object} [extra]
+ * @returns {Object}
+ */
+export function sampleUIConfig(extra = {}) {
+  const { config, errors } = parseWarehouseConfig({ ...sampleConfig(), ...extra });
+  if (!config) throw new Error(`sample layout invalid: ${errors.join(', ')}`);
+  return toUIConfig(config);
+}
+
+/**
+ * Two aisles with few locations, for tests that enumerate every cell.
+ * @returns {Object} UI config
+ */
+export function smallUIConfig() {
+  const { config, errors } = parseWarehouseConfig({
+    metadata: { name: 'small', version: '2.0.0', created: '2026-01-01T00:00:00.000Z' },
+    warehouse_parameters: {
+      aisles: 2,
+      levels_per_aisle: [3, 2],
+      modules_per_aisle: 2,
+      locations_per_module: 3,
+      storage_depth: 2,
+      picking_stations: 1
+    },
+    missing_locations: [],
+    location_types: []
+  });
+  if (!config) throw new Error(`small layout invalid: ${errors.join(', ')}`);
+  return toUIConfig(config);
+}
@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { sampleConfig } from './fixtures.js';
+
+describe('headless', () => {
+  it('analyzes the sample layout without DOM globals', async () => {
+    assert.equal(typeof globalThis.window, 'undefined');
+    assert.equal(typeof globalThis.document, 'undefined');
+    const { analyzeWarehouseConfig } = await import('../src/headless/index.js');
+
+    const report = analyzeWarehouseConfig(JSON.stringify(sampleConfig()));
+    assert.equal(report.valid, true);
+    assert.deepEqual(report.errors, []);
+    assert.equal(report.name, 'warehouse_config');
+    assert.deepEqual(report.capacity, { gross: 1632, net: 1548, missing: 84, west: 774, east: 774 });
+    assert.equal(report.metrics.net, report.capacity.net);
+    assert.equal(report.throughput.aisles.length, report.uiConfig.aisles);
+    assert.equal(report.plcStations.length, sampleConfig().plc_stations.length);
+    assert.deepEqual(
+      { name: report.plcStations[0].name, stationType: report.plcStations[0].stationType, fullAddress: report.plcStations[0].fullAddress },
+      { name: 'Entry', stationType: 'helper_station', fullAddress: 11400 }
+    );
+    assert.deepEqual([report.topology.valid, report.clearance.valid, report.building.valid], [true, true, true]);
+  });
+
+  it('reports schema errors instead of throwing', async () => {
+    const { analyzeWarehouseConfig } = await import('../src/headless/index.js');
+    const report = analyzeWarehouseConfig({ warehouse_parameters: {} });
+    assert.equal(report.valid, false);
+    assert.ok(report.errors.includes('/warehouse_parameters/aisles: is required'));
+    assert.equal(report.capacity, null);
+  });
+});
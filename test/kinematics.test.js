@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { motionProfile, resolveKinematics, travelTime } from '../src/domain/simulation/kinematics.js';
+
+/** Ramp to max speed: 0.5 s jerk phases, 2.5 s in total, covering 5 m up and down. */
+const LIMITS = { maxSpeed: 2, acceleration: 1, jerk: 2 };
+
+const close = (actual, expected, epsilon = 1e-6) => assert.ok(Math.abs(actual - expected) < epsilon, `${actual} ≉ ${expected}`);
+
+/** Samples the profile and checks it starts at rest, never moves backwards and ends on the distance. */
+function assertMonotonic(profile) {
+  let last = 0;
+  for (let i = 0; i <= 200; i++) {
+    const p = Math.abs(profile.positionAt(profile.duration * i / 200));
+    assert.ok(p >= last - 1e-9, `position drops at sample ${i}`);
+    last = p;
+  }
+  close(profile.positionAt(0), 0);
+  close(profile.positionAt(profile.duration), profile.distance);
+}
+
+describe('motionProfile', () => {
+  it('cruises at max speed on long moves', () => {
+    const profile = motionProfile(10, LIMITS);
+    close(profile.peakSpeed, 2);
+    close(profile.duration, 7.5); // 2 × 2.5 s ramps + 2.5 s cruise for the remaining 5 m
+    close(profile.positionAt(profile.duration / 2), 5);
+    close(profile.positionAt(0.5), 2 * 0.5 ** 3 / 6); // jerk phase: j t³ / 6
+    assertMonotonic(profile);
+  });
+
+  it('skips the cruise phase on short moves', () => {
+    const profile = motionProfile(2, LIMITS);
+    assert.ok(profile.peakSpeed < 2);
+    // Up and down ramps only: the distance equals peak speed × one ramp duration
+    close(profile.duration, 2 * (profile.peakSpeed / 1 + 0.5), 1e-6);
+    close(profile.positionAt(profile.duration / 2), 1);
+    assertMonotonic(profile);
+
+    // Too short to reach the max acceleration: four jerk phases
+    const tiny = motionProfile(0.1, LIMITS);
+    assert.ok(tiny.peakSpeed < 0.5);
+    close(tiny.duration, 4 * Math.sqrt(tiny.peakSpeed / 2), 1e-6);
+    assertMonotonic(tiny);
+  });
+
+  it('handles negative distances and trapezoidal limits', () => {
+    const back = motionProfile(-10, LIMITS);
+    close(back.duration, 7.5);
+    close(back.positionAt(back.duration / 2), -5);
+    assertMonotonic(back);
+    close(travelTime(10, { maxSpeed: 2, acceleration: 1 }), 7); // 2 s ramps (2 m each) + 3 s cruise
+  });
+
+  it('takes no time for a zero distance', () => {
+    const profile = motionProfile(0, LIMITS);
+    assert.equal(profile.duration, 0);
+    assert.equal(profile.peakSpeed, 0);
+    assert.equal(profile.positionAt(1), 0);
+  });
+});
+
+describe('resolveKinematics', () => {
+  it('merges overrides per equipment and nested axis', () => {
+    const kinematics = resolveKinematics({ shuttle: { maxSpeed: 4, arms: { stroke: 0.8 } } });
+    assert.equal(kinematics.shuttle.maxSpeed, 4);
+    assert.equal(kinematics.shuttle.acceleration, 1);
+    assert.equal(kinematics.shuttle.arms.stroke, 0.8);
+    assert.equal(kinematics.shuttle.arms.gripTime, 0.3);
+    assert.equal(kinematics.lift.maxSpeed, 1.5);
+  });
+});
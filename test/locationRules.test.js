@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { matchesRule, matchesSide, matchesValue, resolveLocationType, shiftRuleValue, sideIndex } from '../src/domain/rules/locationRules.js';
+
+const address = (fields = {}) => ({ aisle: 0, side: 0, level: 0, module: 0, depth: 0, position: 0, ...fields });
+
+describe('locationRules', () => {
+  it('treats null, -1 and "*" as wildcards', () => {
+    [null, undefined, -1, '*'].forEach(cond => assert.equal(matchesValue(cond, 5), true));
+  });
+
+  it('matches exact values, arrays and ranges', () => {
+    assert.equal(matchesValue(3, 3), true);
+    assert.equal(matchesValue(3, 4), false);
+    assert.equal(matchesValue([1, { from: 4, to: 6 }], 5), true);
+    assert.equal(matchesValue([1, { from: 4, to: 6 }], 3), false);
+    assert.equal(matchesValue({ from: 2 }, 100), true);
+    assert.equal(matchesValue({ to: 2 }, 3), false);
+  });
+
+  it('negates with not, also around arrays and ranges', () => {
+    assert.equal(matchesValue({ not: 2 }, 2), false);
+    assert.equal(matchesValue({ not: [0, { from: 5, to: 9 }] }, 3), true);
+    assert.equal(matchesValue({ not: [0, { from: 5, to: 9 }] }, 7), false);
+  });
+
+  it('normalises and matches sides', () => {
+    assert.equal(sideIndex('W'), 0);
+    assert.equal(sideIndex('east'), 1);
+    assert.equal(sideIndex('north'), null);
+    assert.equal(matchesSide('east', 1), true);
+    assert.equal(matchesSide(['west'], 1), false);
+    assert.equal(matchesSide({ not: 'west' }, 1), true);
+  });
+
+  it('requires every field of a rule to match', () => {
+    const rule = { aisle: 1, level: { from: 2, to: 4 }, side: 'east', module: null };
+    assert.equal(matchesRule(rule, address({ aisle: 1, level: 3, side: 1, module: 5 })), true);
+    assert.equal(matchesRule(rule, address({ aisle: 1, level: 3, side: 0 })), false);
+    assert.equal(matchesRule(rule, address({ aisle: 1, level: 5, side: 1 })), false);
+    // Addresses without a side are on the west rack
+    assert.equal(matchesRule({ side: 'west' }, { aisle: 0, level: 0, module: 0, depth: 0, position: 0 }), true);
+  });
+
+  it('resolves the first matching location type', () => {
+    const types = [{ type: 'Buffer', aisle: 0, level: 0 }, { type: 'Cold', aisle: 0 }];
+    assert.equal(resolveLocationType(types, address()), 'Buffer');
+    assert.equal(resolveLocationType(types, address({ level: 2 })), 'Cold');
+    assert.equal(resolveLocationType(types, address({ aisle: 1 }), 'Storage'), 'Storage');
+  });
+
+  it('shifts indices between 1-based and 0-based inside arrays, ranges and negations', () => {
+    assert.deepEqual(shiftRuleValue([1, { from: 3, to: 5 }, { not: 7 }], -1), [0, { from: 2, to: 4 }, { not: 6 }]);
+    assert.equal(shiftRuleValue(null, -1), null);
+    assert.equal(shiftRuleValue('*', 1), '*');
+  });
+});
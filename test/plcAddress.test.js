@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createPlcAddressCodec, decodePlcAddress, plcAddressConventionErrors, resolvePlcAddressCodec } from '../src/domain/services/plcAddress.js';
+import { allocatePlcAddress } from '../src/domain/services/plcStationLayout.js';
+
+/** 6-digit convention from the README: two-digit type codes. */
+const SITE_B = {
+  name: 'Site B',
+  fields: [
+    { name: 'floor', digits: 1 },
+    { name: 'conveyor_level', digits: 1 },
+    { name: 'type', digits: 2 },
+    { name: 'counter', digits: 2 }
+  ],
+  types: { 10: 'helper_station', 20: 'aisle_entrance', 30: 'lift_station', 40: 'picking_diverter', 50: 'picking_station', 60: 'lift_reading_point' },
+  stations: { entry: 111000, main_loop: 111001 },
+  generation: { floor: 1, conveyor_level: 1, lift_exit_floor: 2 }
+};
+
+describe('PlcAddressCodec', () => {
+  describe('SRC (default)', () => {
+    const codec = resolvePlcAddressCodec(null);
+
+    it('decodes floor, conveyor level, type and counter', () => {
+      assert.deepEqual(codec.decode(21603), {
+        floor: 2, conveyorLevel: 1, stationTypeDigit: 6, counter: 3, stationType: 'lift_station', fullAddress: 21603, addressString: '21603'
+      });
+      assert.equal(codec.stationType(11399), 'unknown');
+      assert.equal(decodePlcAddress(11802).stationType, 'picking_station');
+    });
+
+    it('encodes on the generation level by default and round-trips', () => {
+      assert.equal(codec.encode({ type: 'picking_station', counter: 4 }), 11804);
+      for (const address of [11400, 11401, 11600, 21600, 11702, 11902]) {
+        const { floor, conveyorLevel, stationType, counter } = codec.decode(address);
+        assert.equal(codec.encode({ type: stationType, counter, floor, conveyorLevel }), address);
+      }
+    });
+
+    it('knows the loops and lift exits', () => {
+      assert.equal(codec.entry, 11400);
+      assert.equal(codec.mainLoop, 11401);
+      assert.equal(codec.loopAddress(2, 1), 21401);
+      assert.equal(codec.isLoopAddress(21401), true);
+      assert.equal(codec.isLiftExit(21600), true);
+      assert.equal(codec.isLiftExit(11600), false);
+    });
+
+    it('rejects values that do not fit their digits', () => {
+      assert.throws(() => codec.encode({ type: 'lift_station', counter: 100 }), /does not fit 2 digit/);
+      assert.throws(() => codec.encode({ type: 'conveyor', counter: 1 }), /no code for station type "conveyor"/);
+    });
+  });
+
+  describe('6-digit layout', () => {
+    const codec = resolvePlcAddressCodec(SITE_B);
+
+    it('decodes two-digit type codes', () => {
+      const decoded = codec.decode(213002);
+      assert.equal(decoded.floor, 2);
+      assert.equal(decoded.conveyorLevel, 1);
+      assert.equal(decoded.stationTypeDigit, 30);
+      assert.equal(decoded.stationType, 'lift_station');
+      assert.equal(decoded.counter, 2);
+    });
+
+    it('encodes and round-trips, with its own entry and loops', () => {
+      assert.equal(codec.encode({ type: 'picking_station', counter: 0 }), 115000);
+      assert.equal(codec.decode(codec.encode({ type: 'aisle_entrance', counter: 12, floor: 3, conveyorLevel: 2 })).addressString, '322012');
+      assert.equal(codec.entry, 111000);
+      assert.equal(codec.loopAddress(2, 1), 211001);
+    });
+
+    it('is independent of the SRC codec', () => {
+      assert.equal(resolvePlcAddressCodec(SITE_B), codec);
+      assert.equal(resolvePlcAddressCodec(null).stationType(11600), 'lift_station');
+      assert.equal(codec.stationType(11600), 'unknown');
+      assert.equal(decodePlcAddress(115000, codec).stationType, 'picking_station');
+    });
+
+    it('allocates the lowest free address of a type', () => {
+      const stations = [{ plc_address: 115000 }, { plc_address: 114000, directions: { straight: 111001, divert: 115001 } }];
+      assert.equal(allocatePlcAddress(stations, 'picking_station', {}, codec), 115002);
+      assert.equal(allocatePlcAddress(stations, 'picking_station', { floor: 2 }, codec), 215000);
+    });
+  });
+
+  it('reports unusable conventions and addresses longer than the layout', () => {
+    assert.throws(() => createPlcAddressCodec({ fields: [{ name: 'counter', digits: 2 }] }), /needs a "type" field/);
+    assert.deepEqual(plcAddressConventionErrors(null, [{ plc_address: 115000 }]), [
+      'plc_stations[0]: 115000 has more than the 5 digits of the SRC PLC address convention'
+    ]);
+    assert.deepEqual(plcAddressConventionErrors(SITE_B, [{ plc_address: 115000 }]), []);
+  });
+});
@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as THREE from 'three';
+
+import { PlcStationEditor } from '../src/ui/plcStationEditor.js';
+
+/** Editor on a stub scene with one station mesh attached to a stub gizmo, reporting rotations to `rotations`. */
+function rotatingEditor(mesh, rotations) {
+  const station = { mesh, data: { position: { x: 0, y: 0, z: 0 } } };
+  const sceneManager = {
+    renderer: { domElement: { addEventListener() {} } },
+    plcStationManager: { getStation: () => station }
+  };
+  const editor = new PlcStationEditor(sceneManager, {
+    onMove() {},
+    onRotate: (plcAddress, degrees) => rotations.push([plcAddress, degrees]),
+    onLink() {}
+  });
+  editor.mode = 'rotate';
+  editor.selected = 11400;
+  editor.gizmo = { object: mesh };
+  return editor;
+}
+
+describe('PlcStationEditor', () => {
+  it('reports the heading of a rotate gesture past 90 degrees', () => {
+    [30, 120, 180, 255, 300].forEach(degrees => {
+      const mesh = new THREE.Object3D();
+      // As the rotate gizmo leaves it: quaternion set, Euler derived in XYZ order
+      mesh.quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), THREE.MathUtils.degToRad(degrees));
+      const rotations = [];
+      rotatingEditor(mesh, rotations).commitGesture();
+      assert.deepEqual(rotations, [[11400, degrees]]);
+    });
+  });
+
+  it('snaps the reported heading to 15 degrees', () => {
+    const mesh = new THREE.Object3D();
+    mesh.quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), THREE.MathUtils.degToRad(-98));
+    const rotations = [];
+    rotatingEditor(mesh, rotations).commitGesture();
+    assert.deepEqual(rotations, [[11400, 255]]);
+  });
+});
@@ -0,0 +1,136 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { EventBus } from '../src/integration/EventBus.js';
+import { PlcLiveFeed } from '../src/integration/PlcLiveFeed.js';
+import { MockTelegramAdapter, randomTelegram, WebSocketTelegramAdapter } from '../src/integration/plcTelegramAdapters.js';
+import { normalizeTelegram, parseTelegramMessage, PLC_EVENTS, STATION_STATES } from '../src/integration/plcTelegrams.js';
+
+/** Minimal WebSocket stand-in: records instances, the test fires the handlers. */
+class FakeWebSocket {
+  static instances = [];
+  constructor(url) {
+    this.url = url;
+    this.closed = false;
+    FakeWebSocket.instances.push(this);
+  }
+  close() {
+    this.closed = true;
+    if (this.onclose) this.onclose();
+  }
+}
+
+describe('plcTelegrams', () => {
+  it('parses station states and container scans, single or as an array', () => {
+    const { telegrams, errors } = parseTelegramMessage(JSON.stringify([
+      { type: 'station_state', plc: 11500, state: 'Occupied', container: 'C-1', timestamp: '2026-01-01T00:00:00Z' },
+      { type: 'container_at_station', plc_address: '11600', container: 'C-1', timestamp: 5 }
+    ]));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(telegrams, [
+      { type: 'station_state', plcAddress: 11500, state: 'occupied', container: 'C-1', message: null, timestamp: Date.parse('2026-01-01T00:00:00Z') },
+      { type: 'container_at_station', plcAddress: 11600, container: 'C-1', message: null, timestamp: 5 }
+    ]);
+    assert.equal(parseTelegramMessage({ type: 'station_state', plc: 11400, state: 'idle' }).telegrams.length, 1);
+  });
+
+  it('rejects malformed frames with a reason and keeps the valid ones', () => {
+    const broken = parseTelegramMessage('{"type":');
+    assert.deepEqual(broken.telegrams, []);
+    assert.match(broken.errors[0], /^invalid JSON: /);
+    const { telegrams, errors } = parseTelegramMessage([
+      null,
+      { type: 'station_state', state: 'idle' },
+      { type: 'station_state', plc: 11500, state: 'on fire' },
+      { type: 'container_at_station', plc: 11600 },
+      { type: 'heartbeat', plc: 11400 },
+      { type: 'station_state', plc: 11500, state: 'blocked' }
+    ]);
+    assert.deepEqual(telegrams.map(t => t.state), ['blocked']);
+    assert.deepEqual(errors, [
+      'telegram is not an object',
+      'telegram without valid plc address: {"type":"station_state","state":"idle"}',
+      'unknown station state "on fire" for 11500',
+      'container_at_station for 11600 without container',
+      'unknown telegram type "heartbeat"'
+    ]);
+    assert.equal(normalizeTelegram({ type: 'station_state', plc: 1.5, state: 'idle' }).telegram, null);
+  });
+});
+
+describe('telegram adapters', () => {
+  it('forwards WebSocket messages and status changes until disconnected', () => {
+    FakeWebSocket.instances = [];
+    const adapter = new WebSocketTelegramAdapter('ws://plc:8765', { reconnectMs: 0, WebSocketImpl: FakeWebSocket });
+    const messages = [];
+    const statuses = [];
+    adapter.connect(m => messages.push(m), (status, detail) => statuses.push(`${status} ${detail}`));
+    const [socket] = FakeWebSocket.instances;
+    assert.equal(socket.url, 'ws://plc:8765');
+    socket.onopen();
+    socket.onmessage({ data: '{"type":"station_state","plc":11500,"state":"idle"}' });
+    socket.onerror();
+    adapter.disconnect();
+    assert.equal(socket.closed, true);
+    assert.deepEqual(messages, ['{"type":"station_state","plc":11500,"state":"idle"}']);
+    assert.deepEqual(statuses, [
+      'connecting ws://plc:8765',
+      'open ws://plc:8765',
+      'error connection to ws://plc:8765 failed',
+      'closed ws://plc:8765'
+    ]);
+    assert.throws(() => new WebSocketTelegramAdapter('ws://x', { WebSocketImpl: null }).connect(() => {}), /not available/);
+  });
+
+  it('emits mock telegrams as JSON text and produces valid random telegrams', () => {
+    const adapter = new MockTelegramAdapter([11500], { intervalMs: 0 });
+    const messages = [];
+    const statuses = [];
+    adapter.connect(m => messages.push(m), s => statuses.push(s));
+    adapter.emit({ type: 'container_at_station', plc: 11500, container: 'C-9' });
+    adapter.disconnect();
+    adapter.emit({ type: 'container_at_station', plc: 11500, container: 'C-10' });
+    assert.deepEqual(messages, ['{"type":"container_at_station","plc":11500,"container":"C-9"}']);
+    assert.deepEqual(statuses, ['open', 'closed']);
+
+    let seed = 1;
+    const source = { plcAddresses: [11500, 11600, 11700], random: () => ((seed = (seed * 16807) % 2147483647) / 2147483647), containerSeq: 1 };
+    for (let i = 0; i < 50; i++) {
+      const { telegram, error } = normalizeTelegram(randomTelegram(source));
+      assert.equal(error, null);
+      assert.ok(source.plcAddresses.includes(telegram.plcAddress));
+      if (telegram.type === 'station_state') assert.ok(STATION_STATES.includes(telegram.state));
+    }
+  });
+});
+
+describe('PlcLiveFeed', () => {
+  it('maps telegrams to station states, visuals and events', () => {
+    const applied = [];
+    const events = [];
+    const eventBus = new EventBus();
+    Object.values(PLC_EVENTS).forEach(type => eventBus.subscribe(type, payload => events.push([type, payload])));
+    const feed = new PlcLiveFeed({ eventBus, getStationManager: () => ({ updateStationState: (address, state) => applied.push([address, state && state.state]) }) });
+    const adapter = new MockTelegramAdapter([], { intervalMs: 0 });
+    feed.connect(adapter);
+    assert.equal(feed.status, 'open');
+
+    adapter.emit({ type: 'container_at_station', plc: 11600, container: 'C-1', timestamp: 1 });
+    adapter.emit({ type: 'station_state', plc: 11600, state: 'faulted', message: 'Photo eye timeout', timestamp: 2 });
+    adapter.emit({ type: 'station_state', plc: 11600, state: 'idle', timestamp: 3 });
+    adapter.emit('not json');
+    assert.deepEqual(feed.states.get(11600), { state: 'idle', container: null, message: null, timestamp: 3 });
+    assert.deepEqual(applied, [[11600, 'occupied'], [11600, 'faulted'], [11600, 'idle']]);
+
+    const ofType = type => events.filter(([t]) => t === type).map(([, payload]) => payload);
+    assert.deepEqual(ofType(PLC_EVENTS.containerAtStation), [{ plcAddress: 11600, container: 'C-1', timestamp: 1 }]);
+    assert.deepEqual(ofType(PLC_EVENTS.stationState).map(s => `${s.previous}→${s.state}`), ['idle→occupied', 'occupied→faulted', 'faulted→idle']);
+    assert.equal(ofType(PLC_EVENTS.invalidTelegram).length, 1);
+
+    feed.disconnect();
+    assert.deepEqual(ofType(PLC_EVENTS.connection).map(c => c.status), ['open', 'closed']);
+    feed.clear();
+    assert.deepEqual(applied.at(-1), [11600, null]);
+    assert.equal(feed.states.size, 0);
+  });
+});
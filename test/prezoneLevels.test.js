@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { resolvePlcAddressCodec } from '../src/domain/services/plcAddress.js';
+import { attachedLoop, levelElevation, prezoneLevelHeights, prezoneLoops, stationElevation } from '../src/domain/services/prezoneLevels.js';
+
+describe('prezoneLevels', () => {
+  it('merges level heights over the defaults', () => {
+    assert.deepEqual(prezoneLevelHeights(undefined), { floor: 3, conveyor_level: 1 });
+    assert.deepEqual(prezoneLevelHeights({ prezone_visuals: { level_heights: { floor: 5 } } }), { floor: 5, conveyor_level: 1 });
+  });
+
+  it('raises floors and conveyor levels above the generation level', () => {
+    assert.equal(stationElevation(11500), 0);
+    assert.equal(stationElevation(21600), 3);
+    assert.equal(stationElevation(32401), 7); // floor 3 (2 × 3 m) + conveyor level 2 (1 m)
+    assert.equal(levelElevation({ floor: 2, conveyorLevel: 1 }, undefined, { floor: 6, conveyor_level: 1.5 }), 6);
+    // Another convention generates on floor 2: floor 1 lies below it
+    const codec = resolvePlcAddressCodec({
+      fields: [{ name: 'floor', digits: 1 }, { name: 'conveyor_level', digits: 1 }, { name: 'type', digits: 1 }, { name: 'counter', digits: 2 }],
+      types: { 4: 'helper_station', 5: 'aisle_entrance', 6: 'lift_station' },
+      stations: { entry: 21400, main_loop: 21401 },
+      generation: { floor: 2, conveyor_level: 1 }
+    });
+    assert.equal(stationElevation(11500, codec), -3);
+  });
+
+  it('lists the main loop first, plus loops targeted or present as stations', () => {
+    const stations = [
+      { plc_address: 11500, directions: { straight: 11401, divert: 21401 } },
+      { plc_address: 31401, directions: { straight: null, divert: null } },
+      null
+    ];
+    assert.deepEqual(prezoneLoops(stations), [
+      { address: 11401, floor: 1, conveyorLevel: 1, main: true },
+      { address: 21401, floor: 2, conveyorLevel: 1, main: false },
+      { address: 31401, floor: 3, conveyorLevel: 1, main: false }
+    ]);
+    assert.deepEqual(prezoneLoops([]).map(l => l.address), [11401]);
+  });
+
+  it('attaches stations to the loop of their own level only', () => {
+    const loops = new Set([11401, 21401]);
+    assert.equal(attachedLoop({ plc_address: 11500, directions: { straight: 11401, divert: 11600 } }, loops), 11401);
+    assert.equal(attachedLoop({ plc_address: 21500, directions: { straight: 21401 } }, loops), 21401);
+    // Vertical transfer: targets the loop of another level
+    assert.equal(attachedLoop({ plc_address: 11300, directions: { straight: 21401 } }, loops), null);
+    // Loops sit on no loop, stations without a loop target neither
+    assert.equal(attachedLoop({ plc_address: 21401, directions: { straight: 11401 } }, loops), null);
+    assert.equal(attachedLoop({ plc_address: 11800, directions: { straight: 11700 } }, loops), null);
+  });
+});
@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { validateAgainstSchema } from '../src/infrastructure/config/schemaValidator.js';
+import { sampleConfig } from './fixtures.js';
+
+const errorsOf = config => validateAgainstSchema(config).errors;
+
+describe('validateAgainstSchema', () => {
+  it('accepts the sample layout', () => {
+    assert.deepEqual(validateAgainstSchema(sampleConfig()), { valid: true, errors: [], details: [] });
+  });
+
+  it('reports missing required fields at their own pointer', () => {
+    const config = sampleConfig();
+    delete config.metadata.version;
+    delete config.warehouse_parameters.storage_depth;
+    assert.deepEqual(errorsOf(config), ['/metadata/version: is required', '/warehouse_parameters/storage_depth: is required']);
+    assert.deepEqual(errorsOf({}), ['/metadata: is required', '/warehouse_parameters: is required']);
+  });
+
+  it('reports type mismatches and bounds', () => {
+    const config = sampleConfig();
+    config.warehouse_parameters.aisles = '4';
+    config.warehouse_parameters.modules_per_aisle = 2.5;
+    config.warehouse_parameters.storage_depth = 0;
+    assert.deepEqual(errorsOf(config), [
+      '/warehouse_parameters/aisles: must be integer',
+      '/warehouse_parameters/modules_per_aisle: must be integer',
+      '/warehouse_parameters/storage_depth: must be >= 1'
+    ]);
+    assert.deepEqual(errorsOf({ ...sampleConfig(), dimensions: { level_height: 0 } }), ['/dimensions/level_height: must be > 0']);
+  });
+
+  it('reports enum values and additional properties', () => {
+    assert.deepEqual(errorsOf({ ...sampleConfig(), units: 'inch' }), ['/units: must be one of "mm", "m", "ft"']);
+    assert.deepEqual(errorsOf({ ...sampleConfig(), dimensions: { profile: 'pallet', width: 1 } }), [
+      '/dimensions/profile: must be one of "standard", "tote", "carton", "custom"',
+      '/dimensions/width: is not allowed'
+    ]);
+  });
+
+  it('points into nested arrays and rule alternatives', () => {
+    const config = sampleConfig();
+    config.warehouse_parameters.levels_per_aisle[1] = -1;
+    config.missing_locations = [
+      { aisle: 1, level: [1, { from: 0 }], module: null, depth: null, position: null },
+      { aisle: { not: 'x' }, level: null, module: null, depth: null, position: null }
+    ];
+    assert.deepEqual(errorsOf(config), [
+      '/warehouse_parameters/levels_per_aisle/1: must be >= 0',
+      '/missing_locations/0/level/1/from: must be >= 1',
+      '/missing_locations/1/aisle: must match one of: {from,to} range | {not} negation'
+    ]);
+  });
+
+  it('escapes pointer segments and checks levels_per_aisle against aisles', () => {
+    const schema = { type: 'object', properties: { 'a/b': { type: 'object', additionalProperties: { type: 'number' } } } };
+    assert.deepEqual(validateAgainstSchema({ 'a/b': { '~x': 'y' } }, schema).errors, ['/a~1b/~0x: must be number']);
+
+    const config = sampleConfig();
+    config.warehouse_parameters.levels_per_aisle.pop();
+    assert.deepEqual(errorsOf(config), [`/warehouse_parameters/levels_per_aisle: must have ${config.warehouse_parameters.aisles} entries (one per aisle)`]);
+  });
+});
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { parseWarehouseConfig, serializeWarehouseConfig, toUIConfig } from '../src/infrastructure/config/warehouseConfigParser.js';
+import { sampleConfig } from './fixtures.js';
+
+/** Imports an external config and exports it again, as the UI's import / export buttons do. */
+function roundTrip(raw) {
+  const { config, errors } = parseWarehouseConfig(raw);
+  assert.deepEqual(errors, []);
+  const uiConfig = toUIConfig(config);
+  return serializeWarehouseConfig(uiConfig, uiConfig.missing_locations, uiConfig.location_types, { name: 'round-trip' });
+}
+
+describe('serializeWarehouseConfig', () => {
+  it('keeps a path-only prezone with its loops and open conveyors', () => {
+    const prezone = {
+      realisticConveyors: false,
+      path: { points: [{ x: -10, z: -6 }, { x: 10, z: -6 }, { x: 10, z: -3 }, { x: -10, z: -3 }], curve: 'spline' },
+      loops: [{ floor: 2, path: { points: [{ x: -8, z: -6 }, { x: 8, z: -6 }, { x: 0, z: -2 }], curve: 'polyline', corner_radius: 0.5 } }],
+      conveyors: [{ name: 'spur', floor: 1, points: [{ x: 10, z: -3 }, { x: 14, z: 0 }] }]
+    };
+    const exported = roundTrip({ ...sampleConfig(), prezone_visuals: prezone });
+    assert.deepEqual(exported.prezone_visuals, prezone);
+  });
+
+  it('keeps the ellipse next to the other prezone parts', () => {
+    const raw = sampleConfig();
+    const prezone = {
+      ...raw.prezone_visuals,
+      realisticConveyors: true,
+      level_heights: { floor: 6, conveyor_level: 1.5 },
+      loops: [{ floor: 2, position: { x: 0, y: 0, z: -5 }, dimensions: { radiusX: 12, radiusZ: 2 } }]
+    };
+    const exported = roundTrip({ ...raw, prezone_visuals: prezone });
+    assert.deepEqual(exported.prezone_visuals, prezone);
+  });
+
+  it('falls back to the default ellipse without a prezone', () => {
+    const { config } = parseWarehouseConfig(sampleConfig());
+    const uiConfig = { ...toUIConfig(config), prezone_visuals: {} };
+    const exported = serializeWarehouseConfig(uiConfig, [], []);
+    assert.deepEqual(exported.prezone_visuals, {
+      ellipse: { position: { x: 0, y: 0, z: -5 }, dimensions: { radiusX: 20, radiusZ: 2 } }
+    });
+  });
+});
@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { calculateCapacity, calculateLocationsBySide } from '../src/core/warehouseMetrics.js';
+import { DomainBuilder } from '../src/domain/services/DomainBuilder.js';
+import { MetricsService } from '../src/domain/services/MetricsService.js';
+import { convertRuleList, normalizeRuleSide } from '../src/infrastructure/config/warehouseConfigParser.js';
+import { smallUIConfig } from './fixtures.js';
+
+const rule = (fields) => ({ aisle: null, level: null, module: null, depth: null, position: null, ...fields });
+
+describe('rack sides', () => {
+  // 36 locations per side in aisle 1, 24 in aisle 2
+  const uiConfig = smallUIConfig();
+  const missing = [rule({ aisle: 0, level: 0, side: 'east' }), rule({ aisle: 1, level: 1 })];
+
+  it('counts capacity per side; rules without a side hit both racks', () => {
+    assert.deepEqual(calculateLocationsBySide(uiConfig, []), [60, 60]);
+    assert.deepEqual(calculateLocationsBySide(uiConfig, missing), [48, 36]);
+    assert.deepEqual(calculateCapacity(uiConfig, missing), { gross: 120, net: 84, missing: 36, west: 48, east: 36 });
+  });
+
+  it('breaks the domain metrics down per aisle and side', () => {
+    const domain = new DomainBuilder({ uiConfig, missingLocations: missing }).build();
+    const metrics = new MetricsService().compute(domain);
+    assert.equal(metrics.net, 84);
+    assert.deepEqual(metrics.sides, [{ side: 'west', net: 48 }, { side: 'east', net: 36 }]);
+    assert.deepEqual(metrics.aisles, [{ aisle: 0, net: 60, west: 36, east: 24 }, { aisle: 1, net: 24, west: 12, east: 12 }]);
+  });
+
+  it('normalises side conditions of imported and exported rules', () => {
+    assert.equal(normalizeRuleSide('E'), 'east');
+    assert.equal(normalizeRuleSide(0), 'west');
+    assert.deepEqual(normalizeRuleSide(['w', 1]), ['west', 'east']);
+    assert.deepEqual(normalizeRuleSide({ not: 'W' }), { not: 'west' });
+    assert.equal(normalizeRuleSide('north'), 'north'); // left for validation to report
+    assert.equal(normalizeRuleSide(null), null);
+    assert.deepEqual(convertRuleList([{ aisle: 2, level: 1, side: 'E' }, { aisle: 1 }], -1), [{ aisle: 1, level: 0, side: 'east' }, { aisle: 0 }]);
+  });
+});
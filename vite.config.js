@@ -1,8 +1,8 @@
 import { defineConfig } from 'vite';
 
 export default defineConfig({
-  // Ensure JSON files are treated as static assets
-  assetsInclude: ['**/*.json'],
+  // Ensure JSON files are treated as static assets, except modules under src/ (e.g. the config schema)
+  assetsInclude: [/^(?!.*\/src\/).*\.json$/],
   
   // Copy additional static files to dist
   publicDir: 'public',